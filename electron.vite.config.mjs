@@ -14,10 +14,27 @@ export default defineConfig({
     plugins: [externalizeDepsPlugin()]
   },
   preload: {
-    plugins: [externalizeDepsPlugin()]
+    plugins: [externalizeDepsPlugin()],
+    build: {
+      rollupOptions: {
+        input: {
+          index: resolve(__dirname, 'src/preload/index.js'),
+          print: resolve(__dirname, 'src/preload/print.js')
+        }
+      }
+    }
   },
   renderer: {
     plugins: [react()],
+    build: {
+      rollupOptions: {
+        // Second entry: offscreen print renderer loaded by src/main/printRenderer.js
+        input: {
+          index: resolve(__dirname, 'src/renderer/index.html'),
+          print: resolve(__dirname, 'src/renderer/print.html')
+        }
+      }
+    },
     define: {
       __APP_VERSION__: JSON.stringify(pkg.version)
     },
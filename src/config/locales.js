@@ -106,7 +106,33 @@ export const LOCALES = {
       separator: '/',
       locale: 'en-PH'
     },
-    numberToWords: { langCode: 'en', centsFormat: 'fraction' }
+    numberToWords: { langCode: 'en', centsFormat: 'fraction' },
+    // Opt-in alternatives to the English amount words (preferences.checkWordsLanguage)
+    wordsLanguages: [
+      { id: 'tl', label: 'Filipino (Tagalog)', numberToWords: { langCode: 'tl', centsFormat: 'centimes' } }
+    ]
+  },
+  IN: {
+    id: 'IN',
+    label: 'India',
+    paper: {
+      name: 'A4',
+      width: 8.27,
+      height: 11.69,
+      code: 'A4'
+    },
+    ui: {
+      measurementUnit: 'mm'
+    },
+    currency: { symbol: '₹', code: 'INR', locale: 'en-IN' },
+    dateFormat: {
+      order: ['DD', 'MM', 'YYYY'],
+      separator: '/',
+      locale: 'en-IN'
+    },
+    numberToWords: { langCode: 'en-IN', centsFormat: 'indian' },
+    // Cheque leaf layout applied when switching to this locale (see CHECK_LAYOUT_PRESETS)
+    checkPreset: 'cts2010'
   }
 }
 
@@ -119,6 +145,16 @@ export function getLocale(localeId) {
   return LOCALES[localeId] || LOCALES.US
 }
 
+/**
+ * Get the number-to-words config for a locale. `wordsLanguageId` picks one of
+ * the locale's opt-in `wordsLanguages`; anything else keeps the locale default.
+ */
+export function getNumberToWordsConfig(localeId, wordsLanguageId) {
+  const locale = getLocale(localeId)
+  const option = locale.wordsLanguages?.find(lang => lang.id === wordsLanguageId)
+  return option ? option.numberToWords : locale.numberToWords
+}
+
 /**
  * Convert inches to the locale's display unit.
  */
@@ -4,6 +4,10 @@ const fs = require('fs')
 const { pathToFileURL } = require('url')
 const log = require('electron-log')
 const crypto = require('crypto')
+const { setupPrintRenderer, renderPdf, renderToPrinter } = require('./printRenderer')
+const { setupPrintJournal } = require('./printJournal')
+const { setupLayoutPackages } = require('./layoutPackage')
+const { setupSignatureVault } = require('./signatureVault')
 
 // Helper function to get local date/time string in file-safe format (YYYY-MM-DD_HH-MM-SS)
 function getLocalTimestampString() {
@@ -366,6 +370,10 @@ function createWindow() {
 }
 
 app.whenReady().then(() => {
+  setupPrintRenderer()
+  setupPrintJournal()
+  setupLayoutPackages()
+  setupSignatureVault()
   createWindow()
 
   app.on('activate', () => {
@@ -390,7 +398,11 @@ ipcMain.handle('template:select', async () => {
   if (!mainWindow) return { success: false, error: 'No window' }
   const result = await dialog.showOpenDialog(mainWindow, {
     properties: ['openFile'],
-    filters: [{ name: 'Images', extensions: ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'webp'] }]
+    filters: [
+      { name: 'Templates', extensions: ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'webp', 'pdf'] },
+      { name: 'Images', extensions: ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'webp'] },
+      { name: 'PDF', extensions: ['pdf'] }
+    ]
   })
 
   if (result.canceled || !result.filePaths?.length) return { success: false }
@@ -412,7 +424,9 @@ ipcMain.handle('file:readAsDataURL', async (_evt, filePath) => {
               ? 'image/bmp'
               : ext === 'webp'
                 ? 'image/webp'
-                : `image/${ext}`
+                : ext === 'pdf'
+                  ? 'application/pdf'
+                  : `image/${ext}`
 
     return {
       success: true,
@@ -425,6 +439,58 @@ ipcMain.handle('file:readAsDataURL', async (_evt, filePath) => {
   }
 })
 
+// Rendered PDF template pages, cached so startup doesn't re-rasterise.
+// Files are named <source key>_<version key>.png: the source key covers the
+// path, page and DPI, the version key the file's size and modified time, so
+// an edited PDF misses the cache and its old render is replaced.
+function getTemplateCacheDirectory() {
+  const dir = path.join(app.getPath('userData'), 'template-cache')
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true })
+  return dir
+}
+
+function getTemplateCacheKeys(filePath, { page, dpi }) {
+  const hash = (value) => crypto.createHash('sha256').update(value).digest('hex').slice(0, 16)
+  const stat = fs.statSync(filePath)
+  return {
+    source: hash(`${path.resolve(filePath)}|${page}|${dpi}`),
+    version: hash(`${stat.size}|${stat.mtimeMs}`)
+  }
+}
+
+ipcMain.handle('template:cacheGet', async (_evt, filePath, options) => {
+  try {
+    const { source, version } = getTemplateCacheKeys(filePath, options)
+    const base = path.join(getTemplateCacheDirectory(), `${source}_${version}`)
+    if (!fs.existsSync(`${base}.png`) || !fs.existsSync(`${base}.json`)) return { success: false }
+    const meta = JSON.parse(fs.readFileSync(`${base}.json`, 'utf8'))
+    const dataUrl = `data:image/png;base64,${fs.readFileSync(`${base}.png`).toString('base64')}`
+    return { success: true, render: { ...meta, dataUrl } }
+  } catch (e) {
+    return { success: false, error: e?.message || String(e) }
+  }
+})
+
+// render: { dataUrl, width, height, page, pageCount } from the renderer
+ipcMain.handle('template:cacheSet', async (_evt, filePath, options, render) => {
+  try {
+    const match = /^data:image\/png;base64,(.+)$/.exec(render?.dataUrl || '')
+    if (!match) return { success: false, error: 'Render is not a PNG' }
+    const { source, version } = getTemplateCacheKeys(filePath, options)
+    const dir = getTemplateCacheDirectory()
+    for (const name of fs.readdirSync(dir)) {
+      if (name.startsWith(`${source}_`)) fs.unlinkSync(path.join(dir, name))
+    }
+    const base = path.join(dir, `${source}_${version}`)
+    fs.writeFileSync(`${base}.png`, Buffer.from(match[1], 'base64'))
+    const { width, height, page, pageCount } = render
+    fs.writeFileSync(`${base}.json`, JSON.stringify({ width, height, page, pageCount }), 'utf8')
+    return { success: true }
+  } catch (e) {
+    return { success: false, error: e?.message || String(e) }
+  }
+})
+
 // Import CSV/Excel file
 ipcMain.handle('import:select', async () => {
   if (!mainWindow) return { success: false, error: 'No window' }
@@ -873,11 +939,13 @@ async function generatePdfExport(filePath, checks, ledgerTotals, grandTotal) {
 }
 
 
-ipcMain.handle('print:dialog', async (_evt, filename, options) => {
-  if (!mainWindow) return { success: false, error: 'No window' }
+// Render a print job offscreen and open the system print dialog for it
+ipcMain.handle('print:dialog', async (_evt, { job, deviceName, pageSize }) => {
   try {
-    await mainWindow.webContents.print({
+    await renderToPrinter(job, {
       silent: false,
+      // Pre-select the target printer so its calibration matches the output
+      ...(deviceName ? { deviceName } : {}),
       printBackground: true,
       color: true,
       margins: {
@@ -887,25 +955,28 @@ ipcMain.handle('print:dialog', async (_evt, filename, options) => {
         left: 0,
         right: 0
       },
-      pageSize: options?.pageSize || 'Letter'
+      pageSize: pageSize || 'Letter'
     })
     return { success: true }
   } catch (e) {
+    // Closing the dialog isn't a failure; callers skip recording without an error
+    if (e?.message === 'cancelled') return { success: false, cancelled: true, error: 'Print was cancelled' }
     return { success: false, error: e?.message || String(e) }
   }
 })
 
 ipcMain.handle('print:previewPdf', async (_evt, options) => {
-  if (!mainWindow) return { success: false, error: 'No window' }
+  if (!options?.job) return { success: false, error: 'No print job' }
 
   try {
-    const pdfData = await mainWindow.webContents.printToPDF({
+    const pdfOptions = {
       pageSize: options?.pageSize || 'Letter',
       landscape: false,
       printBackground: false,
       preferCSSPageSize: true,
       margins: { marginType: 'printableArea' }
-    })
+    }
+    const pdfData = await renderPdf(options.job, pdfOptions)
 
     const pdfPath = path.join(app.getPath('temp'), `checkspree2-preview-${Date.now()}.pdf`)
     fs.writeFileSync(pdfPath, pdfData)
@@ -934,11 +1005,31 @@ ipcMain.handle('print:getPrinters', async () => {
   }
 })
 
-// Silent print to specified printer
-ipcMain.handle('print:silent', async (_evt, { deviceName, pageSize }) => {
-  if (!mainWindow) return { success: false, error: 'No window' }
+// Render a print job offscreen as PDF; saved to folderPath when given, otherwise returned.
+// outline builds PDF bookmarks from the document's headings (combined batch exports)
+ipcMain.handle('print:renderPdf', async (_evt, { job, folderPath, filename, pageSize, outline }) => {
+  try {
+    const pdfData = await renderPdf(job, {
+      pageSize: pageSize || 'Letter',
+      landscape: false,
+      printBackground: true,
+      preferCSSPageSize: true,
+      margins: { marginType: 'custom', top: 0, bottom: 0, left: 0, right: 0 },
+      generateDocumentOutline: !!outline
+    })
+    if (!folderPath) return { success: true, data: pdfData }
+    const filepath = path.join(folderPath, `${filename}.pdf`)
+    fs.writeFileSync(filepath, pdfData)
+    return { success: true, filepath }
+  } catch (e) {
+    return { success: false, error: e?.message || String(e) }
+  }
+})
+
+// Render a print job offscreen and print it silently to the specified printer
+ipcMain.handle('print:renderSilent', async (_evt, { job, deviceName, pageSize }) => {
   try {
-    await mainWindow.webContents.print({
+    await renderToPrinter(job, {
       silent: true,
       deviceName: deviceName,
       printBackground: true,
@@ -958,28 +1049,10 @@ ipcMain.handle('print:silent', async (_evt, { deviceName, pageSize }) => {
   }
 })
 
-// Save current page as PDF to specified file path
-ipcMain.handle('print:savePdfToFile', async (_evt, { folderPath, filename, pageSize }) => {
-  if (!mainWindow) return { success: false, error: 'No window' }
-  try {
-    const filepath = path.join(folderPath, `${filename}.pdf`)
-    const pdfData = await mainWindow.webContents.printToPDF({
-      pageSize: pageSize || 'Letter',
-      landscape: false,
-      printBackground: true,
-      preferCSSPageSize: true,
-      margins: { marginType: 'custom', top: 0, bottom: 0, left: 0, right: 0 }
-    })
-    fs.writeFileSync(filepath, pdfData)
-    return { success: true, filepath }
-  } catch (e) {
-    return { success: false, error: e?.message || String(e) }
-  }
-})
-
-// Save current page as invoice PDF with save dialog
+// Render an invoice job offscreen and save it as PDF via a save dialog
 ipcMain.handle('invoice:savePdf', async (_evt, opts) => {
   if (!mainWindow) return { success: false, error: 'No window' }
+  if (!opts?.job) return { success: false, error: 'No print job' }
   const defaultFilename = opts?.defaultFilename || 'Invoice.pdf'
   const pageSize = opts?.pageSize || 'Letter'
 
@@ -994,7 +1067,7 @@ ipcMain.handle('invoice:savePdf', async (_evt, opts) => {
   if (result.canceled || !result.filePath) return { success: false }
 
   try {
-    const pdfData = await mainWindow.webContents.printToPDF({
+    const pdfData = await renderPdf(opts.job, {
       pageSize,
       landscape: false,
       printBackground: true,
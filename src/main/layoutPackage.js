@@ -0,0 +1,73 @@
+const { app, BrowserWindow, dialog, ipcMain } = require('electron')
+const path = require('path')
+const fs = require('fs')
+
+// Single-profile layout packages (.cslayout). The renderer builds and
+// validates the package (src/renderer/utils/layoutPackage.js); this side
+// only does the file dialogs and stores an imported template image under
+// userData so the new profile has a path to load it from.
+
+const FILTERS = [
+  { name: 'CheckSpree Layout', extensions: ['cslayout'] },
+  { name: 'All Files', extensions: ['*'] }
+]
+
+const IMAGE_EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/bmp': 'bmp', 'image/webp': 'webp' }
+
+function getTemplateDirectory() {
+  const dir = path.join(app.getPath('userData'), 'templates')
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true })
+  return dir
+}
+
+function setupLayoutPackages() {
+  ipcMain.handle('layout:export', async (evt, pkg, defaultName) => {
+    const win = BrowserWindow.fromWebContents(evt.sender)
+    const safeName = String(defaultName || 'Check Layout').replace(/[<>:"/\\|?*]+/g, '_')
+    const result = await dialog.showSaveDialog(win, {
+      defaultPath: `${safeName}.cslayout`,
+      filters: FILTERS
+    })
+    if (result.canceled || !result.filePath) return { success: false }
+
+    try {
+      fs.writeFileSync(result.filePath, JSON.stringify(pkg, null, 2), 'utf8')
+      return { success: true, path: result.filePath }
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) }
+    }
+  })
+
+  ipcMain.handle('layout:import', async (evt) => {
+    const win = BrowserWindow.fromWebContents(evt.sender)
+    const result = await dialog.showOpenDialog(win, {
+      properties: ['openFile'],
+      filters: FILTERS
+    })
+    if (result.canceled || !result.filePaths?.length) return { success: false }
+
+    try {
+      return { success: true, content: fs.readFileSync(result.filePaths[0], 'utf8') }
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) }
+    }
+  })
+
+  // dataUrl: base64 image from an imported package; fileName is only a hint
+  ipcMain.handle('layout:saveTemplate', async (_evt, dataUrl, fileName) => {
+    const match = /^data:(image\/[\w.+-]+);base64,(.+)$/.exec(dataUrl || '')
+    if (!match) return { success: false, error: 'Template is not an embedded image' }
+
+    try {
+      const ext = IMAGE_EXTENSIONS[match[1]] || 'png'
+      const base = path.parse(path.basename(String(fileName || 'template'))).name.replace(/[^\w.-]+/g, '_') || 'template'
+      const file = path.join(getTemplateDirectory(), `${base}_${Date.now()}.${ext}`)
+      fs.writeFileSync(file, Buffer.from(match[2], 'base64'))
+      return { success: true, path: file }
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) }
+    }
+  })
+}
+
+module.exports = { setupLayoutPackages }
@@ -0,0 +1,100 @@
+const { app, ipcMain, safeStorage } = require('electron')
+const path = require('path')
+const fs = require('fs')
+
+// Batch print journal: every batch run and the state of each item in it
+// (queued → rendered → sent → recorded, or failed). Rewritten on every
+// change so an interrupted batch can be resumed or reconciled on restart
+// without reprinting or re-recording anything.
+
+function getJournalFile() {
+  return path.join(app.getPath('userData'), 'print-journal.json')
+}
+
+function readJournal() {
+  try {
+    const file = getJournalFile()
+    if (!fs.existsSync(file)) return { jobs: [] }
+    const buffer = fs.readFileSync(file)
+    let json
+    try {
+      json = safeStorage.isEncryptionAvailable() ? safeStorage.decryptString(buffer) : buffer.toString('utf8')
+    } catch {
+      // Written as plain text when encryption wasn't available
+      json = buffer.toString('utf8')
+    }
+    const journal = JSON.parse(json)
+    return Array.isArray(journal?.jobs) ? journal : { jobs: [] }
+  } catch (e) {
+    console.error('Failed to read print journal:', e)
+    return { jobs: [] }
+  }
+}
+
+// Write to a temp file and rename, so a crash mid-write never leaves a torn journal
+function writeJournal(journal) {
+  const file = getJournalFile()
+  const json = JSON.stringify(journal)
+  let contents = json
+  if (safeStorage.isEncryptionAvailable()) {
+    try {
+      contents = safeStorage.encryptString(json)
+    } catch (error) {
+      console.error('Journal encryption failed, falling back to plain text:', error)
+    }
+  }
+  const tmp = `${file}.tmp`
+  fs.writeFileSync(tmp, contents)
+  fs.renameSync(tmp, file)
+}
+
+function updateJob(jobId, update) {
+  const journal = readJournal()
+  const job = journal.jobs.find(j => j.id === jobId)
+  if (!job) return { success: false, error: 'Unknown print job' }
+  update(job)
+  job.updatedAt = new Date().toISOString()
+  writeJournal(journal)
+  return { success: true }
+}
+
+function setupPrintJournal() {
+  ipcMain.handle('journal:list', async () => readJournal().jobs)
+
+  ipcMain.handle('journal:start', async (_evt, job) => {
+    const journal = readJournal()
+    journal.jobs.push({ ...job, startedAt: new Date().toISOString(), finishedAt: null })
+    writeJournal(journal)
+    return { success: true }
+  })
+
+  // updates: [{ key, ...fields }] merged into the matching items
+  ipcMain.handle('journal:updateItems', async (_evt, jobId, updates) => updateJob(jobId, job => {
+    for (const { key, ...fields } of updates) {
+      const item = job.items.find(i => i.key === key)
+      if (item) Object.assign(item, fields)
+    }
+  }))
+
+  // Reprints added by misprint recovery mid-batch
+  ipcMain.handle('journal:addItems', async (_evt, jobId, items) => updateJob(jobId, job => {
+    job.items.push(...items)
+  }))
+
+  // Called once the batch's history has been committed: sent items are now recorded
+  ipcMain.handle('journal:finish', async (_evt, jobId) => updateJob(jobId, job => {
+    for (const item of job.items) {
+      if (item.state === 'sent') item.state = 'recorded'
+    }
+    job.finishedAt = new Date().toISOString()
+  }))
+
+  ipcMain.handle('journal:discard', async (_evt, jobId) => {
+    const journal = readJournal()
+    journal.jobs = journal.jobs.filter(j => j.id !== jobId)
+    writeJournal(journal)
+    return { success: true }
+  })
+}
+
+module.exports = { setupPrintJournal }
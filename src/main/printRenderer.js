@@ -0,0 +1,118 @@
+const { BrowserWindow, ipcMain } = require('electron')
+const path = require('path')
+
+// Offscreen print renderer: each job is drawn in its own hidden window
+// (renderer/print.html) using the same CheckCanvas markup as the main
+// window, then printed or captured as PDF. The main window's form is never
+// touched, so batches can run while the user keeps working.
+
+// Hidden windows rendering at once; further jobs wait for a free slot
+const MAX_CONCURRENT_RENDERS = 2
+// Give up on a page that never reports ready (renderer crash, stuck asset)
+const RENDER_TIMEOUT_MS = 30000
+
+/** @type {Map<number, { job: object, resolve: Function, reject: Function }>} */
+const pendingJobs = new Map()
+const waitingForSlot = []
+let activeRenders = 0
+
+function acquireSlot() {
+  if (activeRenders < MAX_CONCURRENT_RENDERS) {
+    activeRenders++
+    return Promise.resolve()
+  }
+  return new Promise(resolve => waitingForSlot.push(resolve))
+}
+
+function releaseSlot() {
+  const next = waitingForSlot.shift()
+  // Hand the slot straight to the next job, otherwise free it
+  if (next) next()
+  else activeRenders--
+}
+
+function setupPrintRenderer() {
+  ipcMain.handle('printRenderer:getJob', (evt) => pendingJobs.get(evt.sender.id)?.job || null)
+  ipcMain.on('printRenderer:ready', (evt) => pendingJobs.get(evt.sender.id)?.resolve())
+  ipcMain.on('printRenderer:error', (evt, message) => {
+    pendingJobs.get(evt.sender.id)?.reject(new Error(message || 'Print render failed'))
+  })
+}
+
+function loadPrintPage(win) {
+  if (process.env.NODE_ENV === 'development') {
+    return win.loadURL('http://localhost:5173/print.html')
+  }
+  return win.loadFile(path.join(__dirname, '../renderer/print.html'))
+}
+
+/**
+ * Render a job in a hidden window and run an action on its webContents
+ * once the page reports ready. The window is destroyed afterwards.
+ */
+async function withRenderedJob(job, action) {
+  await acquireSlot()
+  const win = new BrowserWindow({
+    show: false,
+    width: 1000,
+    height: 1300,
+    webPreferences: {
+      preload: path.join(__dirname, '../preload/print.js'),
+      contextIsolation: true,
+      nodeIntegration: false
+    }
+  })
+  const id = win.webContents.id
+  let timer = null
+
+  try {
+    const rendered = new Promise((resolve, reject) => {
+      pendingJobs.set(id, { job, resolve, reject })
+      timer = setTimeout(() => reject(new Error('Timed out rendering check for printing')), RENDER_TIMEOUT_MS)
+      win.webContents.once('render-process-gone', (_e, details) => {
+        reject(new Error(`Print renderer exited (${details.reason})`))
+      })
+    })
+    // Surface a failure through the await below, not as an unhandled rejection
+    rendered.catch(() => { })
+
+    await loadPrintPage(win)
+    await rendered
+    return await action(win.webContents)
+  } finally {
+    clearTimeout(timer)
+    pendingJobs.delete(id)
+    if (!win.isDestroyed()) win.destroy()
+    releaseSlot()
+  }
+}
+
+/**
+ * Render a print job to PDF.
+ *
+ * @param {object} job - Print job from the renderer's createPrintJob
+ * @param {object} pdfOptions - webContents.printToPDF options
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function renderPdf(job, pdfOptions) {
+  return withRenderedJob(job, webContents => webContents.printToPDF(pdfOptions))
+}
+
+/**
+ * Render a print job and send it to a printer. Resolves once the job is
+ * spooled; rejects with the printer's failure reason.
+ *
+ * @param {object} job - Print job from the renderer's createPrintJob
+ * @param {object} printOptions - webContents.print options
+ * @returns {Promise<void>}
+ */
+function renderToPrinter(job, printOptions) {
+  return withRenderedJob(job, webContents => new Promise((resolve, reject) => {
+    webContents.print(printOptions, (success, failureReason) => {
+      if (success) resolve()
+      else reject(new Error(failureReason || 'Print failed'))
+    })
+  }))
+}
+
+module.exports = { setupPrintRenderer, renderPdf, renderToPrinter }
@@ -0,0 +1,181 @@
+const { app, ipcMain, safeStorage } = require('electron')
+const path = require('path')
+const fs = require('fs')
+const crypto = require('crypto')
+
+// Signature vault: signature images encrypted with the OS keychain
+// (safeStorage) in their own files, so settings, backups and exports only
+// ever carry an id. The files are bound to this machine; a restored backup
+// needs its signatures loaded again. Also holds the signer PIN (salted
+// scrypt hash) and an append-only log of every signed print.
+
+const MAX_PIN_ATTEMPTS = 5
+const PIN_LOCKOUT_MS = 60 * 1000
+
+let failedPinAttempts = 0
+let pinLockedUntil = 0
+
+function getVaultDirectory() {
+  const dir = path.join(app.getPath('userData'), 'signatures')
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true })
+  return dir
+}
+
+// Ids are generated here; reject anything that could leave the directory
+function getImageFile(id) {
+  if (!/^[\w-]+$/.test(String(id || ''))) throw new Error('Invalid signature id')
+  return path.join(getVaultDirectory(), `${id}.sig`)
+}
+
+const getPinFile = () => path.join(getVaultDirectory(), 'signer-pin.json')
+const getLogFile = () => path.join(getVaultDirectory(), 'signed-prints.jsonl')
+
+function hashPin(pin, salt) {
+  return crypto.scryptSync(String(pin), salt, 32).toString('hex')
+}
+
+function readPinRecord() {
+  try {
+    const file = getPinFile()
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null
+  } catch (e) {
+    console.error('Failed to read signer PIN:', e)
+    return null
+  }
+}
+
+// Check a PIN against the stored record. Too many wrong PINs lock
+// verification for a minute.
+function checkPin(pin) {
+  if (Date.now() < pinLockedUntil) {
+    return { success: false, error: 'Too many attempts. Try again in a minute.' }
+  }
+  const record = readPinRecord()
+  if (!record) return { success: false, error: 'No signer PIN has been set' }
+
+  const expected = Buffer.from(record.hash, 'hex')
+  const actual = Buffer.from(hashPin(pin, record.salt), 'hex')
+  if (expected.length === actual.length && crypto.timingSafeEqual(expected, actual)) {
+    failedPinAttempts = 0
+    return { success: true, signer: record.signer }
+  }
+  failedPinAttempts++
+  if (failedPinAttempts >= MAX_PIN_ATTEMPTS) {
+    failedPinAttempts = 0
+    pinLockedUntil = Date.now() + PIN_LOCKOUT_MS
+  }
+  return { success: false, error: 'Incorrect PIN' }
+}
+
+// Decrypted images only go to the app's own page: not a print window,
+// a subframe, or anything the main window has been navigated to
+function isAppPage(evt) {
+  const frame = evt.senderFrame
+  if (!frame || frame !== evt.sender.mainFrame) return false
+  let url
+  try {
+    url = new URL(frame.url)
+  } catch {
+    return false
+  }
+  if (process.env.NODE_ENV === 'development') {
+    return url.origin === 'http://localhost:5173' && !url.pathname.endsWith('/print.html')
+  }
+  return url.protocol === 'file:' && url.pathname.endsWith('/renderer/index.html')
+}
+
+function setupSignatureVault() {
+  ipcMain.handle('signature:store', async (_evt, dataUrl) => {
+    if (!/^data:image\/[\w.+-]+;base64,/.test(String(dataUrl || ''))) {
+      return { success: false, error: 'Signature is not an image' }
+    }
+    if (!safeStorage.isEncryptionAvailable()) {
+      return { success: false, error: 'Secure storage is not available on this system' }
+    }
+    try {
+      const id = crypto.randomUUID()
+      fs.writeFileSync(getImageFile(id), safeStorage.encryptString(dataUrl))
+      return { success: true, id }
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) }
+    }
+  })
+
+  ipcMain.handle('signature:load', async (evt, id) => {
+    if (!isAppPage(evt)) return { success: false, error: 'Not allowed' }
+    try {
+      const file = getImageFile(id)
+      if (!fs.existsSync(file)) return { success: false, error: 'Signature not found' }
+      return { success: true, dataUrl: safeStorage.decryptString(fs.readFileSync(file)) }
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) }
+    }
+  })
+
+  ipcMain.handle('signature:remove', async (_evt, id) => {
+    try {
+      const file = getImageFile(id)
+      if (fs.existsSync(file)) fs.unlinkSync(file)
+      return { success: true }
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) }
+    }
+  })
+
+  ipcMain.handle('signature:pinStatus', async () => {
+    const record = readPinRecord()
+    return { hasPin: !!record, signer: record?.signer || '' }
+  })
+
+  // Replacing an existing PIN takes the current one
+  ipcMain.handle('signature:setPin', async (_evt, signer, pin, currentPin) => {
+    if (!/^\d{4,12}$/.test(String(pin || ''))) {
+      return { success: false, error: 'PIN must be 4–12 digits' }
+    }
+    if (readPinRecord()) {
+      const check = checkPin(currentPin)
+      if (!check.success) return check
+    }
+    try {
+      const salt = crypto.randomBytes(16).toString('hex')
+      const record = { signer: String(signer || '').trim() || 'Signer', salt, hash: hashPin(pin, salt), updatedAt: new Date().toISOString() }
+      fs.writeFileSync(getPinFile(), JSON.stringify(record), 'utf8')
+      return { success: true }
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) }
+    }
+  })
+
+  ipcMain.handle('signature:verifyPin', async (_evt, pin) => checkPin(pin))
+
+  // entries: [{ checkNumber, payee, amount, ledgerId, signatures, method, authorizedBy, ... }]
+  ipcMain.handle('signature:log', async (_evt, entries) => {
+    try {
+      const loggedAt = new Date().toISOString()
+      const lines = (entries || []).map(entry => JSON.stringify({ ...entry, loggedAt })).join('\n')
+      if (lines) fs.appendFileSync(getLogFile(), `${lines}\n`, 'utf8')
+      return { success: true }
+    } catch (e) {
+      console.error('Failed to write signed print log:', e)
+      return { success: false, error: e?.message || String(e) }
+    }
+  })
+
+  // Newest first
+  ipcMain.handle('signature:readLog', async (_evt, limit = 100) => {
+    try {
+      const file = getLogFile()
+      if (!fs.existsSync(file)) return { success: true, entries: [] }
+      const entries = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean)
+        .slice(-limit)
+        .map(line => { try { return JSON.parse(line) } catch { return null } })
+        .filter(Boolean)
+        .reverse()
+      return { success: true, entries }
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) }
+    }
+  })
+}
+
+module.exports = { setupSignatureVault }
@@ -6,19 +6,46 @@ contextBridge.exposeInMainWorld('cs2', {
 
   selectTemplate: () => ipcRenderer.invoke('template:select'),
   readFileAsDataURL: (filePath) => ipcRenderer.invoke('file:readAsDataURL', filePath),
+  // Rendered PDF template pages (see src/renderer/utils/pdfTemplate.js)
+  templateCacheGet: (filePath, options) => ipcRenderer.invoke('template:cacheGet', filePath, options),
+  templateCacheSet: (filePath, options, render) => ipcRenderer.invoke('template:cacheSet', filePath, options, render),
 
   // Import/Export
   importSelect: () => ipcRenderer.invoke('import:select'),
   importRead: (filePath) => ipcRenderer.invoke('import:read', filePath),
   exportHistory: (historyData) => ipcRenderer.invoke('export:history', historyData),
 
-  printDialog: (filename, options) => ipcRenderer.invoke('print:dialog', filename, options),
+  printDialog: (job, options) => ipcRenderer.invoke('print:dialog', { job, ...options }),
   previewPdf: (options) => ipcRenderer.invoke('print:previewPdf', options),
   getPrinters: () => ipcRenderer.invoke('print:getPrinters'),
-  printSilent: (options) => ipcRenderer.invoke('print:silent', options),
-  savePdfToFile: (folderPath, filename, options) => ipcRenderer.invoke('print:savePdfToFile', { folderPath, filename, ...options }),
   selectPdfFolder: () => ipcRenderer.invoke('print:selectPdfFolder'),
-  invoiceSavePdf: (options) => ipcRenderer.invoke('invoice:savePdf', options),
+  // Offscreen rendering of a print job (see src/main/printRenderer.js)
+  renderPdf: (job, options) => ipcRenderer.invoke('print:renderPdf', { job, ...options }),
+  renderSilent: (job, options) => ipcRenderer.invoke('print:renderSilent', { job, ...options }),
+
+  // Batch print journal (see src/main/printJournal.js)
+  journalList: () => ipcRenderer.invoke('journal:list'),
+  journalStart: (job) => ipcRenderer.invoke('journal:start', job),
+  journalUpdateItems: (jobId, updates) => ipcRenderer.invoke('journal:updateItems', jobId, updates),
+  journalAddItems: (jobId, items) => ipcRenderer.invoke('journal:addItems', jobId, items),
+  journalFinish: (jobId) => ipcRenderer.invoke('journal:finish', jobId),
+  journalDiscard: (jobId) => ipcRenderer.invoke('journal:discard', jobId),
+  invoiceSavePdf: (job, options) => ipcRenderer.invoke('invoice:savePdf', { job, ...options }),
+
+  // Single-profile layout packages (see src/main/layoutPackage.js)
+  layoutExport: (pkg, defaultName) => ipcRenderer.invoke('layout:export', pkg, defaultName),
+  layoutImport: () => ipcRenderer.invoke('layout:import'),
+  layoutSaveTemplate: (dataUrl, fileName) => ipcRenderer.invoke('layout:saveTemplate', dataUrl, fileName),
+
+  // Encrypted signature images, signer PIN and signed print log (see src/main/signatureVault.js)
+  signatureStore: (dataUrl) => ipcRenderer.invoke('signature:store', dataUrl),
+  signatureLoad: (id) => ipcRenderer.invoke('signature:load', id),
+  signatureRemove: (id) => ipcRenderer.invoke('signature:remove', id),
+  signaturePinStatus: () => ipcRenderer.invoke('signature:pinStatus'),
+  signatureSetPin: (signer, pin, currentPin) => ipcRenderer.invoke('signature:setPin', signer, pin, currentPin),
+  signatureVerifyPin: (pin) => ipcRenderer.invoke('signature:verifyPin', pin),
+  signatureLog: (entries) => ipcRenderer.invoke('signature:log', entries),
+  signatureReadLog: (limit) => ipcRenderer.invoke('signature:readLog', limit),
 
   // Backup
   backupSave: (password) => ipcRenderer.invoke('backup:save', password),
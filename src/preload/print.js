@@ -0,0 +1,8 @@
+const { contextBridge, ipcRenderer } = require('electron')
+
+// Bridge for the offscreen print renderer (print.html)
+contextBridge.exposeInMainWorld('cs2Print', {
+  getJob: () => ipcRenderer.invoke('printRenderer:getJob'),
+  ready: () => ipcRenderer.send('printRenderer:ready'),
+  fail: (message) => ipcRenderer.send('printRenderer:error', message)
+})
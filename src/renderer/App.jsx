@@ -1,8 +1,8 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react'
 import { numberToWords, setNumberToWordsLocale } from '../shared/numberToWords'
 import { getLocalDateString } from './utils/date'
-import { generateId, sanitizeCurrencyInput, setCurrencyLocale, formatCurrency } from './utils/helpers'
-import { getLocale } from '../config/locales'
+import { generateId, sanitizeCurrencyInput, setCurrencyLocale, formatCurrency, formatNumberLocale, isSlotEmpty } from './utils/helpers'
+import { getLocale, getNumberToWordsConfig } from '../config/locales'
 import { useKeyboardShortcuts } from './hooks/useKeyboardShortcuts'
 import { useAutoIncrement } from './hooks/useAutoIncrement'
 import { usePersistenceSaver } from './hooks/usePersistenceSaver'
@@ -12,8 +12,8 @@ import UpdateNotification from './UpdateNotification'
 import {
   APP_VERSION, PX_PER_IN, AVAILABLE_FONTS,
   DEFAULT_LAYOUT, DEFAULT_FIELDS, DEFAULT_PROFILE, DEFAULT_PREFERENCES, DEFAULT_MODEL,
-  formatLineItems, formatLedgerSnapshot, getDateRangeForFilter,
-  normalizeModel, getLocaleLayout
+  formatLineItems, formatLedgerSnapshot, getDateRangeForFilter, formatDateByPreference,
+  normalizeModel, getLocaleLayout, getLocaleCheckPreset, applyCheckLayoutPreset
 } from './constants/defaults'
 
 // Parsing utilities
@@ -21,6 +21,17 @@ import {
   parseCSVWithMapping, parseExcelWithMapping,
   extractHeaders, autoDetectMapping, getPreviewRow
 } from './utils/parsing'
+import { calculateLedgerBalance, canVoidEntry, voidEntry } from './utils/historyHelpers'
+import { findCheckNumberConflicts, describeConflicts, parseCheckNumber, numberSheetSlots } from './utils/checkRegistry'
+import { validateChecks, DEFAULT_STALE_CHECK_DAYS } from './utils/checkValidation'
+import { ensureSecondSignatureField } from './utils/signatureRules'
+import { resolvePrintTarget, getPrinterCalibration } from './utils/printerCalibration'
+import { createPrintJob } from './utils/printJob'
+import { findInterruptedJobs, applyJournalRecovery } from './utils/printJournal'
+import { getLineItemNet } from './utils/remittance'
+import { buildLayoutPreset, DEFAULT_LAYOUT_PRESET_ID } from './utils/layoutPresets'
+import { createLayoutPackage, parseLayoutPackage, layoutPackageToProfile } from './utils/layoutPackage'
+import { getCheckFieldTexts, findFieldOverflows, getFieldFontPt, createTextMeasurer } from './utils/textFit'
 
 // Extracted components
 import { PasswordModal } from './components/PasswordModal'
@@ -36,7 +47,10 @@ import { AdminPinModal } from './components/modals/AdminPinModal'
 import { ChangePinModal } from './components/modals/ChangePinModal'
 import { ManualBackupModal } from './components/modals/ManualBackupModal'
 import { DeleteConfirmModal } from './components/modals/DeleteConfirmModal'
+import { VoidCheckModal } from './components/modals/VoidCheckModal'
 import { PrintFailureModal } from './components/modals/PrintFailureModal'
+import { PrintValidationModal } from './components/modals/PrintValidationModal'
+import { BatchRecoveryModal } from './components/modals/BatchRecoveryModal'
 import { BatchProgressModal } from './components/modals/BatchProgressModal'
 import { BatchCompleteModal } from './components/modals/BatchCompleteModal'
 import { SetupWizard } from './components/modals/SetupWizard'
@@ -50,6 +64,7 @@ import { useToast } from './hooks/useToast'
 import { useAdmin } from './hooks/useAdmin'
 import { useTemplate } from './hooks/useTemplate'
 import { useLayoutEditor } from './hooks/useLayoutEditor'
+import { useLayoutHistory } from './hooks/useLayoutHistory'
 import { useBatchPrint } from './hooks/useBatchPrint'
 import { useSignature } from './hooks/useSignature'
 import { PositivePayModal } from './components/modals/PositivePayModal'
@@ -60,6 +75,10 @@ import { useApprovals } from './hooks/useApprovals'
 import { ApprovalPanel } from './components/modals/ApprovalPanel'
 import { ReportsPanel } from './components/modals/ReportsPanel'
 import { ReconciliationPanel } from './components/modals/ReconciliationPanel'
+import { CheckRegistryPanel } from './components/modals/CheckRegistryPanel'
+import { PrinterCalibrationWizard } from './components/modals/PrinterCalibrationWizard'
+import { EnvelopePrintDialog } from './components/modals/EnvelopePrintDialog'
+import { LabelSheetDialog } from './components/modals/LabelSheetDialog'
 import { useRecurringChecks } from './hooks/useRecurringChecks'
 import { RecurringChecksPanel } from './components/modals/RecurringChecksPanel'
 import { useInvoices } from './hooks/useInvoices'
@@ -77,7 +96,6 @@ export default function App() {
   const [selectionBox, setSelectionBox] = useState(null) // { startX, startY, currentX, currentY } for marquee
   const [showFriendlyLabel, setShowFriendlyLabel] = useState(true)
 
-  const [isPrinting, setIsPrinting] = useState(false)
   const { templateDataUrl, templateLoadError, templateMeta, templateDecodeError, handleSelectTemplate, onTemplateImageError } = useTemplate(model, setModel)
   const [showAdvanced, setShowAdvanced] = useState(false)
 
@@ -209,6 +227,9 @@ export default function App() {
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false)
   const [deleteTarget, setDeleteTarget] = useState(null)
 
+  // Void check modal state
+  const [voidTarget, setVoidTarget] = useState(null)
+
   // GL Code modal state
   const [showGlModal, setShowGlModal] = useState(false)
   const [pendingGlCode, setPendingGlCode] = useState(null)
@@ -220,9 +241,15 @@ export default function App() {
 
   // Print failure confirmation modal state (for pausing batch on error)
   const [showPrintFailureModal, setShowPrintFailureModal] = useState(false)
-  const [printFailureInfo, setPrintFailureInfo] = useState({ payee: '', error: '' })
+  const [printFailureInfo, setPrintFailureInfo] = useState({ payee: '', error: '', candidates: [] })
   const printFailureResolveRef = useRef(null)
 
+  // Pre-print validation review: { title, confirmLabel, results, proceed }
+  const [validationReview, setValidationReview] = useState(null)
+
+  // Batches the print journal shows were interrupted (crash, hung printer), oldest first
+  const [interruptedBatches, setInterruptedBatches] = useState([])
+
   // Batch completion modal state
 
 
@@ -256,6 +283,12 @@ export default function App() {
 
   // Reconciliation panel modal state
   const [showReconciliation, setShowReconciliation] = useState(false)
+  const [showCheckRegistry, setShowCheckRegistry] = useState(false)
+  // Envelope print dialog: null when closed, otherwise the initial source ('current' | 'queue' | 'history')
+  const [envelopeSource, setEnvelopeSource] = useState(null)
+  // Mailing label dialog: null when closed, otherwise { source, items, label } for the batch source
+  const [labelRequest, setLabelRequest] = useState(null)
+  const [showCalibrationWizard, setShowCalibrationWizard] = useState(false)
 
   // Recurring checks panel modal state
   const [showRecurring, setShowRecurring] = useState(false)
@@ -492,6 +525,25 @@ export default function App() {
           // Automatically show the import queue modal if there are items
           setShowImportQueue(true)
         }
+
+        // Reconcile batches interrupted before they could record their checks.
+        // A journal that can't be read mustn't stop the app from starting.
+        try {
+          const jobs = await window.cs2.journalList()
+          if (cancelled) return
+          const { interrupted, settled } = findInterruptedJobs(jobs, persisted?.checkHistory || [])
+          settled.forEach(job => window.cs2.journalDiscard(job.id).catch(e => {
+            console.error('[Journal] Failed to discard settled batch:', e)
+            showToast(`Couldn't clear a finished batch from the print journal: ${e?.message || 'Unknown error'}`, 'error')
+          }))
+          if (interrupted.length > 0) {
+            setInterruptedBatches(interrupted)
+            setShowImportQueue(false)
+          }
+        } catch (e) {
+          console.error('[Journal] Failed to check for interrupted batches:', e)
+          if (!cancelled) showToast(`Couldn't check for interrupted batch prints: ${e?.message || 'Unknown error'}`, 'error')
+        }
       })()
     return () => { cancelled = true }
   }, [])
@@ -517,13 +569,13 @@ export default function App() {
   useEffect(() => {
     const locale = getLocale(preferences.locale)
     setCurrencyLocale(locale.currency)
-    setNumberToWordsLocale(locale.numberToWords)
 
     // Only update model page/layout when the locale actually changes (not on mount)
     if (prevLocaleRef.current !== preferences.locale) {
       prevLocaleRef.current = preferences.locale
       const localeLayout = getLocaleLayout(preferences.locale)
-      setModel(prev => ({
+      const checkPreset = getLocaleCheckPreset(preferences.locale)
+      setModel(prev => applyCheckLayoutPreset({
         ...prev,
         page: { size: locale.paper.name, widthIn: locale.paper.width, heightIn: locale.paper.height },
         layout: {
@@ -535,10 +587,19 @@ export default function App() {
           cutLine1In: localeLayout.cutLine1In,
           cutLine2In: localeLayout.cutLine2In
         }
-      }))
+      }, checkPreset))
+      // Cheque presets also carry their date format (e.g. CTS-2010 boxed DDMMYYYY)
+      if (checkPreset?.dateFormat) {
+        setPreferences(p => ({ ...p, ...checkPreset.dateFormat }))
+      }
     }
   }, [preferences.locale])
 
+  // Amount words follow the locale unless the user opted into one of its other languages
+  useEffect(() => {
+    setNumberToWordsLocale(getNumberToWordsConfig(preferences.locale, preferences.checkWordsLanguage))
+  }, [preferences.locale, preferences.checkWordsLanguage])
+
   // Apply theme and accent color to document root
   useEffect(() => {
     const root = document.documentElement
@@ -670,17 +731,6 @@ export default function App() {
     glDescription: ''
   })
 
-  // Check if a slot is empty (no meaningful data)
-  const isSlotEmpty = (slotData) => {
-    if (!slotData) return true
-    return !slotData.payee?.trim() &&
-      !slotData.amount?.trim() &&
-      !slotData.memo?.trim() &&
-      !slotData.external_memo?.trim() &&
-      !slotData.internal_memo?.trim() &&
-      !slotData.line_items_text?.trim()
-  }
-
   // Get the current data based on active mode
   const getCurrentCheckData = () => {
     if (activeProfile?.layoutMode === 'three_up') {
@@ -819,11 +869,8 @@ export default function App() {
   // Profile helpers
   const activeProfile = profiles.find(p => p.id === activeProfileId) || profiles[0]
 
-  // Digital signature management (stored per-profile)
-  const signature = useSignature(activeProfile, setProfiles, activeProfileId)
-
-  // Vendor/payee database (persisted as top-level state)
-  const vendorHook = useVendors(preferences.vendors, checkHistory)
+  // The three-up sheet as it prints, approves and records: blank slots take the next numbers
+  const numberedSheetData = numberSheetSlots(sheetData, activeProfile?.nextCheckNumber)
 
   // Check approval workflow
   const approvalHook = useApprovals(preferences.approvals, {
@@ -831,6 +878,23 @@ export default function App() {
     threshold: preferences.approvalThreshold
   })
 
+  // Digital signature management (stored per-profile)
+  const signature = useSignature(activeProfile, setProfiles, activeProfileId, {
+    profiles,
+    approvals: approvalHook.approvals,
+    sessionMinutes: preferences.signerSessionMinutes,
+    showToast
+  })
+
+  // A second signer needs somewhere to go: add its field to the layout
+  const needsSecondSignatureField = !!signature.slots.signature2?.vaultId || signature.signatureRules.secondMode === 'manual'
+  useEffect(() => {
+    if (needsSecondSignatureField) setModel(m => ensureSecondSignatureField(m))
+  }, [needsSecondSignatureField, activeProfileId])
+
+  // Vendor/payee database (persisted as top-level state)
+  const vendorHook = useVendors(preferences.vendors, checkHistory)
+
   // Recurring checks management
   const recurringHook = useRecurringChecks(preferences.recurringSchedules)
 
@@ -1105,12 +1169,12 @@ export default function App() {
   useEffect(() => {
     if (checkMode === 'itemized') {
       // Calculate total amount from line items
-      const total = lineItems.reduce((sum, item) => sum + (parseFloat(item.amount) || 0), 0)
+      const total = lineItems.reduce((sum, item) => sum + getLineItemNet(item), 0)
 
       // Generate line items text (for the stub)
       const lineItemsText = lineItems
         .filter(item => item.description || item.amount)
-        .map(item => `${item.description} - ${formatCurrency(parseFloat(item.amount || 0))}`)
+        .map(item => `${item.invoiceNumber ? `${item.invoiceNumber} ` : ''}${item.description} - ${formatCurrency(getLineItemNet(item))}`)
         .join('\n')
 
       // Update current check data with calculated values
@@ -1118,38 +1182,33 @@ export default function App() {
         amount: total.toFixed(2),
         line_items_text: lineItemsText,
         line_items: lineItems.map(item => ({
+          invoiceNumber: item.invoiceNumber || '',
+          invoiceDate: item.invoiceDate || '',
           description: item.description,
-          amount: parseFloat(item.amount || 0)
+          amount: parseFloat(item.amount || 0),
+          discount: parseFloat(item.discount || 0)
         }))
       })
     }
   }, [checkMode, lineItems])
 
-  const createNewProfile = () => {
-    // Use normalizeModel to ensure all stub fields are created with correct positions
-    const normalizedModel = normalizeModel({
-      layout: { ...DEFAULT_LAYOUT },
-      fields: JSON.parse(JSON.stringify(DEFAULT_FIELDS)),
-      template: { path: null, opacity: 0.9, fit: 'cover' },
-      placement: { offsetXIn: 0, offsetYIn: 0 }
-    })
+  const createNewProfile = (presetId = DEFAULT_LAYOUT_PRESET_ID) => {
+    // buildLayoutPreset runs normalizeModel, so stub fields sit at the preset's section positions
+    const { layoutMode, model: normalizedModel, dateFormat } = buildLayoutPreset(presetId)
 
     const newProfile = {
       id: generateId(),
       name: `Check Profile ${profiles.length + 1}`,
-      layoutMode: 'standard', // New profiles default to standard mode
+      layoutMode,
+      stockType: DEFAULT_PROFILE.stockType,
+      voidAfterDays: DEFAULT_PROFILE.voidAfterDays,
+      security: { ...DEFAULT_PROFILE.security },
       layout: normalizedModel.layout,
       fields: normalizedModel.fields,
       slotFields: normalizedModel.slotFields, // Include slotFields for potential 3-up mode switch
       template: normalizedModel.template,
       placement: normalizedModel.placement,
-      dateFormat: {
-        dateSlot1: 'MM',
-        dateSlot2: 'DD',
-        dateSlot3: 'YYYY',
-        dateSeparator: '/',
-        useLongDate: false
-      }
+      dateFormat
     }
     setProfiles([...profiles, newProfile])
     setActiveProfileId(newProfile.id)
@@ -1157,20 +1216,102 @@ export default function App() {
     // Load the normalized model immediately
     setModel(normalizedModel)
 
-    // Reset date format to defaults
-    setPreferences(p => ({
-      ...p,
-      dateSlot1: 'MM',
-      dateSlot2: 'DD',
-      dateSlot3: 'YYYY',
-      dateSeparator: '/',
-      useLongDate: false
-    }))
+    // Apply the preset's date format
+    setPreferences(p => ({ ...p, ...dateFormat }))
 
     // Reset dirty state for new profile
     setHasUnsavedChanges(false)
   }
 
+  // Export the profile as it is on screen (unsaved edits included) with its template embedded
+  const exportLayoutPackage = async () => {
+    if (!activeProfile) return
+    const pkg = createLayoutPackage({
+      ...activeProfile,
+      layout: model.layout,
+      fields: model.fields,
+      slotFields: model.slotFields,
+      template: model.template,
+      placement: model.placement,
+      dateFormat: {
+        dateSlot1: preferences.dateSlot1,
+        dateSlot2: preferences.dateSlot2,
+        dateSlot3: preferences.dateSlot3,
+        dateSeparator: preferences.dateSeparator,
+        useLongDate: preferences.useLongDate,
+        dateBoxed: preferences.dateBoxed
+      }
+    }, { templateDataUrl, appVersion: APP_VERSION })
+
+    try {
+      const res = await window.cs2.layoutExport(pkg, activeProfile.name)
+      if (res?.success) {
+        showToast(`Exported "${activeProfile.name}"`, 'success')
+      } else if (res?.error) {
+        showToast(`Export failed: ${res.error}`, 'error')
+      }
+    } catch (e) {
+      showToast(`Export failed: ${e.message}`, 'error')
+    }
+  }
+
+  // Import a .cslayout file as a new profile and switch to it
+  const importLayoutPackage = async () => {
+    try {
+      const res = await window.cs2.layoutImport()
+      if (!res?.success) {
+        if (res?.error) showToast(`Import failed: ${res.error}`, 'error')
+        return
+      }
+      const pkg = parseLayoutPackage(res.content)
+      const imported = layoutPackageToProfile(pkg, profiles.map(p => p.name))
+
+      if (pkg.template?.dataUrl) {
+        const saved = await window.cs2.layoutSaveTemplate(pkg.template.dataUrl, pkg.template.fileName)
+        if (saved?.success) {
+          imported.template.path = saved.path
+        } else {
+          showToast(`Template image could not be saved: ${saved?.error || 'unknown error'}`, 'warning')
+        }
+      }
+
+      const normalizedModel = normalizeModel({
+        layout: imported.layout,
+        fields: imported.fields,
+        slotFields: imported.slotFields,
+        template: imported.template,
+        placement: imported.placement || { ...DEFAULT_PROFILE.placement }
+      })
+      const newProfile = {
+        ...DEFAULT_PROFILE,
+        ...imported,
+        id: generateId(),
+        security: imported.security || { ...DEFAULT_PROFILE.security },
+        layout: normalizedModel.layout,
+        fields: normalizedModel.fields,
+        slotFields: normalizedModel.slotFields,
+        template: normalizedModel.template,
+        placement: normalizedModel.placement,
+        dateFormat: { ...DEFAULT_PROFILE.dateFormat, ...(imported.dateFormat || {}) }
+      }
+      setProfiles([...profiles, newProfile])
+      setActiveProfileId(newProfile.id)
+      setModel(m => ({
+        ...m,
+        layout: newProfile.layout,
+        fields: newProfile.fields,
+        slotFields: newProfile.slotFields,
+        template: newProfile.template,
+        placement: newProfile.placement
+      }))
+      setPreferences(p => ({ ...p, ...newProfile.dateFormat, dateBoxed: !!newProfile.dateFormat.dateBoxed }))
+      setHasUnsavedChanges(false)
+      showToast(`Imported "${newProfile.name}"`, 'success')
+    } catch (e) {
+      showToast(`Import failed: ${e.message}`, 'error')
+    }
+  }
+
   const saveCurrentProfile = () => {
     setProfiles(profiles.map(p =>
       p.id === activeProfileId
@@ -1186,7 +1327,8 @@ export default function App() {
             dateSlot2: preferences.dateSlot2,
             dateSlot3: preferences.dateSlot3,
             dateSeparator: preferences.dateSeparator,
-            useLongDate: preferences.useLongDate
+            useLongDate: preferences.useLongDate,
+            dateBoxed: preferences.dateBoxed
           }
         }
         : p
@@ -1219,7 +1361,8 @@ export default function App() {
         dateSlot2: profile.dateFormat.dateSlot2,
         dateSlot3: profile.dateFormat.dateSlot3,
         dateSeparator: profile.dateFormat.dateSeparator,
-        useLongDate: profile.dateFormat.useLongDate
+        useLongDate: profile.dateFormat.useLongDate,
+        dateBoxed: !!profile.dateFormat.dateBoxed
       }))
     }
   }
@@ -1259,23 +1402,10 @@ export default function App() {
   const activeLedger = ledgers.find(l => l.id === activeLedgerId) || ledgers[0]
   const ledgerBalance = activeLedger?.balance || 0
 
-  // Hybrid Ledger: Calculate balance from startingBalance + deposits - checks
+  // Hybrid Ledger: Calculate balance from startingBalance + deposits - checks (voids excluded)
   const calculateHybridBalance = (ledgerId) => {
     const ledger = ledgers.find(l => l.id === ledgerId)
-    if (!ledger) return 0
-
-    const startingBalance = ledger.startingBalance || 0
-    const transactions = checkHistory.filter(t => t.ledgerId === ledgerId)
-
-    const deposits = transactions
-      .filter(t => t.type === 'deposit')
-      .reduce((sum, t) => sum + (t.amount || 0), 0)
-
-    const checks = transactions
-      .filter(t => t.type === 'check' || !t.type) // Include legacy entries without type
-      .reduce((sum, t) => sum + (t.amount || 0), 0)
-
-    return startingBalance + deposits - checks
+    return calculateLedgerBalance(checkHistory, ledger)
   }
 
   const hybridBalance = calculateHybridBalance(activeLedgerId)
@@ -1339,12 +1469,6 @@ export default function App() {
     if (shouldClose) setEditingLedgerName(null)
   }
 
-  const updateLedgerBalance = (ledgerId, newBalance) => {
-    setLedgers(prev => prev.map(l =>
-      l.id === ledgerId ? { ...l, balance: newBalance } : l
-    ))
-  }
-
   // Quick Fill: populate form from a history entry (for "Copy Previous" feature)
   const fillFromHistoryEntry = (entry) => {
     if (!entry || entry.type === 'deposit') return // Don't fill from deposits
@@ -1542,18 +1666,83 @@ export default function App() {
     setDeleteTarget(null)
   }
 
+  const voidHistoryEntry = (entryId) => {
+    const entry = checkHistory.find(e => e.id === entryId)
+    if (!canVoidEntry(entry)) return
+    setVoidTarget(entry)
+  }
+
+  const confirmVoidHistoryEntry = (details, skipNumberCheck = false) => {
+    const { reason, voidedBy, voidDate, reissue, reissueCheckNumber } = details
+    if (!voidTarget) return
+    if (reissue && !skipNumberCheck && !confirmCheckNumbers(
+      [{ ledgerId: voidTarget.ledgerId || activeLedgerId, checkNumber: reissueCheckNumber }],
+      () => confirmVoidHistoryEntry(details, true),
+      'Use Anyway'
+    )) return
+
+    const voided = voidEntry(voidTarget, {
+      reason,
+      voidDate,
+      voidedBy,
+      reissuedAs: reissue ? reissueCheckNumber : ''
+    })
+    // Prefill the next void with the same name
+    setPreferences(p => ({ ...p, lastVoidedBy: voidedBy }))
+
+    // Keep the entry for the audit trail; calculateHybridBalance skips voided checks
+    setCheckHistory(prev => prev.map(e => e.id === voided.id ? voided : e))
+    if (selectedHistoryItem?.id === voided.id) setSelectedHistoryItem(voided)
+
+    window.cs2.backupTriggerAuto().catch(err => {
+      console.error('Auto-backup trigger failed:', err)
+    })
+
+    if (reissue) {
+      // Load the original check into the form with the replacement number, ready to print
+      updateCurrentCheckData({
+        date: getLocalDateString(),
+        payee: voidTarget.payee || '',
+        address: voidTarget.address || '',
+        amount: voidTarget.amount ? String(voidTarget.amount) : '',
+        memo: voidTarget.memo || '',
+        external_memo: voidTarget.external_memo || '',
+        internal_memo: voidTarget.internal_memo || '',
+        line_items: voidTarget.line_items || [],
+        line_items_text: voidTarget.line_items_text || '',
+        glCode: voidTarget.glCode || '',
+        glDescription: voidTarget.glDescription || '',
+        checkNumber: String(reissueCheckNumber)
+      })
+      // Hold the replacement number so nothing else is numbered with it before it prints
+      advanceNextCheckNumber(reissueCheckNumber)
+      if (voidTarget.ledgerId && voidTarget.ledgerId !== activeLedgerId) {
+        setActiveLedgerId(voidTarget.ledgerId)
+      }
+      setShowHistory(false)
+      setSelectedHistoryItem(null)
+      showToast(`Check #${voidTarget.checkNumber || '—'} voided. Replacement #${reissueCheckNumber} is ready to print.`, 'success')
+    } else {
+      showToast(`Check #${voidTarget.checkNumber || '—'} voided`, 'success')
+    }
+
+    setVoidTarget(null)
+  }
+
   // Generic confirm helper to avoid focus-stealing native confirm()
   const showConfirm = (title, message, onConfirm, confirmText, cancelText, onAlt, altText) => {
     setConfirmConfig({ title, message, onConfirm, confirmText, cancelText, onAlt, altText })
     setShowConfirmModal(true)
   }
 
+  // Close before running the action so it can open a follow-up confirm
   const handleConfirmModalConfirm = () => {
-    if (confirmConfig.onConfirm) {
-      confirmConfig.onConfirm()
-    }
+    const { onConfirm } = confirmConfig
     setShowConfirmModal(false)
     setConfirmConfig({ title: '', message: '', onConfirm: null })
+    if (onConfirm) {
+      onConfirm()
+    }
   }
 
   const handleConfirmModalCancel = () => {
@@ -1562,11 +1751,80 @@ export default function App() {
   }
 
   const handleConfirmModalAlt = () => {
-    if (confirmConfig.onAlt) {
-      confirmConfig.onAlt()
-    }
+    const { onAlt } = confirmConfig
     setShowConfirmModal(false)
     setConfirmConfig({ title: '', message: '', onConfirm: null })
+    if (onAlt) {
+      onAlt()
+    }
+  }
+
+  // Move the profile's next number past the number(s) just used. A number below it,
+  // such as a reissue held when its original was voided, leaves it where it is.
+  const advanceNextCheckNumber = (checkNumbers) => {
+    const used = [].concat(checkNumbers).map(parseCheckNumber)
+    setProfiles(prev => prev.map(p => {
+      if (p.id !== activeProfileId) return p
+      const next = used.reduce((n, number) => number === null ? n + 1 : Math.max(n, number + 1), p.nextCheckNumber || 1001)
+      return { ...p, nextCheckNumber: next }
+    }))
+  }
+
+  /**
+   * Check number registry guard: warn before a number that is already
+   * issued, voided or spoiled on the same bank account is used again.
+   * Returns true when it's safe to continue; otherwise shows a confirm
+   * that calls proceed() if the user accepts the duplicate.
+   */
+  const confirmCheckNumbers = (planned, proceed, confirmLabel) => {
+    const conflicts = findCheckNumberConflicts(
+      { checkHistory, spoiledChecks: preferences.spoiledChecks, ledgers },
+      planned
+    )
+    if (conflicts.length === 0) return true
+    showConfirm(
+      conflicts.length === 1 ? 'Duplicate Check Number' : 'Duplicate Check Numbers',
+      `${describeConflicts(conflicts)}\n\nUse ${conflicts.length === 1 ? 'this number' : 'these numbers'} anyway?`,
+      proceed,
+      confirmLabel,
+      'Cancel'
+    )
+    return false
+  }
+
+  /**
+   * Pre-print validation: run the configured rules over the checks about to
+   * print. Returns true when nothing was flagged; otherwise opens the review
+   * list, which calls proceed() if the user prints anyway (warnings only).
+   *
+   * @param {Array} items - { payee, amount, amountWords, date, checkNumber, glCode, ledgerId }
+   */
+  const confirmValidation = (items, proceed, confirmLabel) => {
+    const results = validateChecks(items, {
+      settings: preferences.validationRules,
+      registry: { checkHistory, spoiledChecks: preferences.spoiledChecks, ledgers },
+      // Ledgers a batch will create have no balance to check against yet
+      getLedgerBalance: (ledgerId) => ledgers.some(l => l.id === ledgerId) ? calculateHybridBalance(ledgerId) : undefined,
+      vendors: vendorHook.vendors,
+      today: getLocalDateString(),
+      staleCheckDays: preferences.staleCheckDays ?? DEFAULT_STALE_CHECK_DAYS,
+      numberToWords,
+      formatCurrency
+    })
+    if (results.every(r => r.issues.length === 0)) return true
+    setValidationReview({
+      title: items.length === 1 ? 'Review Check Before Printing' : 'Review Checks Before Printing',
+      confirmLabel,
+      results,
+      proceed
+    })
+    return false
+  }
+
+  const handleValidationProceed = () => {
+    const { proceed } = validationReview
+    setValidationReview(null)
+    proceed()
   }
 
   const updateBalance = () => {
@@ -1642,10 +1900,11 @@ export default function App() {
 
   // Admin PIN & toast handlers now provided by useAdmin and useToast hooks
 
-  // Promise-based print failure confirmation (returns true to continue, false to abort)
-  const confirmPrintFailure = (payee, error) => {
+  // Promise-based print failure confirmation. Resolves 'continue', 'abort', or
+  // { action: 'recover', keys } when the user picks misprinted checks to reprint
+  const confirmPrintFailure = (payee, error, candidates = []) => {
     return new Promise((resolve) => {
-      setPrintFailureInfo({ payee, error: error || 'Unknown error' })
+      setPrintFailureInfo({ payee, error: error || 'Unknown error', candidates })
       printFailureResolveRef.current = resolve
       setShowPrintFailureModal(true)
     })
@@ -1667,6 +1926,53 @@ export default function App() {
     }
   }
 
+  const handlePrintFailureRecover = (keys) => {
+    setShowPrintFailureModal(false)
+    if (printFailureResolveRef.current) {
+      printFailureResolveRef.current({ action: 'recover', keys })
+      printFailureResolveRef.current = null
+    }
+  }
+
+  // Record what an interrupted batch printed and put the rest back in the queue
+  const handleBatchRecovery = async (printedKeys, resume) => {
+    const { job, toRecord, uncertain, unprinted } = interruptedBatches[0]
+    const printed = [...toRecord, ...uncertain.filter(i => printedKeys.includes(i.key))]
+    const next = applyJournalRecovery({ checkHistory, ledgers, profiles }, job, printed)
+    setCheckHistory(next.checkHistory)
+    setLedgers(next.ledgers)
+    setProfiles(next.profiles)
+
+    const requeueKeys = new Set([
+      ...uncertain.filter(i => !printedKeys.includes(i.key)),
+      ...(job.finishedAt ? [] : unprinted)
+    ].map(i => i.key))
+    const remaining = job.items.filter(i => requeueKeys.has(i.key)).map(i => i.item)
+    // The persisted queue may still hold the batch's items if it crashed before clearing them
+    const batchIds = new Set(job.items.map(i => i.item.id).filter(Boolean))
+    setImportQueue(prev => [...prev.filter(q => !batchIds.has(q.id)), ...remaining])
+
+    await window.cs2.journalDiscard(job.id)
+    setInterruptedBatches(prev => prev.slice(1))
+    showToast(`Recovered batch: ${next.recorded} recorded, ${remaining.length} queued`, 'success')
+    if (resume && remaining.length > 0) {
+      setShowImportQueue(true)
+      setShowBatchPrintConfirm(true)
+    }
+  }
+
+  const handleBatchRecoveryDiscard = () => {
+    const { job } = interruptedBatches[0]
+    showConfirm(
+      'Discard Batch Journal?',
+      'Checks this batch printed will not be recorded and nothing will be requeued. Only do this if you have already reconciled the batch by hand.',
+      async () => {
+        await window.cs2.journalDiscard(job.id)
+        setInterruptedBatches(prev => prev.slice(1))
+      },
+      'Discard'
+    )
+  }
 
   // Helper: Format backup with friendly name and grouping
   const formatBackup = (backup) => {
@@ -2344,6 +2650,13 @@ export default function App() {
     return `Check_${prefix}${payee}_${date}_${amount}`
   }
 
+  // Snapshot for the offscreen print renderer; overrides pick the data and target printer
+  const buildPrintJob = (overrides) => createPrintJob({
+    model, activeProfile, preferences, data, sheetData: numberedSheetData, templateDataUrl, isFullPageTemplate,
+    activeLedger, ledgers, hybridBalance, signature, autoIncrementCheckNumbers,
+    showStub1Labels, showStub2Labels, threeUpYOffset
+  }, overrides)
+
   const {
     isBatchPrinting, batchPrintProgress,
     showBatchPrintConfirm, setShowBatchPrintConfirm,
@@ -2356,52 +2669,126 @@ export default function App() {
   } = useBatchPrint({
     model, preferences, setPreferences, activeProfile, importQueue, setImportQueue,
     recordCheck, calculateHybridBalance, generatePrintFilename, showToast, confirmPrintFailure,
-    ledgers, setLedgers, checkHistory, setCheckHistory, setData, setSheetData,
+    ledgers, setLedgers, checkHistory, setCheckHistory,
     profiles, setProfiles, activeProfileId, setShowImportQueue,
-    showConfirm, getEmptySlotData, getAddressFromHistory, getGlDetailsFromHistory, updateLedgerBalance,
-    setIsPrinting, activeLedgerId
+    showConfirm, getEmptySlotData, getAddressFromHistory, getGlDetailsFromHistory,
+    activeLedgerId, confirmCheckNumbers, confirmValidation, buildPrintJob,
+    logSignedPrint: signature.logSignedPrint
   })
 
+  // Queued checks with text too large for its field; the batch dialog won't print them without an override
+  const batchOverflows = useMemo(() => {
+    if (!showBatchPrintConfirm) return []
+    const measure = createTextMeasurer(activeFontFamily)
+    const isThreeUp = activeProfile?.layoutMode === 'three_up'
+    // A three-up item may land in any slot, so check it against all three
+    const fieldSets = isThreeUp ? ['top', 'middle', 'bottom'].map(slot => model.slotFields?.[slot]) : [model.fields]
+    const getFontPt = (key, f) => getFieldFontPt(key, f, preferences)
+
+    return importQueue.flatMap((item, index) => {
+      const texts = getCheckFieldTexts(
+        { ...item, amountWords: item.amount ? numberToWords(item.amount) : '' },
+        {
+          layout: model.layout,
+          preferences,
+          formatDate: (d) => formatDateByPreference(d, preferences),
+          formatAmount: formatNumberLocale,
+          stubs: !isThreeUp
+        }
+      )
+      const fields = new Map()
+      for (const set of fieldSets) {
+        for (const overflow of findFieldOverflows(set, texts, { measure, getFontPt })) fields.set(overflow.key, overflow.label)
+      }
+      return fields.size ? [{ index, payee: item.payee, fields: [...fields.values()] }] : []
+    })
+  }, [showBatchPrintConfirm, importQueue, model.fields, model.slotFields, model.layout, preferences, activeFontFamily, activeProfile?.layoutMode])
+
+  // Per-printer calibration for whichever printer the next print targets
+  useEffect(() => {
+    loadAvailablePrinters()
+  }, [])
+
+  const printerCalibration = getPrinterCalibration(
+    preferences.printerCalibrations,
+    resolvePrintTarget(preferences, { batch: isBatchPrinting, printers: availablePrinters })
+  )
+
   const {
     paperRef, dragRef, paperStyle, paperVars, stageVars, stageHeightIn,
-    getSectionHeight, getSectionY, setField, ensureStub, reorderSections,
+    getSectionHeight, getSectionY, setField, ensureStub, reorderSections, addElement, removeElements,
+    alignSelected, distributeSelected, matchSelectedSize,
+    onPointerDownRuler, onPointerDownGuide, removeGuide, clearGuides,
     onPointerDownField, onPointerDownHandle, onPointerDownCutLine,
     onPointerDownStage, onPointerMove, onPointerUp
-  } = useLayoutEditor(model, setModel, setData, preferences, editMode, selected, setSelected, selectionBox, setSelectionBox, isPrinting, activeProfile, activeSlot)
+  } = useLayoutEditor(model, setModel, setData, preferences, editMode, selected, setSelected, selectionBox, setSelectionBox, false, activeProfile, activeSlot)
+
+  const layoutHistory = useLayoutHistory(model, setModel, editMode, dragRef, activeProfileId)
 
   // handleSelectTemplate is now provided by useTemplate hook
 
-  const handlePreviewPdf = async () => {
-    setIsPrinting(true)
-    setTimeout(async () => {
-      const res = await window.cs2.previewPdf({ pageSize: getLocale(preferences.locale).paper.code })
-      if (res?.success === false) showToast(`Preview failed: ${res.error || 'Unknown error'}`, 'error')
-      setIsPrinting(false)
-    }, 250)
+  // Checks on the form as the canvas shows them, for the signed print log
+  const getFormChecks = () => {
+    const forms = activeProfile?.layoutMode === 'three_up'
+      ? ['top', 'middle', 'bottom'].map(slot => numberedSheetData[slot]).filter(slotData => !isSlotEmpty(slotData))
+      : [{ ...data, checkNumber: data.checkNumber || String(activeProfile.nextCheckNumber || 1001) }]
+    return forms.map(checkData => ({
+      ...checkData,
+      ledgerId: checkData.ledgerId || activeLedgerId
+    }))
   }
 
-  const handlePrint = async () => {
-    // Temporarily disable edit mode for printing
-    const wasInEditMode = editMode
-    if (wasInEditMode) setEditMode(false)
-
-    setIsPrinting(true)
+  // Queue the check(s) on screen for approval so their signatures can print
+  const requestSignatureApproval = () => {
+    const checks = getFormChecks().filter(c => c.payee && c.amount)
+    if (checks.length === 0) {
+      showToast('Enter a payee and amount first', 'error')
+      return
+    }
+    const queued = checks.filter(check => {
+      const alreadyQueued = approvalHook.approvals.some(a =>
+        a.status !== 'rejected' && String(a.checkNumber) === String(check.checkNumber) && a.payee === check.payee
+      )
+      if (!alreadyQueued) approvalHook.submitForApproval(check)
+      return !alreadyQueued
+    })
+    showToast(queued.length > 0
+      ? `${queued.length} check${queued.length === 1 ? '' : 's'} sent for approval`
+      : 'Already waiting for approval', queued.length > 0 ? 'success' : 'info')
+  }
 
-    // Set document title for PDF filename
-    const originalTitle = document.title
-    document.title = generatePrintFilename(data)
+  const handlePreviewPdf = async () => {
+    // Rendered offscreen, so the preview doesn't flash the form into print layout
+    const res = await window.cs2.previewPdf({
+      pageSize: getLocale(preferences.locale).paper.code,
+      job: buildPrintJob({ deviceName: resolvePrintTarget(preferences, { printers: availablePrinters }) })
+    })
+    if (res?.success === false) showToast(`Preview failed: ${res.error || 'Unknown error'}`, 'error')
+    else signature.logSignedPrint(getFormChecks(), 'preview')
+  }
 
-    setTimeout(async () => {
-      const filename = generatePrintFilename(data)
-      const res = await window.cs2.printDialog(filename, { pageSize: getLocale(preferences.locale).paper.code })
+  // Render the job offscreen and open the print dialog for it; the form and edit mode are left alone
+  const printWithDialog = (overrides) => {
+    const deviceName = preferences.dialogPrinterDeviceName
+    return window.cs2.printDialog(buildPrintJob({ ...overrides, deviceName }), {
+      pageSize: getLocale(preferences.locale).paper.code,
+      deviceName
+    })
+  }
 
-      // Restore original title and edit mode
-      document.title = originalTitle
-      if (wasInEditMode) setEditMode(true)
+  const handlePrint = async () => {
+    const res = await printWithDialog({ title: generatePrintFilename(data) })
+    if (res?.cancelled) return
+    if (res?.success === false) showToast(`Print failed: ${res.error || 'Unknown error'}`, 'error')
+    else signature.logSignedPrint(getFormChecks(), 'print')
+  }
 
-      if (res?.success === false) showToast(`Print failed: ${res.error || 'Unknown error'}`, 'error')
-      setIsPrinting(false)
-    }, 250)
+  // Print a non-negotiable copy of the current check(s) without recording
+  const handlePrintCopy = async () => {
+    const res = await printWithDialog({ copy: true, title: `${generatePrintFilename(data)}_COPY` })
+    if (res?.cancelled) return
+    if (res?.success === false) showToast(`Print failed: ${res.error || 'Unknown error'}`, 'error')
+    else signature.logSignedPrint(getFormChecks(), 'copy')
   }
 
   // Save new GL Code from modal
@@ -2416,7 +2803,7 @@ export default function App() {
   }
 
   // Single check print and record (standard mode)
-  const handlePrintAndRecordSingle = async () => {
+  const handlePrintAndRecordSingle = async (skipValidation = false, skipNumberCheck = false) => {
     const amount = sanitizeCurrencyInput(data.amount)
     if (amount <= 0) {
       showToast('Please enter a valid amount', 'warning')
@@ -2439,6 +2826,19 @@ export default function App() {
       }
     }
 
+    // The check prints the profile's next number when none is entered
+    const checkNumber = data.checkNumber || String(activeProfile.nextCheckNumber || 1001)
+    if (!skipNumberCheck && !confirmCheckNumbers(
+      [{ ledgerId: activeLedgerId, checkNumber }],
+      () => handlePrintAndRecordSingle(skipValidation, true),
+      'Print Anyway'
+    )) return
+    if (!skipValidation && !confirmValidation(
+      [{ ...data, ledgerId: activeLedgerId, checkNumber }],
+      () => handlePrintAndRecordSingle(true, true),
+      'Print Anyway'
+    )) return
+
     // Capture the current check data BEFORE any async operations
     const checkDataSnapshot = {
       date: data.date,
@@ -2451,125 +2851,65 @@ export default function App() {
       line_items: data.line_items,
       line_items_text: data.line_items_text,
       ledger_snapshot: data.ledger_snapshot,
-      checkNumber: data.checkNumber,
+      checkNumber,
       glCode: data.glCode,
       glDescription: data.glDescription
     }
 
-    // Temporarily disable edit mode for printing
-    const wasInEditMode = editMode
-    if (wasInEditMode) setEditMode(false)
-
-    setIsPrinting(true)
-
-    // Set document title for PDF filename
-    const originalTitle = document.title
-    document.title = generatePrintFilename(checkDataSnapshot)
-
-    // Small delay to ensure DOM is ready for printing
-    setTimeout(async () => {
-      try {
-        // Set up afterprint handler BEFORE opening print dialog
-        let afterPrintFired = false
-        const handleAfterPrint = () => {
-          afterPrintFired = true
-          window.removeEventListener('afterprint', handleAfterPrint)
-        }
-        window.addEventListener('afterprint', handleAfterPrint)
-
-        // Open print dialog and wait for it to close
-        const filename = generatePrintFilename(checkDataSnapshot)
-        const res = await window.cs2.printDialog(filename, { pageSize: getLocale(preferences.locale).paper.code })
-
-        // Restore original title
-        document.title = originalTitle
-
-        // Remove the event listener if dialog failed
-        if (res?.success === false) {
-          window.removeEventListener('afterprint', handleAfterPrint)
-          setIsPrinting(false)
-          if (wasInEditMode) setEditMode(true)
-          showToast(`Print failed: ${res.error || 'Unknown error'}`, 'error')
-          return
-        }
-
-        // Give afterprint a chance to fire (Electron may fire it synchronously or async)
-        // Wait up to 2 seconds for afterprint, or continue if it already fired
-        if (!afterPrintFired) {
-          await new Promise(resolve => {
-            const checkInterval = setInterval(() => {
-              if (afterPrintFired) {
-                clearInterval(checkInterval)
-                clearTimeout(fallbackTimeout)
-                resolve()
-              }
-            }, 50)
-
-            // Fallback after 2 seconds
-            const fallbackTimeout = setTimeout(() => {
-              clearInterval(checkInterval)
-              resolve()
-            }, 2000)
-          })
-        }
+    try {
+      const res = await printWithDialog({ data: { ...data, checkNumber }, title: generatePrintFilename(checkDataSnapshot) })
+      if (res?.cancelled) return
+      if (res?.success === false) {
+        showToast(`Print failed: ${res.error || 'Unknown error'}`, 'error')
+        return
+      }
 
-        // Clean up listener
-        window.removeEventListener('afterprint', handleAfterPrint)
-        setIsPrinting(false)
-        if (wasInEditMode) setEditMode(true)
+      // The job is spooled, so it's safe to record and clear
+      signature.logSignedPrint([{ ...checkDataSnapshot, ledgerId: activeLedgerId }], 'print')
+      recordCheck(checkDataSnapshot)
 
-        // NOW it's safe to record and clear - print has fully completed
-        recordCheck(checkDataSnapshot)
+      // Advance the profile's next check number past the one printed
+      advanceNextCheckNumber(checkNumber)
 
-        // Increment the profile's next check number
-        setProfiles(prev => prev.map(p =>
-          p.id === activeProfileId
-            ? { ...p, nextCheckNumber: (p.nextCheckNumber || 1001) + 1 }
-            : p
+      // Remove printed items from import queue
+      if (selectedQueueItems.length > 0) {
+        setImportQueue(prev => prev.filter(item =>
+          !selectedQueueItems.some(selected => selected.id === item.id)
         ))
+        setSelectedQueueItems([])
+      }
 
-        // Remove printed items from import queue
-        if (selectedQueueItems.length > 0) {
-          setImportQueue(prev => prev.filter(item =>
-            !selectedQueueItems.some(selected => selected.id === item.id)
-          ))
-          setSelectedQueueItems([])
-        }
-
-        // Clear form for next check
-        setData({
-          date: getLocalDateString(),
-          payee: '',
-          amount: '',
-          amountWords: '',
-          memo: '',
-          external_memo: '',
-          internal_memo: '',
-          line_items: [],
-          line_items_text: '',
-          ledger_snapshot: null,
-          checkNumber: ''
-        })
+      // Clear form for next check
+      setData({
+        date: getLocalDateString(),
+        payee: '',
+        amount: '',
+        amountWords: '',
+        memo: '',
+        external_memo: '',
+        internal_memo: '',
+        line_items: [],
+        line_items_text: '',
+        ledger_snapshot: null,
+        checkNumber: ''
+      })
 
-        // Clear itemized mode line items and reset to simple mode
-        setLineItems([])
-        setCheckMode('simple')
-      } catch (error) {
-        setIsPrinting(false)
-        if (wasInEditMode) setEditMode(true)
-        showToast(`Print error: ${error?.message || 'Unknown error'}`, 'error')
-      }
-    }, 250)
+      // Clear itemized mode line items and reset to simple mode
+      setLineItems([])
+      setCheckMode('simple')
+    } catch (error) {
+      showToast(`Print error: ${error?.message || 'Unknown error'}`, 'error')
+    }
   }
 
   // Sheet print and record (three-up mode)
-  const handlePrintAndRecordSheet = async () => {
+  const handlePrintAndRecordSheet = async (skipValidation = false, skipNumberCheck = false) => {
     // Collect all filled slots
     const filledSlots = []
     const slotNames = ['top', 'middle', 'bottom']
 
     for (const slot of slotNames) {
-      const slotData = sheetData[slot]
+      const slotData = numberedSheetData[slot]
       if (!isSlotEmpty(slotData)) {
         const amount = sanitizeCurrencyInput(slotData.amount)
         if (amount <= 0) {
@@ -2618,139 +2958,94 @@ export default function App() {
       }
     }
 
-    // Temporarily disable edit mode for printing
-    const wasInEditMode = editMode
-    if (wasInEditMode) setEditMode(false)
-
-    setIsPrinting(true)
+    if (!skipNumberCheck && !confirmCheckNumbers(
+      filledSlots.map(({ data: checkData }) => ({ ledgerId: activeLedgerId, checkNumber: checkData.checkNumber })),
+      () => handlePrintAndRecordSheet(skipValidation, true),
+      'Print Anyway'
+    )) return
+    if (!skipValidation && !confirmValidation(
+      filledSlots.map(({ slot }) => ({ ...numberedSheetData[slot], ledgerId: activeLedgerId })),
+      () => handlePrintAndRecordSheet(true, true),
+      'Print Anyway'
+    )) return
 
-    // Set document title for PDF filename (use first slot's data)
-    const originalTitle = document.title
-    document.title = generatePrintFilename(filledSlots[0].data)
-
-    // Small delay to ensure DOM is ready for printing
-    setTimeout(async () => {
-      try {
-        // Set up afterprint handler BEFORE opening print dialog
-        let afterPrintFired = false
-        const handleAfterPrint = () => {
-          afterPrintFired = true
-          window.removeEventListener('afterprint', handleAfterPrint)
-        }
-        window.addEventListener('afterprint', handleAfterPrint)
-
-        // Open print dialog and wait for it to close
-        const filename = generatePrintFilename(filledSlots[0].data)
-        const res = await window.cs2.printDialog(filename, { pageSize: getLocale(preferences.locale).paper.code })
+    try {
+      const res = await printWithDialog({ title: generatePrintFilename(filledSlots[0].data) })
+      if (res?.cancelled) return
+      if (res?.success === false) {
+        showToast(`Print failed: ${res.error || 'Unknown error'}`, 'error')
+        return
+      }
 
-        // Restore original title
-        document.title = originalTitle
+      // Each slot is logged under the number it printed with
+      signature.logSignedPrint(filledSlots.map(({ data: checkData }) => ({ ...checkData, ledgerId: activeLedgerId })), 'print')
 
-        // Remove the event listener if dialog failed
-        if (res?.success === false) {
-          window.removeEventListener('afterprint', handleAfterPrint)
-          setIsPrinting(false)
-          if (wasInEditMode) setEditMode(true)
-          showToast(`Print failed: ${res.error || 'Unknown error'}`, 'error')
-          return
-        }
+      // Record all filled slots to history (each gets its own entry with sheetSlot field)
+      const timestamp = Date.now()
+      let currentBalance = hybridBalance
 
-        // Give afterprint a chance to fire
-        if (!afterPrintFired) {
-          await new Promise(resolve => {
-            const checkInterval = setInterval(() => {
-              if (afterPrintFired) {
-                clearInterval(checkInterval)
-                clearTimeout(fallbackTimeout)
-                resolve()
-              }
-            }, 50)
+      for (const { slot, data: checkData } of filledSlots) {
+        const amount = sanitizeCurrencyInput(checkData.amount)
+        const previousBalance = currentBalance
+        const newBalance = currentBalance - amount
 
-            const fallbackTimeout = setTimeout(() => {
-              clearInterval(checkInterval)
-              resolve()
-            }, 2000)
-          })
+        const checkEntry = {
+          id: generateId(),
+          type: 'check', // Transaction type
+          date: checkData.date || getLocalDateString(),
+          payee: checkData.payee,
+          amount: amount,
+          memo: checkData.memo || '',
+          external_memo: checkData.external_memo || '',
+          internal_memo: checkData.internal_memo || '',
+          line_items: checkData.line_items || [],
+          line_items_text: checkData.line_items_text || '',
+          ledgerId: activeLedgerId,
+          profileId: activeProfileId,
+          ledger_snapshot: {
+            previous_balance: previousBalance,
+            transaction_amount: amount,
+            new_balance: newBalance
+          },
+          timestamp: timestamp,
+          balanceAfter: newBalance,
+          sheetSlot: slot,
+          checkNumber: checkData.checkNumber || '',
+          glCode: checkData.glCode || '',
+          glDescription: checkData.glDescription || ''
         }
 
-        // Clean up listener
-        window.removeEventListener('afterprint', handleAfterPrint)
-        setIsPrinting(false)
-        if (wasInEditMode) setEditMode(true)
-
-        // Record all filled slots to history (each gets its own entry with sheetSlot field)
-        const timestamp = Date.now()
-        let currentBalance = hybridBalance
-
-        for (const { slot, data: checkData } of filledSlots) {
-          const amount = sanitizeCurrencyInput(checkData.amount)
-          const previousBalance = currentBalance
-          const newBalance = currentBalance - amount
-
-          const checkEntry = {
-            id: generateId(),
-            type: 'check', // Transaction type
-            date: checkData.date || getLocalDateString(),
-            payee: checkData.payee,
-            amount: amount,
-            memo: checkData.memo || '',
-            external_memo: checkData.external_memo || '',
-            internal_memo: checkData.internal_memo || '',
-            line_items: checkData.line_items || [],
-            line_items_text: checkData.line_items_text || '',
-            ledgerId: activeLedgerId,
-            profileId: activeProfileId,
-            ledger_snapshot: {
-              previous_balance: previousBalance,
-              transaction_amount: amount,
-              new_balance: newBalance
-            },
-            timestamp: timestamp,
-            balanceAfter: newBalance,
-            sheetSlot: slot,
-            checkNumber: checkData.checkNumber || '',
-            glCode: checkData.glCode || '',
-            glDescription: checkData.glDescription || ''
-          }
+        setCheckHistory(prev => [checkEntry, ...prev])
+        currentBalance = newBalance
+      }
 
-          setCheckHistory(prev => [checkEntry, ...prev])
-          currentBalance = newBalance
-        }
+      // Note: We don't update ledger.balance anymore - hybrid balance is calculated from transactions
 
-        // Note: We don't update ledger.balance anymore - hybrid balance is calculated from transactions
+      // Advance the profile's next check number past the numbers printed
+      advanceNextCheckNumber(filledSlots.map(({ data: checkData }) => checkData.checkNumber))
 
-        // Increment the profile's next check number by the number of checks printed
-        setProfiles(prev => prev.map(p =>
-          p.id === activeProfileId
-            ? { ...p, nextCheckNumber: (p.nextCheckNumber || 1001) + filledSlots.length }
-            : p
+      // Remove printed items from import queue
+      if (selectedQueueItems.length > 0) {
+        setImportQueue(prev => prev.filter(item =>
+          !selectedQueueItems.some(selected => selected.id === item.id)
         ))
+        setSelectedQueueItems([])
+      }
 
-        // Remove printed items from import queue
-        if (selectedQueueItems.length > 0) {
-          setImportQueue(prev => prev.filter(item =>
-            !selectedQueueItems.some(selected => selected.id === item.id)
-          ))
-          setSelectedQueueItems([])
-        }
-
-        // Clear all slots
-        setSheetData({
-          top: getEmptySlotData(),
-          middle: getEmptySlotData(),
-          bottom: getEmptySlotData()
-        })
-        setActiveSlot('top')
+      // Clear all slots
+      setSheetData({
+        top: getEmptySlotData(),
+        middle: getEmptySlotData(),
+        bottom: getEmptySlotData()
+      })
+      setActiveSlot('top')
 
-        // Clear itemized mode line items and reset to simple mode
-        setLineItems([])
-        setCheckMode('simple')
-      } catch (error) {
-        setIsPrinting(false)
-        if (wasInEditMode) setEditMode(true)
-        showToast(`Print error: ${error?.message || 'Unknown error'}`, 'error')
-      }
-    }, 250)
+      // Clear itemized mode line items and reset to simple mode
+      setLineItems([])
+      setCheckMode('simple')
+    } catch (error) {
+      showToast(`Print error: ${error?.message || 'Unknown error'}`, 'error')
+    }
   }
 
   // Wrapper function that routes to single or sheet version
@@ -2763,12 +3058,12 @@ export default function App() {
   }
 
   // Record Only - handles both standard and 3-up modes
-  const handleRecordOnly = () => {
+  const handleRecordOnly = (skipNumberCheck = false) => {
     if (activeProfile?.layoutMode === 'three_up') {
       // 3-up mode: record all filled slots
       const slots = ['top', 'middle', 'bottom']
       const filledSlots = slots.filter(slot => {
-        const slotData = sheetData[slot]
+        const slotData = numberedSheetData[slot]
         return slotData?.payee?.trim() && sanitizeCurrencyInput(slotData?.amount) > 0
       })
 
@@ -2777,26 +3072,21 @@ export default function App() {
         return
       }
 
-      // Record each filled slot
-      let recordedCount = 0
-      filledSlots.forEach((slot, index) => {
-        const slotData = sheetData[slot]
-        const checkDataForSlot = {
-          ...slotData,
-          checkNumber: slotData.checkNumber || String((activeProfile.nextCheckNumber || 1001) + index)
-        }
-        if (recordCheck(checkDataForSlot)) {
-          recordedCount++
-        }
-      })
+      if (!skipNumberCheck && !confirmCheckNumbers(
+        filledSlots.map(slot => ({ ledgerId: activeLedgerId, checkNumber: numberedSheetData[slot].checkNumber })),
+        () => handleRecordOnly(true),
+        'Record Anyway'
+      )) return
+
+      // Record each filled slot under the number it shows on the sheet
+      const recordedNumbers = filledSlots
+        .filter(slot => recordCheck(numberedSheetData[slot]))
+        .map(slot => numberedSheetData[slot].checkNumber)
+      const recordedCount = recordedNumbers.length
 
       if (recordedCount > 0) {
-        // Increment check number
-        setProfiles(prev => prev.map(p =>
-          p.id === activeProfileId
-            ? { ...p, nextCheckNumber: (p.nextCheckNumber || 1001) + recordedCount }
-            : p
-        ))
+        // Advance the profile's next check number past the numbers recorded
+        advanceNextCheckNumber(recordedNumbers)
 
         // Remove recorded items from import queue
         if (selectedQueueItems.length > 0) {
@@ -2830,13 +3120,16 @@ export default function App() {
         return
       }
 
-      if (recordCheck(data)) {
-        // Increment check number
-        setProfiles(prev => prev.map(p =>
-          p.id === activeProfileId
-            ? { ...p, nextCheckNumber: (p.nextCheckNumber || 1001) + 1 }
-            : p
-        ))
+      const checkNumber = data.checkNumber || String(activeProfile.nextCheckNumber || 1001)
+      if (!skipNumberCheck && !confirmCheckNumbers(
+        [{ ledgerId: activeLedgerId, checkNumber }],
+        () => handleRecordOnly(true),
+        'Record Anyway'
+      )) return
+
+      if (recordCheck({ ...data, checkNumber })) {
+        // Advance the profile's next check number past the one recorded
+        advanceNextCheckNumber(checkNumber)
 
         // Remove recorded item from import queue (standard mode uses first selected item)
         if (selectedQueueItems.length > 0) {
@@ -2973,7 +3266,7 @@ export default function App() {
 
   return (
     <div
-      className={`app ${isPrinting ? 'printing' : ''}`}
+      className="app"
       onPointerMove={onPointerMove}
       onPointerUp={onPointerUp}
       onPointerCancel={onPointerUp}
@@ -2989,7 +3282,8 @@ export default function App() {
         handleUnlockRequest={handleUnlockRequest} handleLock={handleLock}
         handleBackupData={handleBackupData} handleRestoreBackup={handleRestoreBackup}
         editMode={editMode} setEditMode={handleToggleEditMode} resetModel={resetModel}
-        handlePreviewPdf={guardedPreviewPdf} handlePrintAndRecord={guardedPrintAndRecord} handleRecordOnly={guardedRecordOnly}
+        layoutHistory={layoutHistory}
+        handlePreviewPdf={guardedPreviewPdf} handlePrintAndRecord={guardedPrintAndRecord} handleRecordOnly={guardedRecordOnly} handlePrintCopy={handlePrintCopy}
         activeProfile={activeProfile} data={data} setData={setData}
         onOpenPositivePay={() => setShowPositivePay(true)}
         onOpenVendors={() => setShowVendorPanel(true)}
@@ -2997,6 +3291,9 @@ export default function App() {
         approvalCount={approvalHook.counts.pending}
         onOpenReports={() => setShowReportsPanel(true)}
         onOpenReconciliation={() => setShowReconciliation(true)}
+        onOpenCheckRegistry={() => setShowCheckRegistry(true)}
+        onOpenEnvelopes={() => setEnvelopeSource('current')}
+        onOpenLabels={() => setLabelRequest({ source: 'vendors', items: importQueue, label: `Import Queue (${importQueue.length})` })}
         onOpenRecurring={() => setShowRecurring(true)}
         recurringDueCount={recurringHook.stats.due}
         onOpenInvoices={() => setShowInvoicePanel(true)}
@@ -3015,11 +3312,11 @@ export default function App() {
         setHistorySearchTerm={setHistorySearchTerm} setHistoryGlCodeFilter={setHistoryGlCodeFilter} setHistoryVendorFilter={setHistoryVendorFilter}
           fillFromHistoryEntry={fillFromHistoryEntry} deleteHistoryEntry={deleteHistoryEntry}
           importQueue={importQueue} setImportQueue={setImportQueue} selectedQueueItems={selectedQueueItems} setSelectedQueueItems={setSelectedQueueItems}
-          showImportQueue={showImportQueue} setShowImportQueue={setShowImportQueue} handleBatchPrintAndRecord={handleBatchPrintAndRecord} processAllQueue={processAllQueue} clearQueue={clearQueue} loadFromQueue={loadFromQueue}
+          showImportQueue={showImportQueue} setShowImportQueue={setShowImportQueue} handleBatchPrintAndRecord={handleBatchPrintAndRecord} onPrintQueueEnvelopes={() => setEnvelopeSource('queue')} processAllQueue={processAllQueue} clearQueue={clearQueue} loadFromQueue={loadFromQueue}
           profiles={profiles} setProfiles={setProfiles} activeProfileId={activeProfileId} activeProfile={activeProfile}
           hasUnsavedChanges={hasUnsavedChanges} profileSaved={profileSaved} showProfileManager={showProfileManager} setShowProfileManager={setShowProfileManager}
           editingProfileName={editingProfileName} setEditingProfileName={setEditingProfileName}
-          loadProfile={loadProfile} createNewProfile={createNewProfile} saveCurrentProfile={saveCurrentProfile} renameProfile={renameProfile} deleteProfile={deleteProfile}
+          loadProfile={loadProfile} createNewProfile={createNewProfile} exportLayoutPackage={exportLayoutPackage} importLayoutPackage={importLayoutPackage} saveCurrentProfile={saveCurrentProfile} renameProfile={renameProfile} deleteProfile={deleteProfile}
           model={model} setModel={setModel} resetModel={resetModel}
           data={data} setData={setData} sheetData={sheetData} activeSlot={activeSlot} setActiveSlot={setActiveSlot}
           checkMode={checkMode} setCheckMode={setCheckMode} lineItems={lineItems} setLineItems={setLineItems} nextLineItemId={nextLineItemId} setNextLineItemId={setNextLineItemId}
@@ -3027,31 +3324,38 @@ export default function App() {
           getCurrentCheckData={getCurrentCheckData} updateCurrentCheckData={updateCurrentCheckData} clearCurrentSlot={clearCurrentSlot} clearAllSlots={clearAllSlots} isSlotEmpty={isSlotEmpty}
           compiledGlCodes={compiledGlCodes}
           templateDataUrl={templateDataUrl} templateLoadError={templateLoadError} templateDecodeError={templateDecodeError} handleSelectTemplate={handleSelectTemplate}
-          templateName={templateName} isFullPageTemplate={isFullPageTemplate}
+          templateName={templateName} isFullPageTemplate={isFullPageTemplate} templateMeta={templateMeta}
           editMode={editMode} selected={selected} setSelected={setSelected}
           showStub1Labels={showStub1Labels} setShowStub1Labels={setShowStub1Labels} showStub2Labels={showStub2Labels} setShowStub2Labels={setShowStub2Labels}
           setField={setField} ensureStub={ensureStub} reorderSections={reorderSections} getSectionHeight={getSectionHeight}
+          addElement={addElement} removeElements={removeElements}
+          alignSelected={alignSelected} distributeSelected={distributeSelected} matchSelectedSize={matchSelectedSize} clearGuides={clearGuides}
           showAdvanced={showAdvanced} setShowAdvanced={setShowAdvanced}
           handleUnlockRequest={handleUnlockRequest}
           showToast={showToast}
           signature={signature}
+          onRequestSignatureApproval={requestSignatureApproval}
           vendors={vendorHook.vendors}
+          availablePrinters={availablePrinters} printerCalibration={printerCalibration}
+          onOpenCalibration={() => setShowCalibrationWizard(true)}
         />
 
         <CheckCanvas
           profiles={profiles} model={model} setModel={setModel} activeProfile={activeProfile}
-          data={data} sheetData={sheetData} activeSlot={activeSlot} editMode={editMode}
+          data={data} sheetData={numberedSheetData} activeSlot={activeSlot} editMode={editMode}
           preferences={preferences} selected={selected} setSelected={setSelected} selectionBox={selectionBox}
           templateDataUrl={templateDataUrl} isFullPageTemplate={isFullPageTemplate} onTemplateImageError={onTemplateImageError}
-          autoIncrementCheckNumbers={autoIncrementCheckNumbers} isPrinting={isPrinting}
-          stageVars={stageVars} threeUpYOffset={threeUpYOffset} hybridBalance={hybridBalance} activeLedger={activeLedger}
+          autoIncrementCheckNumbers={autoIncrementCheckNumbers}
+          stageVars={stageVars} threeUpYOffset={threeUpYOffset} hybridBalance={hybridBalance} activeLedger={activeLedger} ledgers={ledgers}
           activeFontFamily={activeFontFamily} paperStyle={paperStyle} paperVars={paperVars} paperRef={paperRef} dragRef={dragRef}
           onPointerDownStage={onPointerDownStage} onPointerDownCutLine={onPointerDownCutLine}
           onPointerDownField={onPointerDownField} onPointerDownHandle={onPointerDownHandle}
+          onPointerDownRuler={onPointerDownRuler} onPointerDownGuide={onPointerDownGuide} removeGuide={removeGuide} stageHeightIn={stageHeightIn}
           updateCurrentCheckData={updateCurrentCheckData} getSectionHeight={getSectionHeight} getSectionY={getSectionY} setField={setField}
           handleUnlockRequest={handleUnlockRequest} isSlotEmpty={isSlotEmpty}
           showStub1Labels={showStub1Labels} showStub2Labels={showStub2Labels}
           signature={signature}
+          printerCalibration={printerCalibration}
         />
       </div >
 
@@ -3105,6 +3409,17 @@ export default function App() {
         />
       )}
 
+      {/* Void Check Modal */}
+      {voidTarget && (
+        <VoidCheckModal
+          voidTarget={voidTarget}
+          nextCheckNumber={activeProfile.nextCheckNumber || 1001}
+          defaultVoidedBy={preferences.lastVoidedBy || ''}
+          onCancel={() => setVoidTarget(null)}
+          onConfirm={confirmVoidHistoryEntry}
+        />
+      )}
+
       {/* Backup Restore Modal */}
       {showBackupModal && (
         <BackupRestoreModal
@@ -3172,7 +3487,7 @@ export default function App() {
                 <button className="btn-icon" onClick={handleConfirmModalCancel}>×</button>
               </div>
               <div className="modal-body">
-                <p>{confirmConfig.message}</p>
+                <p style={{ whiteSpace: 'pre-line' }}>{confirmConfig.message}</p>
               </div>
               <div className="modal-footer">
                 <button className="btn ghost" onClick={handleConfirmModalCancel}>{confirmConfig.cancelText || 'Cancel'}</button>
@@ -3199,6 +3514,7 @@ export default function App() {
           preferences={preferences} setPreferences={setPreferences}
           availablePrinters={availablePrinters} loadAvailablePrinters={loadAvailablePrinters}
           cancelBatchPrintConfirm={cancelBatchPrintConfirm} confirmBatchPrint={confirmBatchPrint}
+          batchOverflows={batchOverflows}
         />
       )}
 
@@ -3215,6 +3531,7 @@ export default function App() {
         <BatchCompleteModal
           batchCompleteData={batchCompleteData}
           setShowBatchCompleteModal={setShowBatchCompleteModal}
+          onPrintLabels={(items) => setLabelRequest({ source: 'batch', items, label: 'Printed Batch' })}
         />
       )}
 
@@ -3264,17 +3581,38 @@ export default function App() {
           selectedHistoryItem={selectedHistoryItem}
           setSelectedHistoryItem={setSelectedHistoryItem}
           deleteHistoryEntry={deleteHistoryEntry}
+          voidHistoryEntry={voidHistoryEntry}
           fillFromHistoryEntry={fillFromHistoryEntry}
           setShowHistory={setShowHistory}
         />
       )}
 
       {/* Print Failure Modal */}
+      {validationReview && (
+        <PrintValidationModal
+          validationReview={validationReview}
+          onCancel={() => setValidationReview(null)}
+          onProceed={handleValidationProceed}
+        />
+      )}
+
       {showPrintFailureModal && (
         <PrintFailureModal
           printFailureInfo={printFailureInfo}
           handlePrintFailureAbort={handlePrintFailureAbort}
           handlePrintFailureContinue={handlePrintFailureContinue}
+          handlePrintFailureRecover={handlePrintFailureRecover}
+        />
+      )}
+
+      {/* Interrupted Batch Recovery Modal */}
+      {interruptedBatches.length > 0 && (
+        <BatchRecoveryModal
+          key={interruptedBatches[0].job.id}
+          interrupted={interruptedBatches[0]}
+          onRecover={handleBatchRecovery}
+          onDiscard={handleBatchRecoveryDiscard}
+          onClose={() => setInterruptedBatches([])}
         />
       )}
 
@@ -3353,6 +3691,10 @@ export default function App() {
             setShowVendorPanel(false)
             setShow1099Modal(true)
           }}
+          onPrintLabels={() => {
+            setShowVendorPanel(false)
+            setLabelRequest({ source: 'vendors', items: importQueue, label: `Import Queue (${importQueue.length})` })
+          }}
           showToast={showToast}
         />
       )}
@@ -3396,6 +3738,67 @@ export default function App() {
         />
       )}
 
+      {/* Printer Calibration Wizard */}
+      {showCalibrationWizard && (
+        <PrinterCalibrationWizard
+          preferences={preferences}
+          setPreferences={setPreferences}
+          availablePrinters={availablePrinters}
+          loadAvailablePrinters={loadAvailablePrinters}
+          onClose={() => setShowCalibrationWizard(false)}
+          showToast={showToast}
+        />
+      )}
+
+      {/* Check Number Register */}
+      {showCheckRegistry && (
+        <CheckRegistryPanel
+          checkHistory={checkHistory}
+          ledgers={ledgers}
+          activeLedgerId={activeLedgerId}
+          preferences={preferences}
+          setPreferences={setPreferences}
+          onClose={() => setShowCheckRegistry(false)}
+          showToast={showToast}
+        />
+      )}
+
+      {/* Envelope Printing */}
+      {envelopeSource && (
+        <EnvelopePrintDialog
+          initialSource={envelopeSource}
+          data={data}
+          activeLedgerId={activeLedgerId}
+          importQueue={importQueue}
+          checkHistory={checkHistory}
+          ledgers={ledgers}
+          vendors={vendorHook.vendors}
+          preferences={preferences}
+          setPreferences={setPreferences}
+          availablePrinters={availablePrinters}
+          loadAvailablePrinters={loadAvailablePrinters}
+          onClose={() => setEnvelopeSource(null)}
+          showToast={showToast}
+        />
+      )}
+
+      {/* Mailing Labels */}
+      {labelRequest && (
+        <LabelSheetDialog
+          initialSource={labelRequest.source}
+          batchItems={labelRequest.items}
+          batchLabel={labelRequest.label}
+          vendors={vendorHook.vendors}
+          checkHistory={checkHistory}
+          preferences={preferences}
+          setPreferences={setPreferences}
+          availablePrinters={availablePrinters}
+          loadAvailablePrinters={loadAvailablePrinters}
+          onClose={() => setLabelRequest(null)}
+          showToast={showToast}
+        />
+      )}
+
       {/* Recurring Checks Panel */}
       {showRecurring && (
         <RecurringChecksPanel
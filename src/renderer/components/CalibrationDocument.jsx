@@ -0,0 +1,88 @@
+import React, { useEffect } from 'react'
+import { getCalibrationMarks, CALIBRATION_MARK_INSET_IN } from '../utils/printerCalibration'
+import { waitForAssets } from './PrintDocument'
+
+const TICK_STEP_IN = 0.05
+
+/**
+ * A ruler running from a crosshair to the paper edge, labelled with the
+ * distance from the crosshair. Where the physical paper edge crosses it
+ * is the crosshair's distance from that edge.
+ */
+function EdgeRuler({ x, y, direction }) {
+  const steps = Math.round(CALIBRATION_MARK_INSET_IN / TICK_STEP_IN)
+  const ticks = []
+  for (let i = 0; i <= steps; i++) {
+    const d = i * TICK_STEP_IN
+    const major = i % 5 === 0
+    const len = i % 20 === 0 ? 0.2 : major ? 0.14 : 0.08
+    // Offset the ruler from the crosshair line so the two don't overlap
+    if (direction === 'left' || direction === 'right') {
+      const tx = direction === 'left' ? x - d : x + d
+      ticks.push(<line key={i} x1={tx} y1={y + 0.15} x2={tx} y2={y + 0.15 + len} stroke="#000" strokeWidth="0.006" />)
+      if (major && i > 0) ticks.push(<text key={`t${i}`} x={tx} y={y + 0.48} fontSize="0.09" textAnchor="middle">{d.toFixed(2)}</text>)
+    } else {
+      const ty = direction === 'up' ? y - d : y + d
+      ticks.push(<line key={i} x1={x + 0.15} y1={ty} x2={x + 0.15 + len} y2={ty} stroke="#000" strokeWidth="0.006" />)
+      if (major && i > 0) ticks.push(<text key={`t${i}`} x={x + 0.4} y={ty + 0.03} fontSize="0.09">{d.toFixed(2)}</text>)
+    }
+  }
+  return <g>{ticks}</g>
+}
+
+function Crosshair({ x, y, label }) {
+  return (
+    <g>
+      <line x1={x - 0.4} y1={y} x2={x + 0.4} y2={y} stroke="#000" strokeWidth="0.008" />
+      <line x1={x} y1={y - 0.4} x2={x} y2={y + 0.4} stroke="#000" strokeWidth="0.008" />
+      <circle cx={x} cy={y} r="0.1" fill="none" stroke="#000" strokeWidth="0.008" />
+      <text x={x + 0.12} y={y - 0.12} fontSize="0.16" fontWeight="700">{label}</text>
+    </g>
+  )
+}
+
+/**
+ * CalibrationDocument — renders a printer calibration job: a full-page
+ * target on plain paper, printed with no calibration applied so the
+ * PrinterCalibrationWizard's edge readings measure the raw offset.
+ *
+ * @param {Object} props
+ * @param {Object} props.job - Calibration job ({ kind: 'calibration', paper, printerName })
+ * @param {Function} props.onReady - Called once the page is ready to capture
+ */
+export function CalibrationDocument({ job, onReady }) {
+  const { paper, printerName } = job
+  const { a, b } = getCalibrationMarks(paper)
+
+  useEffect(() => {
+    document.title = job.title || 'Printer Calibration'
+    let cancelled = false
+    waitForAssets().then(() => {
+      if (!cancelled) onReady()
+    })
+    return () => { cancelled = true }
+  }, [])
+
+  return (
+    <div className="calibration-print-sheet" style={{ width: `${paper.width}in`, height: `${paper.height}in` }}>
+      <style>{`@page { size: ${paper.width}in ${paper.height}in; margin: 0; }`}</style>
+      <svg width={`${paper.width}in`} height={`${paper.height}in`} viewBox={`0 0 ${paper.width} ${paper.height}`} fontFamily="Arial, Helvetica, sans-serif">
+        <Crosshair x={a.x} y={a.y} label="A" />
+        <EdgeRuler x={a.x} y={a.y} direction="left" />
+        <EdgeRuler x={a.x} y={a.y} direction="up" />
+        <Crosshair x={b.x} y={b.y} label="B" />
+        <EdgeRuler x={b.x} y={b.y} direction="right" />
+        <EdgeRuler x={b.x} y={b.y} direction="down" />
+        <text x={paper.width / 2} y={paper.height / 2 - 0.3} fontSize="0.22" fontWeight="700" textAnchor="middle">CheckSpree Printer Calibration</text>
+        <text x={paper.width / 2} y={paper.height / 2} fontSize="0.13" textAnchor="middle">{printerName}</text>
+        <text x={paper.width / 2} y={paper.height / 2 + 0.3} fontSize="0.11" textAnchor="middle">
+          Read where the paper edge crosses each ruler (inches from the crosshair centre),
+        </text>
+        <text x={paper.width / 2} y={paper.height / 2 + 0.48} fontSize="0.11" textAnchor="middle">
+          or measure from the paper edge to the centre of each crosshair with a ruler.
+        </text>
+      </svg>
+    </div>
+  )
+}
+
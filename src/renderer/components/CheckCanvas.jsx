@@ -1,21 +1,40 @@
 import React from 'react'
 import { formatCurrency, sanitizeCurrencyInput, formatNumberLocale } from '../utils/helpers'
-import { formatDateByPreference, formatLedgerSnapshot, DEFAULT_LAYOUT, DEFAULT_FIELDS } from '../constants/defaults'
+import { formatDateByPreference, getDateBoxLabels, formatLedgerSnapshot, formatLineItems, DEFAULT_LAYOUT, DEFAULT_FIELDS } from '../constants/defaults'
+import { buildCheckMicrLine, resolveCheckLedger } from '../utils/micr'
+import { MicrLine } from './MicrLine'
+import { CheckFace } from './CheckFace'
+import { CheckSecurityLayer } from './CheckSecurity'
+import { isBlankStock, resolveCheckFaceDetails } from '../utils/checkFace'
+import { getCheckSecurity, applyAmountFill, applyWordsFill, estimateCharCapacity, AMOUNT_FILL, WORDS_FILL } from '../utils/checkSecurity'
+import { getCalibrationVars } from '../utils/printerCalibration'
+import { getLineItemCapacity } from '../utils/remittance'
+import { isLayoutElement, getPlaceholderValues, resolvePlaceholders } from '../utils/layoutElements'
+import { getGuides } from '../utils/layoutTools'
+import { isSignatureField, resolveCheckSignatures } from '../utils/signatureRules'
+import { authorizeSignature } from '../utils/signatureAuth'
+import { fitFieldText, getFieldFitBox, createTextMeasurer, DEFAULT_TEXT_FIT, WRAP_LINE_HEIGHT, TEXTAREA_LINE_HEIGHT } from '../utils/textFit'
+import { LayoutRulers } from './LayoutRulers'
+import { getLocale } from '../../config/locales'
 
 export function CheckCanvas({
   profiles, model, setModel, activeProfile,
   data, sheetData, activeSlot, editMode,
   preferences, selected, setSelected, selectionBox,
   templateDataUrl, isFullPageTemplate, onTemplateImageError,
-  autoIncrementCheckNumbers, isPrinting,
-  stageVars, threeUpYOffset, hybridBalance, activeLedger,
+  autoIncrementCheckNumbers, isPrinting, isPrintingCopy,
+  stageVars, threeUpYOffset, hybridBalance, activeLedger, ledgers = [],
   activeFontFamily, paperStyle, paperVars, paperRef, dragRef,
   onPointerDownStage, onPointerDownCutLine, onPointerDownField, onPointerDownHandle,
+  onPointerDownRuler, onPointerDownGuide, removeGuide, stageHeightIn,
   updateCurrentCheckData, getSectionHeight, getSectionY, setField,
   handleUnlockRequest, isSlotEmpty,
   showStub1Labels, showStub2Labels,
-  signature
+  signature, printerCalibration
 }) {
+  const security = getCheckSecurity(activeProfile)
+  const measureText = createTextMeasurer(activeFontFamily)
+
   return (
     <div className="workspace">
       {profiles.length === 0 ? (
@@ -244,6 +263,8 @@ export function CheckCanvas({
             ).map(({ slot, index, yOffset }) => {
               // Get data for this slot (three-up uses slot data, standard uses data)
               const checkData = slot ? sheetData[slot] : data
+              // Company and bank details come from the ledger the check draws on
+              const checkLedger = resolveCheckLedger(ledgers, checkData, activeLedger)
               const isActiveSlot = slot ? (activeSlot === slot) : true
 
               // In three-up mode, skip empty slots unless:
@@ -261,6 +282,7 @@ export function CheckCanvas({
                   style={{
                     '--offset-x': `${model.placement.offsetXIn}in`,
                     '--offset-y': `${isPrinting ? yOffset : (model.placement.offsetYIn + yOffset)}in`,
+                    ...(printerCalibration ? getCalibrationVars(printerCalibration) : {}),
                     ...stageVars,
                     opacity: editMode && !isActiveSlot ? 0.3 : 1,
                     pointerEvents: editMode && !isActiveSlot ? 'none' : 'auto'
@@ -274,6 +296,30 @@ export function CheckCanvas({
                       top: `${getSectionY('check', model.layout)}in`
                     }}
                   >
+                    {/* Blank stock: draw the full check face */}
+                    {isBlankStock(activeProfile) && (
+                      <CheckFace
+                        widthIn={model.layout.widthIn}
+                        heightIn={model.layout.checkHeightIn}
+                        fields={slot ? model.slotFields[slot] : model.fields}
+                        checkTopIn={getSectionY('check', model.layout)}
+                        details={resolveCheckFaceDetails(checkLedger, preferences.companyInfo)}
+                        voidAfterDays={activeProfile.voidAfterDays}
+                        currencySymbol={getLocale(preferences.locale).currency.symbol}
+                        microprintSignature={security.microprintSignature}
+                        dateBoxLabels={preferences.dateBoxed && !preferences.useLongDate ? getDateBoxLabels(preferences) : null}
+                      />
+                    )}
+
+                    {/* Security printing: microprint signature line, pantograph on copies */}
+                    <CheckSecurityLayer
+                      fields={slot ? model.slotFields[slot] : model.fields}
+                      checkTopIn={getSectionY('check', model.layout)}
+                      security={security}
+                      showPantograph={isPrintingCopy && security.copyPantograph}
+                      slotKey={slot || 'single'}
+                    />
+
                     {/* Check-only template image (wide images) */}
                     {templateDataUrl && !isFullPageTemplate && (
                       <img
@@ -296,6 +342,19 @@ export function CheckCanvas({
                     )}
                   </div>
 
+                  {/* Rulers and guides on the stage being edited */}
+                  {editMode && isActiveSlot && (
+                    <LayoutRulers
+                      widthIn={model.layout.widthIn}
+                      heightIn={slot ? model.layout.checkHeightIn : stageHeightIn}
+                      unit={getLocale(preferences.locale).ui?.measurementUnit || 'in'}
+                      guides={getGuides(model.layout)}
+                      onPointerDownRuler={onPointerDownRuler}
+                      onPointerDownGuide={onPointerDownGuide}
+                      onRemoveGuide={removeGuide}
+                    />
+                  )}
+
                   {/* Section Labels (Edit Mode Only) */}
                   {editMode && activeProfile?.layoutMode !== 'three_up' && (() => {
                     const order = model.layout.sectionOrder || ['check', 'stub1', 'stub2']
@@ -458,6 +517,78 @@ export function CheckCanvas({
                       if (isStub1Field && (!model.layout.stub1Enabled || activeProfile?.layoutMode === 'three_up')) return null
                       if (isStub2Field && (!model.layout.stub2Enabled || activeProfile?.layoutMode === 'three_up')) return null
 
+                      // Custom layout elements: static/data text, images, lines and boxes
+                      if (isLayoutElement(f)) {
+                        const isSelected = editMode && selected.includes(key)
+                        const globalFontPt = (isStub1Field || isStub2Field) ? preferences.stubFontSizePt : preferences.checkFontSizePt
+                        const stroke = `${f.strokePt ?? 1}pt solid #000`
+                        let text = f.text || ''
+                        if (f.type === 'data') {
+                          const values = getPlaceholderValues(checkData, {
+                            ledger: checkLedger,
+                            vendors: preferences.vendors,
+                            companyInfo: preferences.companyInfo,
+                            formatDate: (d) => formatDateByPreference(d, preferences)
+                          })
+                          // Show the template while designing so empty placeholders stay visible
+                          text = resolvePlaceholders(text, values) || (editMode ? text : '')
+                        }
+                        if (f.type === 'image' && !f.dataUrl && !editMode) return null
+
+                        return (
+                          <div
+                            key={key}
+                            className={`fieldBox layout-element ${editMode ? 'editable' : ''} ${isSelected ? 'selected' : ''}`}
+                            style={{
+                              position: 'absolute',
+                              left: `${f.x}in`,
+                              top: `${f.y}in`,
+                              width: `${f.w}in`,
+                              height: `${f.h}in`
+                            }}
+                            onPointerDown={(e) => onPointerDownField(e, key)}
+                          >
+                            {editMode && (
+                              <div className="label" style={{ fontSize: `${preferences.labelSize}px` }}>
+                                {f.label}
+                              </div>
+                            )}
+                            {(f.type === 'text' || f.type === 'data') && (
+                              <div
+                                className="layout-element-text"
+                                style={{
+                                  fontSize: `${f.customFontIn ? f.customFontIn * 72 : globalFontPt}pt`,
+                                  fontFamily: activeFontFamily,
+                                  fontWeight: f.bold ? 'bold' : 'normal',
+                                  fontStyle: f.italic ? 'italic' : 'normal',
+                                  textAlign: f.align || 'left'
+                                }}
+                              >
+                                {text}
+                              </div>
+                            )}
+                            {f.type === 'image' && f.dataUrl && (
+                              <img className="layout-element-image" src={f.dataUrl} alt="" draggable="false" />
+                            )}
+                            {f.type === 'line' && (
+                              <div
+                                className="layout-element-line"
+                                style={f.w >= f.h
+                                  ? { left: 0, right: 0, top: '50%', borderTop: stroke }
+                                  : { top: 0, bottom: 0, left: '50%', borderLeft: stroke }}
+                              />
+                            )}
+                            {f.type === 'rect' && (
+                              <div
+                                className="layout-element-rect"
+                                style={{ border: stroke, background: f.fill ? 'rgba(0, 0, 0, 0.08)' : 'transparent' }}
+                              />
+                            )}
+                            {editMode && <div className="handle" onPointerDown={(e) => onPointerDownHandle(e, key)} />}
+                          </div>
+                        )
+                      }
+
                       // Apply Stub Preferences (Hide if toggle is off)
                       if (isStub1Field) {
                         if (key.includes('_ledger') && !preferences.stub1ShowLedger) return null
@@ -482,13 +613,63 @@ export function CheckCanvas({
                       let isTextarea = false
                       let isReadOnly = editMode || key === 'amountWords'
 
-                      // Force Hide MICR (legacy data cleanup)
+                      // MICR line — E-13B glyphs built from the check's own ledger's bank details
+                      if (f.type === 'micr') {
+                        const micr = buildCheckMicrLine(checkData, {
+                          ledgers,
+                          activeLedger,
+                          nextCheckNumber: activeProfile.nextCheckNumber
+                        })
+                        if (!editMode && micr.errors.length) return null
+
+                        const isSelected = editMode && selected.includes(key)
+                        return (
+                          <div
+                            key={key}
+                            className={`fieldBox ${editMode ? 'editable' : ''} ${isSelected ? 'selected' : ''}`}
+                            style={{
+                              position: 'absolute',
+                              left: `${f.x}in`,
+                              top: `${f.y}in`,
+                              width: `${f.w}in`,
+                              height: `${f.h}in`
+                            }}
+                            title={editMode && micr.errors.length ? micr.errors.join('\n') : undefined}
+                            onPointerDown={(e) => onPointerDownField(e, key)}
+                          >
+                            {editMode && (
+                              <div className="label" style={{ fontSize: `${preferences.labelSize}px` }}>
+                                {micr.errors.length ? `${f.label} — set bank details on the ledger` : f.label}
+                              </div>
+                            )}
+                            <MicrLine chars={micr.chars} widthIn={f.w} />
+                          </div>
+                        )
+                      }
+
+                      // Legacy MICR data without a type is ignored
                       if (key === 'micr') return null
 
-                      // Signature field — render as image instead of text input
-                      if (key === 'signature') {
-                        // Hide if no signature loaded or disabled (unless in edit mode)
-                        if (!editMode && (!signature?.signatureEnabled || !signature?.signatureImage)) return null
+                      // Signature fields — render as image instead of text input
+                      if (isSignatureField(key)) {
+                        // Threshold and ledger rules pick the signatures for this check
+                        const signed = resolveCheckSignatures(signature?.slots, signature?.signatureRules, {
+                          amount: checkData.amount,
+                          ledgerId: checkData.ledgerId || activeLedger?.id
+                        })
+                        // Nothing is signed without an approval or an open signer session
+                        const authorized = !!authorizeSignature({
+                          checkNumber: checkData.checkNumber || String(activeProfile.nextCheckNumber || ''),
+                          amount: checkData.amount,
+                          payee: checkData.payee
+                        }, signature?.authorization)
+                        const sig = authorized ? signed[key] : null
+                        const locked = !authorized && !!signed[key] && !isPrinting
+                        // In edit mode show the loaded image (dimmed when it wouldn't print)
+                        const image = sig?.imageDataUrl || (editMode ? signature?.slots?.[key]?.imageDataUrl : null)
+                        const manualLine = key === 'signature2' && signed.manualSecond && !isPrinting
+                        // Hide if it won't print (unless in edit mode)
+                        if (!editMode && !sig && !manualLine && !locked) return null
 
                         const isSelected = editMode && selected.includes(key)
                         return (
@@ -509,20 +690,26 @@ export function CheckCanvas({
                                 {f.label}
                               </div>
                             )}
-                            {signature?.signatureImage && (
+                            {image && (
                               <img
-                                src={signature.signatureImage}
+                                src={image}
                                 alt=""
                                 draggable="false"
                                 style={{
                                   width: '100%',
                                   height: '100%',
                                   objectFit: 'contain',
-                                  opacity: signature.signatureEnabled ? (signature.signatureOpacity ?? 1) : 0.3,
+                                  opacity: sig ? (sig.opacity ?? 1) : 0.3,
                                   pointerEvents: 'none'
                                 }}
                               />
                             )}
+                            {manualLine && !image && (
+                              <div className="signature-manual-hint">Sign by hand</div>
+                            )}
+                            {locked && !editMode && (
+                              <div className="signature-manual-hint">🔒 Needs approval or signer PIN</div>
+                            )}
                             {editMode && <div className="handle" onPointerDown={(e) => onPointerDownHandle(e, key)} />}
                           </div>
                         )
@@ -632,7 +819,11 @@ export function CheckCanvas({
 
                       // Special handling for smart stub fields
                       if (key.endsWith('_line_items')) {
-                        value = checkData.line_items_text || ''
+                        // Too many items for this box: list what fits and point to the remittance page
+                        const capacity = getLineItemCapacity(f, preferences.stubFontSizePt)
+                        value = checkData.line_items?.length > capacity
+                          ? formatLineItems(checkData.line_items, Math.max(0, capacity - 2))
+                          : checkData.line_items_text || ''
                         isTextarea = true
                         isReadOnly = true
                       } else if (key.endsWith('_ledger')) {
@@ -643,7 +834,7 @@ export function CheckCanvas({
                           transaction_amount: checkAmount,
                           new_balance: hybridBalance - checkAmount
                         }
-                        value = formatLedgerSnapshot(snapshot, activeLedger?.name)
+                        value = formatLedgerSnapshot(snapshot, checkLedger?.name)
                         isTextarea = true
                         isReadOnly = true
                       } else if (key.endsWith('_approved')) {
@@ -658,7 +849,72 @@ export function CheckCanvas({
                       // Use field's customFontIn if explicitly set by user, otherwise use global preference
                       // customFontIn is in inches, convert to points (1 inch = 72 points)
                       const globalFontPt = (isStub1Field || isStub2Field) ? preferences.stubFontSizePt : preferences.checkFontSizePt
-                      const fontSizePt = f.customFontIn ? (f.customFontIn * 72) : globalFontPt
+                      let fontSizePt = f.customFontIn ? (f.customFontIn * 72) : globalFontPt
+
+                      // Fit mode, measured on the plain value before any security fill
+                      const fit = f.fit || DEFAULT_TEXT_FIT
+                      const fitted = fitFieldText(value, getFieldFitBox(f, fontSizePt, isTextarea), measureText)
+                      fontSizePt = fitted.fontSizePt
+                      const isOverflowing = fitted.overflow && !isPrinting
+                      const isWrapped = fit === 'wrap' && !isTextarea
+                      if (isWrapped) isTextarea = true
+
+                      // Security fill - pinned to the field width so the fill ends at the box edge.
+                      // Both fills show whenever the layout isn't being edited, so the preview
+                      // matches the print; a filled amount is edited from the sidebar instead.
+                      let isFilled = false
+                      if (key === 'amount' && value && !editMode && security.amountFill === AMOUNT_FILL.ASTERISK) {
+                        value = applyAmountFill(value, estimateCharCapacity(f.w, fontSizePt))
+                        isFilled = true
+                        isReadOnly = true
+                      }
+                      if (key === 'amountWords' && value && !editMode && security.wordsFill !== WORDS_FILL.NONE) {
+                        // Overfill and let the box clip it; proportional fonts run narrower than the estimate
+                        value = applyWordsFill(value, security.wordsFill, estimateCharCapacity(f.w, fontSizePt) * 2)
+                        isFilled = true
+                      }
+
+                      // Boxed date (CTS-2010): one digit centred in each pre-printed box
+                      if (key === 'date' && preferences.dateBoxed && !preferences.useLongDate) {
+                        const digits = value.split('')
+                        return (
+                          <div
+                            key={key}
+                            className={`fieldBox ${editMode ? 'editable' : ''} ${isSelected ? 'selected' : ''}`}
+                            style={{
+                              position: 'absolute',
+                              left: `${f.x}in`,
+                              top: `${f.y}in`,
+                              width: `${f.w}in`,
+                              height: `${f.h}in`
+                            }}
+                            onPointerDown={(e) => onPointerDownField(e, key)}
+                          >
+                            {editMode && (
+                              <div className="label" style={{ fontSize: `${preferences.labelSize}px` }}>
+                                {f.label}
+                              </div>
+                            )}
+                            <div style={{ display: 'flex', alignItems: 'center', width: '100%', height: '100%', pointerEvents: 'none' }}>
+                              {getDateBoxLabels(preferences).map((_, i) => (
+                                <span
+                                  key={i}
+                                  style={{
+                                    flex: 1,
+                                    textAlign: 'center',
+                                    fontSize: `${fontSizePt}pt`,
+                                    fontFamily: activeFontFamily,
+                                    fontWeight: f.bold ? 'bold' : 'normal'
+                                  }}
+                                >
+                                  {digits[i] || ''}
+                                </span>
+                              ))}
+                            </div>
+                            {editMode && <div className="handle" onPointerDown={(e) => onPointerDownHandle(e, key)} />}
+                          </div>
+                        )
+                      }
 
                       // Don't show labels for stub2 approved/glcode fields since they already have labels in the value
                       const showFriendlyLabel = !editMode && (
@@ -670,22 +926,31 @@ export function CheckCanvas({
                       // No adjustment needed since normalizeModel creates fields at correct positions
                       const actualY = f.y
 
+                      // Only overflow mode lets the box grow with its text
+                      const growsWithText = !isTextarea && !isFilled && fit === 'overflow'
+
                       return (
                         <div
                           key={key}
-                          className={`fieldBox ${editMode ? 'editable' : ''} ${isSelected ? 'selected' : ''}`}
+                          className={`fieldBox ${editMode ? 'editable' : ''} ${isSelected ? 'selected' : ''} ${isOverflowing ? 'overflowing' : ''}`}
                           style={{
                             position: 'absolute',
                             left: `${f.x}in`,
                             top: `${actualY}in`,
-                            minWidth: !isTextarea ? `${f.w}in` : undefined,
-                            width: !isTextarea ? 'fit-content' : `${f.w}in`,
+                            minWidth: growsWithText ? `${f.w}in` : undefined,
+                            width: growsWithText ? 'fit-content' : `${f.w}in`,
+                            overflow: isFilled || fit === 'clip' || fit === 'shrink' ? 'hidden' : undefined,
                             height: showFriendlyLabel ? `${f.h + 14 / 96}in` : `${f.h}in`
                           }}
                           onPointerDown={(e) => onPointerDownField(e, key)}
                         >
+                          {isOverflowing && (
+                            <div className="overflow-badge no-print" title={`${f.label || key}: text is larger than the field box`}>
+                              ⚠ Doesn't fit
+                            </div>
+                          )}
                           {/* Ghost element for auto-width expansion (Inputs only) */}
-                          {!isTextarea && (
+                          {growsWithText && (
                             <div style={{
                               visibility: 'hidden',
                               height: 0,
@@ -727,7 +992,8 @@ export function CheckCanvas({
                                 background: 'transparent',
                                 resize: 'none',
                                 padding: showFriendlyLabel ? '14px 0 0 0' : '0',
-                                lineHeight: '1.3',
+                                lineHeight: String(isWrapped ? WRAP_LINE_HEIGHT : TEXTAREA_LINE_HEIGHT),
+                                overflow: isWrapped ? 'hidden' : undefined,
                                 fontWeight: f.bold ? 'bold' : 'normal',
                                 fontStyle: f.italic ? 'italic' : 'normal'
                               }}
@@ -0,0 +1,145 @@
+import React from 'react'
+import { getVoidAfterLegend } from '../utils/checkFace'
+
+const FACE_FONT = 'Arial, Helvetica, sans-serif'
+const INK = '#000'
+
+/**
+ * CheckFace — draws the printed elements of a check for blank stock.
+ *
+ * Captions and rules are anchored to the live field positions so the face
+ * follows layout edits. Field Y values are page-absolute; checkTopIn
+ * converts them to this check section's coordinates.
+ *
+ * @param {Object} props
+ * @param {number} props.widthIn - Check width
+ * @param {number} props.heightIn - Check height
+ * @param {Object} props.fields - Field map for this check (model.fields or a slot's fields)
+ * @param {number} props.checkTopIn - Y position of the check section on the page
+ * @param {Object} props.details - Output of resolveCheckFaceDetails
+ * @param {number} props.voidAfterDays - Stale-date period for the legend
+ * @param {string} props.currencySymbol - Symbol printed beside the amount box
+ * @param {boolean} props.microprintSignature - Signature line is microprinted instead of ruled
+ * @param {string[]} [props.dateBoxLabels] - Draw one box per date digit with these captions (e.g. D D M M Y Y Y Y)
+ */
+export function CheckFace({ widthIn, heightIn, fields, checkTopIn = 0, details, voidAfterDays, currencySymbol = '$', microprintSignature = false, dateBoxLabels = null }) {
+  const pos = (f) => f && { x: f.x, y: f.y - checkTopIn, w: f.w, h: f.h }
+  const date = pos(fields.date)
+  const payee = pos(fields.payee)
+  const amount = pos(fields.amount)
+  const amountWords = pos(fields.amountWords)
+  const memo = pos(fields.memo)
+  const sig = pos(fields.signature)
+  const sig2 = pos(fields.signature2)
+  const checkNumber = pos(fields.checkNumber)
+  const legend = getVoidAfterLegend(voidAfterDays)
+
+  const abs = (style) => ({ position: 'absolute', fontFamily: FACE_FONT, color: INK, lineHeight: 1.15, ...style })
+  const rule = (x, y, w) => (
+    <div style={abs({ left: `${x}in`, top: `${y}in`, width: `${w}in`, borderTop: `1px solid ${INK}` })} />
+  )
+  const caption = (text, style) => (
+    <div style={abs({ fontSize: '6.5pt', fontWeight: 600, letterSpacing: '0.03em', whiteSpace: 'nowrap', ...style })}>{text}</div>
+  )
+
+  return (
+    <div className="check-face" style={{ position: 'absolute', inset: 0, pointerEvents: 'none' }}>
+      {/* Border */}
+      <div style={abs({ left: '0.08in', top: '0.08in', width: `${widthIn - 0.16}in`, height: `${heightIn - 0.16}in`, border: `1.5px solid ${INK}`, boxSizing: 'border-box' })} />
+
+      {/* Company block */}
+      <div style={abs({ left: '0.3in', top: '0.2in', display: 'flex', gap: '0.08in', alignItems: 'flex-start', maxWidth: `${widthIn * 0.45}in` })}>
+        {details.logoDataUrl && (
+          <img src={details.logoDataUrl} alt="" draggable="false" style={{ maxHeight: '0.55in', maxWidth: '0.9in', objectFit: 'contain' }} />
+        )}
+        <div>
+          {details.companyName && <div style={{ fontSize: '10pt', fontWeight: 700 }}>{details.companyName}</div>}
+          {details.companyAddressLines.map((line, i) => (
+            <div key={i} style={{ fontSize: '7.5pt' }}>{line}</div>
+          ))}
+        </div>
+      </div>
+
+      {/* Bank block */}
+      {(details.bankName || details.bankAddressLines.length > 0) && (
+        <div style={abs({ left: `${widthIn / 2 + 0.2}in`, top: '0.2in', transform: 'translateX(-50%)', textAlign: 'center' })}>
+          {details.bankName && <div style={{ fontSize: '8.5pt', fontWeight: 600 }}>{details.bankName}</div>}
+          {details.bankAddressLines.map((line, i) => (
+            <div key={i} style={{ fontSize: '7pt' }}>{line}</div>
+          ))}
+        </div>
+      )}
+
+      {/* Fractional routing number, under the check number */}
+      {details.fractionalRouting && (
+        <div style={abs({ right: '0.3in', top: `${checkNumber ? checkNumber.y + checkNumber.h + 0.02 : 0.5}in`, fontSize: '7pt' })}>
+          {details.fractionalRouting}
+        </div>
+      )}
+
+      {date && dateBoxLabels?.length > 0 && (
+        <>
+          {caption('DATE', { left: `${date.x - 0.4}in`, top: `${date.y + date.h / 2 - 0.06}in` })}
+          {dateBoxLabels.map((label, i) => {
+            const boxW = date.w / dateBoxLabels.length
+            return (
+              <React.Fragment key={i}>
+                <div style={abs({ left: `${date.x + i * boxW}in`, top: `${date.y}in`, width: `${boxW}in`, height: `${date.h}in`, border: `1px solid ${INK}`, boxSizing: 'border-box' })} />
+                {caption(label, { left: `${date.x + i * boxW}in`, width: `${boxW}in`, top: `${date.y + date.h + 0.02}in`, textAlign: 'center', fontSize: '5pt' })}
+              </React.Fragment>
+            )
+          })}
+        </>
+      )}
+
+      {date && !dateBoxLabels?.length && (
+        <>
+          {caption('DATE', { left: `${date.x - 0.4}in`, top: `${date.y + date.h - 0.13}in` })}
+          {rule(date.x, date.y + date.h, date.w)}
+        </>
+      )}
+
+      {payee && (
+        <>
+          <div style={abs({ left: '0.3in', top: `${payee.y + payee.h - 0.22}in`, fontSize: '6pt', fontWeight: 600, width: `${Math.max(payee.x - 0.35, 0.3)}in` })}>
+            PAY TO THE<br />ORDER OF
+          </div>
+          {rule(payee.x, payee.y + payee.h, payee.w)}
+        </>
+      )}
+
+      {amount && (
+        <>
+          <div style={abs({ left: `${amount.x - 0.18}in`, top: `${amount.y + amount.h / 2 - 0.1}in`, fontSize: '12pt', fontWeight: 700 })}>
+            {currencySymbol}
+          </div>
+          <div style={abs({ left: `${amount.x - 0.04}in`, top: `${amount.y}in`, width: `${amount.w + 0.08}in`, height: `${amount.h}in`, border: `1px solid ${INK}`, boxSizing: 'border-box' })} />
+        </>
+      )}
+
+      {amountWords && rule(amountWords.x, amountWords.y + amountWords.h, Math.min(amountWords.w, widthIn - amountWords.x - 0.3))}
+
+      {memo && (
+        <>
+          {caption('MEMO', { left: `${memo.x - 0.42}in`, top: `${memo.y + memo.h - 0.13}in` })}
+          {rule(memo.x, memo.y + memo.h, memo.w)}
+        </>
+      )}
+
+      {sig && (
+        <>
+          {legend && caption(legend, { left: `${sig.x}in`, width: `${sig.w}in`, top: `${sig.y - 0.14}in`, textAlign: 'right', fontSize: '6pt' })}
+          {!microprintSignature && rule(sig.x, sig.y + sig.h, sig.w)}
+          {caption('AUTHORIZED SIGNATURE', { left: `${sig.x}in`, width: `${sig.w}in`, top: `${sig.y + sig.h + 0.03}in`, textAlign: 'center', fontSize: '6pt' })}
+        </>
+      )}
+
+      {sig2 && (
+        <>
+          {!microprintSignature && rule(sig2.x, sig2.y + sig2.h, sig2.w)}
+          {caption('AUTHORIZED SIGNATURE', { left: `${sig2.x}in`, width: `${sig2.w}in`, top: `${sig2.y + sig2.h + 0.03}in`, textAlign: 'center', fontSize: '6pt' })}
+        </>
+      )}
+    </div>
+  )
+}
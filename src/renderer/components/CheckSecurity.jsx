@@ -0,0 +1,100 @@
+import React from 'react'
+import { buildMicroprintLine, estimateCharCapacity, PANTOGRAPH_TEXT } from '../utils/checkSecurity'
+
+const MICROPRINT_PT = 1.2
+
+/**
+ * MicroprintLine — a signature line made of tiny repeated text.
+ * Drawn as SVG so Chromium's minimum font size doesn't apply and
+ * textLength stretches the run to exactly the line width.
+ *
+ * @param {Object} props
+ * @param {number} props.widthIn - Line length
+ * @param {string} props.text - Phrase to repeat
+ */
+export function MicroprintLine({ widthIn, text }) {
+  const widthPt = widthIn * 72
+  const line = buildMicroprintLine(text, estimateCharCapacity(widthIn, MICROPRINT_PT))
+
+  return (
+    <svg
+      width={`${widthIn}in`}
+      height={`${(MICROPRINT_PT * 1.25) / 72}in`}
+      viewBox={`0 0 ${widthPt} ${MICROPRINT_PT * 1.25}`}
+      style={{ display: 'block', overflow: 'hidden' }}
+    >
+      <text
+        x="0"
+        y={MICROPRINT_PT}
+        fontSize={MICROPRINT_PT}
+        fontFamily="Arial, Helvetica, sans-serif"
+        textLength={widthPt}
+        lengthAdjust="spacingAndGlyphs"
+        fill="#000"
+      >
+        {line}
+      </text>
+    </svg>
+  )
+}
+
+/**
+ * PantographBackground — light diagonal "NON-NEGOTIABLE" pattern
+ * printed behind the check face on copies.
+ *
+ * @param {Object} props
+ * @param {string} props.patternId - Unique SVG pattern id (one per check slot)
+ */
+export function PantographBackground({ patternId }) {
+  return (
+    <svg
+      className="check-pantograph"
+      width="100%"
+      height="100%"
+      style={{ position: 'absolute', inset: 0, pointerEvents: 'none' }}
+    >
+      <defs>
+        <pattern id={patternId} width="150" height="44" patternUnits="userSpaceOnUse" patternTransform="rotate(-20)">
+          <text x="0" y="16" fontSize="13" fontWeight="700" fontFamily="Arial, Helvetica, sans-serif" fill="#b8b8b8" letterSpacing="1">
+            {PANTOGRAPH_TEXT}
+          </text>
+          <text x="-75" y="38" fontSize="13" fontWeight="700" fontFamily="Arial, Helvetica, sans-serif" fill="#b8b8b8" letterSpacing="1">
+            {PANTOGRAPH_TEXT}
+          </text>
+          <text x="75" y="38" fontSize="13" fontWeight="700" fontFamily="Arial, Helvetica, sans-serif" fill="#b8b8b8" letterSpacing="1">
+            {PANTOGRAPH_TEXT}
+          </text>
+        </pattern>
+      </defs>
+      <rect width="100%" height="100%" fill={`url(#${patternId})`} />
+    </svg>
+  )
+}
+
+/**
+ * CheckSecurityLayer — security features drawn in the check section:
+ * the pantograph background for copies and the microprinted signature lines.
+ * Field Y values are page-absolute; checkTopIn converts them to this
+ * check section's coordinates.
+ *
+ * @param {Object} props
+ * @param {Object} props.fields - Field map for this check
+ * @param {number} props.checkTopIn - Y position of the check section on the page
+ * @param {Object} props.security - Output of getCheckSecurity
+ * @param {boolean} props.showPantograph - Whether this print is a copy
+ * @param {string} props.slotKey - Identifier for this check ('single' or slot name)
+ */
+export function CheckSecurityLayer({ fields, checkTopIn = 0, security, showPantograph, slotKey = 'single' }) {
+  const lines = [fields.signature, fields.signature2].filter(Boolean)
+
+  return (
+    <>
+      {showPantograph && <PantographBackground patternId={`pantograph-${slotKey}`} />}
+      {security.microprintSignature && lines.map((sig, i) => (
+        <div key={i} style={{ position: 'absolute', left: `${sig.x}in`, top: `${sig.y + sig.h - checkTopIn}in`, pointerEvents: 'none' }}>
+          <MicroprintLine widthIn={sig.w} text={security.microprintText} />
+        </div>
+      ))}
+    </>
+  )
+}
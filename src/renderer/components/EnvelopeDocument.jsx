@@ -0,0 +1,55 @@
+import React, { useEffect } from 'react'
+import { AVAILABLE_FONTS } from '../constants/defaults'
+import { waitForAssets } from './PrintDocument'
+
+/**
+ * EnvelopeDocument — renders an envelope print job (createEnvelopeJob), one
+ * page per envelope with the return address top-left and the recipient
+ * block in the middle. The envelope calibration shifts and scales each
+ * page's content the same way check calibration does for the check stage.
+ *
+ * @param {Object} props
+ * @param {Object} props.job - Envelope print job
+ * @param {Function} props.onReady - Called once the pages are ready to capture
+ */
+export function EnvelopeDocument({ job, onReady }) {
+  const { size, layout } = job.envelope
+  const cal = job.printerCalibration
+  const fontFamily = AVAILABLE_FONTS.find(f => f.id === job.preferences.fontFamily)?.family || AVAILABLE_FONTS[0].family
+
+  useEffect(() => {
+    document.title = job.title || 'Envelopes'
+    let cancelled = false
+    waitForAssets().then(() => {
+      if (!cancelled) onReady()
+    })
+    return () => { cancelled = true }
+  }, [])
+
+  const stageStyle = {
+    transform: `translate(${cal.offsetXIn}in, ${cal.offsetYIn}in) scale(${cal.scaleX}, ${cal.scaleY})`
+  }
+
+  return (
+    <div className="layout envelope-document" style={{ fontFamily }}>
+      <style>{`@page { size: ${size.width}in ${size.height}in; margin: 0; }`}</style>
+      {job.envelopes.map((envelope, i) => (
+        <section key={i} className="print-page envelope-page" style={{ width: `${size.width}in`, height: `${size.height}in` }}>
+          <div className="print-stage" style={stageStyle}>
+            {envelope.returnLines.length > 0 && (
+              <div className="envelope-return" style={{ left: `${layout.returnAddress.x}in`, top: `${layout.returnAddress.y}in` }}>
+                {envelope.returnLines.map((line, j) => <div key={j}>{line}</div>)}
+              </div>
+            )}
+            <div
+              className="envelope-recipient"
+              style={{ left: `${layout.recipient.x}in`, top: `${layout.recipient.y}in`, width: `${layout.recipient.w}in` }}
+            >
+              {envelope.recipientLines.map((line, j) => <div key={j}>{line}</div>)}
+            </div>
+          </div>
+        </section>
+      ))}
+    </div>
+  )
+}
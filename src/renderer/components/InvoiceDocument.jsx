@@ -0,0 +1,29 @@
+import React, { useEffect } from 'react'
+import { InvoiceSheet } from './modals/InvoicePreview'
+import { waitForAssets } from './PrintDocument'
+
+/**
+ * InvoiceDocument — renders an invoice print job (createInvoiceJob) with
+ * the same InvoiceSheet as the on-screen preview, flowing onto as many
+ * pages as the line items need.
+ *
+ * @param {Object} props
+ * @param {Object} props.job - Invoice print job
+ * @param {Function} props.onReady - Called once the pages are ready to capture
+ */
+export function InvoiceDocument({ job, onReady }) {
+  useEffect(() => {
+    document.title = job.title || 'Invoice'
+    let cancelled = false
+    waitForAssets().then(() => {
+      if (!cancelled) onReady()
+    })
+    return () => { cancelled = true }
+  }, [])
+
+  return (
+    <div className="invoice-document">
+      <InvoiceSheet invoice={job.invoice} companyInfo={job.companyInfo} />
+    </div>
+  )
+}
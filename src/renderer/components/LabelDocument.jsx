@@ -0,0 +1,60 @@
+import React, { useEffect } from 'react'
+import { AVAILABLE_FONTS } from '../constants/defaults'
+import { waitForAssets } from './PrintDocument'
+
+/**
+ * LabelDocument — renders a label sheet print job (createLabelJob), one
+ * page per sheet with each address placed on its label. Skipped slots
+ * (the used part of a reloaded sheet) stay blank.
+ *
+ * @param {Object} props
+ * @param {Object} props.job - Label sheet print job
+ * @param {Function} props.onReady - Called once the pages are ready to capture
+ */
+export function LabelDocument({ job, onReady }) {
+  const { sheet, positions } = job
+  const cal = job.printerCalibration
+  const fontFamily = AVAILABLE_FONTS.find(f => f.id === job.preferences.fontFamily)?.family || AVAILABLE_FONTS[0].family
+
+  useEffect(() => {
+    document.title = job.title || 'Mailing Labels'
+    let cancelled = false
+    waitForAssets().then(() => {
+      if (!cancelled) onReady()
+    })
+    return () => { cancelled = true }
+  }, [])
+
+  const stageStyle = {
+    transform: `translate(${cal.offsetXIn}in, ${cal.offsetYIn}in) scale(${cal.scaleX}, ${cal.scaleY})`
+  }
+  // Shrink the text on small labels so four address lines still fit
+  const fontSize = `${Math.min(11, sheet.labelHeight * 14)}pt`
+
+  return (
+    <div className="layout label-document" style={{ fontFamily }}>
+      <style>{`@page { size: ${sheet.paper.width}in ${sheet.paper.height}in; margin: 0; }`}</style>
+      {job.pages.map((page, i) => (
+        <section key={i} className="print-page label-page" style={{ width: `${sheet.paper.width}in`, height: `${sheet.paper.height}in` }}>
+          <div className="print-stage" style={stageStyle}>
+            {page.map((lines, j) => lines && (
+              <div
+                key={j}
+                className="label-cell"
+                style={{
+                  left: `${positions[j].x}in`,
+                  top: `${positions[j].y}in`,
+                  width: `${sheet.labelWidth}in`,
+                  height: `${sheet.labelHeight}in`,
+                  fontSize
+                }}
+              >
+                {lines.map((line, k) => <div key={k}>{line}</div>)}
+              </div>
+            ))}
+          </div>
+        </section>
+      ))}
+    </div>
+  )
+}
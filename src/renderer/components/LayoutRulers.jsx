@@ -0,0 +1,78 @@
+import React from 'react'
+import { getRulerTicks } from '../utils/layoutTools'
+
+const RULER_PX = 18
+const TICK_PX = { major: 10, mid: 7, minor: 4 }
+
+/**
+ * LayoutRulers — edit-mode rulers along the top and left of the check
+ * stage, in the locale's measurement unit, plus the guide lines dragged
+ * out of them. Positions are stage inches, the same as field X/Y.
+ *
+ * @param {Object} props
+ * @param {number} props.widthIn - Stage width
+ * @param {number} props.heightIn - Stage height
+ * @param {string} props.unit - 'in' | 'mm' (locale ui.measurementUnit)
+ * @param {Object} props.guides - { x: number[], y: number[] } (getGuides)
+ * @param {Function} props.onPointerDownRuler - (event, axis) adds a guide and starts dragging it
+ * @param {Function} props.onPointerDownGuide - (event, axis, index) starts dragging a guide
+ * @param {Function} props.onRemoveGuide - (axis, index) removes a guide
+ */
+export function LayoutRulers({ widthIn, heightIn, unit, guides, onPointerDownRuler, onPointerDownGuide, onRemoveGuide }) {
+  const renderTicks = (axis, lengthIn) => getRulerTicks(lengthIn, unit).map((tick, i) => {
+    const pos = `${tick.pos}in`
+    const len = TICK_PX[tick.size]
+    return (
+      <g key={i}>
+        {axis === 'x'
+          ? <line x1={pos} x2={pos} y1={RULER_PX - len} y2={RULER_PX} />
+          : <line y1={pos} y2={pos} x1={RULER_PX - len} x2={RULER_PX} />}
+        {tick.label && (axis === 'x'
+          ? <text x={pos} y={8} dx={2}>{tick.label}</text>
+          : <text y={pos} x={1} dy={9}>{tick.label}</text>)}
+      </g>
+    )
+  })
+
+  return (
+    <div className="layout-rulers no-print">
+      <svg
+        className="layout-ruler horizontal"
+        style={{ width: `${widthIn}in`, height: RULER_PX, top: -RULER_PX }}
+        onPointerDown={(e) => onPointerDownRuler(e, 'x')}
+      >
+        <title>Click to add a vertical guide</title>
+        {renderTicks('x', widthIn)}
+      </svg>
+      <svg
+        className="layout-ruler vertical"
+        style={{ width: RULER_PX, height: `${heightIn}in`, left: -RULER_PX }}
+        onPointerDown={(e) => onPointerDownRuler(e, 'y')}
+      >
+        <title>Click to add a horizontal guide</title>
+        {renderTicks('y', heightIn)}
+      </svg>
+
+      {guides.x.map((x, i) => (
+        <div
+          key={`gx-${i}`}
+          className="layout-guide vertical"
+          style={{ left: `${x}in` }}
+          title="Drag to move, drag onto the ruler or double-click to remove"
+          onPointerDown={(e) => onPointerDownGuide(e, 'x', i)}
+          onDoubleClick={() => onRemoveGuide('x', i)}
+        />
+      ))}
+      {guides.y.map((y, i) => (
+        <div
+          key={`gy-${i}`}
+          className="layout-guide horizontal"
+          style={{ top: `${y}in` }}
+          title="Drag to move, drag onto the ruler or double-click to remove"
+          onPointerDown={(e) => onPointerDownGuide(e, 'y', i)}
+          onDoubleClick={() => onRemoveGuide('y', i)}
+        />
+      ))}
+    </div>
+  )
+}
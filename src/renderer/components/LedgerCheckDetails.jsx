@@ -0,0 +1,141 @@
+import React, { useState } from 'react'
+import { ChevronIcon } from '../constants/icons'
+import { isValidRoutingNumber } from '../utils/micr'
+
+const labelStyle = { display: 'block', fontSize: '11px', color: 'var(--text-label)', marginBottom: '4px' }
+
+/**
+ * LedgerCheckDetails — per-ledger company and bank details printed on
+ * blank check stock (check face and MICR line).
+ *
+ * @param {Object} props
+ * @param {Object} props.ledger - Ledger being edited
+ * @param {Function} props.setLedgers - Ledger state setter
+ */
+export function LedgerCheckDetails({ ledger, setLedgers }) {
+  const [open, setOpen] = useState(false)
+  const company = ledger.company || {}
+  const bank = ledger.bank || {}
+
+  const update = (section, partial) => {
+    setLedgers(prev => prev.map(l =>
+      l.id === ledger.id ? { ...l, [section]: { ...l[section], ...partial } } : l
+    ))
+  }
+
+  const loadLogo = async () => {
+    try {
+      const result = await window.cs2.selectTemplate()
+      if (!result?.success || !result.path) return
+      const imageData = await window.cs2.readFileAsDataURL(result.path)
+      if (!imageData?.success || !imageData.dataUrl) {
+        console.error('[Ledger] Failed to read logo:', imageData?.error)
+        return
+      }
+      update('company', { logoDataUrl: imageData.dataUrl })
+    } catch (error) {
+      console.error('[Ledger] Error loading logo:', error)
+    }
+  }
+
+  return (
+    <div style={{ marginBottom: '12px' }} onClick={(e) => e.stopPropagation()}>
+      <div
+        onClick={() => setOpen(!open)}
+        style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', cursor: 'pointer', fontSize: '11px', color: 'var(--text-label)', userSelect: 'none' }}
+      >
+        <span>Company & Bank (Blank Stock)</span>
+        <ChevronIcon open={open} />
+      </div>
+
+      {open && (
+        <div style={{ marginTop: '8px' }}>
+          <div style={{ marginBottom: '8px' }}>
+            <label style={labelStyle}>Company Name</label>
+            <input
+              className="profile-name-input"
+              value={company.name || ''}
+              onChange={(e) => update('company', { name: e.target.value })}
+              style={{ width: '100%' }}
+            />
+          </div>
+          <div style={{ marginBottom: '8px' }}>
+            <label style={labelStyle}>Company Address</label>
+            <textarea
+              className="profile-name-input"
+              rows={2}
+              value={company.address || ''}
+              onChange={(e) => update('company', { address: e.target.value })}
+              style={{ width: '100%', resize: 'vertical' }}
+            />
+          </div>
+          <div style={{ marginBottom: '8px', display: 'flex', alignItems: 'center', gap: '8px' }}>
+            {company.logoDataUrl && (
+              <img src={company.logoDataUrl} alt="Logo" style={{ maxHeight: '32px', maxWidth: '64px', objectFit: 'contain' }} />
+            )}
+            <button className="btn btn-sm" onClick={loadLogo}>{company.logoDataUrl ? 'Change Logo' : 'Load Logo'}</button>
+            {company.logoDataUrl && (
+              <button className="btn btn-sm ghost" onClick={() => update('company', { logoDataUrl: null })}>Remove</button>
+            )}
+          </div>
+
+          <div style={{ marginBottom: '8px' }}>
+            <label style={labelStyle}>Bank Name</label>
+            <input
+              className="profile-name-input"
+              value={bank.name || ''}
+              onChange={(e) => update('bank', { name: e.target.value })}
+              style={{ width: '100%' }}
+            />
+          </div>
+          <div style={{ marginBottom: '8px' }}>
+            <label style={labelStyle}>Bank Address</label>
+            <input
+              className="profile-name-input"
+              value={bank.address || ''}
+              placeholder="City, State"
+              onChange={(e) => update('bank', { address: e.target.value })}
+              style={{ width: '100%' }}
+            />
+          </div>
+          <div className="field-row" style={{ marginBottom: '8px' }}>
+            <div className="field" style={{ marginBottom: 0 }}>
+              <label style={labelStyle}>Routing Number</label>
+              <input
+                className="profile-name-input"
+                value={bank.routingNumber || ''}
+                maxLength={9}
+                inputMode="numeric"
+                onChange={(e) => update('bank', { routingNumber: e.target.value.replace(/\D/g, '') })}
+                style={{ width: '100%' }}
+              />
+            </div>
+            <div className="field" style={{ marginBottom: 0 }}>
+              <label style={labelStyle}>Account Number</label>
+              <input
+                className="profile-name-input"
+                value={bank.accountNumber || ''}
+                inputMode="numeric"
+                onChange={(e) => update('bank', { accountNumber: e.target.value.replace(/[^0-9-]/g, '') })}
+                style={{ width: '100%' }}
+              />
+            </div>
+          </div>
+          {bank.routingNumber?.length === 9 && !isValidRoutingNumber(bank.routingNumber) && (
+            <div className="error-msg" style={{ marginBottom: '8px' }}>Routing number checksum is invalid</div>
+          )}
+          <div>
+            <label style={labelStyle}>Fractional Routing</label>
+            <input
+              className="profile-name-input"
+              value={bank.fractionalRouting || ''}
+              placeholder="e.g. 12-3456/7890"
+              onChange={(e) => update('bank', { fractionalRouting: e.target.value })}
+              style={{ width: '100%' }}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
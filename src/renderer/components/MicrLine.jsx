@@ -0,0 +1,41 @@
+import React from 'react'
+import { MICR_GLYPHS, MICR_GLYPH_WIDTHS, MICR_GRID_UNIT_IN, MICR_GRID_HEIGHT } from '../constants/micrGlyphs'
+import { MICR_CHAR_PITCH_IN } from '../utils/micr'
+
+/**
+ * Render MICR characters as vector glyphs on the E-13B grid. The glyph shapes
+ * are placeholders until a licensed E-13B font is bundled (see micrGlyphs.js).
+ * Characters are placed by position, counted from the right edge of the box;
+ * each character's right edge sits on the right edge of its position.
+ *
+ * @param {Object} props
+ * @param {Array<{ char: string, position: number }>} props.chars - Output of buildMicrLine
+ * @param {number} props.widthIn - Width of the field box in inches
+ */
+export function MicrLine({ chars, widthIn }) {
+  const unitsWide = widthIn / MICR_GRID_UNIT_IN
+  const pitch = MICR_CHAR_PITCH_IN / MICR_GRID_UNIT_IN
+
+  return (
+    <svg
+      width={`${widthIn}in`}
+      height={`${MICR_GRID_HEIGHT * MICR_GRID_UNIT_IN}in`}
+      viewBox={`0 0 ${unitsWide} ${MICR_GRID_HEIGHT}`}
+      style={{ position: 'absolute', right: 0, bottom: 0, overflow: 'visible', pointerEvents: 'none' }}
+      shapeRendering="crispEdges"
+    >
+      {chars.map(({ char, position }) => {
+        const glyph = MICR_GLYPHS[char]
+        if (!glyph) return null
+        const x = unitsWide - (position - 1) * pitch - MICR_GLYPH_WIDTHS[char]
+        return (
+          <g key={position} transform={`translate(${x} 0)`} fill="#000">
+            {glyph.map(([rx, ry, rw, rh], i) => (
+              <rect key={i} x={rx} y={ry} width={rw} height={rh} />
+            ))}
+          </g>
+        )
+      })}
+    </svg>
+  )
+}
@@ -0,0 +1,122 @@
+import React, { useEffect } from 'react'
+import { CheckCanvas } from './CheckCanvas'
+import { RemittanceAdvice } from './RemittanceAdvice'
+import { useLayoutEditor } from '../hooks/useLayoutEditor'
+import { AVAILABLE_FONTS } from '../constants/defaults'
+import { setCurrencyLocale, isSlotEmpty, formatCurrency } from '../utils/helpers'
+import { getLocale } from '../../config/locales'
+
+const noop = () => { }
+
+// Resolve once fonts and images (template, signature, logo) are ready to paint
+export async function waitForAssets() {
+  await document.fonts.ready
+  await Promise.all(Array.from(document.images).map(img => img.decode().catch(() => { })))
+  // Two frames so layout settles before the page is captured
+  await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)))
+}
+
+/**
+ * BatchCoverPage — summary page leading a combined batch PDF: check count,
+ * number range and totals per ledger.
+ */
+function BatchCoverPage({ cover, paper }) {
+  return (
+    <section className="print-page print-cover" style={{ width: `${paper.width}in`, height: `${paper.height}in` }}>
+      <h1>Batch Summary</h1>
+      <p>
+        {cover.date} · {cover.count} check{cover.count === 1 ? '' : 's'}
+        {cover.firstCheckNumber !== null && ` · #${cover.firstCheckNumber}–#${cover.lastCheckNumber}`}
+      </p>
+      <table>
+        <thead>
+          <tr><th>Ledger</th><th>Checks</th><th>Total</th></tr>
+        </thead>
+        <tbody>
+          {cover.ledgers.map(l => (
+            <tr key={l.name}><td>{l.name}</td><td>{l.count}</td><td>{formatCurrency(l.total)}</td></tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr><td>Total</td><td>{cover.count}</td><td>{formatCurrency(cover.total)}</td></tr>
+        </tfoot>
+      </table>
+    </section>
+  )
+}
+
+/**
+ * PrintDocument — renders one print job with the same CheckCanvas markup as
+ * the main window, permanently in print mode. Used by the offscreen print
+ * renderer (print.html), which the main process prints or saves as PDF.
+ * Multi-page jobs (job.pages) render one page per check or sheet, each
+ * headed by visually hidden headings that become the PDF's bookmarks.
+ * Checks carrying a remittance are followed by their remittance advice.
+ *
+ * @param {Object} props
+ * @param {Object} props.job - Print job from createPrintJob
+ * @param {Function} props.onReady - Called once the page is ready to capture
+ */
+export function PrintDocument({ job, onReady }) {
+  const { model, activeProfile, preferences } = job
+
+  // Module-level currency formatting normally set by App on startup
+  setCurrencyLocale(getLocale(preferences.locale).currency)
+
+  const { paperRef, dragRef, paperStyle, paperVars, stageVars, getSectionHeight, getSectionY } =
+    useLayoutEditor(model, noop, noop, preferences, false, [], noop, null, noop, true, activeProfile, null)
+
+  const activeFontFamily = AVAILABLE_FONTS.find(f => f.id === preferences.fontFamily)?.family || AVAILABLE_FONTS[0].family
+  const paper = getLocale(preferences.locale).paper
+
+  useEffect(() => {
+    document.title = job.title || 'CheckSpree'
+    let cancelled = false
+    waitForAssets().then(() => {
+      if (!cancelled) onReady()
+    })
+    return () => { cancelled = true }
+  }, [])
+
+  const renderCanvas = (page) => (
+    <CheckCanvas
+      profiles={[activeProfile]} model={model} setModel={noop} activeProfile={activeProfile}
+      data={page.data || job.data} sheetData={page.sheetData || job.sheetData} activeSlot={null} editMode={false}
+      preferences={preferences} selected={[]} setSelected={noop} selectionBox={null}
+      templateDataUrl={job.templateDataUrl} isFullPageTemplate={job.isFullPageTemplate} onTemplateImageError={noop}
+      autoIncrementCheckNumbers={job.autoIncrementCheckNumbers} isPrinting={true} isPrintingCopy={job.isCopy}
+      stageVars={stageVars} threeUpYOffset={job.threeUpYOffset} hybridBalance={job.hybridBalance} activeLedger={job.activeLedger} ledgers={job.ledgers}
+      activeFontFamily={activeFontFamily} paperStyle={paperStyle} paperVars={paperVars} paperRef={paperRef} dragRef={dragRef}
+      onPointerDownStage={noop} onPointerDownCutLine={noop}
+      onPointerDownField={noop} onPointerDownHandle={noop}
+      updateCurrentCheckData={noop} getSectionHeight={getSectionHeight} getSectionY={getSectionY} setField={noop}
+      handleUnlockRequest={noop} isSlotEmpty={isSlotEmpty}
+      showStub1Labels={job.showStub1Labels} showStub2Labels={job.showStub2Labels}
+      signature={job.signature}
+      printerCalibration={job.printerCalibration}
+    />
+  )
+
+  const renderRemittance = (remittance) => remittance && (
+    <RemittanceAdvice remittance={remittance} companyLines={remittance.companyLines || []} paper={paper} preferences={preferences} />
+  )
+
+  if (!job.pages) {
+    return <div className="layout">{renderCanvas({})}{renderRemittance(job.remittance)}</div>
+  }
+
+  return (
+    <div className="layout">
+      {job.cover && <BatchCoverPage cover={job.cover} paper={paper} />}
+      {job.pages.map((page, i) => (
+        <React.Fragment key={i}>
+          <section className="print-page" style={{ height: `${paper.height}in` }}>
+            {(page.bookmarks || []).map((title, j) => <h2 key={j} className="print-bookmark">{title}</h2>)}
+            {renderCanvas(page)}
+          </section>
+          {renderRemittance(page.remittance)}
+        </React.Fragment>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,73 @@
+import React from 'react'
+import { formatCurrency } from '../utils/helpers'
+import { formatDateByPreference } from '../constants/defaults'
+
+// Invoice dates are free text; only reformat the ones the date picker produced
+const formatDate = (value, preferences) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? formatDateByPreference(value, preferences) : (value || '')
+
+/**
+ * RemittanceAdvice — full itemised page printed right after a check whose
+ * line items don't fit on its stub (see utils/remittance.js). Rendered by
+ * PrintDocument in the offscreen print renderer.
+ *
+ * @param {Object} props
+ * @param {Object} props.remittance - From buildRemittance
+ * @param {string[]} props.companyLines - Payer name and address
+ * @param {Object} props.paper - Paper size in inches ({ width, height })
+ * @param {Object} props.preferences - App preferences (date format)
+ */
+export function RemittanceAdvice({ remittance, companyLines, paper, preferences }) {
+  const { rows, totals } = remittance
+
+  return (
+    <section className="remittance-page" style={{ width: `${paper.width}in`, minHeight: `${paper.height}in` }}>
+      <header className="remittance-header">
+        <div>
+          {companyLines.map((line, i) => <div key={i} className={i === 0 ? 'remittance-company' : ''}>{line}</div>)}
+        </div>
+        <h1>Remittance Advice</h1>
+      </header>
+
+      <dl className="remittance-summary">
+        <div><dt>Payee</dt><dd>{remittance.payee}</dd></div>
+        {remittance.checkNumber && <div><dt>Check #</dt><dd>{remittance.checkNumber}</dd></div>}
+        <div><dt>Date</dt><dd>{formatDate(remittance.date, preferences)}</dd></div>
+        <div><dt>Amount</dt><dd>{formatCurrency(remittance.amount)}</dd></div>
+      </dl>
+
+      <table>
+        <thead>
+          <tr>
+            <th>Invoice #</th>
+            <th>Date</th>
+            <th>Description</th>
+            <th>Gross</th>
+            <th>Discount</th>
+            <th>Net</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, i) => (
+            <tr key={i}>
+              <td>{row.invoiceNumber}</td>
+              <td>{formatDate(row.invoiceDate, preferences)}</td>
+              <td>{row.description}</td>
+              <td>{formatCurrency(row.gross)}</td>
+              <td>{row.discount ? formatCurrency(row.discount) : ''}</td>
+              <td>{formatCurrency(row.net)}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <td colSpan={3}>Total ({rows.length} item{rows.length === 1 ? '' : 's'})</td>
+            <td>{formatCurrency(totals.gross)}</td>
+            <td>{formatCurrency(totals.discount)}</td>
+            <td>{formatCurrency(totals.net)}</td>
+          </tr>
+        </tfoot>
+      </table>
+    </section>
+  )
+}
@@ -1,15 +1,26 @@
 import React, { useRef, useState } from 'react'
 import { formatCurrency, sanitizeCurrencyInput, generateId } from '../utils/helpers'
-import { formatDate, clamp } from '../constants/defaults'
+import { formatDate, clamp, calculateBaseYForSection } from '../constants/defaults'
+import { getMicrFieldDefaults } from '../utils/micr'
+import { getCheckSecurity, AMOUNT_FILL, WORDS_FILL, DEFAULT_MICROPRINT_TEXT } from '../utils/checkSecurity'
 import { getLocalDateString } from '../utils/date'
 import { AVAILABLE_FONTS } from '../constants/defaults'
 import { LOCALES } from '../../config/locales'
 import { ChevronIcon, PencilIcon, TrashIcon, PlusIcon, CheckIcon } from '../constants/icons'
 import { AtmCurrencyInput } from './AtmCurrencyInput'
+import { getLineItemNet } from '../utils/remittance'
+import { LAYOUT_ELEMENT_TYPES, PLACEHOLDERS, isLayoutElement } from '../utils/layoutElements'
+import { LAYOUT_PRESETS, DEFAULT_LAYOUT_PRESET_ID } from '../utils/layoutPresets'
+import { TEXT_FIT_MODES, DEFAULT_TEXT_FIT, DEFAULT_MIN_FIT_PT } from '../utils/textFit'
+import { VALIDATION_RULES, SEVERITY, getRuleSeverity, DEFAULT_STALE_CHECK_DAYS } from '../utils/checkValidation'
+import { SECOND_SIGNATURE_MODES, isSignatureField } from '../utils/signatureRules'
 import { PayeeAutocomplete } from './PayeeAutocomplete'
 import { AddressInput } from '../AddressInput'
 import { GlCodeInput } from './GlCodeInput'
 import { SignaturePad } from './signature/SignaturePad'
+import { SignerSession } from './signature/SignerSession'
+import { SignatureSecuritySettings } from './signature/SignatureSecuritySettings'
+import { LedgerCheckDetails } from './LedgerCheckDetails'
 
 export function Sidebar({
   // Ledger
@@ -25,12 +36,13 @@ export function Sidebar({
   fillFromHistoryEntry, deleteHistoryEntry,
   // Import Queue
   importQueue, setImportQueue, selectedQueueItems, setSelectedQueueItems,
-  showImportQueue, setShowImportQueue, handleBatchPrintAndRecord, processAllQueue, clearQueue, loadFromQueue,
+  showImportQueue, setShowImportQueue, handleBatchPrintAndRecord, onPrintQueueEnvelopes, processAllQueue, clearQueue, loadFromQueue,
   // Profiles
   profiles, setProfiles, activeProfileId, activeProfile,
   hasUnsavedChanges, profileSaved, showProfileManager, setShowProfileManager,
   editingProfileName, setEditingProfileName,
   loadProfile, createNewProfile, saveCurrentProfile, renameProfile, deleteProfile,
+  exportLayoutPackage, importLayoutPackage,
   // Model
   model, setModel, resetModel,
   // Check Data
@@ -42,25 +54,56 @@ export function Sidebar({
   compiledGlCodes,
   // Template
   templateDataUrl, templateLoadError, templateDecodeError, handleSelectTemplate,
-  templateName, isFullPageTemplate,
+  templateName, isFullPageTemplate, templateMeta,
   // Layout
   editMode, selected, setSelected,
   showStub1Labels, setShowStub1Labels, showStub2Labels, setShowStub2Labels,
-  setField, ensureStub, reorderSections, getSectionHeight,
+  setField, ensureStub, reorderSections, getSectionHeight, addElement, removeElements,
+  alignSelected, distributeSelected, matchSelectedSize, clearGuides,
   showAdvanced, setShowAdvanced,
   // Admin
   handleUnlockRequest,
   // Toast
   showToast,
   // Digital Signature
-  signature,
+  signature, onRequestSignatureApproval,
   // Vendors
-  vendors
+  vendors,
+  // Printer Calibration
+  availablePrinters, printerCalibration, onOpenCalibration
 }) {
   const [sidebarMode, setSidebarMode] = useState('check')
+  const [elementSection, setElementSection] = useState('check')
+  const [newProfilePreset, setNewProfilePreset] = useState(DEFAULT_LAYOUT_PRESET_ID)
   const originalBalanceRef = useRef(0)
   const latestBalanceRef = useRef(0)
 
+  // Images reuse the template file picker, like signatures and ledger logos
+  const pickElementImage = async () => {
+    try {
+      const result = await window.cs2.selectTemplate()
+      if (!result?.success || !result.path) return null
+      const imageData = await window.cs2.readFileAsDataURL(result.path)
+      if (!imageData?.success || !imageData.dataUrl) {
+        showToast(`Could not read image: ${imageData?.error || 'Unknown error'}`, 'error')
+        return null
+      }
+      return imageData.dataUrl
+    } catch (error) {
+      console.error('[Layout] Error loading image:', error)
+      return null
+    }
+  }
+
+  const handleAddElement = async (type) => {
+    if (type !== 'image') {
+      addElement(type, elementSection)
+      return
+    }
+    const dataUrl = await pickElementImage()
+    if (dataUrl) addElement('image', elementSection, { dataUrl })
+  }
+
   return (
     <div className="side">
       {/* Mode Switcher Tabs */}
@@ -215,6 +258,9 @@ export function Sidebar({
                                   />
                                 </div>
 
+                                {/* Company & bank details - used for blank stock and the MICR line */}
+                                <LedgerCheckDetails ledger={l} setLedgers={setLedgers} />
+
                                 {/* Initial Balance - ATM-style input */}
                                 <div style={{ marginBottom: '12px' }} onClick={(e) => e.stopPropagation()}>
                                   <label style={{ display: 'block', fontSize: '11px', color: 'var(--text-label)', marginBottom: '4px' }}>Initial Balance</label>
@@ -484,8 +530,8 @@ export function Sidebar({
                               Note
                             </div>
                           ) : (
-                            <div style={{ fontWeight: '600', color: entry.type === 'deposit' ? 'var(--success)' : 'var(--danger)', whiteSpace: 'nowrap' }}>
-                              {entry.type === 'deposit' ? '+' : '-'}{formatCurrency(entry.amount)}
+                            <div style={{ fontWeight: '600', color: entry.type === 'deposit' ? 'var(--success)' : 'var(--danger)', whiteSpace: 'nowrap', textDecoration: entry.status === 'void' ? 'line-through' : 'none' }}>
+                              {entry.status === 'void' && 'VOID '}{entry.type === 'deposit' ? '+' : '-'}{formatCurrency(entry.amount)}
                             </div>
                           )}
                           <button
@@ -550,6 +596,9 @@ export function Sidebar({
                       <button className="btn btn-sm" onClick={processAllQueue}>
                         <CheckIcon /> Record Only
                       </button>
+                      <button className="btn btn-sm" onClick={onPrintQueueEnvelopes}>
+                        ✉️ Envelopes
+                      </button>
                       <button className="btn btn-sm danger" onClick={clearQueue}>
                         <TrashIcon /> Clear Queue
                       </button>
@@ -808,7 +857,7 @@ export function Sidebar({
                       onClick={() => {
                         setCheckMode('simple')
                         if (checkMode === 'itemized' && lineItems.length > 0) {
-                          const total = lineItems.reduce((sum, item) => sum + (parseFloat(item.amount) || 0), 0)
+                          const total = lineItems.reduce((sum, item) => sum + getLineItemNet(item), 0)
                           updateCurrentCheckData({ amount: total.toFixed(2) })
                         }
                       }}
@@ -869,7 +918,7 @@ export function Sidebar({
                         borderRadius: '4px',
                         border: '1px solid var(--success)'
                       }}>
-                        {formatCurrency(lineItems.reduce((sum, item) => sum + (parseFloat(item.amount) || 0), 0))}
+                        {formatCurrency(lineItems.reduce((sum, item) => sum + getLineItemNet(item), 0))}
                       </span>
                     </div>
 
@@ -909,7 +958,7 @@ export function Sidebar({
                                   )
                                   setLineItems(updated)
                                 }}
-                                placeholder="Description / Invoice #"
+                                placeholder="Description"
                                 style={{
                                   padding: '6px 10px',
                                   backgroundColor: 'var(--surface)',
@@ -961,6 +1010,29 @@ export function Sidebar({
                               >
                                 ×
                               </button>
+                              {/* Remittance detail: printed on the remittance advice page */}
+                              <div style={{ gridColumn: '1 / -1', display: 'grid', gridTemplateColumns: '1fr 1fr minmax(120px, 140px) 28px', gap: '8px' }}>
+                                <input
+                                  type="text"
+                                  className="line-item-detail"
+                                  value={item.invoiceNumber || ''}
+                                  onChange={(e) => setLineItems(lineItems.map(li => li.id === item.id ? { ...li, invoiceNumber: e.target.value } : li))}
+                                  placeholder="Invoice #"
+                                />
+                                <input
+                                  type="date"
+                                  className="line-item-detail"
+                                  value={item.invoiceDate || ''}
+                                  onChange={(e) => setLineItems(lineItems.map(li => li.id === item.id ? { ...li, invoiceDate: e.target.value } : li))}
+                                  title="Invoice date"
+                                />
+                                <div title="Early-payment discount (check pays the net amount)">
+                                  <AtmCurrencyInput
+                                    value={item.discount || ''}
+                                    onChange={(val) => setLineItems(lineItems.map(li => li.id === item.id ? { ...li, discount: val } : li))}
+                                  />
+                                </div>
+                              </div>
                             </div>
                           ))}
                         </div>
@@ -1113,6 +1185,108 @@ export function Sidebar({
                   </div>
                 )}
 
+                {/* Check Stock Selector - Admin Only */}
+                {!preferences.adminLocked && activeProfile && (
+                  <div className="field-row" style={{ marginTop: '12px' }}>
+                    <div className="field">
+                      <label>Check Stock</label>
+                      <select
+                        value={activeProfile.stockType || 'preprinted'}
+                        style={{ width: '100%' }}
+                        onChange={(e) => {
+                          const stockType = e.target.value
+                          setProfiles(profiles.map(p =>
+                            p.id === activeProfileId ? { ...p, stockType } : p
+                          ))
+                        }}
+                      >
+                        <option value="preprinted">Pre-printed</option>
+                        <option value="blank">Blank (Draw Check Face)</option>
+                      </select>
+                    </div>
+                    {activeProfile.stockType === 'blank' && (
+                      <div className="field">
+                        <label>Void After (Days)</label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={activeProfile.voidAfterDays ?? 90}
+                          onChange={(e) => {
+                            const voidAfterDays = Math.max(0, parseInt(e.target.value, 10) || 0)
+                            setProfiles(profiles.map(p =>
+                              p.id === activeProfileId ? { ...p, voidAfterDays } : p
+                            ))
+                          }}
+                        />
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {/* Check Security - Admin Only */}
+                {!preferences.adminLocked && activeProfile && (() => {
+                  const security = getCheckSecurity(activeProfile)
+                  const updateSecurity = (partial) => {
+                    setProfiles(profiles.map(p =>
+                      p.id === activeProfileId ? { ...p, security: { ...getCheckSecurity(p), ...partial } } : p
+                    ))
+                  }
+                  return (
+                    <div className="field" style={{ marginTop: '12px' }}>
+                      <label>Check Security</label>
+                      <div className="field-row">
+                        <div className="field">
+                          <label style={{ fontSize: '11px' }}>Amount Fill</label>
+                          <select
+                            value={security.amountFill}
+                            onChange={(e) => updateSecurity({ amountFill: e.target.value })}
+                          >
+                            <option value={AMOUNT_FILL.NONE}>None</option>
+                            <option value={AMOUNT_FILL.ASTERISK}>Asterisks (****1,234.56)</option>
+                          </select>
+                        </div>
+                        <div className="field">
+                          <label style={{ fontSize: '11px' }}>Words Line Fill</label>
+                          <select
+                            value={security.wordsFill}
+                            onChange={(e) => updateSecurity({ wordsFill: e.target.value })}
+                          >
+                            <option value={WORDS_FILL.NONE}>None</option>
+                            <option value={WORDS_FILL.DASH}>Dashes (-----)</option>
+                            <option value={WORDS_FILL.ASTERISK}>Asterisks (*****)</option>
+                          </select>
+                        </div>
+                      </div>
+                      <label className="toggle-switch" style={{ marginTop: '4px' }}>
+                        <input
+                          type="checkbox"
+                          checked={security.microprintSignature}
+                          onChange={(e) => updateSecurity({ microprintSignature: e.target.checked })}
+                        />
+                        <span className="toggle-slider"></span>
+                        <span className="toggle-label">Microprint Signature Line</span>
+                      </label>
+                      {security.microprintSignature && (
+                        <input
+                          value={security.microprintText}
+                          placeholder={DEFAULT_MICROPRINT_TEXT}
+                          onChange={(e) => updateSecurity({ microprintText: e.target.value })}
+                          style={{ marginTop: '6px' }}
+                        />
+                      )}
+                      <label className="toggle-switch" style={{ marginTop: '8px' }}>
+                        <input
+                          type="checkbox"
+                          checked={security.copyPantograph}
+                          onChange={(e) => updateSecurity({ copyPantograph: e.target.checked })}
+                        />
+                        <span className="toggle-slider"></span>
+                        <span className="toggle-label">"Non-Negotiable" Background on Copies</span>
+                      </label>
+                    </div>
+                  )
+                })()}
+
                 {/* Section Order - Standard Mode Only */}
                 {!preferences.adminLocked && activeProfile?.layoutMode !== 'three_up' && (
                   <div className="field" style={{ marginTop: '12px' }}>
@@ -1212,8 +1386,21 @@ export function Sidebar({
                 {/* Admin-only action buttons */}
                 {!preferences.adminLocked && (
                   <>
+                    <div className="field" style={{ marginTop: '12px' }}>
+                      <label>New Profile Preset</label>
+                      <select
+                        value={newProfilePreset}
+                        style={{ width: '100%' }}
+                        title={LAYOUT_PRESETS[newProfilePreset]?.description}
+                        onChange={(e) => setNewProfilePreset(e.target.value)}
+                      >
+                        {Object.entries(LAYOUT_PRESETS).map(([id, preset]) => (
+                          <option key={id} value={id}>{preset.label}</option>
+                        ))}
+                      </select>
+                    </div>
                     <div className="profile-actions-bar">
-                      <button className="btn btn-sm" onClick={createNewProfile}>
+                      <button className="btn btn-sm" onClick={() => createNewProfile(newProfilePreset)}>
                         <PlusIcon /> New
                       </button>
                       <button
@@ -1224,6 +1411,14 @@ export function Sidebar({
                         <CheckIcon /> {profileSaved ? 'Saved!' : 'Save'}
                       </button>
                     </div>
+                    <div className="profile-actions-bar">
+                      <button className="btn btn-sm" onClick={importLayoutPackage} title="Add a profile from a .cslayout file">
+                        Import
+                      </button>
+                      <button className="btn btn-sm" onClick={exportLayoutPackage} title="Save this profile and its template image as a .cslayout file">
+                        Export
+                      </button>
+                    </div>
 
                     {showProfileManager && (
                       <div className="profile-manager" style={{ marginTop: '12px' }}>
@@ -1288,18 +1483,70 @@ export function Sidebar({
                 )}
               </div>
 
-              {/* Digital Signature */}
-              {signature && (
-                <SignaturePad
-                  signatureImage={signature.signatureImage}
-                  signatureEnabled={signature.signatureEnabled}
-                  signatureOpacity={signature.signatureOpacity}
-                  isLoading={signature.isLoadingSignature}
-                  onLoad={signature.loadSignature}
-                  onClear={signature.clearSignature}
-                  onToggle={signature.toggleSignature}
-                  onOpacityChange={signature.updateOpacity}
-                  onSaveDrawn={(dataUrl) => signature.updateSignature({ imageDataUrl: dataUrl, enabled: true })}
+              {/* Digital Signatures — first signer, then an optional second */}
+              {signature && [['signature', 'Digital Signature'], ['signature2', 'Second Signature']].map(([slot, title]) => {
+                const config = signature.slots[slot]
+                // Offer the second slot once the first exists
+                if (slot === 'signature2' && !config?.imageDataUrl && !signature.signatureImage) return null
+                return (
+                  <SignaturePad
+                    key={slot}
+                    title={title}
+                    signatureImage={config?.imageDataUrl || null}
+                    signatureEnabled={config?.enabled ?? false}
+                    signatureOpacity={config?.opacity ?? 1.0}
+                    isLoading={signature.isLoadingSignature}
+                    onLoad={() => signature.loadSignature(slot)}
+                    onClear={() => signature.clearSignature(slot)}
+                    onToggle={() => signature.toggleSignature(slot)}
+                    onOpacityChange={(opacity) => signature.updateOpacity(opacity, slot)}
+                    onSaveDrawn={(dataUrl) => signature.updateSignature({ imageDataUrl: dataUrl, enabled: true }, slot)}
+                    ledgers={ledgers}
+                    ledgerIds={config?.ledgerIds || []}
+                    onLedgerScopeChange={(ids) => signature.updateLedgerScope(ids, slot)}
+                    importImage={signature.pendingImport?.slot === slot ? signature.pendingImport.dataUrl : null}
+                    onConfirmImport={signature.confirmImport}
+                    onCancelImport={signature.cancelImport}
+                  />
+                )
+              })}
+
+              {/* Which signatures print on a check */}
+              {signature?.signatureImage ? (
+                <div className="field-row" style={{ marginTop: '8px' }}>
+                  <div className="field">
+                    <label>Second Line Over</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      placeholder="Every check"
+                      value={signature.signatureRules.secondOver ?? ''}
+                      onChange={(e) => signature.updateSignatureRules({ secondOver: e.target.value === '' ? null : parseFloat(e.target.value) })}
+                    />
+                  </div>
+                  <div className="field">
+                    <label>Second Line</label>
+                    <select
+                      value={signature.signatureRules.secondMode}
+                      onChange={(e) => signature.updateSignatureRules({ secondMode: e.target.value })}
+                    >
+                      {Object.entries(SECOND_SIGNATURE_MODES).map(([mode, label]) => (
+                        <option key={mode} value={mode}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              ) : null}
+
+              {/* Signatures print only once authorised */}
+              {signature?.signatureImage && (
+                <SignerSession
+                  session={signature.signerSession}
+                  pinStatus={signature.pinStatus}
+                  onUnlock={signature.unlockSigner}
+                  onLock={signature.lockSigner}
+                  onRequestApproval={onRequestSignatureApproval}
                 />
               )}
             </section>
@@ -1361,6 +1608,38 @@ export function Sidebar({
                       <span className="toggle-label">Show Address (Window Envelope)</span>
                     </label>
                   </div>
+                  <div className="field">
+                    <label className="toggle-switch">
+                      <input
+                        type="checkbox"
+                        checked={!!model.fields.micr?.type}
+                        onChange={(e) => {
+                          const enable = e.target.checked
+                          setModel(m => {
+                            const withoutMicr = (fields) => {
+                              const { micr, ...rest } = fields || {}
+                              return rest
+                            }
+                            return {
+                              ...m,
+                              fields: enable
+                                ? { ...m.fields, micr: getMicrFieldDefaults(m.layout, calculateBaseYForSection('check', m.layout)) }
+                                : withoutMicr(m.fields),
+                              slotFields: Object.fromEntries(Object.entries(m.slotFields || {}).map(([slot, fields]) => [
+                                slot,
+                                enable ? { ...fields, micr: getMicrFieldDefaults(m.layout, 0) } : withoutMicr(fields)
+                              ]))
+                            }
+                          })
+                        }}
+                      />
+                      <span className="toggle-slider"></span>
+                      <span className="toggle-label">Print MICR Line (Blank Stock)</span>
+                    </label>
+                  </div>
+                  {model.fields.micr?.type && (!activeLedger?.bank?.routingNumber || !activeLedger?.bank?.accountNumber) && (
+                    <div className="error-msg">Add routing and account numbers to the "{activeLedger?.name}" ledger to print the MICR line.</div>
+                  )}
                   <small style={{ color: '#888', fontSize: '11px', marginTop: '8px', display: 'block' }}>
                     {activeProfile?.layoutMode === 'three_up'
                       ? 'Toggle visibility of fields on all checks. Hide check numbers if using pre-numbered check stock.'
@@ -1524,6 +1803,21 @@ export function Sidebar({
                       Enable for full format (e.g., "January 7, 2026"). Overrides date builder.
                     </small>
                   </div>
+                  <div className="field">
+                    <label className="toggle-switch">
+                      <input
+                        type="checkbox"
+                        checked={!!preferences.dateBoxed}
+                        disabled={preferences.useLongDate}
+                        onChange={(e) => setPreferences(p => ({ ...p, dateBoxed: e.target.checked }))}
+                      />
+                      <span className="toggle-slider"></span>
+                      <span className="toggle-label">Boxed Date Digits</span>
+                    </label>
+                    <small style={{ color: '#888', fontSize: '11px', marginTop: '4px', display: 'block' }}>
+                      Prints one digit per box with no separator (e.g., CTS-2010 DDMMYYYY date box).
+                    </small>
+                  </div>
                 </div>
               </section>
             )}
@@ -1868,14 +2162,14 @@ export function Sidebar({
                   <button className="btn-template" onClick={handleSelectTemplate}>
                     {templateName ? (
                       <>
-                        <span className="template-icon">🖼</span>
+                        <span className="template-icon">{templateMeta?.source === 'pdf' ? '📄' : '🖼'}</span>
                         <span className="template-name">{templateName}</span>
                         <span className="template-change">Change</span>
                       </>
                     ) : (
                       <>
                         <span className="template-icon">+</span>
-                        <span>Load check template image</span>
+                        <span>Load check template image or PDF</span>
                       </>
                     )}
                   </button>
@@ -1885,6 +2179,20 @@ export function Sidebar({
                   {templateDecodeError && (
                     <div className="error-msg">{templateDecodeError}</div>
                   )}
+                  {templateMeta?.source === 'pdf' && templateMeta.pageCount > 1 && (
+                    <div className="field" style={{ marginTop: '12px' }}>
+                      <label>PDF Page</label>
+                      <select
+                        value={templateMeta.page || 1}
+                        style={{ width: '100%' }}
+                        onChange={(e) => setModel((m) => ({ ...m, template: { ...m.template, page: parseInt(e.target.value, 10) } }))}
+                      >
+                        {Array.from({ length: templateMeta.pageCount }, (_, i) => (
+                          <option key={i + 1} value={i + 1}>Page {i + 1} of {templateMeta.pageCount}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
                   {templateName && (
                     <div className="field" style={{ marginTop: '12px' }}>
                       <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
@@ -1933,6 +2241,20 @@ export function Sidebar({
                     <p className="hint">
                       Sets currency ({LOCALES[preferences.locale || 'US']?.currency.code}), paper size ({LOCALES[preferences.locale || 'US']?.paper.name}), and date format.
                     </p>
+                    {LOCALES[preferences.locale || 'US']?.wordsLanguages && (
+                      <div className="field">
+                        <label>Amount in Words</label>
+                        <select
+                          value={preferences.checkWordsLanguage || ''}
+                          onChange={(e) => setPreferences(prev => ({ ...prev, checkWordsLanguage: e.target.value }))}
+                        >
+                          <option value="">English</option>
+                          {LOCALES[preferences.locale || 'US'].wordsLanguages.map(lang => (
+                            <option key={lang.id} value={lang.id}>{lang.label}</option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
                   </div>
                 </section>
 
@@ -1968,6 +2290,29 @@ export function Sidebar({
                         />
                       </div>
                     </div>
+                    <div className="field">
+                      <label>Print Dialog Printer</label>
+                      <select
+                        value={preferences.dialogPrinterDeviceName || ''}
+                        onChange={(e) => setPreferences(p => ({ ...p, dialogPrinterDeviceName: e.target.value || null }))}
+                      >
+                        <option value="">System default</option>
+                        {availablePrinters.map(printer => (
+                          <option key={printer.name} value={printer.name}>
+                            {printer.displayName || printer.name}{preferences.printerCalibrations?.[printer.name] ? ' ✓' : ''}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <p className="hint">
+                      Per-printer correction (applied on top of the offsets above):{' '}
+                      {printerCalibration.offsetXIn === 0 && printerCalibration.offsetYIn === 0 && printerCalibration.scaleX === 1 && printerCalibration.scaleY === 1
+                        ? 'none'
+                        : `X ${printerCalibration.offsetXIn}in, Y ${printerCalibration.offsetYIn}in, scale ${(printerCalibration.scaleX * 100).toFixed(2)}% × ${(printerCalibration.scaleY * 100).toFixed(2)}%`}
+                    </p>
+                    <button className="btn ghost" onClick={onOpenCalibration} style={{ width: '100%' }}>
+                      Calibrate Printer…
+                    </button>
                   </div>
                 </section>
 
@@ -2049,6 +2394,55 @@ export function Sidebar({
                   </div>
                 </section>
 
+                {/* Pre-print validation rules */}
+                <section className="section">
+                  <h3>Pre-Print Checks</h3>
+                  <div className="card">
+                    <p className="hint">
+                      Run before every print. Errors block printing; warnings ask before printing anyway.
+                    </p>
+                    {VALIDATION_RULES.map(rule => (
+                      <div className="field" key={rule.id}>
+                        <label title={rule.description}>{rule.label}</label>
+                        <select
+                          value={getRuleSeverity(preferences.validationRules, rule)}
+                          onChange={(e) => setPreferences(p => ({
+                            ...p,
+                            validationRules: { ...p.validationRules, [rule.id]: e.target.value }
+                          }))}
+                        >
+                          <option value={SEVERITY.ERROR}>Error</option>
+                          <option value={SEVERITY.WARNING}>Warning</option>
+                          <option value={SEVERITY.OFF}>Off</option>
+                        </select>
+                      </div>
+                    ))}
+                    <div className="field">
+                      <label>Stale After (days)</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={preferences.staleCheckDays ?? DEFAULT_STALE_CHECK_DAYS}
+                        onChange={(e) => setPreferences(p => ({ ...p, staleCheckDays: Math.max(1, parseInt(e.target.value, 10) || DEFAULT_STALE_CHECK_DAYS) }))}
+                      />
+                    </div>
+                  </div>
+                </section>
+
+                {/* Signer PIN, session length and the signed print log */}
+                {signature && (
+                  <section className="section">
+                    <h3>Signature Security</h3>
+                    <SignatureSecuritySettings
+                      pinStatus={signature.pinStatus}
+                      onSetPin={signature.setSignerPin}
+                      sessionMinutes={preferences.signerSessionMinutes}
+                      onSessionMinutesChange={(minutes) => setPreferences(p => ({ ...p, signerSessionMinutes: minutes }))}
+                      showToast={showToast}
+                    />
+                  </section>
+                )}
+
                 {/* Reset */}
                 <section className="section">
                   <button className="btn danger full-width" onClick={resetModel}>
@@ -2070,6 +2464,38 @@ export function Sidebar({
           </>
         )}
 
+        {/* Custom layout elements - edit mode only */}
+        {editMode && (
+          <section className="section">
+            <div className="card">
+              <h4>Add Element</h4>
+              {activeProfile?.layoutMode !== 'three_up' && (
+                <div className="field">
+                  <label>Section</label>
+                  <select value={elementSection} onChange={(e) => setElementSection(e.target.value)}>
+                    <option value="check">Check</option>
+                    {model.layout.stub1Enabled && <option value="stub1">Stub 1 (Payee Copy)</option>}
+                    {model.layout.stub2Enabled && <option value="stub2">Stub 2 (Bookkeeper Copy)</option>}
+                  </select>
+                </div>
+              )}
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+                {Object.entries(LAYOUT_ELEMENT_TYPES).map(([type, def]) => (
+                  <button key={type} className="btn ghost btn-sm" onClick={() => handleAddElement(type)}>
+                    + {def.label}
+                  </button>
+                ))}
+              </div>
+              <p className="hint" style={{ marginTop: '10px' }}>
+                Click a ruler to add a guide; fields snap to guides while dragging. Arrow keys nudge the selection (Shift for 10×).
+              </p>
+              {(model.layout.guides?.x?.length > 0 || model.layout.guides?.y?.length > 0) && (
+                <button className="btn ghost small full-width" onClick={clearGuides}>Clear Guides</button>
+              )}
+            </div>
+          </section>
+        )}
+
         {/* Selected Field - shows in ALL modes when editMode is active */}
         {editMode && (
           <section className="section">
@@ -2082,6 +2508,35 @@ export function Sidebar({
                   <div style={{ marginBottom: '12px' }}>{selected.length} fields selected</div>
                   <div className="field" style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', marginBottom: '12px' }}>
                   </div>
+                  <div className="field">
+                    <label>Align</label>
+                    <div className="layout-tool-row">
+                      <button className="btn ghost btn-sm" onClick={() => alignSelected('left')} title="Align left edges">⇤ Left</button>
+                      <button className="btn ghost btn-sm" onClick={() => alignSelected('centerX')} title="Align horizontal centres">↔ Center</button>
+                      <button className="btn ghost btn-sm" onClick={() => alignSelected('right')} title="Align right edges">⇥ Right</button>
+                    </div>
+                    <div className="layout-tool-row">
+                      <button className="btn ghost btn-sm" onClick={() => alignSelected('top')} title="Align top edges">⤒ Top</button>
+                      <button className="btn ghost btn-sm" onClick={() => alignSelected('centerY')} title="Align vertical centres">↕ Middle</button>
+                      <button className="btn ghost btn-sm" onClick={() => alignSelected('bottom')} title="Align bottom edges">⤓ Bottom</button>
+                    </div>
+                  </div>
+                  <div className="field">
+                    <label>Distribute &amp; Size</label>
+                    <div className="layout-tool-row">
+                      <button className="btn ghost btn-sm" disabled={selected.length < 3} onClick={() => distributeSelected('x')} title="Equal horizontal spacing (3+ fields)">Space H</button>
+                      <button className="btn ghost btn-sm" disabled={selected.length < 3} onClick={() => distributeSelected('y')} title="Equal vertical spacing (3+ fields)">Space V</button>
+                    </div>
+                    <div className="layout-tool-row">
+                      <button className="btn ghost btn-sm" onClick={() => matchSelectedSize('w')} title="Match the first selected field's width">Match Width</button>
+                      <button className="btn ghost btn-sm" onClick={() => matchSelectedSize('h')} title="Match the first selected field's height">Match Height</button>
+                    </div>
+                  </div>
+                  {selected.some(k => isLayoutElement(activeProfile?.layoutMode === 'three_up' ? model.slotFields?.[activeSlot]?.[k] : model.fields[k])) && (
+                    <button className="btn danger small full-width" style={{ marginBottom: '8px' }} onClick={() => removeElements(selected)}>
+                      Delete Selected Elements
+                    </button>
+                  )}
                   <button className="btn ghost small full-width" onClick={() => setSelected([])}>Clear Selection</button>
                 </div>
               ) : (
@@ -2155,6 +2610,133 @@ export function Sidebar({
                       </div>
                       <div className="field" style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between' }}>
                       </div>
+                      {!isLayoutElement(f) && f.type !== 'micr' && !isSignatureField(key) && (
+                        <div className="field-row">
+                          <div className="field">
+                            <label>Text Fit</label>
+                            <select
+                              value={f.fit || DEFAULT_TEXT_FIT}
+                              title="What happens when the text is wider than the box"
+                              onChange={(e) => setField(key, { fit: e.target.value })}
+                            >
+                              {Object.entries(TEXT_FIT_MODES).map(([mode, label]) => (
+                                <option key={mode} value={mode}>{label}</option>
+                              ))}
+                            </select>
+                          </div>
+                          {f.fit === 'shrink' && (
+                            <div className="field">
+                              <label>Min Size (pt)</label>
+                              <input
+                                type="number"
+                                step="0.5"
+                                min="4"
+                                value={f.minFontPt ?? DEFAULT_MIN_FIT_PT}
+                                onChange={(e) => setField(key, { minFontPt: clamp(parseFloat(e.target.value) || DEFAULT_MIN_FIT_PT, 4, 24) })}
+                              />
+                            </div>
+                          )}
+                        </div>
+                      )}
+                      {isLayoutElement(f) && (
+                        <>
+                          {(f.type === 'text' || f.type === 'data') && (
+                            <div className="field">
+                              <label>Text</label>
+                              <textarea
+                                rows={2}
+                                value={f.text || ''}
+                                onChange={(e) => setField(key, { text: e.target.value })}
+                              />
+                              {f.type === 'data' && (
+                                <small className="hint">
+                                  Placeholders: {PLACEHOLDERS.map(p => `{${p}}`).join(' ')}
+                                </small>
+                              )}
+                            </div>
+                          )}
+                          {(f.type === 'text' || f.type === 'data') && (
+                            <div className="field">
+                              <label>Alignment</label>
+                              <select value={f.align || 'left'} onChange={(e) => setField(key, { align: e.target.value })}>
+                                <option value="left">Left</option>
+                                <option value="center">Center</option>
+                                <option value="right">Right</option>
+                              </select>
+                            </div>
+                          )}
+                          {(f.type === 'text' || f.type === 'data') && (
+                            <div className="field-row">
+                              <div className="field">
+                                <label>Text Size (pt)</label>
+                                <input
+                                  type="number"
+                                  step="1"
+                                  min="6"
+                                  placeholder="Default"
+                                  value={f.customFontIn ? Math.round(f.customFontIn * 72) : ''}
+                                  onChange={(e) => {
+                                    const pt = parseFloat(e.target.value)
+                                    setField(key, { customFontIn: pt ? clamp(pt, 6, 36) / 72 : undefined })
+                                  }}
+                                />
+                              </div>
+                              <div className="field">
+                                <label className="toggle-switch" style={{ marginTop: '18px' }}>
+                                  <input
+                                    type="checkbox"
+                                    checked={!!f.bold}
+                                    onChange={(e) => setField(key, { bold: e.target.checked })}
+                                  />
+                                  <span className="toggle-slider"></span>
+                                  <span className="toggle-label">Bold</span>
+                                </label>
+                              </div>
+                            </div>
+                          )}
+                          {f.type === 'image' && (
+                            <button
+                              className="btn ghost small full-width"
+                              onClick={async () => {
+                                const dataUrl = await pickElementImage()
+                                if (dataUrl) setField(key, { dataUrl })
+                              }}
+                            >
+                              Replace Image…
+                            </button>
+                          )}
+                          {(f.type === 'line' || f.type === 'rect') && (
+                            <div className="field-row">
+                              <div className="field">
+                                <label>Stroke (pt)</label>
+                                <input
+                                  type="number"
+                                  step="0.5"
+                                  min="0"
+                                  value={f.strokePt ?? 1}
+                                  onChange={(e) => setField(key, { strokePt: clamp(parseFloat(e.target.value) || 0, 0, 12) })}
+                                />
+                              </div>
+                              {f.type === 'rect' && (
+                                <div className="field">
+                                  <label className="toggle-switch" style={{ marginTop: '18px' }}>
+                                    <input
+                                      type="checkbox"
+                                      checked={!!f.fill}
+                                      onChange={(e) => setField(key, { fill: e.target.checked })}
+                                    />
+                                    <span className="toggle-slider"></span>
+                                    <span className="toggle-label">Shaded</span>
+                                  </label>
+                                </div>
+                              )}
+                            </div>
+                          )}
+                          <button className="btn danger small full-width" style={{ marginTop: '8px' }} onClick={() => removeElements([key])}>
+                            Delete {f.label}
+                          </button>
+                        </>
+                      )}
                     </>
                   )
                 })()
@@ -5,6 +5,7 @@ import { DownloadIcon, UploadIcon, CheckIcon } from '../constants/icons'
 import logoImg from '../assets/logo.png'
 import { APP_VERSION } from '../constants/defaults'
 import { AtmCurrencyInput } from './AtmCurrencyInput'
+import { getCheckSecurity } from '../utils/checkSecurity'
 
 function TopBarMenu({ label, icon, badge, children }) {
   const [open, setOpen] = useState(false)
@@ -65,8 +66,8 @@ export function TopBar({
   preferences, setPreferences,
   handleUnlockRequest, handleLock,
   handleBackupData, handleRestoreBackup,
-  editMode, setEditMode, resetModel,
-  handlePreviewPdf, handlePrintAndRecord, handleRecordOnly,
+  editMode, setEditMode, resetModel, layoutHistory,
+  handlePreviewPdf, handlePrintAndRecord, handleRecordOnly, handlePrintCopy,
   activeProfile, data, setData,
   onOpenPositivePay,
   onOpenVendors,
@@ -74,6 +75,9 @@ export function TopBar({
   approvalCount,
   onOpenReports,
   onOpenReconciliation,
+  onOpenCheckRegistry,
+  onOpenEnvelopes,
+  onOpenLabels,
   onOpenRecurring,
   recurringDueCount,
   onOpenInvoices,
@@ -132,7 +136,10 @@ export function TopBar({
             <MenuItem icon="📊" label="Reports" onClick={onOpenReports} />
             <MenuDivider />
             <MenuItem icon="🏦" label="Reconcile" onClick={onOpenReconciliation} />
+            <MenuItem icon="🔢" label="Check Register" onClick={onOpenCheckRegistry} />
             <MenuItem icon="🔄" label="Recurring" onClick={onOpenRecurring} badge={recurringDueCount} />
+            <MenuItem icon="✉️" label="Envelopes" onClick={onOpenEnvelopes} />
+            <MenuItem icon="🏷️" label="Mailing Labels" onClick={onOpenLabels} />
             <MenuDivider />
             <MenuItem icon="📄" label="Invoices" onClick={onOpenInvoices} badge={invoiceOverdueCount} />
           </TopBarMenu>
@@ -162,6 +169,16 @@ export function TopBar({
                     label="Snap to Grid"
                     onClick={() => setPreferences(p => ({ ...p, enableSnapping: !p.enableSnapping }))}
                   />
+                  <MenuItem
+                    icon="↶"
+                    label={layoutHistory.canUndo ? 'Undo (Ctrl+Z)' : 'Nothing to Undo'}
+                    onClick={layoutHistory.undo}
+                  />
+                  <MenuItem
+                    icon="↷"
+                    label={layoutHistory.canRedo ? 'Redo (Ctrl+Y)' : 'Nothing to Redo'}
+                    onClick={layoutHistory.redo}
+                  />
                   <MenuItem
                     icon={<svg width="14" height="14" viewBox="0 0 14 14" fill="none">
                       <path d="M1.5 2.5V5.5H4.5" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round" />
@@ -225,6 +242,17 @@ export function TopBar({
                 >
                   <CheckIcon /> Record Only
                 </button>
+                {getCheckSecurity(activeProfile).copyPantograph && (
+                  <button
+                    className="dropdown-item"
+                    onClick={(e) => {
+                      e.currentTarget.parentElement.style.display = 'none'
+                      handlePrintCopy()
+                    }}
+                  >
+                    Print Non-Negotiable Copy
+                  </button>
+                )}
               </div>
             </div>
           </div>
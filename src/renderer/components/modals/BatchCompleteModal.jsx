@@ -1,6 +1,6 @@
 import React from 'react'
 
-export function BatchCompleteModal({ batchCompleteData, setShowBatchCompleteModal }) {
+export function BatchCompleteModal({ batchCompleteData, setShowBatchCompleteModal, onPrintLabels }) {
   const onClose = () => setShowBatchCompleteModal(false)
 
   return (
@@ -23,6 +23,11 @@ export function BatchCompleteModal({ batchCompleteData, setShowBatchCompleteModa
               : `Successfully printed and recorded ${batchCompleteData.processed} checks`
             }
           </p>
+          {batchCompleteData.recovered > 0 && (
+            <p style={{ fontSize: '14px', color: 'var(--text-label)', marginTop: '12px' }}>
+              {batchCompleteData.recovered} misprinted check{batchCompleteData.recovered > 1 ? 's were' : ' was'} spoiled and reprinted on new numbers.
+            </p>
+          )}
           {batchCompleteData.cancelled && (
             <p style={{ fontSize: '14px', color: 'var(--text-label)', marginTop: '12px' }}>
               Already processed checks have been recorded.
@@ -30,6 +35,15 @@ export function BatchCompleteModal({ batchCompleteData, setShowBatchCompleteModa
           )}
         </div>
         <div className="modal-footer">
+          {batchCompleteData.printedItems?.length > 0 && (
+            <button
+              className="btn"
+              onClick={() => { onClose(); onPrintLabels(batchCompleteData.printedItems) }}
+              style={{ width: '100%' }}
+            >
+              Print Mailing Labels
+            </button>
+          )}
           <button
             className="btn primary"
             onClick={onClose}
@@ -1,4 +1,4 @@
-import React from 'react'
+import React, { useState } from 'react'
 
 export function BatchPrintDialog({
   importQueue, activeProfile,
@@ -6,8 +6,12 @@ export function BatchPrintDialog({
   batchStartNumber, setBatchStartNumber,
   preferences, setPreferences,
   availablePrinters, loadAvailablePrinters,
-  cancelBatchPrintConfirm, confirmBatchPrint
+  cancelBatchPrintConfirm, confirmBatchPrint,
+  batchOverflows = []
 }) {
+  const [overrideOverflow, setOverrideOverflow] = useState(false)
+  const blockedByOverflow = batchOverflows.length > 0 && !overrideOverflow
+
   return (
     <div className="modal-overlay no-print" onMouseDown={(e) => e.target === e.currentTarget && cancelBatchPrintConfirm()}>
       <div className="modal-content" style={{ maxWidth: '500px' }}>
@@ -20,6 +24,40 @@ export function BatchPrintDialog({
             Print and record {importQueue.length} checks? This will {activeProfile?.layoutMode === 'three_up' ? 'print checks in sheets of 3' : 'print each check'} and deduct amounts from your ledger balance.
           </p>
 
+          {/* Text that won't fit its field blocks the batch until overridden */}
+          {batchOverflows.length > 0 && (
+            <div style={{
+              marginBottom: '16px',
+              padding: '12px',
+              borderRadius: '6px',
+              border: '1px solid var(--danger)',
+              background: 'var(--danger-soft)'
+            }}>
+              <div style={{ fontWeight: '600', marginBottom: '6px' }}>
+                ⚠ {batchOverflows.length} {batchOverflows.length === 1 ? 'check has' : 'checks have'} text that doesn't fit its field
+              </div>
+              <ul style={{ margin: '0 0 8px 18px', padding: 0, fontSize: '13px', maxHeight: '120px', overflowY: 'auto' }}>
+                {batchOverflows.map(o => (
+                  <li key={o.index}>
+                    #{o.index + 1} {o.payee || '(no payee)'}: {o.fields.join(', ')}
+                  </li>
+                ))}
+              </ul>
+              <small style={{ display: 'block', marginBottom: '8px', color: 'var(--text-label)' }}>
+                Widen the fields or set a text fit mode in the layout editor, or shorten the text in the queue.
+              </small>
+              <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={overrideOverflow}
+                  onChange={(e) => setOverrideOverflow(e.target.checked)}
+                  style={{ marginRight: '8px', cursor: 'pointer' }}
+                />
+                <span>Print anyway</span>
+              </label>
+            </div>
+          )}
+
           {/* Auto-number checkbox */}
           <div style={{ marginBottom: '16px' }}>
             <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }}>
@@ -143,13 +181,38 @@ export function BatchPrintDialog({
                 >
                   {preferences.batchPdfExportPath || 'Select Folder...'}
                 </button>
+                <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer', marginTop: '10px' }}>
+                  <input
+                    type="checkbox"
+                    checked={!!preferences.batchPdfCombine}
+                    onChange={(e) => setPreferences(p => ({ ...p, batchPdfCombine: e.target.checked }))}
+                    style={{ marginRight: '8px', cursor: 'pointer' }}
+                  />
+                  <span>Combine into one PDF (bookmarked per check)</span>
+                </label>
+                {preferences.batchPdfCombine && (
+                  <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer', marginTop: '6px', marginLeft: '26px' }}>
+                    <input
+                      type="checkbox"
+                      checked={preferences.batchPdfCoverPage !== false}
+                      onChange={(e) => setPreferences(p => ({ ...p, batchPdfCoverPage: e.target.checked }))}
+                      style={{ marginRight: '8px', cursor: 'pointer' }}
+                    />
+                    <span>Include cover page with ledger totals</span>
+                  </label>
+                )}
               </div>
             )}
           </div>
         </div>
         <div className="modal-footer">
           <button className="btn ghost" onClick={cancelBatchPrintConfirm}>Cancel</button>
-          <button className="btn primary" onClick={confirmBatchPrint}>
+          <button
+            className="btn primary"
+            onClick={confirmBatchPrint}
+            disabled={blockedByOverflow}
+            title={blockedByOverflow ? 'Some text does not fit its field — tick "Print anyway" to continue' : undefined}
+          >
             Print & Record
           </button>
         </div>
@@ -0,0 +1,111 @@
+import React, { useState } from 'react'
+import { formatCurrency, sanitizeCurrencyInput } from '../../utils/helpers'
+
+/**
+ * BatchRecoveryModal — shown on startup when the print journal has a batch
+ * that didn't finish cleanly. Confirmed prints are recorded, the user says
+ * which in-flight checks actually came out of the printer, and everything
+ * else goes back to the import queue.
+ *
+ * @param {Object} props
+ * @param {Object} props.interrupted - { job, toRecord, uncertain, unprinted } from findInterruptedJobs
+ * @param {Function} props.onRecover - (printedKeys, resume) => void
+ * @param {Function} props.onDiscard - Drop the journal without recording anything
+ * @param {Function} props.onClose - Decide later (asked again next launch)
+ */
+export function BatchRecoveryModal({ interrupted, onRecover, onDiscard, onClose }) {
+  const { job, toRecord, uncertain } = interrupted
+  const unprinted = job.finishedAt ? [] : interrupted.unprinted
+  const [printedKeys, setPrintedKeys] = useState([])
+
+  const toggleKey = (key) => {
+    setPrintedKeys(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key])
+  }
+  const requeueCount = unprinted.length + uncertain.length - printedKeys.length
+
+  const itemRow = (i, extra) => (
+    <div style={{ flex: 1 }}>
+      <div className="panel-list-primary">
+        <span>#{i.entry?.checkNumber || i.item.checkNumber || '—'}</span>
+        <span style={{ fontWeight: 400, marginLeft: '8px' }}>{i.item.payee}</span>
+      </div>
+      {extra && <div className="panel-list-secondary">{extra}</div>}
+    </div>
+  )
+
+  return (
+    <div className="modal-overlay no-print" style={{ zIndex: 10001 }}>
+      <div className="modal-content" style={{ maxWidth: '540px' }}>
+        <div className="modal-header">
+          <h2>Interrupted Batch Print</h2>
+          <button className="modal-close-btn" onClick={onClose} title="Decide later">✕</button>
+        </div>
+        <div className="modal-body" style={{ padding: '20px' }}>
+          <p style={{ marginBottom: '16px', color: 'var(--text-label)', fontSize: '14px' }}>
+            A batch started {new Date(job.startedAt).toLocaleString()} didn't finish. Nothing will be
+            printed or recorded twice: review what happened before continuing.
+          </p>
+
+          {toRecord.length > 0 && (
+            <>
+              <div className="panel-label">Printed but not recorded — will be recorded</div>
+              <div className="panel-list-scroll" style={{ maxHeight: '160px', marginBottom: '16px' }}>
+                {toRecord.map(i => (
+                  <div key={i.key} className="panel-list-item">
+                    {itemRow(i)}
+                    <div className="panel-list-amount">{formatCurrency(i.entry.amount)}</div>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+
+          {uncertain.length > 0 && (
+            <>
+              <div className="panel-label">Sent to the printer with no result — tick the ones that printed</div>
+              <div className="panel-list-scroll" style={{ maxHeight: '160px', marginBottom: '16px' }}>
+                {uncertain.map(i => (
+                  <label key={i.key} className="panel-list-item clickable">
+                    <input
+                      type="checkbox"
+                      checked={printedKeys.includes(i.key)}
+                      onChange={() => toggleKey(i.key)}
+                      style={{ flexShrink: 0 }}
+                    />
+                    {itemRow(i, printedKeys.includes(i.key) ? 'Printed — will be recorded' : 'Not printed — will be queued again')}
+                    <div className="panel-list-amount">{formatCurrency(i.entry.amount)}</div>
+                  </label>
+                ))}
+              </div>
+            </>
+          )}
+
+          {unprinted.length > 0 && (
+            <>
+              <div className="panel-label">Never printed — will be queued again</div>
+              <div className="panel-list-scroll" style={{ maxHeight: '160px' }}>
+                {unprinted.map(i => (
+                  <div key={i.key} className="panel-list-item">
+                    {itemRow(i)}
+                    <div className="panel-list-amount">{formatCurrency(sanitizeCurrencyInput(i.item.amount))}</div>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+        <div className="modal-footer">
+          <button className="btn ghost" onClick={onDiscard}>Discard Journal</button>
+          <button className="btn" onClick={() => onRecover(printedKeys, false)}>
+            Record{requeueCount > 0 ? ' & Queue Rest' : ''}
+          </button>
+          {requeueCount > 0 && (
+            <button className="btn primary" onClick={() => onRecover(printedKeys, true)}>
+              Record & Resume Printing
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,247 @@
+import React, { useState, useMemo } from 'react'
+import { formatAmount, parseAmount } from '../../utils/helpers'
+import { getLocalDateString } from '../../utils/date'
+import {
+    buildCheckRegistry,
+    findDuplicateNumbers,
+    findNumberGaps,
+    createSpoiledEntry,
+    parseCheckNumber
+} from '../../utils/checkRegistry'
+
+const STATUS_LABELS = {
+    issued: 'Issued',
+    void: 'Voided',
+    spoiled: 'Spoiled'
+}
+
+/**
+ * CheckRegistryPanel — Check Number Register.
+ *
+ * Accounts for every check number on a bank account: issued, voided and
+ * spoiled numbers, duplicates, and gaps in the sequence. Misfed or
+ * damaged stock can be logged as spoiled so the number is accounted for
+ * without touching the ledger balance.
+ *
+ * @param {Object} props
+ * @param {Array} props.checkHistory - Full check history
+ * @param {Array} props.ledgers - All ledgers
+ * @param {string} props.activeLedgerId - Ledger selected on open
+ * @param {Object} props.preferences - App preferences (spoiledChecks)
+ * @param {Function} props.setPreferences - Update preferences
+ * @param {Function} props.onClose - Close the panel
+ * @param {Function} props.showToast - Display a toast notification
+ */
+export function CheckRegistryPanel({ checkHistory, ledgers, activeLedgerId, preferences, setPreferences, onClose, showToast }) {
+    const [ledgerId, setLedgerId] = useState(activeLedgerId || ledgers[0]?.id)
+    const [spoilNumber, setSpoilNumber] = useState('')
+    const [spoilReason, setSpoilReason] = useState('')
+    const spoiledChecks = preferences?.spoiledChecks || []
+
+    const registry = useMemo(
+        () => buildCheckRegistry({ checkHistory, spoiledChecks, ledgers }, ledgerId),
+        [checkHistory, spoiledChecks, ledgers, ledgerId]
+    )
+    const duplicates = useMemo(() => findDuplicateNumbers(registry), [registry])
+    const gaps = useMemo(() => findNumberGaps(registry), [registry])
+    const spoiledEntries = registry.filter(e => e.status === 'spoiled')
+
+    const range = registry.length > 0
+        ? `${registry[0].checkNumber}–${registry[registry.length - 1].checkNumber}`
+        : '—'
+
+    /** Log a spoiled/misfed check number */
+    const handleMarkSpoiled = () => {
+        if (parseCheckNumber(spoilNumber) === null) {
+            showToast?.('Enter a numeric check number', 'error')
+            return
+        }
+        if (registry.some(e => e.checkNumber === parseCheckNumber(spoilNumber))) {
+            showToast?.(`Check #${spoilNumber} is already in the register`, 'error')
+            return
+        }
+        const entry = createSpoiledEntry({
+            ledgerId,
+            checkNumber: spoilNumber,
+            reason: spoilReason || 'Spoiled',
+            date: getLocalDateString()
+        })
+        setPreferences(prev => ({ ...prev, spoiledChecks: [...(prev.spoiledChecks || []), entry] }))
+        showToast?.(`Check #${entry.checkNumber} logged as spoiled`, 'success')
+        setSpoilNumber('')
+        setSpoilReason('')
+    }
+
+    /** Remove a spoiled entry logged by mistake */
+    const handleRemoveSpoiled = (id) => {
+        setPreferences(prev => ({ ...prev, spoiledChecks: (prev.spoiledChecks || []).filter(s => s.id !== id) }))
+    }
+
+    return (
+        <div className="modal-overlay" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal-content" style={{ maxWidth: '700px', width: '95%', maxHeight: '85vh' }}>
+                {/* Header */}
+                <div className="modal-header">
+                    <h2>Check Register</h2>
+                    <button className="modal-close-btn" onClick={onClose} title="Close">✕</button>
+                </div>
+
+                {/* Body */}
+                <div className="modal-body">
+                    <div className="panel-field">
+                        <label className="panel-label">Ledger / Account</label>
+                        <select
+                            className="panel-input"
+                            value={ledgerId}
+                            onChange={(e) => setLedgerId(e.target.value)}
+                            style={{ maxWidth: '320px' }}
+                        >
+                            {ledgers.map(l => (
+                                <option key={l.id} value={l.id}>
+                                    {l.name}{l.bank?.accountNumber ? ` (…${l.bank.accountNumber.slice(-4)})` : ''}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {/* Summary cards */}
+                    <div className="panel-grid-3">
+                        <div className="stat-card">
+                            <div className="stat-card-label">Numbers Used ({range})</div>
+                            <div className="stat-card-value">{registry.length}</div>
+                        </div>
+                        <div className="stat-card">
+                            <div className="stat-card-label">Missing</div>
+                            <div className={`stat-card-value ${gaps.length > 0 ? 'warning' : 'success'}`}>
+                                {gaps.reduce((sum, g) => sum + g.count, 0)}
+                            </div>
+                        </div>
+                        <div className="stat-card">
+                            <div className="stat-card-label">Duplicates</div>
+                            <div className={`stat-card-value ${duplicates.length > 0 ? 'danger' : 'success'}`}>
+                                {duplicates.length}
+                            </div>
+                        </div>
+                    </div>
+
+                    {/* Duplicates */}
+                    {duplicates.length > 0 && (
+                        <div className="panel-field">
+                            <label className="panel-label">Duplicate Numbers</label>
+                            <div className="panel-list-scroll" style={{ maxHeight: '160px' }}>
+                                {duplicates.map(d => (
+                                    <div key={d.checkNumber} className="panel-list-item">
+                                        <div style={{ flex: 1 }}>
+                                            <div className="panel-list-primary">#{d.checkNumber}</div>
+                                            <div className="panel-list-secondary">
+                                                {d.entries.map(e => `${STATUS_LABELS[e.status]}${e.payee ? ` to ${e.payee}` : ''}${e.date ? ` on ${e.date}` : ''}`).join(' · ')}
+                                            </div>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Gaps */}
+                    <div className="panel-field">
+                        <label className="panel-label">Gaps in Sequence</label>
+                        <div className="panel-list-scroll" style={{ maxHeight: '160px' }}>
+                            {gaps.length === 0 ? (
+                                <div className="panel-empty">Every number in the range is accounted for</div>
+                            ) : (
+                                gaps.map(g => (
+                                    <div key={g.from} className="panel-list-item">
+                                        <div style={{ flex: 1 }}>
+                                            <div className="panel-list-primary">
+                                                {g.from === g.to ? `#${g.from}` : `#${g.from} – #${g.to}`}
+                                            </div>
+                                        </div>
+                                        <div className="panel-list-amount">{g.count} missing</div>
+                                    </div>
+                                ))
+                            )}
+                        </div>
+                    </div>
+
+                    {/* Spoiled log */}
+                    <div className="panel-field">
+                        <label className="panel-label">Spoiled / Misfed Checks</label>
+                        <div className="panel-row" style={{ marginBottom: '8px' }}>
+                            <input
+                                type="text"
+                                className="panel-input"
+                                value={spoilNumber}
+                                onChange={(e) => setSpoilNumber(e.target.value.replace(/\D/g, ''))}
+                                placeholder="Check #"
+                                style={{ width: '110px' }}
+                            />
+                            <input
+                                type="text"
+                                className="panel-input"
+                                value={spoilReason}
+                                onChange={(e) => setSpoilReason(e.target.value)}
+                                placeholder="Reason (e.g. printer jam)"
+                                style={{ flex: 1 }}
+                            />
+                            <button className="btn btn-sm" onClick={handleMarkSpoiled}>Mark Spoiled</button>
+                        </div>
+                        <div className="panel-list-scroll" style={{ maxHeight: '200px' }}>
+                            {spoiledEntries.length === 0 ? (
+                                <div className="panel-empty">No spoiled checks logged</div>
+                            ) : (
+                                spoiledEntries.map(s => (
+                                    <div key={s.id} className="panel-list-item">
+                                        <div style={{ flex: 1 }}>
+                                            <div className="panel-list-primary">#{s.checkNumber}</div>
+                                            <div className="panel-list-secondary">
+                                                {s.reason} · {s.date}{s.replacedBy && ` · Reprinted as #${s.replacedBy}`}
+                                            </div>
+                                        </div>
+                                        <button className="btn btn-sm ghost" onClick={() => handleRemoveSpoiled(s.id)} title="Remove from log">✕</button>
+                                    </div>
+                                ))
+                            )}
+                        </div>
+                    </div>
+
+                    {/* Full register */}
+                    <div className="panel-field">
+                        <label className="panel-label">Register</label>
+                        <div className="panel-list-scroll" style={{ maxHeight: '240px' }}>
+                            {registry.length === 0 ? (
+                                <div className="panel-empty">No numbered checks on this account yet</div>
+                            ) : (
+                                registry.map(e => (
+                                    <div key={`${e.status}-${e.id}`} className="panel-list-item">
+                                        <div style={{ flex: 1 }}>
+                                            <div className="panel-list-primary">
+                                                <span>#{e.checkNumber}</span>
+                                                <span style={{ fontWeight: 400, marginLeft: '8px' }}>{e.payee || e.reason || '—'}</span>
+                                            </div>
+                                            <div className="panel-list-secondary">
+                                                {STATUS_LABELS[e.status]} · {e.date}
+                                                {e.replacedBy && ` · Replaced by #${e.replacedBy}`}
+                                                {e.replaces && ` · Replaces #${e.replaces}`}
+                                            </div>
+                                        </div>
+                                        {e.status !== 'spoiled' && (
+                                            <div className="panel-list-amount" style={{ textDecoration: e.status === 'void' ? 'line-through' : 'none' }}>
+                                                {formatAmount(parseAmount(e.amount))}
+                                            </div>
+                                        )}
+                                    </div>
+                                ))
+                            )}
+                        </div>
+                    </div>
+                </div>
+
+                {/* Footer */}
+                <div className="modal-footer">
+                    <button className="btn ghost" onClick={onClose}>Close</button>
+                </div>
+            </div>
+        </div>
+    )
+}
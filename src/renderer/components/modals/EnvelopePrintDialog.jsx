@@ -0,0 +1,235 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import { formatCurrency, sanitizeCurrencyInput } from '../../utils/helpers'
+import { isVoided } from '../../utils/historyHelpers'
+import { getPrinterCalibration } from '../../utils/printerCalibration'
+import {
+  ENVELOPE_SIZES,
+  getEnvelopeSize,
+  getEnvelopePageSize,
+  buildEnvelopes,
+  createEnvelopeJob
+} from '../../utils/envelope'
+
+const HISTORY_LIMIT = 200
+
+/**
+ * EnvelopePrintDialog — prints #10, #9 or DL envelopes for the current
+ * check, everything in the import queue, or checks picked from history.
+ * Envelopes render offscreen with their own per-printer offset, kept
+ * separate from the check calibration.
+ *
+ * @param {Object} props
+ * @param {string} props.initialSource - 'current' | 'queue' | 'history'
+ * @param {Object} props.data - Current check form data
+ * @param {string} props.activeLedgerId - Ledger of the current check
+ * @param {Array} props.importQueue - Import queue items
+ * @param {Array} props.checkHistory - Check history
+ * @param {Array} props.ledgers - Ledgers (per-ledger return addresses)
+ * @param {Array} props.vendors - Vendor database (address lookup)
+ * @param {Object} props.preferences - App preferences
+ * @param {Function} props.setPreferences - Update preferences
+ * @param {Array} props.availablePrinters - Printers from print:getPrinters
+ * @param {Function} props.loadAvailablePrinters - Refresh the printer list
+ * @param {Function} props.onClose - Close the dialog
+ * @param {Function} props.showToast - Display a toast notification
+ */
+export function EnvelopePrintDialog({
+  initialSource, data, activeLedgerId, importQueue, checkHistory, ledgers, vendors,
+  preferences, setPreferences, availablePrinters, loadAvailablePrinters, onClose, showToast
+}) {
+  const [source, setSource] = useState(initialSource)
+  const [selectedIds, setSelectedIds] = useState([])
+  const [search, setSearch] = useState('')
+  const [isPrinting, setIsPrinting] = useState(false)
+
+  // Refresh once on open in case a printer was added since startup
+  useEffect(() => {
+    loadAvailablePrinters()
+  }, [])
+
+  const deviceName = preferences.envelopePrinterDeviceName ||
+    preferences.dialogPrinterDeviceName || availablePrinters.find(p => p.isDefault)?.name || ''
+  const calibration = getPrinterCalibration(preferences.envelopeCalibrations, deviceName)
+  const size = getEnvelopeSize(preferences.envelopeSize)
+
+  const printableHistory = useMemo(() => {
+    const term = search.trim().toLowerCase()
+    return checkHistory
+      .filter(h => (h.type || 'check') === 'check' && !isVoided(h))
+      .filter(h => !term || (h.payee || '').toLowerCase().includes(term) || String(h.checkNumber || '').includes(term))
+      .slice(0, HISTORY_LIMIT)
+  }, [checkHistory, search])
+
+  // Queue items name their ledger; unnamed or unknown ones print on the active ledger
+  const queueLedgerId = (item) => {
+    const name = (item.ledger || '').trim().toLowerCase()
+    return ledgers.find(l => name && l.name.toLowerCase() === name)?.id || activeLedgerId
+  }
+
+  const recipients = source === 'current'
+    ? [{ payee: data.payee, address: data.address, ledgerId: activeLedgerId }]
+    : source === 'queue'
+      ? importQueue.map(item => ({ payee: item.payee, address: item.address, ledgerId: queueLedgerId(item) }))
+      : checkHistory.filter(h => selectedIds.includes(h.id))
+
+  const envelopes = buildEnvelopes(recipients.filter(r => (r.payee || '').trim()), {
+    ledgers,
+    companyInfo: preferences.companyInfo,
+    vendors,
+    checkHistory,
+    includeReturnAddress: preferences.envelopeReturnAddress
+  })
+  const missingCount = envelopes.filter(e => e.missingAddress).length
+
+  const setPref = (key, value) => setPreferences(prev => ({ ...prev, [key]: value }))
+
+  const setOffset = (key, value) => {
+    if (!deviceName) return
+    setPreferences(prev => ({
+      ...prev,
+      envelopeCalibrations: {
+        ...(prev.envelopeCalibrations || {}),
+        [deviceName]: { ...getPrinterCalibration(prev.envelopeCalibrations, deviceName), [key]: parseFloat(value) || 0 }
+      }
+    }))
+  }
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id])
+  }
+
+  const buildJob = (list) => createEnvelopeJob({
+    envelopes: list,
+    preferences,
+    deviceName,
+    title: list.length === 1 ? `Envelope - ${list[0].payee}` : `Envelopes (${list.length})`
+  })
+
+  const handlePreview = async () => {
+    const res = await window.cs2.previewPdf({ job: buildJob(envelopes) })
+    if (res?.success === false) showToast(`Preview failed: ${res.error || 'Unknown error'}`, 'error')
+  }
+
+  const handlePrint = async (list) => {
+    setIsPrinting(true)
+    const res = await window.cs2.renderSilent(buildJob(list), { deviceName, pageSize: getEnvelopePageSize(size) })
+    setIsPrinting(false)
+    if (res?.success === false) {
+      showToast(`Envelope print failed: ${res.error || 'Unknown error'}`, 'error')
+      return
+    }
+    showToast(`Sent ${list.length} envelope${list.length === 1 ? '' : 's'} to the printer`, 'success')
+  }
+
+  const sourceButton = (id, label, count) => (
+    <button className={`btn btn-sm ${source === id ? 'primary' : 'ghost'}`} onClick={() => setSource(id)}>
+      {label}{count !== undefined ? ` (${count})` : ''}
+    </button>
+  )
+
+  return (
+    <div className="modal-overlay no-print" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="modal-content" style={{ maxWidth: '580px' }}>
+        <div className="modal-header">
+          <h2>Print Envelopes</h2>
+          <button className="modal-close-btn" onClick={onClose} title="Close">✕</button>
+        </div>
+
+        <div className="modal-body">
+          <div style={{ display: 'flex', gap: '8px', marginBottom: '16px' }}>
+            {sourceButton('current', 'Current Check')}
+            {sourceButton('queue', 'Import Queue', importQueue.length)}
+            {sourceButton('history', 'From History', selectedIds.length)}
+          </div>
+
+          {source === 'history' && (
+            <>
+              <input
+                className="panel-input"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search payee or check number"
+                style={{ marginBottom: '8px' }}
+              />
+              <div className="panel-list-scroll" style={{ maxHeight: '200px', marginBottom: '16px' }}>
+                {printableHistory.map(h => (
+                  <label key={h.id} className="panel-list-item clickable">
+                    <input type="checkbox" checked={selectedIds.includes(h.id)} onChange={() => toggleSelected(h.id)} />
+                    <div style={{ flex: 1 }}>
+                      <div className="panel-list-primary">
+                        {h.checkNumber && <span>#{h.checkNumber}</span>}
+                        <span style={{ fontWeight: 400, marginLeft: '8px' }}>{h.payee}</span>
+                      </div>
+                      <div className="panel-list-secondary">{h.date}</div>
+                    </div>
+                    <div className="panel-list-amount">{formatCurrency(sanitizeCurrencyInput(h.amount))}</div>
+                  </label>
+                ))}
+                {printableHistory.length === 0 && <p className="hint" style={{ padding: '12px' }}>No checks found.</p>}
+              </div>
+            </>
+          )}
+
+          <div className="field-row">
+            <div className="field">
+              <label>Envelope Size</label>
+              <select value={size.id} onChange={(e) => setPref('envelopeSize', e.target.value)}>
+                {Object.values(ENVELOPE_SIZES).map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+              </select>
+            </div>
+            <div className="field">
+              <label>Printer</label>
+              <select value={deviceName} onChange={(e) => setPref('envelopePrinterDeviceName', e.target.value || null)}>
+                <option value="">-- Select Printer --</option>
+                {availablePrinters.map(p => <option key={p.name} value={p.name}>{p.displayName || p.name}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', margin: '8px 0 16px', cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={preferences.envelopeReturnAddress}
+              onChange={(e) => setPref('envelopeReturnAddress', e.target.checked)}
+            />
+            <span>Print return address (uncheck for pre-printed envelopes)</span>
+          </label>
+
+          <div className="field-row">
+            <div className="field">
+              <label>Envelope Offset X (in)</label>
+              <input type="number" step="0.01" value={calibration.offsetXIn} disabled={!deviceName}
+                onChange={(e) => setOffset('offsetXIn', e.target.value)} />
+            </div>
+            <div className="field">
+              <label>Envelope Offset Y (in)</label>
+              <input type="number" step="0.01" value={calibration.offsetYIn} disabled={!deviceName}
+                onChange={(e) => setOffset('offsetYIn', e.target.value)} />
+            </div>
+          </div>
+          <p className="hint" style={{ marginTop: '4px' }}>
+            Saved for this printer and used only for envelopes. Test print one envelope and move the text by the
+            distance it landed from where it should be (positive moves right/down).
+          </p>
+
+          {envelopes.length > 0 && missingCount > 0 && (
+            <p className="hint" style={{ color: 'var(--danger)', marginTop: '12px' }}>
+              {missingCount} of {envelopes.length} payee{envelopes.length === 1 ? ' has' : 's have'} no address on the
+              check, in vendors or in history; {missingCount === 1 ? 'its envelope' : 'their envelopes'} will show the name only.
+            </p>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button className="btn ghost" disabled={envelopes.length === 0} onClick={handlePreview}>Preview</button>
+          <button className="btn ghost" disabled={envelopes.length === 0 || !deviceName || isPrinting} onClick={() => handlePrint(envelopes.slice(0, 1))}>
+            Test Print
+          </button>
+          <button className="btn primary" disabled={envelopes.length === 0 || !deviceName || isPrinting} onClick={() => handlePrint(envelopes)}>
+            {isPrinting ? 'Printing…' : `Print ${envelopes.length} Envelope${envelopes.length === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
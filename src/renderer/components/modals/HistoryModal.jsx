@@ -2,7 +2,7 @@ import React from 'react'
 import { formatCurrency } from '../../utils/helpers'
 import { formatDate } from '../../constants/defaults'
 import { TrashIcon } from '../../constants/icons'
-import { filterHistoryByLedger, filterAndSortHistory, getUniqueFilterValues } from '../../utils/historyHelpers'
+import { filterHistoryByLedger, filterAndSortHistory, getUniqueFilterValues, isVoided, canVoidEntry } from '../../utils/historyHelpers'
 
 export function HistoryModal({
   historyViewMode, activeLedger, activeLedgerId,
@@ -12,7 +12,7 @@ export function HistoryModal({
   historyVendorFilter, setHistoryVendorFilter,
   historySortOrder, setHistorySortOrder,
   selectedHistoryItem, setSelectedHistoryItem,
-  deleteHistoryEntry, fillFromHistoryEntry,
+  deleteHistoryEntry, voidHistoryEntry, fillFromHistoryEntry,
   setShowHistory
 }) {
   const onClose = () => { setShowHistory(false); setSelectedHistoryItem(null) }
@@ -124,7 +124,7 @@ export function HistoryModal({
                 return (
                   <div
                     key={entry.id}
-                    className={`history-card ${selectedHistoryItem?.id === entry.id ? 'selected' : ''}`}
+                    className={`history-card ${selectedHistoryItem?.id === entry.id ? 'selected' : ''} ${isVoided(entry) ? 'voided' : ''}`}
                     onClick={() => setSelectedHistoryItem(entry)}
                   >
                     <div className="history-card-main">
@@ -154,6 +154,7 @@ export function HistoryModal({
                       {entry.reason && <span className="history-card-memo" style={{ color: 'var(--secondary)' }}>• {entry.reason}</span>}
                     </div>
                     <div className="history-card-tags">
+                      {isVoided(entry) && <span className="tag tag-void">VOID</span>}
                       <span className="tag tag-ledger">{ledger?.name || entry.ledgerName || 'Unknown'}</span>
                       <span className="tag tag-profile">{profile?.name || 'Unknown'}</span>
                     </div>
@@ -299,9 +300,41 @@ export function HistoryModal({
                     <label>Recorded</label>
                     <div className="detail-value">{new Date(selectedHistoryItem.timestamp).toLocaleString()}</div>
                   </div>
+
+                  {selectedHistoryItem.replacesCheckNumber && (
+                    <div className="detail-card full-width">
+                      <label>Reprint</label>
+                      <div className="detail-value">Replaces misprinted check #{selectedHistoryItem.replacesCheckNumber}</div>
+                    </div>
+                  )}
+
+                  {isVoided(selectedHistoryItem) && (
+                    <div className="detail-card full-width">
+                      <label>Voided</label>
+                      <div className="detail-value" style={{ color: 'var(--danger)' }}>
+                        {formatDate(selectedHistoryItem.voidDate || selectedHistoryItem.voidedAt)}
+                        {selectedHistoryItem.voidedBy && ` by ${selectedHistoryItem.voidedBy}`}
+                      </div>
+                      {selectedHistoryItem.voidReason && (
+                        <div className="detail-value" style={{ whiteSpace: 'pre-wrap', marginTop: '4px' }}>{selectedHistoryItem.voidReason}</div>
+                      )}
+                      {selectedHistoryItem.reissuedAs && (
+                        <div className="detail-value" style={{ marginTop: '4px' }}>Reissued as check #{selectedHistoryItem.reissuedAs}</div>
+                      )}
+                    </div>
+                  )}
                 </div>
 
-                <div style={{ marginTop: '16px', paddingTop: '16px', borderTop: '1px solid rgba(255, 255, 255, 0.1)' }}>
+                <div style={{ marginTop: '16px', paddingTop: '16px', borderTop: '1px solid rgba(255, 255, 255, 0.1)', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                  {canVoidEntry(selectedHistoryItem) && (
+                    <button
+                      className="btn btn-sm"
+                      onClick={() => voidHistoryEntry(selectedHistoryItem.id)}
+                      style={{ width: '100%' }}
+                    >
+                      Void Check
+                    </button>
+                  )}
                   <button
                     className="btn btn-sm danger"
                     onClick={() => {
@@ -1,7 +1,8 @@
 import React, { useState, useMemo } from 'react'
 import { formatAmount, generateId } from '../../utils/helpers'
-import { calculateInvoiceTotals, getPaymentTermsDueDate, getDueStatus, getTermsLabel, generateInvoiceCSV, getNextRecurrenceDate } from '../../utils/invoiceHelpers'
+import { calculateInvoiceTotals, getPaymentTermsDueDate, getDueStatus, getTermsLabel, generateInvoiceCSV, getNextRecurrenceDate, createInvoiceJob } from '../../utils/invoiceHelpers'
 import { InvoicePreview } from './InvoicePreview'
+import { getLocale } from '../../../config/locales'
 
 const STATUS_OPTIONS = ['all', 'draft', 'sent', 'paid', 'overdue', 'void']
 
@@ -321,23 +322,32 @@ export function InvoicePanel({ invoiceHook, onClose, showToast, preferences, set
     setEditingInvoice(null)
   }
 
-  const triggerSavePdf = (invoice) => {
-    setTimeout(async () => {
-      try {
-        const result = await window.cs2.invoiceSavePdf({
-          defaultFilename: `${invoice.invoiceNumber || 'Invoice'}.pdf`
-        })
-        if (result?.success) {
-          showToast?.('PDF saved')
-        }
-        // If !success (canceled), do nothing silently
-      } catch (e) {
-        console.error('Invoice PDF save error:', e)
-        // Fallback to print dialog
-        showToast?.('Opening print dialog instead...')
-        window.print()
-      }
-    }, 500)
+  // Invoices render offscreen from a job, so the panel stays as it is while printing
+  const invoicePageSize = getLocale(preferences?.locale).paper.code
+
+  const triggerSavePdf = async (invoice) => {
+    const job = createInvoiceJob(invoice, resolveCompanyInfo(invoice))
+    const result = await window.cs2.invoiceSavePdf(job, {
+      defaultFilename: `${invoice.invoiceNumber || 'Invoice'}.pdf`,
+      pageSize: invoicePageSize
+    })
+    if (result?.success) {
+      showToast?.('PDF saved')
+    } else if (result?.error) {
+      showToast?.(`PDF save failed: ${result.error}`, 'error')
+    }
+    // No error means the save dialog was canceled
+  }
+
+  const printInvoice = async (invoice) => {
+    const job = createInvoiceJob(invoice, resolveCompanyInfo(invoice))
+    const result = await window.cs2.printDialog(job, {
+      pageSize: invoicePageSize,
+      deviceName: preferences?.dialogPrinterDeviceName
+    })
+    if (result?.success === false && !result.cancelled) {
+      showToast?.(`Print failed: ${result.error || 'Unknown error'}`, 'error')
+    }
   }
 
   const handleCreateAndSavePdf = (formData) => {
@@ -353,7 +363,7 @@ export function InvoicePanel({ invoiceHook, onClose, showToast, preferences, set
     showToast?.('Invoice created')
     setEditingInvoice(null)
     setPreviewInvoice(newInv)
-    setTimeout(() => window.print(), 400)
+    printInvoice(newInv)
   }
 
   const handleSavePdfFromList = (invoice) => {
@@ -363,7 +373,7 @@ export function InvoicePanel({ invoiceHook, onClose, showToast, preferences, set
 
   const handlePrintFromList = (invoice) => {
     setPreviewInvoice(invoice)
-    setTimeout(() => window.print(), 400)
+    printInvoice(invoice)
   }
 
   /** Generate next recurring invoice from a recurring source. */
@@ -480,6 +490,7 @@ export function InvoicePanel({ invoiceHook, onClose, showToast, preferences, set
             <InvoicePreview
               invoice={previewInvoice}
               companyInfo={resolveCompanyInfo(previewInvoice)}
+              onPrint={() => printInvoice(previewInvoice)}
               onClose={() => setPreviewInvoice(null)}
             />
           )}
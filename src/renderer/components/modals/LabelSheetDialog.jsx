@@ -0,0 +1,187 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import {
+  LABEL_SHEETS,
+  getLabelSheet,
+  getLabelCapacity,
+  buildVendorLabels,
+  buildPayeeLabels,
+  createLabelJob
+} from '../../utils/labels'
+
+/**
+ * LabelSheetDialog — prints mailing labels on Avery-style sheets from the
+ * vendor database or from a batch's payees. The start position picker
+ * marks the labels already used on a partial sheet so they're skipped.
+ *
+ * @param {Object} props
+ * @param {string} props.initialSource - 'vendors' | 'batch'
+ * @param {Array} props.batchItems - Payee items for the 'batch' source (import queue or a printed batch)
+ * @param {string} props.batchLabel - What the batch items are, for the source button
+ * @param {Array} props.vendors - Vendor database
+ * @param {Array} props.checkHistory - Check history (address lookup)
+ * @param {Object} props.preferences - App preferences
+ * @param {Function} props.setPreferences - Update preferences
+ * @param {Array} props.availablePrinters - Printers from print:getPrinters
+ * @param {Function} props.loadAvailablePrinters - Refresh the printer list
+ * @param {Function} props.onClose - Close the dialog
+ * @param {Function} props.showToast - Display a toast notification
+ */
+export function LabelSheetDialog({
+  initialSource, batchItems, batchLabel, vendors, checkHistory,
+  preferences, setPreferences, availablePrinters, loadAvailablePrinters, onClose, showToast
+}) {
+  const [source, setSource] = useState(batchItems.length > 0 ? initialSource : 'vendors')
+  const [excludedNames, setExcludedNames] = useState([])
+  const [startPosition, setStartPosition] = useState(1)
+  const [isPrinting, setIsPrinting] = useState(false)
+
+  // Refresh once on open in case a printer was added since startup
+  useEffect(() => {
+    loadAvailablePrinters()
+  }, [])
+
+  const deviceName = preferences.labelPrinterDeviceName ||
+    preferences.dialogPrinterDeviceName || availablePrinters.find(p => p.isDefault)?.name || ''
+  const sheet = getLabelSheet(preferences.labelSheet)
+  const capacity = getLabelCapacity(sheet)
+
+  const { labels: available, missing } = useMemo(() => (
+    source === 'vendors'
+      ? { labels: buildVendorLabels([...vendors].sort((a, b) => (a.name || '').localeCompare(b.name || ''))), missing: [] }
+      : buildPayeeLabels(batchItems, { vendors, checkHistory })
+  ), [source, vendors, batchItems, checkHistory])
+
+  const labels = available.filter(l => !excludedNames.includes(l.name))
+  const sheetCount = labels.length > 0 ? Math.ceil((labels.length + startPosition - 1) / capacity) : 0
+
+  const setPref = (key, value) => setPreferences(prev => ({ ...prev, [key]: value }))
+
+  const changeSource = (next) => {
+    setSource(next)
+    setExcludedNames([])
+  }
+
+  const changeSheet = (id) => {
+    setPref('labelSheet', id)
+    setStartPosition(1)
+  }
+
+  const toggleName = (name) => {
+    setExcludedNames(prev => prev.includes(name) ? prev.filter(n => n !== name) : [...prev, name])
+  }
+
+  const buildJob = () => createLabelJob({
+    labels,
+    preferences,
+    startPosition,
+    deviceName,
+    title: `Mailing Labels (${labels.length})`
+  })
+
+  const handlePreview = async () => {
+    const res = await window.cs2.previewPdf({ pageSize: sheet.paper.code, job: buildJob() })
+    if (res?.success === false) showToast(`Preview failed: ${res.error || 'Unknown error'}`, 'error')
+  }
+
+  const handlePrint = async () => {
+    setIsPrinting(true)
+    const res = await window.cs2.renderSilent(buildJob(), { deviceName, pageSize: sheet.paper.code })
+    setIsPrinting(false)
+    if (res?.success === false) {
+      showToast(`Label print failed: ${res.error || 'Unknown error'}`, 'error')
+      return
+    }
+    showToast(`Sent ${labels.length} label${labels.length === 1 ? '' : 's'} to the printer`, 'success')
+    onClose()
+  }
+
+  return (
+    <div className="modal-overlay no-print" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="modal-content" style={{ maxWidth: '600px' }}>
+        <div className="modal-header">
+          <h2>Mailing Labels</h2>
+          <button className="modal-close-btn" onClick={onClose} title="Close">✕</button>
+        </div>
+
+        <div className="modal-body">
+          <div style={{ display: 'flex', gap: '8px', marginBottom: '16px' }}>
+            <button className={`btn btn-sm ${source === 'vendors' ? 'primary' : 'ghost'}`} onClick={() => changeSource('vendors')}>
+              Vendors
+            </button>
+            {batchItems.length > 0 && (
+              <button className={`btn btn-sm ${source === 'batch' ? 'primary' : 'ghost'}`} onClick={() => changeSource('batch')}>
+                {batchLabel}
+              </button>
+            )}
+          </div>
+
+          <div className="panel-list-scroll" style={{ maxHeight: '200px', marginBottom: '8px' }}>
+            {available.map(l => (
+              <label key={l.name} className="panel-list-item clickable">
+                <input type="checkbox" checked={!excludedNames.includes(l.name)} onChange={() => toggleName(l.name)} />
+                <div style={{ flex: 1 }}>
+                  <div className="panel-list-primary">{l.name}</div>
+                  <div className="panel-list-secondary">{l.lines.slice(1).join(', ')}</div>
+                </div>
+              </label>
+            ))}
+            {available.length === 0 && (
+              <p className="hint" style={{ padding: '12px' }}>
+                {source === 'vendors' ? 'No vendors have a mailing address yet.' : 'No payees in this batch have a known address.'}
+              </p>
+            )}
+          </div>
+          {missing.length > 0 && (
+            <p className="hint" style={{ color: 'var(--danger)', marginBottom: '8px' }}>
+              No address for {missing.join(', ')}. Add them in Vendors to include them.
+            </p>
+          )}
+
+          <div className="field-row">
+            <div className="field">
+              <label>Label Sheet</label>
+              <select value={sheet.id} onChange={(e) => changeSheet(e.target.value)}>
+                {Object.values(LABEL_SHEETS).map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+              </select>
+            </div>
+            <div className="field">
+              <label>Printer</label>
+              <select value={deviceName} onChange={(e) => setPref('labelPrinterDeviceName', e.target.value || null)}>
+                <option value="">-- Select Printer --</option>
+                {availablePrinters.map(p => <option key={p.name} value={p.name}>{p.displayName || p.name}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <div className="field" style={{ marginTop: '8px' }}>
+            <label>Start at label {startPosition} (click the first unused label on the sheet)</label>
+            <div
+              className="label-start-grid"
+              style={{ gridTemplateColumns: `repeat(${sheet.columns}, 1fr)`, gridTemplateRows: `repeat(${sheet.rows}, 1fr)`, aspectRatio: `${sheet.paper.width} / ${sheet.paper.height}` }}
+            >
+              {Array.from({ length: capacity }, (_, i) => (
+                <button
+                  key={i}
+                  type="button"
+                  className={`label-start-cell ${i + 1 < startPosition ? 'used' : ''} ${i + 1 === startPosition ? 'start' : ''}`}
+                  onClick={() => setStartPosition(i + 1)}
+                  title={`Start at label ${i + 1}`}
+                />
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div className="modal-footer">
+          <span className="hint" style={{ marginRight: 'auto' }}>
+            {labels.length} label{labels.length === 1 ? '' : 's'} · {sheetCount} sheet{sheetCount === 1 ? '' : 's'}
+          </span>
+          <button className="btn ghost" disabled={labels.length === 0} onClick={handlePreview}>Preview</button>
+          <button className="btn primary" disabled={labels.length === 0 || !deviceName || isPrinting} onClick={handlePrint}>
+            {isPrinting ? 'Printing…' : 'Print Labels'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,48 +1,114 @@
-import React from 'react'
+import React, { useState } from 'react'
+import { formatCurrency } from '../../utils/helpers'
 
 export function PrintFailureModal({
-  printFailureInfo, handlePrintFailureAbort, handlePrintFailureContinue
+  printFailureInfo, handlePrintFailureAbort, handlePrintFailureContinue, handlePrintFailureRecover
 }) {
+  const candidates = printFailureInfo.candidates || []
+  const [recovering, setRecovering] = useState(false)
+  // Checks in the failed job are pre-selected; earlier prints must be picked
+  const [selectedKeys, setSelectedKeys] = useState(() => candidates.filter(c => c.failed).map(c => c.key))
+
+  const toggleKey = (key) => {
+    setSelectedKeys(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key])
+  }
+
   return (
     <div className="modal-overlay" style={{ zIndex: 10001 }}>
-      <div className="modal-content" style={{ maxWidth: '420px' }}>
+      <div className="modal-content" style={{ maxWidth: recovering ? '520px' : '420px' }}>
         <div className="modal-header" style={{ borderBottom: '1px solid rgba(239, 68, 68, 0.3)' }}>
           <h2 style={{ color: '#ef4444', display: 'flex', alignItems: 'center', gap: '8px' }}>
-            ⚠️ Print Failed
+            ⚠️ {recovering ? 'Recover Misprints' : 'Print Failed'}
           </h2>
         </div>
-        <div className="modal-body" style={{ padding: '20px' }}>
-          <p style={{ marginBottom: '12px', fontWeight: 600 }}>
-            Failed to print: {printFailureInfo.payee}
-          </p>
-          <p style={{ marginBottom: '16px', color: 'var(--text-label)', fontSize: '14px' }}>
-            Error: {printFailureInfo.error}
-          </p>
-          <div style={{
-            backgroundColor: 'rgba(239, 68, 68, 0.1)',
-            border: '1px solid rgba(239, 68, 68, 0.3)',
-            borderRadius: '8px',
-            padding: '12px',
-            marginBottom: '8px'
-          }}>
-            <p style={{ fontSize: '13px', color: '#fca5a5', margin: 0 }}>
-              <strong>Note:</strong> The ledger has NOT been deducted for this check.
+        {recovering ? (
+          <div className="modal-body" style={{ padding: '20px' }}>
+            <p style={{ marginBottom: '12px', color: 'var(--text-label)', fontSize: '14px' }}>
+              Select every check whose stock was physically used or damaged. Their numbers are
+              voided or logged as spoiled, and the payments are reprinted on the next check numbers.
             </p>
+            <div className="panel-list-scroll" style={{ maxHeight: '280px' }}>
+              {candidates.map(c => (
+                <label key={c.key} className="panel-list-item clickable">
+                  <input
+                    type="checkbox"
+                    checked={selectedKeys.includes(c.key)}
+                    onChange={() => toggleKey(c.key)}
+                    style={{ flexShrink: 0 }}
+                  />
+                  <div style={{ flex: 1 }}>
+                    <div className="panel-list-primary">
+                      <span>#{c.checkNumber || '—'}</span>
+                      <span style={{ fontWeight: 400, marginLeft: '8px' }}>{c.item.payee}</span>
+                    </div>
+                    <div className="panel-list-secondary">
+                      {c.failed ? 'Failed to print' : 'Printed and recorded — will be voided'}
+                    </div>
+                  </div>
+                  <div className="panel-list-amount">{formatCurrency(c.amount)}</div>
+                </label>
+              ))}
+            </div>
           </div>
-        </div>
+        ) : (
+          <div className="modal-body" style={{ padding: '20px' }}>
+            <p style={{ marginBottom: '12px', fontWeight: 600 }}>
+              Failed to print: {printFailureInfo.payee}
+            </p>
+            <p style={{ marginBottom: '16px', color: 'var(--text-label)', fontSize: '14px' }}>
+              Error: {printFailureInfo.error}
+            </p>
+            <div style={{
+              backgroundColor: 'rgba(239, 68, 68, 0.1)',
+              border: '1px solid rgba(239, 68, 68, 0.3)',
+              borderRadius: '8px',
+              padding: '12px',
+              marginBottom: '8px'
+            }}>
+              <p style={{ fontSize: '13px', color: '#fca5a5', margin: 0 }}>
+                <strong>Note:</strong> The ledger has NOT been deducted for this check.
+              </p>
+            </div>
+          </div>
+        )}
         <div className="modal-footer" style={{ display: 'flex', gap: '12px', justifyContent: 'flex-end' }}>
-          <button
-            className="btn danger"
-            onClick={handlePrintFailureAbort}
-          >
-            Stop Batch
-          </button>
-          <button
-            className="btn primary"
-            onClick={handlePrintFailureContinue}
-          >
-            Skip & Continue
-          </button>
+          {recovering ? (
+            <>
+              <button className="btn ghost" onClick={() => setRecovering(false)}>
+                Back
+              </button>
+              <button
+                className="btn primary"
+                onClick={() => handlePrintFailureRecover(selectedKeys)}
+                disabled={selectedKeys.length === 0}
+              >
+                Spoil & Reprint {selectedKeys.length || ''}
+              </button>
+            </>
+          ) : (
+            <>
+              <button
+                className="btn danger"
+                onClick={handlePrintFailureAbort}
+              >
+                Stop Batch
+              </button>
+              {candidates.length > 0 && (
+                <button
+                  className="btn"
+                  onClick={() => setRecovering(true)}
+                >
+                  Recover Misprints…
+                </button>
+              )}
+              <button
+                className="btn primary"
+                onClick={handlePrintFailureContinue}
+              >
+                Skip & Continue
+              </button>
+            </>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,61 @@
+import React from 'react'
+import { formatCurrency, sanitizeCurrencyInput } from '../../utils/helpers'
+import { hasValidationErrors } from '../../utils/checkValidation'
+
+const SEVERITY_STYLE = {
+  error: { icon: '⛔', color: '#ef4444' },
+  warning: { icon: '⚠️', color: '#f59e0b' }
+}
+
+export function PrintValidationModal({ validationReview, onCancel, onProceed }) {
+  const { results, title, confirmLabel } = validationReview
+  const flagged = results.filter(r => r.issues.length > 0)
+  const blocked = hasValidationErrors(results)
+
+  return (
+    <div className="modal-overlay" style={{ zIndex: 10001 }}>
+      <div className="modal-content" style={{ maxWidth: '560px' }}>
+        <div className="modal-header">
+          <h2>{title}</h2>
+        </div>
+        <div className="modal-body" style={{ padding: '20px' }}>
+          <p style={{ marginBottom: '12px', color: 'var(--text-label)', fontSize: '14px' }}>
+            {blocked
+              ? 'Fix the errors below before printing. Rule severities are set in Settings → Pre-Print Checks.'
+              : `${flagged.length} of ${results.length} check${results.length === 1 ? '' : 's'} need a second look.`}
+          </p>
+          <div className="panel-list-scroll" style={{ maxHeight: '320px' }}>
+            {flagged.map(({ index, item, issues }) => (
+              <div key={index} className="panel-list-item" style={{ alignItems: 'flex-start' }}>
+                <div style={{ flex: 1 }}>
+                  <div className="panel-list-primary">
+                    <span>{item.checkNumber ? `#${item.checkNumber}` : `Check ${index + 1}`}</span>
+                    <span style={{ fontWeight: 400, marginLeft: '8px' }}>{item.payee || '(no payee)'}</span>
+                  </div>
+                  {issues.map(issue => (
+                    <div
+                      key={issue.ruleId}
+                      className="panel-list-secondary"
+                      style={{ color: SEVERITY_STYLE[issue.severity]?.color, whiteSpace: 'pre-line' }}
+                    >
+                      {SEVERITY_STYLE[issue.severity]?.icon} {issue.label}: {issue.message}
+                    </div>
+                  ))}
+                </div>
+                <div className="panel-list-amount">{formatCurrency(sanitizeCurrencyInput(item.amount))}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+        <div className="modal-footer" style={{ display: 'flex', gap: '12px', justifyContent: 'flex-end' }}>
+          <button className="btn ghost" onClick={onCancel}>
+            Cancel
+          </button>
+          <button className="btn primary" onClick={onProceed} disabled={blocked}>
+            {confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react'
+import { getLocale } from '../../../config/locales'
+import { computePrinterCalibration, getPrinterCalibration, CALIBRATION_MARK_INSET_IN } from '../../utils/printerCalibration'
+
+/**
+ * PrinterCalibrationWizard — prints a calibration sheet to a chosen
+ * printer, takes the user's edge readings and saves the resulting offset
+ * and scale correction under that printer's device name.
+ *
+ * @param {Object} props
+ * @param {Object} props.preferences - App preferences (printerCalibrations, locale)
+ * @param {Function} props.setPreferences - Update preferences
+ * @param {Array} props.availablePrinters - Printers from print:getPrinters
+ * @param {Function} props.loadAvailablePrinters - Refresh the printer list
+ * @param {Function} props.onClose - Close the wizard
+ * @param {Function} props.showToast - Display a toast notification
+ */
+export function PrinterCalibrationWizard({ preferences, setPreferences, availablePrinters, loadAvailablePrinters, onClose, showToast }) {
+  const locale = getLocale(preferences.locale)
+  const paper = locale.paper
+  const [step, setStep] = useState('printer')
+  const [deviceName, setDeviceName] = useState(
+    preferences.dialogPrinterDeviceName || availablePrinters.find(p => p.isDefault)?.name || ''
+  )
+  const [isPrintingSheet, setIsPrintingSheet] = useState(false)
+  const [readings, setReadings] = useState({ aLeft: '', aTop: '', bRight: '', bBottom: '' })
+
+  // Refresh once on open in case a printer was added since startup
+  useEffect(() => {
+    loadAvailablePrinters()
+  }, [])
+
+  const printer = availablePrinters.find(p => p.name === deviceName)
+  const printerLabel = printer?.displayName || deviceName
+  const existing = preferences.printerCalibrations?.[deviceName]
+
+  // Readings are taken from the nearest edges; convert B to left/top distances
+  const { calibration, error } = computePrinterCalibration(paper, {
+    ax: readings.aLeft,
+    ay: readings.aTop,
+    bx: readings.bRight === '' ? '' : paper.width - parseFloat(readings.bRight),
+    by: readings.bBottom === '' ? '' : paper.height - parseFloat(readings.bBottom)
+  })
+  const hasAllReadings = Object.values(readings).every(v => v !== '')
+
+  const handlePrintSheet = async () => {
+    setIsPrintingSheet(true)
+    // Printed without any existing calibration, so the readings measure the raw offset
+    const job = { kind: 'calibration', title: 'Printer Calibration', paper, printerName: printerLabel }
+    const res = await window.cs2.renderSilent(job, { deviceName, pageSize: paper.code })
+    setIsPrintingSheet(false)
+    if (res?.success === false) {
+      showToast(`Print failed: ${res.error || 'Unknown error'}`, 'error')
+      return
+    }
+    setStep('measure')
+  }
+
+  const handleSave = () => {
+    setPreferences(prev => ({
+      ...prev,
+      printerCalibrations: {
+        ...(prev.printerCalibrations || {}),
+        [deviceName]: { ...calibration, calibratedAt: new Date().toISOString() }
+      }
+    }))
+    showToast(`Calibration saved for ${printerLabel}`, 'success')
+    onClose()
+  }
+
+  const handleReset = () => {
+    setPreferences(prev => {
+      const next = { ...(prev.printerCalibrations || {}) }
+      delete next[deviceName]
+      return { ...prev, printerCalibrations: next }
+    })
+    showToast(`Calibration cleared for ${printerLabel}`, 'success')
+  }
+
+  const readingInput = (key, label) => (
+    <div className="field">
+      <label>{label}</label>
+      <input
+        type="number"
+        step="0.01"
+        min="0"
+        value={readings[key]}
+        onChange={(e) => setReadings(prev => ({ ...prev, [key]: e.target.value }))}
+        placeholder={CALIBRATION_MARK_INSET_IN.toFixed(2)}
+      />
+    </div>
+  )
+
+  const summary = (cal) => (
+    `X ${cal.offsetXIn >= 0 ? '+' : ''}${cal.offsetXIn}in, Y ${cal.offsetYIn >= 0 ? '+' : ''}${cal.offsetYIn}in, ` +
+    `scale ${(cal.scaleX * 100).toFixed(2)}% × ${(cal.scaleY * 100).toFixed(2)}%`
+  )
+
+  return (
+    <div className="modal-overlay" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="modal-content" style={{ maxWidth: '520px' }}>
+        <div className="modal-header">
+          <h2>Printer Calibration</h2>
+          <button className="modal-close-btn" onClick={onClose} title="Close">✕</button>
+        </div>
+
+        <div className="modal-body">
+          {step === 'printer' && (
+            <>
+              <p className="hint" style={{ marginBottom: '12px' }}>
+                Each printer feeds paper a little differently. Calibrate each one once; its correction is applied
+                automatically whenever it's the print target.
+              </p>
+              <div className="field">
+                <label>Printer</label>
+                <select value={deviceName} onChange={(e) => setDeviceName(e.target.value)}>
+                  <option value="">-- Select Printer --</option>
+                  {availablePrinters.map(p => (
+                    <option key={p.name} value={p.name}>
+                      {p.displayName || p.name}{preferences.printerCalibrations?.[p.name] ? ' ✓' : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {existing && (
+                <p className="hint" style={{ marginTop: '8px' }}>
+                  Current: {summary(getPrinterCalibration(preferences.printerCalibrations, deviceName))}
+                </p>
+              )}
+            </>
+          )}
+
+          {step === 'print' && (
+            <p className="hint">
+              Load a sheet of plain {paper.name} paper into <strong>{printerLabel}</strong> the same way you load
+              check stock, then print the calibration sheet. It has two crosshairs, A (top-left) and B
+              (bottom-right), each {CALIBRATION_MARK_INSET_IN}in from the paper edges, with rulers running to the edges.
+            </p>
+          )}
+
+          {step === 'measure' && (
+            <>
+              <p className="hint" style={{ marginBottom: '12px' }}>
+                Enter the distance in inches from each crosshair centre to the nearest paper edge.
+                Read it where the edge crosses the printed ruler, or measure with a ruler.
+              </p>
+              <div className="field-row">
+                {readingInput('aLeft', 'A → Left Edge')}
+                {readingInput('aTop', 'A → Top Edge')}
+              </div>
+              <div className="field-row">
+                {readingInput('bRight', 'B → Right Edge')}
+                {readingInput('bBottom', 'B → Bottom Edge')}
+              </div>
+              {hasAllReadings && (
+                error
+                  ? <p className="hint" style={{ color: 'var(--danger)', marginTop: '8px' }}>{error}</p>
+                  : <p className="hint" style={{ marginTop: '8px' }}>Correction: {summary(calibration)}</p>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          {step === 'printer' && (
+            <>
+              {existing && <button className="btn ghost" onClick={handleReset}>Clear Calibration</button>}
+              <button className="btn primary" disabled={!deviceName} onClick={() => setStep('print')}>Next</button>
+            </>
+          )}
+          {step === 'print' && (
+            <>
+              <button className="btn ghost" onClick={() => setStep('printer')}>Back</button>
+              <button className="btn ghost" onClick={() => setStep('measure')}>Already Printed</button>
+              <button className="btn primary" disabled={isPrintingSheet} onClick={handlePrintSheet}>
+                {isPrintingSheet ? 'Printing…' : 'Print Calibration Sheet'}
+              </button>
+            </>
+          )}
+          {step === 'measure' && (
+            <>
+              <button className="btn ghost" onClick={() => setStep('print')}>Back</button>
+              <button className="btn primary" disabled={!hasAllReadings || !!error} onClick={handleSave}>Save Calibration</button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -222,13 +222,14 @@ export function ReportsPanel({ checkHistory, onClose, showToast }) {
                                                     #{c.checkNumber || '—'}
                                                     <span style={{ fontWeight: 400, marginLeft: '8px' }}>{c.payee || 'No payee'}</span>
                                                 </div>
+                                                {c.voidReason && <div className="panel-list-secondary">{c.voidReason}</div>}
                                             </div>
                                             <div className="panel-row" style={{ gap: '12px' }}>
                                                 <span className="panel-list-amount" style={{ color: 'var(--danger)' }}>
                                                     {formatAmount(parseAmount(String(c.amount || '0')))}
                                                 </span>
                                                 <span style={{ fontSize: '11px', color: 'var(--text-dim)' }}>
-                                                    {new Date(c.voidedAt || c.date || c.printedAt).toLocaleDateString()}
+                                                    {new Date(c.voidDate || c.voidedAt || c.date || c.printedAt).toLocaleDateString()}
                                                 </span>
                                             </div>
                                         </div>
@@ -27,7 +27,7 @@ import { LOCALES } from '../../../config/locales'
 const REGION_OPTIONS = Object.values(LOCALES).map(loc => ({
     id: loc.id,
     label: loc.label,
-    flag: { US: '🇺🇸', CA: '🇨🇦', GB: '🇬🇧', FR: '🇫🇷', PH: '🇵🇭' }[loc.id] || '🌍',
+    flag: { US: '🇺🇸', CA: '🇨🇦', GB: '🇬🇧', FR: '🇫🇷', PH: '🇵🇭', IN: '🇮🇳' }[loc.id] || '🌍',
     currency: `${loc.currency.symbol} ${loc.currency.code}`,
     paper: loc.paper.name
 }))
@@ -0,0 +1,124 @@
+import React, { useState } from 'react'
+import { formatCurrency } from '../../utils/helpers'
+import { getLocalDateString } from '../../utils/date'
+
+export function VoidCheckModal({
+  voidTarget, nextCheckNumber, defaultVoidedBy = '', onCancel, onConfirm
+}) {
+  const [reason, setReason] = useState('')
+  const [voidedBy, setVoidedBy] = useState(defaultVoidedBy)
+  const [voidDate, setVoidDate] = useState(getLocalDateString())
+  const [reissue, setReissue] = useState(false)
+  const [reissueCheckNumber, setReissueCheckNumber] = useState(String(nextCheckNumber))
+
+  const canSubmit = reason.trim() && voidedBy.trim() && voidDate && (!reissue || reissueCheckNumber.trim())
+
+  const handleConfirm = () => {
+    if (!canSubmit) return
+    onConfirm({
+      reason: reason.trim(),
+      voidedBy: voidedBy.trim(),
+      voidDate,
+      reissue,
+      reissueCheckNumber: reissueCheckNumber.trim()
+    })
+  }
+
+  const inputStyle = {
+    width: '100%',
+    background: 'var(--surface-elevated)',
+    color: 'var(--text)',
+    border: '1px solid var(--border)',
+    borderRadius: '6px',
+    padding: '10px 12px',
+    fontSize: '14px'
+  }
+
+  return (
+    <div className="modal-overlay confirm-modal no-print" onMouseDown={(e) => e.target === e.currentTarget && onCancel()}>
+      <div className="modal-content" style={{ maxWidth: '500px' }}>
+        <div className="modal-header">
+          <h2>Void Check #{voidTarget.checkNumber || '—'}</h2>
+          <button className="btn-icon" onClick={onCancel}>×</button>
+        </div>
+        <div className="modal-body">
+          <div style={{
+            padding: '12px',
+            backgroundColor: 'var(--surface-elevated)',
+            borderRadius: '6px',
+            border: '1px solid var(--border-subtle)',
+            marginBottom: '16px'
+          }}>
+            <div><strong>Payee:</strong> {voidTarget.payee}</div>
+            <div><strong>Amount:</strong> {formatCurrency(voidTarget.amount)}</div>
+            <div><strong>Date:</strong> {voidTarget.date}</div>
+          </div>
+
+          <div className="field">
+            <label>Reason for Void <span style={{ color: '#ef4444' }}>*</span></label>
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="e.g. Lost in mail, wrong amount, printer jam..."
+              rows={3}
+              autoFocus
+              style={{ ...inputStyle, resize: 'vertical', minHeight: '80px' }}
+            />
+          </div>
+
+          <div className="field">
+            <label>Voided By <span style={{ color: '#ef4444' }}>*</span></label>
+            <input
+              type="text"
+              value={voidedBy}
+              onChange={(e) => setVoidedBy(e.target.value)}
+              placeholder="Your name"
+              style={inputStyle}
+            />
+          </div>
+
+          <div className="field">
+            <label>Void Date</label>
+            <input
+              type="date"
+              value={voidDate}
+              onChange={(e) => setVoidDate(e.target.value)}
+              style={inputStyle}
+            />
+          </div>
+
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer', fontSize: '14px' }}>
+            <input
+              type="checkbox"
+              checked={reissue}
+              onChange={(e) => setReissue(e.target.checked)}
+            />
+            Reissue with a new check number
+          </label>
+
+          {reissue && (
+            <div className="field" style={{ marginTop: '12px' }}>
+              <label>Replacement Check #</label>
+              <input
+                type="text"
+                value={reissueCheckNumber}
+                onChange={(e) => setReissueCheckNumber(e.target.value.replace(/\D/g, ''))}
+                style={inputStyle}
+              />
+            </div>
+          )}
+
+          <p style={{ fontSize: '12px', color: 'var(--text-dim)', marginTop: '12px' }}>
+            {formatCurrency(voidTarget.amount)} will be returned to the ledger balance. The check stays in history marked VOID for audit purposes.
+          </p>
+        </div>
+        <div className="modal-footer">
+          <button className="btn ghost" onClick={onCancel}>Cancel</button>
+          <button className="btn danger" onClick={handleConfirm} disabled={!canSubmit}>
+            {reissue ? 'Void & Reissue' : 'Void Check'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,114 @@
+import React, { useState, useEffect } from 'react'
+import { cleanSignatureImage, INK_COLORS, DEFAULT_CLEANUP_OPTIONS } from '../../utils/signatureCleanup'
+
+/**
+ * SignatureImportPreview — before/after view of an imported signature scan
+ * with the cleanup controls. Saves the cleaned transparent PNG, or the file
+ * as-is for images that are already clean.
+ *
+ * @param {Object} props
+ * @param {string} props.imageDataUrl - The imported image
+ * @param {Function} props.onSave - Called with the data URL to keep
+ * @param {Function} props.onCancel - Discard the import
+ */
+export function SignatureImportPreview({ imageDataUrl, onSave, onCancel }) {
+    const [options, setOptions] = useState(DEFAULT_CLEANUP_OPTIONS)
+    const [result, setResult] = useState(null)
+    const [autoThreshold, setAutoThreshold] = useState(null)
+    const [isProcessing, setIsProcessing] = useState(true)
+
+    useEffect(() => {
+        let cancelled = false
+        setIsProcessing(true)
+        cleanSignatureImage(imageDataUrl, options)
+            .then(cleaned => {
+                if (cancelled) return
+                setResult(cleaned)
+                if (options.threshold === null && cleaned) setAutoThreshold(cleaned.threshold)
+            })
+            .catch(error => {
+                console.error('[Signature] Cleanup failed:', error)
+                if (!cancelled) setResult(null)
+            })
+            .finally(() => !cancelled && setIsProcessing(false))
+        return () => { cancelled = true }
+    }, [imageDataUrl, options])
+
+    const update = (partial) => setOptions(prev => ({ ...prev, ...partial }))
+    const threshold = options.threshold ?? autoThreshold ?? 128
+
+    return (
+        <div className="sig-import">
+            <div className="sig-import-compare">
+                <figure>
+                    <figcaption>Before</figcaption>
+                    <img src={imageDataUrl} alt="Imported signature" />
+                </figure>
+                <figure>
+                    <figcaption>After</figcaption>
+                    {result ? (
+                        <img src={result.dataUrl} alt="Cleaned signature" className="sig-import-cleaned" />
+                    ) : (
+                        <div className="sig-import-empty">{isProcessing ? 'Cleaning up…' : 'No ink found'}</div>
+                    )}
+                </figure>
+            </div>
+
+            <div className="sig-import-controls">
+                <label className="sig-canvas-tool-group">
+                    <span className="sig-canvas-tool-label">Background</span>
+                    <input
+                        type="range"
+                        min="1"
+                        max="254"
+                        value={threshold}
+                        onChange={(e) => update({ threshold: parseInt(e.target.value, 10) })}
+                        className="sig-canvas-slider"
+                        title="Lower removes more; raise it if faint strokes disappear"
+                    />
+                </label>
+                <button
+                    className="btn btn-sm ghost"
+                    onClick={() => update({ threshold: null })}
+                    disabled={options.threshold === null}
+                >
+                    Auto
+                </button>
+            </div>
+            <div className="sig-import-controls">
+                <label className="sig-canvas-tool-group">
+                    <span className="sig-canvas-tool-label">Ink</span>
+                    <select value={options.inkColor} onChange={(e) => update({ inkColor: e.target.value })}>
+                        {Object.entries(INK_COLORS).map(([id, { label }]) => (
+                            <option key={id} value={id}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="sig-canvas-tool-group">
+                    <input
+                        type="checkbox"
+                        checked={options.smoothing}
+                        onChange={(e) => update({ smoothing: e.target.checked })}
+                    />
+                    <span className="sig-canvas-tool-label">Smooth edges</span>
+                </label>
+            </div>
+
+            <div className="sig-canvas-actions">
+                <button className="btn btn-sm" onClick={onCancel}>
+                    Cancel
+                </button>
+                <button className="btn btn-sm" onClick={() => onSave(imageDataUrl)} title="Keep the file unchanged">
+                    Use Original
+                </button>
+                <button
+                    className="btn btn-sm primary"
+                    onClick={() => onSave(result.dataUrl)}
+                    disabled={!result || isProcessing}
+                >
+                    Use Cleaned
+                </button>
+            </div>
+        </div>
+    )
+}
@@ -1,11 +1,13 @@
 import React, { useState } from 'react'
 import { SignatureCanvas } from './SignatureCanvas'
+import { SignatureImportPreview } from './SignatureImportPreview'
 
 /**
  * SignaturePad — Admin-only panel for managing digital signature images.
  *
  * Displayed inside the Sidebar's Design section. Supports two input modes:
- *   1. Upload — Load a signature image from file (PNG with transparency recommended)
+ *   1. Upload — Load a signature image from file, reviewed in the cleanup
+ *      preview (background removal, crop, ink colour) before it's saved
  *   2. Draw — Freehand drawing pad with pen customization
  *
  * @param {Object} props
@@ -18,8 +20,22 @@ import { SignatureCanvas } from './SignatureCanvas'
  * @param {Function} props.onToggle - Toggle visibility
  * @param {Function} props.onOpacityChange - Update opacity (0–1)
  * @param {Function} props.onSaveDrawn - Save a drawn signature (receives data URL)
+ * @param {string} [props.title='Digital Signature'] - Heading, to tell signature slots apart
+ * @param {Array} [props.ledgers] - Ledgers the signature can be limited to
+ * @param {string[]} [props.ledgerIds] - Ledgers it may print on; empty means all
+ * @param {Function} [props.onLedgerScopeChange] - Update the ledger list
+ * @param {string|null} [props.importImage] - Uploaded image awaiting cleanup review
+ * @param {Function} [props.onConfirmImport] - Save the reviewed upload (receives data URL)
+ * @param {Function} [props.onCancelImport] - Discard the upload
  */
 export function SignaturePad({
+    title = 'Digital Signature',
+    ledgers = [],
+    ledgerIds = [],
+    onLedgerScopeChange,
+    importImage = null,
+    onConfirmImport,
+    onCancelImport,
     signatureImage,
     signatureEnabled,
     signatureOpacity,
@@ -31,6 +47,7 @@ export function SignaturePad({
     onSaveDrawn
 }) {
     const [showDrawPad, setShowDrawPad] = useState(false)
+    const showImport = !!importImage && !showDrawPad
 
     const handleSaveDrawn = (dataUrl) => {
         if (onSaveDrawn) {
@@ -42,7 +59,7 @@ export function SignaturePad({
     return (
         <div className="signature-pad">
             <div className="signature-pad-header">
-                <span className="signature-pad-title">Digital Signature</span>
+                <span className="signature-pad-title">{title}</span>
                 {signatureImage && (
                     <label className="toggle-switch" title={signatureEnabled ? 'Hide signature' : 'Show signature'}>
                         <input
@@ -63,8 +80,17 @@ export function SignaturePad({
                 />
             )}
 
+            {/* Cleanup review for an uploaded scan */}
+            {showImport && (
+                <SignatureImportPreview
+                    imageDataUrl={importImage}
+                    onSave={onConfirmImport}
+                    onCancel={onCancelImport}
+                />
+            )}
+
             {/* Signature preview (when a signature exists and draw pad is closed) */}
-            {!showDrawPad && signatureImage ? (
+            {showImport ? null : !showDrawPad && signatureImage ? (
                 <div className="signature-preview-container">
                     <img
                         src={signatureImage}
@@ -123,13 +149,13 @@ export function SignaturePad({
                             <line x1="12" y1="3" x2="12" y2="15" />
                         </svg>
                         <span className="sig-option-label">{isLoading ? 'Selecting...' : 'Upload Image'}</span>
-                        <span className="sig-option-hint">PNG with transparency recommended</span>
+                        <span className="sig-option-hint">Scans are cleaned up before saving</span>
                     </button>
                 </div>
             )}
 
             {/* Opacity slider — only show when a signature exists */}
-            {signatureImage && !showDrawPad && (
+            {signatureImage && !showDrawPad && !showImport && (
                 <div className="signature-opacity-control">
                     <label style={{ fontSize: '12px', color: 'var(--text-label)', display: 'flex', justifyContent: 'space-between' }}>
                         <span>Opacity</span>
@@ -146,6 +172,25 @@ export function SignaturePad({
                     />
                 </div>
             )}
+
+            {/* Ledger scope — keeps one entity's signer off another's checks */}
+            {signatureImage && !showDrawPad && !showImport && onLedgerScopeChange && ledgers.length > 1 && (
+                <div className="signature-scope">
+                    <div>Print on ledgers {ledgerIds.length === 0 && '(all)'}</div>
+                    {ledgers.map(l => (
+                        <label key={l.id}>
+                            <input
+                                type="checkbox"
+                                checked={ledgerIds.includes(l.id)}
+                                onChange={(e) => onLedgerScopeChange(e.target.checked
+                                    ? [...ledgerIds, l.id]
+                                    : ledgerIds.filter(id => id !== l.id))}
+                            />
+                            {l.name}
+                        </label>
+                    ))}
+                </div>
+            )}
         </div>
     )
 }
@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react'
+import { formatCurrency } from '../../utils/helpers'
+import { DEFAULT_SIGNER_SESSION_MINUTES } from '../../utils/signatureAuth'
+
+const METHOD_LABELS = { approval: 'approval', pin: 'PIN' }
+
+/**
+ * SignatureSecuritySettings — admin settings for the signer PIN and session
+ * length, and the most recent entries of the signed print log.
+ *
+ * @param {Object} props
+ * @param {Object} props.pinStatus - { hasPin, signer }
+ * @param {Function} props.onSetPin - (signer, pin, currentPin) => Promise<{ success, error }>
+ * @param {number} props.sessionMinutes
+ * @param {Function} props.onSessionMinutesChange
+ * @param {Function} [props.showToast]
+ */
+export function SignatureSecuritySettings({ pinStatus, onSetPin, sessionMinutes, onSessionMinutesChange, showToast }) {
+    const [signer, setSigner] = useState(pinStatus.signer || '')
+    const [pin, setPin] = useState('')
+    // Changing an existing PIN takes the current one
+    const [currentPin, setCurrentPin] = useState('')
+    const [log, setLog] = useState([])
+
+    useEffect(() => setSigner(pinStatus.signer || ''), [pinStatus.signer])
+
+    const refreshLog = async () => {
+        const res = await window.cs2.signatureReadLog(20)
+        if (res?.success) setLog(res.entries)
+    }
+
+    useEffect(() => { refreshLog() }, [])
+
+    const handleSetPin = async () => {
+        const res = await onSetPin(signer, pin, currentPin)
+        setPin('')
+        setCurrentPin('')
+        if (res?.success) showToast?.('Signer PIN saved', 'success')
+        else showToast?.(res?.error || 'Could not save PIN', 'error')
+    }
+
+    return (
+        <div className="card">
+            <p className="hint">
+                Signatures print only on approved checks or while a signer session is open. Every signed print is logged.
+            </p>
+            <div className="field-row">
+                <div className="field">
+                    <label>Signer Name</label>
+                    <input value={signer} onChange={(e) => setSigner(e.target.value)} placeholder="Signer" />
+                </div>
+                <div className="field">
+                    <label>{pinStatus.hasPin ? 'New PIN' : 'PIN'}</label>
+                    <input
+                        type="password"
+                        inputMode="numeric"
+                        value={pin}
+                        placeholder="4–12 digits"
+                        onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+                    />
+                </div>
+            </div>
+            {pinStatus.hasPin && (
+                <div className="field">
+                    <label>Current PIN</label>
+                    <input
+                        type="password"
+                        inputMode="numeric"
+                        value={currentPin}
+                        onChange={(e) => setCurrentPin(e.target.value.replace(/\D/g, ''))}
+                    />
+                </div>
+            )}
+            <button
+                className="btn ghost full-width"
+                onClick={handleSetPin}
+                disabled={pin.length < 4 || (pinStatus.hasPin && currentPin.length < 4)}
+            >
+                {pinStatus.hasPin ? 'Change Signer PIN' : 'Set Signer PIN'}
+            </button>
+            <div className="field" style={{ marginTop: '12px' }}>
+                <label>Session Length (minutes)</label>
+                <input
+                    type="number"
+                    min="1"
+                    value={sessionMinutes ?? DEFAULT_SIGNER_SESSION_MINUTES}
+                    onChange={(e) => onSessionMinutesChange(Math.max(1, parseInt(e.target.value, 10) || DEFAULT_SIGNER_SESSION_MINUTES))}
+                />
+            </div>
+
+            <div className="signature-log">
+                <div className="signature-log-header">
+                    <span>Recent Signed Prints</span>
+                    <button className="btn btn-sm ghost" onClick={refreshLog}>Refresh</button>
+                </div>
+                {log.length === 0 ? (
+                    <div className="hint">No signed prints yet.</div>
+                ) : log.map((entry, i) => (
+                    <div key={i} className="signature-log-entry">
+                        <span>#{entry.checkNumber || '—'} {entry.payee} · {formatCurrency(entry.amount)}</span>
+                        <span>
+                            {entry.authorizedBy} ({METHOD_LABELS[entry.method] || entry.method}) · {entry.action} · {new Date(entry.loggedAt).toLocaleString()}
+                        </span>
+                    </div>
+                ))}
+            </div>
+        </div>
+    )
+}
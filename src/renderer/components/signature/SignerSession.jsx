@@ -0,0 +1,69 @@
+import React, { useState, useEffect } from 'react'
+import { isSignerSessionActive } from '../../utils/signatureAuth'
+
+/**
+ * SignerSession — unlock signatures for this session with the signer PIN,
+ * or ask for approval of the check on screen instead.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.session - Open signer session
+ * @param {Object} props.pinStatus - { hasPin, signer }
+ * @param {Function} props.onUnlock - (pin) => Promise<{ success, error }>
+ * @param {Function} props.onLock - End the session now
+ * @param {Function} [props.onRequestApproval] - Queue the current check(s) for approval
+ */
+export function SignerSession({ session, pinStatus, onUnlock, onLock, onRequestApproval }) {
+    const [pin, setPin] = useState('')
+    const [error, setError] = useState('')
+    const [now, setNow] = useState(Date.now())
+    const active = isSignerSessionActive(session, now)
+
+    // Keep the countdown current
+    useEffect(() => {
+        if (!session) return
+        const timer = setInterval(() => setNow(Date.now()), 30 * 1000)
+        setNow(Date.now())
+        return () => clearInterval(timer)
+    }, [session])
+
+    const handleUnlock = async () => {
+        const res = await onUnlock(pin)
+        setPin('')
+        setError(res?.success ? '' : (res?.error || 'Could not unlock'))
+    }
+
+    if (active) {
+        const minutes = Math.max(1, Math.ceil((session.expiresAt - now) / 60000))
+        return (
+            <div className="signer-session">
+                <span>✍️ Signing as <strong>{session.signer}</strong> · {minutes} min left</span>
+                <button className="btn btn-sm" onClick={onLock}>Lock</button>
+            </div>
+        )
+    }
+
+    return (
+        <div className="signer-session locked">
+            <div>🔒 Signatures print only on approved checks or after the signer PIN is entered.</div>
+            {pinStatus.hasPin ? (
+                <div className="signer-session-row">
+                    <input
+                        type="password"
+                        inputMode="numeric"
+                        placeholder={`PIN for ${pinStatus.signer}`}
+                        value={pin}
+                        onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+                        onKeyDown={(e) => e.key === 'Enter' && pin && handleUnlock()}
+                    />
+                    <button className="btn btn-sm primary" onClick={handleUnlock} disabled={!pin}>Unlock</button>
+                </div>
+            ) : (
+                <div className="hint">No signer PIN set. An admin can set one in Settings → Signature Security.</div>
+            )}
+            {error && <div className="signer-session-error">{error}</div>}
+            {onRequestApproval && (
+                <button className="btn btn-sm ghost" onClick={onRequestApproval}>Request Approval</button>
+            )}
+        </div>
+    )
+}
@@ -24,6 +24,7 @@ export function VendorForm({ vendor, onSave, onCancel, compiledGlCodes = [] }) {
         phone: vendor?.phone || '',
         email: vendor?.email || '',
         taxId: vendor?.taxId || '',
+        accountNumber: vendor?.accountNumber || '',
         is1099Eligible: vendor?.is1099Eligible || false,
         defaultGlCode: vendor?.defaultGlCode || '',
         notes: vendor?.notes || ''
@@ -143,6 +144,18 @@ export function VendorForm({ vendor, onSave, onCancel, compiledGlCodes = [] }) {
                 </div>
             </div>
 
+            {/* Our account number with this vendor - printable via {vendor.accountNumber} */}
+            <div className="panel-field">
+                <label className="panel-label">Account Number</label>
+                <input
+                    type="text"
+                    className="panel-input"
+                    value={form.accountNumber}
+                    onChange={(e) => updateField('accountNumber', e.target.value)}
+                    placeholder="Your account # with this vendor"
+                />
+            </div>
+
             {/* Tax ID / 1099 Eligible */}
             <div style={{ display: 'grid', gridTemplateColumns: '1fr auto', gap: '12px', alignItems: 'end', marginBottom: '14px' }}>
                 <div>
@@ -12,9 +12,10 @@ import { VendorForm } from './VendorForm'
  * @param {Array} props.compiledGlCodes - Available GL codes
  * @param {Function} props.onClose - Close the panel
  * @param {Function} props.onOpen1099 - Open the 1099 report modal
+ * @param {Function} props.onPrintLabels - Open mailing labels for the vendor list
  * @param {Function} props.showToast - Display a toast notification
  */
-export function VendorPanel({ vendorHook, compiledGlCodes, onClose, onOpen1099, showToast }) {
+export function VendorPanel({ vendorHook, compiledGlCodes, onClose, onOpen1099, onPrintLabels, showToast }) {
     const {
         vendors,
         vendorStats,
@@ -88,6 +89,11 @@ export function VendorPanel({ vendorHook, compiledGlCodes, onClose, onOpen1099,
                                 📋 1099 Report
                             </button>
                         )}
+                        {onPrintLabels && vendorStats.total > 0 && (
+                            <button className="btn btn-sm" onClick={onPrintLabels} title="Print mailing labels">
+                                🏷️ Labels
+                            </button>
+                        )}
                         <button className="modal-close-btn" onClick={onClose} title="Close">✕</button>
                     </div>
                 </div>
@@ -1,5 +1,7 @@
 import { sanitizeCurrencyInput, formatCurrency } from '../utils/helpers'
 import { getLocalDateString } from '../utils/date'
+import { DEFAULT_CHECK_SECURITY } from '../utils/checkSecurity'
+import { isPdfTemplatePath, readPdfTemplate, getDataUrlByteLength, PDF_TEMPLATE_DPI } from '../utils/pdfTemplate'
 import { getLocale, DEFAULT_LOCALE_ID } from '../../config/locales'
 
 // App version from package.json (injected by Vite)
@@ -34,13 +36,97 @@ export const DEFAULT_LAYOUT = {
   sectionOrder: ['check', 'stub1', 'stub2']
 }
 
+/**
+ * Cheque layout presets a locale can apply (locale.checkPreset).
+ * Field positions are relative to the top of the check section.
+ *
+ * cts2010 — Reserve Bank of India CTS-2010 standard leaf, 8" × 3.667",
+ * with the date printed one digit per box (DDMMYYYY) and the bottom
+ * 5/8" left clear for the MICR band.
+ */
+export const CHECK_LAYOUT_PRESETS = {
+  cts2010: {
+    label: 'India CTS-2010 Cheque (8" × 3.667")',
+    layout: { widthIn: 8, checkHeightIn: 3.667 },
+    fields: {
+      date: { x: 5.95, y: 0.30, w: 1.84, h: 0.28, label: 'Date (DDMMYYYY)' },
+      payee: { x: 0.65, y: 0.85, w: 5.55, h: 0.35, label: 'Pay' },
+      amountWords: { x: 1.0, y: 1.25, w: 5.2, h: 0.35, label: 'Rupees' },
+      amount: { x: 6.15, y: 1.40, w: 1.60, h: 0.35, label: 'Amount (₹)' },
+      memo: { x: 0.65, y: 2.05, w: 3.0, h: 0.30, label: 'Memo' },
+      checkNumber: { x: 0.30, y: 0.15, w: 0.9, h: 0.25, label: 'Cheque #' },
+      signature: { x: 5.35, y: 2.20, w: 2.3, h: 0.60, label: 'Signature' }
+    },
+    dateFormat: {
+      dateSlot1: 'DD',
+      dateSlot2: 'MM',
+      dateSlot3: 'YYYY',
+      dateSeparator: 'Empty',
+      useLongDate: false,
+      dateBoxed: true
+    }
+  }
+}
+
+/**
+ * Return the cheque preset configured for a locale, or null.
+ */
+export function getLocaleCheckPreset(localeId) {
+  const presetId = getLocale(localeId).checkPreset
+  return (presetId && CHECK_LAYOUT_PRESETS[presetId]) || null
+}
+
+/**
+ * Apply a cheque preset's field positions to a model.
+ * Only the fields named by the preset move; others keep their position.
+ *
+ * @param {Object} model - Current model
+ * @param {Object} preset - Entry from CHECK_LAYOUT_PRESETS
+ * @returns {Object} New model
+ */
+export function applyCheckLayoutPreset(model, preset) {
+  if (!preset) return model
+  const layout = { ...model.layout, ...preset.layout }
+  const checkY = calculateBaseYForSection('check', layout)
+  const place = (fields, baseY) => {
+    const next = { ...fields }
+    for (const [key, pos] of Object.entries(preset.fields)) {
+      next[key] = { ...(fields?.[key] || {}), ...pos, y: baseY + pos.y }
+    }
+    return next
+  }
+  return {
+    ...model,
+    layout,
+    fields: place(model.fields, checkY),
+    slotFields: model.slotFields
+      ? Object.fromEntries(Object.entries(model.slotFields).map(([slot, fields]) => [slot, place(fields, 0)]))
+      : model.slotFields
+  }
+}
+
 /**
  * Return layout dimensions sized for the given locale's paper.
  * Letter (8.5×11") and A4 (8.27×11.69") both split into perfect thirds.
+ * Locales with a cheque preset use its check size and share the rest of
+ * the page between the stubs.
  */
 export function getLocaleLayout(localeId) {
   const paper = getLocale(localeId).paper
   const r2 = (n) => Math.round(n * 100) / 100
+  const preset = getLocaleCheckPreset(localeId)
+  if (preset) {
+    const check = preset.layout.checkHeightIn
+    const stub = r2((paper.height - check) / 2)
+    return {
+      widthIn: preset.layout.widthIn,
+      checkHeightIn: check,
+      stub1HeightIn: stub,
+      stub2HeightIn: r2(paper.height - check - stub),
+      cutLine1In: check,
+      cutLine2In: r2(check * 2)
+    }
+  }
   const third = r2(paper.height / 3)
   const remainder = r2(paper.height - third * 2)
   return {
@@ -75,17 +161,22 @@ export const DEFAULT_PROFILE = {
   template: { path: null, opacity: 0.9, fit: 'cover' },
   placement: { offsetXIn: 0, offsetYIn: 0 },
   nextCheckNumber: 1001, // Next check number to use
+  stockType: 'preprinted', // 'preprinted' or 'blank' (draw the full check face)
+  voidAfterDays: 90, // Stale-date legend on blank stock (0 hides it)
+  security: DEFAULT_CHECK_SECURITY, // Amount/words fill, microprint signature line, copy pantograph
   dateFormat: {
     dateSlot1: 'MM',
     dateSlot2: 'DD',
     dateSlot3: 'YYYY',
     dateSeparator: '/',
-    useLongDate: false
+    useLongDate: false,
+    dateBoxed: false
   }
 }
 
 export const DEFAULT_PREFERENCES = {
   locale: DEFAULT_LOCALE_ID,
+  checkWordsLanguage: '', // Opt-in id from the locale's wordsLanguages; '' keeps the locale's default words
   fontScale: 1.0,
   checkFontScale: 1.0,
   stubFontScale: 1.0,
@@ -98,6 +189,7 @@ export const DEFAULT_PREFERENCES = {
   dateSlot3: 'YYYY',
   dateSeparator: '/',
   useLongDate: false,
+  dateBoxed: false, // One digit per box, no separator (CTS-2010 date box)
   stub1ShowLedger: true,
   stub1ShowApproved: true,
   stub1ShowGLCode: true,
@@ -120,7 +212,26 @@ export const DEFAULT_PREFERENCES = {
   batchPrinterDeviceName: null,
   batchPrinterFriendlyName: null,
   batchPdfExportPath: null,
+  batchPdfCombine: false, // Write the whole batch as one multi-page PDF
+  batchPdfCoverPage: true, // Lead a combined PDF with a per-ledger summary page
+  // Printer calibration (offset/scale per printer deviceName)
+  dialogPrinterDeviceName: null,
+  printerCalibrations: {},
+  // Envelope printing
+  envelopeSize: 'no10', // 'no10' | 'no9' | 'dl'
+  envelopeReturnAddress: true, // False for envelopes with a pre-printed return address
+  envelopePrinterDeviceName: null,
+  envelopeCalibrations: {}, // Offset per printer deviceName, separate from check calibration
+  // Mailing labels
+  labelSheet: 'avery5160', // 'avery5160' | 'avery5163' | 'averyL7163'
+  labelPrinterDeviceName: null,
   allowUserLedgerManagement: false,
+  lastVoidedBy: '', // Prefills "Voided By" in the void dialog
+  // Pre-print validation (see utils/checkValidation)
+  validationRules: {}, // ruleId -> 'error' | 'warning' | 'off'; missing rules use their default
+  staleCheckDays: 180,
+  // Signer PIN session length before signatures lock again
+  signerSessionMinutes: 15,
   // Address/envelope visibility per section
   showAddressOnCheck: true,
   showAddressOnStub1: false,
@@ -244,31 +355,39 @@ export function formatDateByPreference(dateStr, prefs) {
     slotMap[prefs.dateSlot3] || ''
   ].filter(part => part !== '')
 
+  // Boxed dates print bare digits, one per box
+  if (prefs.dateBoxed) return parts.join('')
+
   // Get separator (empty string if 'Empty' selected)
   const separator = prefs.dateSeparator === 'Empty' ? '' : (prefs.dateSeparator || '/')
 
   return parts.join(separator)
 }
 
+// Captions for each box of a boxed date, e.g. ['D','D','M','M','Y','Y','Y','Y']
+export function getDateBoxLabels(prefs) {
+  const slots = [prefs.dateSlot1, prefs.dateSlot2, prefs.dateSlot3]
+    .filter(slot => ['MM', 'DD', 'YY', 'YYYY'].includes(slot))
+  return slots.join('').split('')
+}
+
+// Items past maxLines go on the remittance advice page printed after the check
 export function formatLineItems(lineItems, maxLines = 5) {
   if (!lineItems || !Array.isArray(lineItems) || lineItems.length === 0) return ''
 
-  const displayItems = lineItems.slice(0, maxLines)
-  const hasMore = lineItems.length > maxLines
-
-  let text = displayItems.map((item, idx) => {
+  const lines = lineItems.slice(0, maxLines).map((item, idx) => {
     const desc = item.description || item.desc || ''
     const amt = item.amount ? formatCurrency(sanitizeCurrencyInput(item.amount)) : ''
     return `${idx + 1}. ${desc}${amt ? ' - ' + amt : ''}`
-  }).join('\n')
+  })
 
-  if (hasMore) {
+  if (lineItems.length > maxLines) {
     const remaining = lineItems.length - maxLines
-    text += `\n\n... and ${remaining} more item${remaining > 1 ? 's' : ''}`
-    text += '\nSee Attached for Full Detail'
+    lines.push(`... and ${remaining} more item${remaining > 1 ? 's' : ''}`)
+    lines.push('See attached remittance')
   }
 
-  return text
+  return lines.join('\n')
 }
 
 export function formatLedgerSnapshot(snapshot, ledgerName) {
@@ -460,8 +579,27 @@ export function normalizeModel(maybeModel) {
   }
 }
 
-export async function readTemplateDataUrl(path) {
+export async function readTemplateDataUrl(path, { page = 1 } = {}) {
   if (!path) return null
+
+  // PDF templates are rasterised at print resolution and then behave like images
+  if (isPdfTemplatePath(path)) {
+    const pdf = await readPdfTemplate(path, { page })
+    if (pdf.error) return { url: null, error: pdf.error }
+    return {
+      url: pdf.dataUrl,
+      error: null,
+      mime: 'image/png',
+      byteLength: getDataUrlByteLength(pdf.dataUrl),
+      width: pdf.width,
+      height: pdf.height,
+      source: 'pdf',
+      page: pdf.page,
+      pageCount: pdf.pageCount,
+      dpi: PDF_TEMPLATE_DPI
+    }
+  }
+
   const res = await window.cs2.readFileAsDataURL(path)
   if (!res?.success) return { url: null, error: res?.error || 'Failed to read template image' }
 
@@ -3,7 +3,8 @@ import {
   formatAmountForDisplay, formatDate, formatDateByPreference,
   formatLineItems, formatLedgerSnapshot, getDateRangeForFilter,
   normalizeModel, DEFAULT_LAYOUT, DEFAULT_FIELDS, DEFAULT_MODEL,
-  DEFAULT_PREFERENCES
+  DEFAULT_PREFERENCES, getDateBoxLabels, getLocaleLayout, getLocaleCheckPreset,
+  applyCheckLayoutPreset, CHECK_LAYOUT_PRESETS
 } from './defaults'
 
 describe('clamp', () => {
@@ -163,6 +164,63 @@ describe('formatDateByPreference', () => {
   it('returns empty string for invalid date', () => {
     expect(formatDateByPreference('not-a-date', defaultPrefs)).toBe('')
   })
+
+  it('prints bare digits for boxed dates regardless of separator', () => {
+    const prefs = { ...defaultPrefs, dateSlot1: 'DD', dateSlot2: 'MM', dateBoxed: true }
+    expect(formatDateByPreference('2025-01-15', prefs)).toBe('15012025')
+  })
+})
+
+describe('getDateBoxLabels', () => {
+  it('returns one caption per digit', () => {
+    expect(getDateBoxLabels({ dateSlot1: 'DD', dateSlot2: 'MM', dateSlot3: 'YYYY' }))
+      .toEqual(['D', 'D', 'M', 'M', 'Y', 'Y', 'Y', 'Y'])
+  })
+
+  it('skips empty slots', () => {
+    expect(getDateBoxLabels({ dateSlot1: 'MM', dateSlot2: 'YY', dateSlot3: 'Empty' }))
+      .toEqual(['M', 'M', 'Y', 'Y'])
+  })
+})
+
+describe('cheque layout presets', () => {
+  it('India uses the CTS-2010 preset', () => {
+    expect(getLocaleCheckPreset('IN')).toBe(CHECK_LAYOUT_PRESETS.cts2010)
+    expect(getLocaleCheckPreset('US')).toBeNull()
+  })
+
+  it('sizes the check section to the CTS-2010 leaf', () => {
+    const layout = getLocaleLayout('IN')
+    expect(layout.widthIn).toBe(8)
+    expect(layout.checkHeightIn).toBe(3.667)
+    expect(layout.checkHeightIn + layout.stub1HeightIn + layout.stub2HeightIn).toBeCloseTo(11.69, 2)
+  })
+
+  it('keeps the thirds split for locales without a preset', () => {
+    expect(getLocaleLayout('US').checkHeightIn).toBeCloseTo(11 / 3, 1)
+  })
+
+  it('keeps preset fields inside the leaf and above the MICR band', () => {
+    const { layout, fields } = CHECK_LAYOUT_PRESETS.cts2010
+    for (const f of Object.values(fields)) {
+      expect(f.x + f.w).toBeLessThanOrEqual(layout.widthIn)
+      expect(f.y + f.h).toBeLessThanOrEqual(layout.checkHeightIn - 0.625)
+    }
+  })
+
+  it('moves preset fields relative to the check section', () => {
+    const model = normalizeModel({ layout: { ...DEFAULT_LAYOUT, sectionOrder: ['stub1', 'check', 'stub2'] } })
+    const next = applyCheckLayoutPreset(model, CHECK_LAYOUT_PRESETS.cts2010)
+    const checkY = next.layout.stub1HeightIn
+    expect(next.fields.date.y).toBeCloseTo(checkY + 0.30)
+    expect(next.fields.date.w).toBe(1.84)
+    expect(next.fields.glCode).toEqual(model.fields.glCode)
+  })
+
+  it('returns the model unchanged without a preset', () => {
+    const model = normalizeModel({})
+    expect(applyCheckLayoutPreset(model, null)).toBe(model)
+  })
 })
 
 describe('formatLineItems', () => {
@@ -192,7 +250,13 @@ describe('formatLineItems', () => {
     expect(result).toContain('5. Item 5')
     expect(result).not.toContain('6. Item 6')
     expect(result).toContain('3 more items')
-    expect(result).toContain('See Attached for Full Detail')
+    expect(result).toContain('See attached remittance')
+  })
+
+  it('fits the overflow notice in the given number of lines', () => {
+    const items = Array.from({ length: 8 }, (_, i) => ({ description: `Item ${i + 1}` }))
+    expect(formatLineItems(items, 3).split('\n')).toHaveLength(5)
+    expect(formatLineItems(items, 0)).toBe('... and 8 more items\nSee attached remittance')
   })
 
   it('returns empty string for empty/null/undefined', () => {
@@ -0,0 +1,41 @@
+// Placeholder MICR glyphs on the E-13B 0.013in grid (ISO 1004 / ANSI X9.100-160):
+// every character is 9 units (0.117in) tall at a nominal width of 4–7 units
+// (0.052–0.091in). The shapes are hand-drawn approximations, NOT the spec
+// outlines, so they place and size characters correctly but aren't reliably
+// bank-readable. Replace them with a licensed E-13B font (or the exact spec
+// outlines) before printing checks that will be deposited.
+// Each glyph is a list of [x, y, width, height] rectangles in whole grid units, origin top-left.
+// Characters sit right-aligned in their 0.125in position (see MicrLine), since
+// positions are measured to the character's right edge.
+// Symbols use the MICR text codes from utils/micr.js (T, U, A, D).
+
+export const MICR_GRID_UNIT_IN = 0.013
+export const MICR_GRID_HEIGHT = 9
+
+// Nominal character widths in grid units
+export const MICR_GLYPH_WIDTHS = {
+  '0': 7, '1': 4, '2': 5, '3': 6, '4': 7,
+  '5': 6, '6': 6, '7': 6, '8': 6, '9': 6,
+  T: 7, U: 7, A: 7, D: 7
+}
+
+export const MICR_GLYPHS = {
+  '0': [[1, 0, 5, 1], [0, 1, 2, 7], [5, 1, 2, 7], [1, 8, 5, 1]],
+  '1': [[0, 0, 2, 1], [2, 0, 2, 5], [0, 5, 4, 4]],
+  '2': [[0, 0, 5, 1], [4, 1, 1, 3], [0, 4, 5, 1], [0, 5, 3, 3], [0, 8, 5, 1]],
+  '3': [[0, 0, 5, 1], [4, 1, 1, 3], [1, 4, 5, 1], [3, 5, 3, 3], [0, 8, 6, 1]],
+  '4': [[0, 0, 1, 4], [0, 4, 7, 1], [4, 1, 2, 3], [4, 5, 3, 4]],
+  '5': [[0, 0, 6, 1], [0, 1, 1, 3], [0, 4, 6, 1], [3, 5, 3, 3], [0, 8, 6, 1]],
+  '6': [[0, 0, 6, 1], [0, 1, 1, 3], [0, 4, 6, 1], [0, 5, 3, 3], [5, 5, 1, 3], [0, 8, 6, 1]],
+  '7': [[0, 0, 6, 1], [5, 1, 1, 3], [3, 4, 3, 5]],
+  '8': [[1, 0, 4, 1], [1, 1, 1, 3], [4, 1, 1, 3], [0, 4, 6, 1], [0, 5, 2, 3], [4, 5, 2, 3], [0, 8, 6, 1]],
+  '9': [[0, 0, 6, 1], [0, 1, 1, 3], [5, 1, 1, 3], [0, 4, 6, 1], [3, 5, 3, 4]],
+  // Transit ⑆
+  T: [[0, 0, 2, 9], [4, 0, 3, 3], [4, 6, 3, 3]],
+  // On-us ⑈
+  U: [[0, 0, 2, 6], [5, 0, 2, 6], [0, 7, 7, 2]],
+  // Amount ⑇
+  A: [[0, 3, 2, 3], [3, 0, 1, 9], [5, 3, 2, 3]],
+  // Dash ⑉
+  D: [[0, 1, 2, 2], [2, 4, 3, 2], [5, 7, 2, 2]]
+}
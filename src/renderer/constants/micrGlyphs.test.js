@@ -0,0 +1,35 @@
+import { MICR_GLYPHS, MICR_GLYPH_WIDTHS, MICR_GRID_HEIGHT, MICR_GRID_UNIT_IN } from './micrGlyphs'
+
+describe('MICR_GLYPHS', () => {
+  test('cover every digit and symbol', () => {
+    expect(Object.keys(MICR_GLYPHS).sort()).toEqual(['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', 'A', 'D', 'T', 'U'])
+  })
+
+  test('sit on the 0.013in E-13B grid at their nominal width and full height', () => {
+    expect(MICR_GRID_UNIT_IN * MICR_GRID_HEIGHT).toBeCloseTo(0.117, 6)
+    for (const [char, rects] of Object.entries(MICR_GLYPHS)) {
+      const flat = rects.flat()
+      expect(flat.every(Number.isInteger), char).toBe(true)
+      const right = Math.max(...rects.map(([x, , w]) => x + w))
+      const left = Math.min(...rects.map(([x]) => x))
+      expect(left, char).toBe(0)
+      expect(right, char).toBe(MICR_GLYPH_WIDTHS[char])
+      expect(Math.max(...rects.map(([, y, , h]) => y + h)), char).toBeLessThanOrEqual(MICR_GRID_HEIGHT)
+    }
+  })
+
+  test('digits span the full character height', () => {
+    for (const char of '0123456789') {
+      const rects = MICR_GLYPHS[char]
+      expect(Math.min(...rects.map(([, y]) => y)), char).toBe(0)
+      expect(Math.max(...rects.map(([, y, , h]) => y + h)), char).toBe(MICR_GRID_HEIGHT)
+    }
+  })
+
+  test('nominal widths stay within 0.052–0.091in', () => {
+    for (const width of Object.values(MICR_GLYPH_WIDTHS)) {
+      expect(width * MICR_GRID_UNIT_IN).toBeGreaterThanOrEqual(0.052 - 1e-9)
+      expect(width * MICR_GRID_UNIT_IN).toBeLessThanOrEqual(0.091 + 1e-9)
+    }
+  })
+})
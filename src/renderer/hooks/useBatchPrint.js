@@ -4,14 +4,21 @@ import { generateId, sanitizeCurrencyInput } from '../utils/helpers'
 import { numberToWords } from '../../shared/numberToWords'
 import { convertExcelDate } from '../utils/parsing'
 import { getLocale } from '../../config/locales'
+import { voidEntry } from '../utils/historyHelpers'
+import { createSpoiledEntry } from '../utils/checkRegistry'
+import { getBatchBookmark, summarizeBatch, getCombinedPdfFilename } from '../utils/batchPdf'
+import { JOURNAL_STATE, createJournalJob, createJournalItem } from '../utils/printJournal'
+
+const MISPRINT_REASON = 'Misprint — reprinted on new stock'
+const SHEET_SPOILED_REASON = 'Misprint — on a failed sheet, not reprinted'
 
 export function useBatchPrint({
   model, preferences, setPreferences, activeProfile, importQueue, setImportQueue,
   recordCheck, calculateHybridBalance, generatePrintFilename, showToast, confirmPrintFailure,
-  ledgers, setLedgers, checkHistory, setCheckHistory, setData, setSheetData,
+  ledgers, setLedgers, checkHistory, setCheckHistory,
   profiles, setProfiles, activeProfileId, setShowImportQueue,
-  showConfirm, getEmptySlotData, getAddressFromHistory, getGlDetailsFromHistory, updateLedgerBalance,
-  setIsPrinting, activeLedgerId
+  showConfirm, getEmptySlotData, getAddressFromHistory, getGlDetailsFromHistory,
+  activeLedgerId, confirmCheckNumbers, confirmValidation, buildPrintJob, logSignedPrint
 }) {
   const [isBatchPrinting, setIsBatchPrinting] = useState(false)
   const [batchPrintProgress, setBatchPrintProgress] = useState({ current: 0, total: 0 })
@@ -43,7 +50,38 @@ export function useBatchPrint({
     }
 
     setShowBatchPrintConfirm(false)
-    await executeBatchPrintAndRecord()
+
+    // Check the numbers against the registry, then review dates, balances etc. before anything prints
+    const planned = getPlannedChecks()
+    const validateAndPrint = async () => {
+      if (!confirmValidation(planned, executeBatchPrintAndRecord, 'Print Anyway')) return
+      await executeBatchPrintAndRecord()
+    }
+    if (!confirmCheckNumbers(planned, validateAndPrint, 'Print Anyway')) return
+
+    await validateAndPrint()
+  }
+
+  // Checks the batch will print, mirroring the numbering and dates in executeBatchPrintAndRecord
+  const getPlannedChecks = () => {
+    let currentCheckNumber = batchAutoNumber ? parseInt(batchStartNumber) || 1001 : null
+    const planned = []
+    for (const item of importQueue) {
+      if (sanitizeCurrencyInput(item.amount) <= 0 || !item.payee?.trim()) continue
+      const name = item.ledger?.trim()
+      const ledger = name ? ledgers.find(l => l.name.toLowerCase() === name.toLowerCase()) : null
+      planned.push({
+        payee: item.payee,
+        amount: item.amount,
+        date: item.date && !/^\d{4}-\d{2}-\d{2}$/.test(item.date) ? convertExcelDate(item.date) : (item.date || getLocalDateString()),
+        glCode: item.glCode || getGlDetailsFromHistory(item.payee).code || '',
+        // Ledgers the batch will create have no history yet; only in-batch repeats can clash
+        ledgerId: name ? (ledger?.id || `new:${name.toLowerCase()}`) : activeLedgerId,
+        checkNumber: batchAutoNumber ? String(currentCheckNumber) : (item.checkNumber || '')
+      })
+      if (batchAutoNumber) currentCheckNumber++
+    }
+    return planned
   }
 
   const cancelBatchPrintConfirm = () => {
@@ -81,268 +119,162 @@ export function useBatchPrint({
     return newLedgerId
   }
 
-  // Standard mode: One check at a time
-  const executeBatchPrintStandard = async () => {
-    // Initialize batch print state
-    setIsBatchPrinting(true)
-    setBatchPrintCancelled(false)
-    batchCancelledRef.current = false
-    setBatchPrintProgress({ current: 0, total: importQueue.length })
-
-    let processed = 0
-    let failed = 0
-    const newHistory = [...checkHistory]
-
-    // Create a local copy of ledgers to track new ones created during this batch
-    let tempLedgers = [...ledgers]
-    const newLedgersToAdd = []
-
-    // Track balances per ledger (ledgerId -> balance) using hybrid balance calculation
-    const ledgerBalances = {}
-    tempLedgers.forEach(l => {
-      ledgerBalances[l.id] = calculateHybridBalance(l.id)
+  // Misprint recovery: void (if already recorded) or log as spoiled each check
+  // the user says physically failed, and return the items to print again.
+  // Reprints carry a reprintOf link so the replacement can point back.
+  const recoverMisprints = (selected, { newHistory, newSpoiled, ledgerBalances, printedInBatch }) => {
+    const date = getLocalDateString()
+    return selected.map(c => {
+      let spoiledId = null
+      if (c.historyId) {
+        const idx = newHistory.findIndex(h => h.id === c.historyId)
+        if (idx !== -1) {
+          newHistory[idx] = voidEntry(newHistory[idx], { reason: MISPRINT_REASON, voidDate: date, voidedBy: 'Batch Recovery' })
+          ledgerBalances[c.ledgerId] += c.amount
+        }
+        // A voided check can't be recovered twice
+        const printedIdx = printedInBatch.findIndex(p => p.historyId === c.historyId)
+        if (printedIdx !== -1) printedInBatch.splice(printedIdx, 1)
+      } else {
+        const spoiled = createSpoiledEntry({
+          ledgerId: c.ledgerId, checkNumber: c.checkNumber, reason: MISPRINT_REASON, date, spoiledBy: 'Batch Recovery'
+        })
+        newSpoiled.push(spoiled)
+        spoiledId = spoiled.id
+      }
+      return { ...c.item, journalKey: generateId(), reprintOf: { checkNumber: c.checkNumber, historyId: c.historyId, spoiledId } }
     })
+  }
 
-    // Helper to find or create ledger LOCALLY within this batch
-    const getLedgerId = (name) => {
-      if (!name || !name.trim()) return activeLedgerId
-      const trimmed = name.trim().toLowerCase()
-      const existing = tempLedgers.find(l => l.name.toLowerCase() === trimmed)
-      if (existing) return existing.id
+  // Journal the outcome of a misprint recovery: voided originals keep their
+  // (now void) entry, jammed checks fail, and reprints join the job
+  const journalRecovery = async (journal, selected, reprints, newHistory) => {
+    await journal.update(selected.map(c => c.historyId
+      ? { key: c.item.journalKey, entry: newHistory.find(h => h.id === c.historyId) }
+      : { key: c.item.journalKey, state: JOURNAL_STATE.FAILED, error: MISPRINT_REASON }
+    ))
+    await journal.add(reprints)
+  }
 
-      const newId = generateId()
-      const newLedger = { id: newId, name: name.trim(), balance: 0 }
-      tempLedgers.push(newLedger)
-      newLedgersToAdd.push(newLedger)
-      // Initialize balance for new ledger
-      ledgerBalances[newId] = 0
-      return newId
+  // Point the voided/spoiled original at the number it was reprinted on
+  const linkReprint = (reprintOf, checkNumber, { newHistory, newSpoiled }) => {
+    if (reprintOf.historyId) {
+      const idx = newHistory.findIndex(h => h.id === reprintOf.historyId)
+      if (idx !== -1) newHistory[idx] = { ...newHistory[idx], reissuedAs: checkNumber }
+    } else {
+      const spoiled = newSpoiled.find(s => s.id === reprintOf.spoiledId)
+      if (spoiled) spoiled.replacedBy = checkNumber
     }
+  }
 
-    // Create a copy of the queue to iterate through
-    const queueCopy = [...importQueue]
-
-    // Apply check numbering if enabled
-    let currentCheckNumber = batchAutoNumber ? parseInt(batchStartNumber) || 1001 : null
-
-    for (let i = 0; i < queueCopy.length; i++) {
-      // Check if user cancelled (use ref for immediate detection in async loop)
-      if (batchCancelledRef.current) {
-        break
-      }
-
-      const item = queueCopy[i]
-      const amount = sanitizeCurrencyInput(item.amount)
-
-      // Skip invalid items
-      if (amount <= 0 || !item.payee?.trim()) {
-        setBatchPrintProgress({ current: i + 1, total: queueCopy.length })
-        continue
-      }
-
-      // Update progress
-      setBatchPrintProgress({ current: i + 1, total: queueCopy.length })
-
-      // Determine which ledger to use
-      const targetLedgerId = getLedgerId(item.ledger)
-
-      // Initialize balance if somehow missing
-      if (ledgerBalances[targetLedgerId] === undefined) {
-        ledgerBalances[targetLedgerId] = 0
-      }
-
-      // Normalize the date to YYYY-MM-DD format
-      let normalizedDate = item.date || getLocalDateString()
-      if (item.date && !/^\d{4}-\d{2}-\d{2}$/.test(item.date)) {
-        // Date is not in YYYY-MM-DD format, try to parse it
-        normalizedDate = convertExcelDate(item.date)
-      }
-
-      // Calculate ledger snapshot for display on check
-      const previousBalanceForCheck = ledgerBalances[targetLedgerId]
-      const newBalanceForCheck = previousBalanceForCheck - amount
-      const ledgerSnapshotForDisplay = {
-        previous_balance: previousBalanceForCheck,
-        transaction_amount: amount,
-        new_balance: newBalanceForCheck
-      }
-
-      // Load check data into the form for printing
-      setData({
-        date: normalizedDate,
-        payee: item.payee,
-        address: item.address || getAddressFromHistory(item.payee) || item.payee, // Smart address lookup
-        amount: item.amount,
-        amountWords: numberToWords(item.amount),
-        memo: item.memo || '',
-        external_memo: item.external_memo || '',
-        internal_memo: item.internal_memo || '',
-        line_items: item.line_items || [],
-        line_items_text: item.line_items_text || '',
-        ledger_snapshot: ledgerSnapshotForDisplay,
-        checkNumber: batchAutoNumber ? String(currentCheckNumber) : (item.checkNumber || ''),
-        glCode: item.glCode || getGlDetailsFromHistory(item.payee).code || '',
-        glDescription: item.glDescription || getGlDetailsFromHistory(item.payee).description || ''
-      })
-
-      // Wait a brief moment for the UI to update with the new data
-      await new Promise(resolve => setTimeout(resolve, 300))
-
-      // Set document title for PDF filename
-      const originalTitle = document.title
-      const filename = generatePrintFilename(item, i + 1)
-      document.title = filename
-
-      // Trigger print based on mode
-      setIsPrinting(true)
-      let printSuccess = false
-      let printError = null
-
-      try {
-        let res
-
-        if (preferences.batchPrintMode === 'pdf') {
-          // PDF Export Mode - auto-save to folder
-          res = await window.cs2.savePdfToFile(preferences.batchPdfExportPath, filename, { pageSize: getLocale(preferences.locale).paper.code })
-        } else if (preferences.batchPrintMode === 'silent' && preferences.batchPrinterDeviceName) {
-          // Silent Mode - print to saved printer
-          res = await window.cs2.printSilent({ deviceName: preferences.batchPrinterDeviceName, pageSize: getLocale(preferences.locale).paper.code })
-        } else {
-          // Interactive Mode - show dialog (current behavior)
-          res = await window.cs2.printDialog(filename, { pageSize: getLocale(preferences.locale).paper.code })
-        }
-
-        // Restore original title
-        document.title = originalTitle
-
-        if (res?.success === false) {
-          console.error(`Print failed for ${item.payee}:`, res.error)
-          printError = res.error || 'Print was cancelled or failed'
-        } else {
-          printSuccess = true
-        }
-      } catch (error) {
-        console.error(`Print error for ${item.payee}:`, error)
-        printError = error.message || 'Unknown print error'
-        // Restore original title on error
-        document.title = originalTitle
-      }
-      setIsPrinting(false)
+  // Spoiled numbers from recovery go to the check register
+  const saveSpoiledChecks = (newSpoiled) => {
+    if (newSpoiled.length === 0) return
+    setPreferences(prev => ({ ...prev, spoiledChecks: [...(prev.spoiledChecks || []), ...newSpoiled] }))
+  }
 
-      // Handle print failure - pause and ask user
-      if (!printSuccess) {
-        const decision = await confirmPrintFailure(item.payee, printError)
-        if (decision === 'abort') {
-          // User chose to stop - mark as cancelled and break
-          batchCancelledRef.current = true
-          setBatchPrintCancelled(true)
-          break
-        }
-        // User chose to continue - skip ledger update for this failed check
-        failed++
-        continue
-      }
+  // Crash-safe record of this run in the main process. Writes are awaited so
+  // an item's state is on disk before the batch moves past it; a journal
+  // failure is logged rather than stopping the batch.
+  const openJournal = async (queue) => {
+    const jobId = generateId()
+    const call = (fn, ...args) => Promise.resolve()
+      .then(() => fn(jobId, ...args))
+      .catch(err => console.error('Print journal update failed:', err))
+    await call(() => window.cs2.journalStart(createJournalJob({
+      id: jobId, mode: preferences.batchPrintMode, profileId: activeProfileId, queue
+    })))
+    return {
+      update: (updates) => call(window.cs2.journalUpdateItems, updates),
+      add: (items) => call(window.cs2.journalAddItems, items.map(createJournalItem)),
+      finish: () => call(window.cs2.journalFinish)
+    }
+  }
 
-      // Wait for printer spooler to receive the job
-      await new Promise(resolve => setTimeout(resolve, 2000))
+  // Combined PDF mode collects every page and writes one file after the loop
+  const combinesPdf = preferences.batchPrintMode === 'pdf' && !!preferences.batchPdfCombine
 
-      // Record to ledger/history ONLY after confirmed success
-      ledgerBalances[targetLedgerId] = newBalanceForCheck
+  // Checks on a batch page, for the signed print log
+  const getPageChecks = (page) => page.data
+    ? [page.data]
+    : Object.values(page.sheetData || {}).filter(slotData => slotData?.payee)
 
-      newHistory.unshift({
-        id: generateId(),
-        type: 'check',
-        date: item.date || getLocalDateString(),
-        payee: item.payee,
-        address: item.address || getAddressFromHistory(item.payee) || item.payee, // Smart address lookup
-        amount: amount,
-        memo: item.memo || '',
-        external_memo: item.external_memo || '',
-        internal_memo: item.internal_memo || '',
-        line_items: item.line_items || [],
-        line_items_text: item.line_items_text || '',
-        ledgerId: targetLedgerId,
-        profileId: activeProfileId,
-        ledgerName: tempLedgers.find(l => l.id === targetLedgerId)?.name || '',
-        profileName: profiles.find(p => p.id === activeProfileId)?.name || '',
-        ledger_snapshot: {
-          previous_balance: previousBalanceForCheck,
-          transaction_amount: amount,
-          new_balance: newBalanceForCheck
-        },
-        timestamp: Date.now(),
-        balanceAfter: newBalanceForCheck,
-        checkNumber: batchAutoNumber ? String(currentCheckNumber) : (item.checkNumber || ''),
-        glCode: item.glCode || getGlDetailsFromHistory(item.payee).code || '',
-        glDescription: item.glDescription || getGlDetailsFromHistory(item.payee).description || ''
-      })
-      processed++
+  const logPage = (page, res) => {
+    if (res?.success !== false) logSignedPrint(getPageChecks(page), 'batch')
+    return res
+  }
 
-      // Increment check number if auto-numbering
-      if (batchAutoNumber) {
-        currentCheckNumber++
-      }
+  // Print one batch page; page holds the job's data or sheetData plus its bookmarks.
+  // Every mode renders the page offscreen from a print job, leaving the on-screen form alone.
+  const printBatchPage = async (page, filename, combinedPages) => {
+    const pageSize = getLocale(preferences.locale).paper.code
 
+    if (combinesPdf) {
+      combinedPages.push(page)
+      return { success: true }
     }
-
-    // Atomic update for ledgers (add new ones + update balances)
-    setLedgers(prev => {
-      // 1. Start with existing ledgers + new ones
-      let nextLedgers = [...prev, ...newLedgersToAdd]
-
-      // 2. Update balances for all affected ledgers
-      nextLedgers = nextLedgers.map(l => {
-        if (ledgerBalances[l.id] !== undefined) {
-          return { ...l, balance: ledgerBalances[l.id] }
-        }
-        return l
-      })
-
-      return nextLedgers
-    })
-    setCheckHistory(newHistory)
-
-    // Update profile's next check number if auto-numbering was used
-    if (batchAutoNumber && processed > 0) {
-      setProfiles(prev => prev.map(p =>
-        p.id === activeProfileId
-          ? { ...p, nextCheckNumber: parseInt(batchStartNumber) + processed }
-          : p
-      ))
+    if (preferences.batchPrintMode === 'pdf') {
+      // PDF Export Mode - auto-save to folder (no printer, so no calibration)
+      const job = buildPrintJob({ ...page, title: filename })
+      return logPage(page, await window.cs2.renderPdf(job, { folderPath: preferences.batchPdfExportPath, filename, pageSize }))
+    }
+    if (preferences.batchPrintMode === 'silent' && preferences.batchPrinterDeviceName) {
+      // Silent Mode - print to saved printer with its calibration
+      const deviceName = preferences.batchPrinterDeviceName
+      const job = buildPrintJob({ ...page, title: filename, deviceName })
+      return logPage(page, await window.cs2.renderSilent(job, { deviceName, pageSize }))
     }
 
-    // Clear the queue and reset batch state
-    setImportQueue([])
-    setIsBatchPrinting(false)
-    setBatchPrintProgress({ current: 0, total: 0 })
+    // Interactive Mode - show dialog
+    const deviceName = preferences.dialogPrinterDeviceName
+    const job = buildPrintJob({ ...page, title: filename, deviceName })
+    return logPage(page, await window.cs2.printDialog(job, { deviceName, pageSize }))
+  }
 
-    // Clear the form fields
-    setData({
-      date: getLocalDateString(),
-      payee: '',
-      amount: '',
-      amountWords: '',
-      memo: '',
-      external_memo: '',
-      internal_memo: '',
-      line_items: [],
-      line_items_text: '',
-      ledger_snapshot: null,
-      checkNumber: ''
+  // Write a combined batch as one PDF: a bookmark per check and an optional
+  // cover page of ledger totals. Returns false (after telling the user) on failure.
+  const saveCombinedPdf = async (pages, printedInBatch, batchLedgers) => {
+    const records = printedInBatch.map(p => ({
+      ledgerName: batchLedgers.find(l => l.id === p.ledgerId)?.name || '',
+      amount: p.amount,
+      checkNumber: p.checkNumber
+    }))
+    const summary = summarizeBatch(records, getLocalDateString())
+    const filename = getCombinedPdfFilename(summary)
+    const job = buildPrintJob({
+      pages,
+      cover: preferences.batchPdfCoverPage !== false ? summary : null,
+      title: filename
     })
 
-    // Show completion modal
-    setBatchCompleteData({ processed, total: queueCopy.length, cancelled: batchPrintCancelled, failed })
-    setShowBatchCompleteModal(true)
-
-
-    if (!batchPrintCancelled) {
-      setShowImportQueue(false)
+    let res
+    try {
+      res = await window.cs2.renderPdf(job, {
+        folderPath: preferences.batchPdfExportPath,
+        filename,
+        pageSize: getLocale(preferences.locale).paper.code,
+        outline: true
+      })
+    } catch (error) {
+      res = { success: false, error: error.message }
+    }
+    if (res?.success === false) {
+      console.error('Combined PDF export failed:', res.error)
+      showToast(`Combined PDF export failed: ${res.error || 'Unknown error'}. No checks were recorded.`, 'error')
+      return false
     }
+    pages.forEach(page => logPage(page, res))
+    showToast(`Saved ${filename}.pdf`, 'success')
+    return true
   }
 
-  // Three-up mode: Chunks of 3 checks per sheet
-  const executeBatchPrintThreeUp = async () => {
+  // One loop for both layouts. Each print unit is a single check, or in
+  // three-up mode a sheet of up to three queue items that prints (or fails) as one.
+  const executeBatchPrintAndRecord = async () => {
+    const isThreeUp = activeProfile?.layoutMode === 'three_up'
+    const unitSize = isThreeUp ? 3 : 1
+    const slotNames = ['top', 'middle', 'bottom']
+
     // Initialize batch print state
     setIsBatchPrinting(true)
     setBatchPrintCancelled(false)
@@ -351,7 +283,11 @@ export function useBatchPrint({
 
     let processed = 0
     let failed = 0
+    let recovered = 0
     const newHistory = [...checkHistory]
+    const newSpoiled = []
+    const printedInBatch = []
+    const combinedPages = []
 
     // Create a local copy of ledgers to track new ones created during this batch
     let tempLedgers = [...ledgers]
@@ -379,66 +315,72 @@ export function useBatchPrint({
       return newId
     }
 
-    // Create a copy of the queue to iterate through
-    const queueCopy = [...importQueue]
+    // Create a copy of the queue to iterate through, keyed for the journal
+    const queueCopy = importQueue.map((item, i) => ({ ...item, journalKey: `q${i}` }))
+    const journal = await openJournal(queueCopy)
 
     // Apply check numbering if enabled
     let currentCheckNumber = batchAutoNumber ? parseInt(batchStartNumber) || 1001 : null
 
-    // Process in chunks of 3
-    for (let chunkStart = 0; chunkStart < queueCopy.length; chunkStart += 3) {
+    for (let start = 0; start < queueCopy.length; start += unitSize) {
       // Check if user cancelled (use ref for immediate detection in async loop)
       if (batchCancelledRef.current) {
         break
       }
 
-      const chunk = queueCopy.slice(chunkStart, chunkStart + 3)
-      const slotNames = ['top', 'middle', 'bottom']
-      const newSheetData = {
-        top: getEmptySlotData(),
-        middle: getEmptySlotData(),
-        bottom: getEmptySlotData()
-      }
+      const unit = queueCopy.slice(start, start + unitSize)
+      setBatchPrintProgress({ current: start + unit.length, total: queueCopy.length })
 
-      // Load items into sheet slots
-      const slotMetadata = []
-      for (let i = 0; i < chunk.length; i++) {
-        const item = chunk[i]
-        const slot = slotNames[i]
+      // Load the unit's checks. Each is numbered and deducted as it's loaded so
+      // the next check on a sheet shows the updated balance.
+      const checks = []
+      for (let i = 0; i < unit.length; i++) {
+        const item = unit[i]
         const amount = sanitizeCurrencyInput(item.amount)
 
         // Skip invalid items
         if (amount <= 0 || !item.payee?.trim()) {
+          await journal.update([{ key: item.journalKey, state: JOURNAL_STATE.FAILED, error: 'Missing payee or amount' }])
           continue
         }
 
+        const slot = isThreeUp ? slotNames[i] : null
+
         // Determine which ledger to use
         const targetLedgerId = getLedgerId(item.ledger)
 
-        // Initialize balance for newly created ledgers
+        // Initialize balance if somehow missing
         if (ledgerBalances[targetLedgerId] === undefined) {
           ledgerBalances[targetLedgerId] = 0
         }
 
-        // Normalize the date
+        // Normalize the date to YYYY-MM-DD format
         let normalizedDate = item.date || getLocalDateString()
         if (item.date && !/^\d{4}-\d{2}-\d{2}$/.test(item.date)) {
+          // Date is not in YYYY-MM-DD format, try to parse it
           normalizedDate = convertExcelDate(item.date)
         }
 
+        const checkNumber = batchAutoNumber ? String(currentCheckNumber) : (item.checkNumber || '')
+
         // Calculate ledger snapshot BEFORE deducting (so check shows correct balance)
         const previousBalance = ledgerBalances[targetLedgerId]
-        const ledgerSnapshotForDisplay = {
+        const newBalance = previousBalance - amount
+        const ledgerSnapshot = {
           previous_balance: previousBalance,
           transaction_amount: amount,
-          new_balance: previousBalance - amount
+          new_balance: newBalance
         }
+        ledgerBalances[targetLedgerId] = newBalance
+
+        const address = item.address || getAddressFromHistory(item.payee) || item.payee // Smart address lookup
+        const glCode = item.glCode || getGlDetailsFromHistory(item.payee).code || ''
+        const glDescription = item.glDescription || getGlDetailsFromHistory(item.payee).description || ''
 
-        // Populate slot data
-        newSheetData[slot] = {
+        const checkData = {
           date: normalizedDate,
           payee: item.payee,
-          address: item.address || getAddressFromHistory(item.payee) || item.payee, // Smart address lookup
+          address,
           amount: item.amount,
           amountWords: numberToWords(item.amount),
           memo: item.memo || '',
@@ -446,27 +388,42 @@ export function useBatchPrint({
           internal_memo: item.internal_memo || '',
           line_items: item.line_items || [],
           line_items_text: item.line_items_text || '',
-          ledger_snapshot: ledgerSnapshotForDisplay,
-          checkNumber: batchAutoNumber ? String(currentCheckNumber) : (item.checkNumber || ''),
-          glCode: item.glCode || getGlDetailsFromHistory(item.payee).code || '',
-          glDescription: item.glDescription || getGlDetailsFromHistory(item.payee).description || ''
+          ledger_snapshot: ledgerSnapshot,
+          checkNumber,
+          glCode,
+          glDescription,
+          ledgerId: targetLedgerId // Signatures are scoped per ledger
         }
 
-        // Deduct from balance NOW so next check in this batch gets the updated balance
-        ledgerBalances[targetLedgerId] -= amount
-
-        // Store metadata for recording (with the already-calculated new balance)
-        slotMetadata.push({
-          slot,
-          item,
-          targetLedgerId,
-          amount,
-          previousBalance: previousBalance,
-          newBalance: ledgerBalances[targetLedgerId],
-          checkNumber: batchAutoNumber ? String(currentCheckNumber) : (item.checkNumber || ''),
-          glCode: item.glCode || getGlDetailsFromHistory(item.payee).code || '',
-          glDescription: item.glDescription || getGlDetailsFromHistory(item.payee).description || ''
-        })
+        // The entry this check will record, journaled before printing so a crash
+        // after the page reaches the printer can still be reconciled
+        const entry = {
+          id: generateId(),
+          type: 'check',
+          date: item.date || getLocalDateString(),
+          payee: item.payee,
+          address,
+          amount: amount,
+          memo: item.memo || '',
+          external_memo: item.external_memo || '',
+          internal_memo: item.internal_memo || '',
+          line_items: item.line_items || [],
+          line_items_text: item.line_items_text || '',
+          ledgerId: targetLedgerId,
+          profileId: activeProfileId,
+          ledgerName: tempLedgers.find(l => l.id === targetLedgerId)?.name || '',
+          profileName: profiles.find(p => p.id === activeProfileId)?.name || '',
+          ledger_snapshot: ledgerSnapshot,
+          timestamp: Date.now(),
+          balanceAfter: newBalance,
+          ...(slot ? { sheetSlot: slot } : {}),
+          checkNumber,
+          ...(item.reprintOf ? { replacesCheckNumber: item.reprintOf.checkNumber } : {}),
+          glCode,
+          glDescription
+        }
+
+        checks.push({ slot, item, targetLedgerId, amount, checkNumber, checkData, entry })
 
         // Increment check number if auto-numbering
         if (batchAutoNumber) {
@@ -474,139 +431,153 @@ export function useBatchPrint({
         }
       }
 
-      // Skip this chunk if no valid items
-      if (slotMetadata.length === 0) {
-        setBatchPrintProgress({ current: chunkStart + chunk.length, total: queueCopy.length })
-        continue
-      }
-
-      // Load sheet data into state
-      setSheetData(newSheetData)
+      // Skip this unit if no valid items
+      if (checks.length === 0) continue
 
-      // Update progress
-      setBatchPrintProgress({ current: chunkStart + chunk.length, total: queueCopy.length })
+      await journal.update(checks.map(({ item, entry }) => ({ key: item.journalKey, state: JOURNAL_STATE.RENDERED, entry })))
 
-      // Wait for the UI to update with the new data - increased delay for heavier DOM
-      await new Promise(resolve => setTimeout(resolve, 800))
+      // A sheet prints once with every slot; empty slots stay blank
+      const page = isThreeUp
+        ? {
+          sheetData: {
+            top: getEmptySlotData(),
+            middle: getEmptySlotData(),
+            bottom: getEmptySlotData(),
+            ...Object.fromEntries(checks.map(({ slot, checkData }) => [slot, checkData]))
+          }
+        }
+        : { data: checks[0].checkData }
+      page.bookmarks = checks.map(({ checkData }) => getBatchBookmark(checkData))
 
-      // Set document title for PDF filename (use first slot's data)
-      const originalTitle = document.title
-      const sheetNumber = Math.floor(chunkStart / 3) + 1
-      const filename = generatePrintFilename(slotMetadata[0].item, sheetNumber)
-      document.title = filename
+      // Filename from the unit's first check
+      const filename = generatePrintFilename(checks[0].item, Math.floor(start / unitSize) + 1)
+      const label = isThreeUp
+        ? `Sheet (${checks.length} checks starting with ${checks[0].item.payee})`
+        : checks[0].item.payee
 
-      // Trigger print ONCE for the entire sheet
-      setIsPrinting(true)
+      // Trigger print based on mode
       let printSuccess = false
       let printError = null
 
       try {
-        let res
-
-        if (preferences.batchPrintMode === 'pdf') {
-          // PDF Export Mode - auto-save to folder
-          res = await window.cs2.savePdfToFile(preferences.batchPdfExportPath, filename, { pageSize: getLocale(preferences.locale).paper.code })
-        } else if (preferences.batchPrintMode === 'silent' && preferences.batchPrinterDeviceName) {
-          // Silent Mode - print to saved printer
-          res = await window.cs2.printSilent({ deviceName: preferences.batchPrinterDeviceName, pageSize: getLocale(preferences.locale).paper.code })
-        } else {
-          // Interactive Mode - show dialog (current behavior)
-          res = await window.cs2.printDialog(filename, { pageSize: getLocale(preferences.locale).paper.code })
-        }
-
-        // Restore original title
-        document.title = originalTitle
+        const res = await printBatchPage(page, filename, combinedPages)
 
         if (res?.success === false) {
-          console.error(`Print failed for sheet:`, res.error)
+          console.error(`Print failed for ${label}:`, res.error)
           printError = res.error || 'Print was cancelled or failed'
         } else {
           printSuccess = true
         }
       } catch (error) {
-        console.error(`Print error for sheet:`, error)
+        console.error(`Print error for ${label}:`, error)
         printError = error.message || 'Unknown print error'
-        // Restore original title on error
-        document.title = originalTitle
       }
-      setIsPrinting(false)
 
       // Handle print failure - pause and ask user
       if (!printSuccess) {
-        const firstPayee = slotMetadata[0]?.item?.payee || 'Sheet'
-        const decision = await confirmPrintFailure(`Sheet (${slotMetadata.length} checks starting with ${firstPayee})`, printError)
+        await journal.update(checks.map(({ item }) => ({ key: item.journalKey, state: JOURNAL_STATE.FAILED, error: printError })))
+
+        // Nothing on the unit is recorded, so its amounts go back to the ledgers
+        for (const { targetLedgerId, amount } of checks) {
+          ledgerBalances[targetLedgerId] += amount
+        }
+
+        // Recovery re-numbers reprints, so it's only offered with auto-numbering
+        const candidates = batchAutoNumber
+          ? [
+            ...checks.map(({ item, targetLedgerId, amount, checkNumber }, index) => ({
+              key: `failed-${start}-${index}`, item, checkNumber, ledgerId: targetLedgerId, amount, historyId: null, failed: true
+            })),
+            ...printedInBatch
+          ]
+          : []
+        const decision = await confirmPrintFailure(label, printError, candidates)
         if (decision === 'abort') {
-          // User chose to stop - mark as cancelled and break
+          // User chose to stop - mark as cancelled, give the unit's numbers back and break
           batchCancelledRef.current = true
           setBatchPrintCancelled(true)
-          // Revert the ledger changes for this failed sheet
-          for (const { targetLedgerId, amount } of slotMetadata) {
-            ledgerBalances[targetLedgerId] += amount
-          }
+          if (batchAutoNumber) currentCheckNumber -= checks.length
           break
         }
-        // User chose to continue - revert ledger changes for this sheet and skip recording
-        for (const { targetLedgerId, amount } of slotMetadata) {
-          ledgerBalances[targetLedgerId] += amount
+
+        const selected = decision?.action === 'recover' ? candidates.filter(c => decision.keys.includes(c.key)) : []
+        if (selected.some(c => c.failed)) {
+          // The jammed stock used every number on it, so reprints land on the next
+          // numbers and failed checks that aren't reprinted are spoiled
+          const date = getLocalDateString()
+          for (const c of candidates.filter(c => c.failed && !selected.includes(c))) {
+            newSpoiled.push(createSpoiledEntry({
+              ledgerId: c.ledgerId, checkNumber: c.checkNumber, reason: SHEET_SPOILED_REASON, date, spoiledBy: 'Batch Recovery'
+            }))
+          }
+        } else if (batchAutoNumber) {
+          // Nothing on this unit is reprinted, so its numbers go back to the sequence
+          currentCheckNumber -= checks.length
+        }
+        failed += checks.length - selected.filter(c => c.failed).length
+
+        if (selected.length > 0) {
+          const reprints = recoverMisprints(selected, { newHistory, newSpoiled, ledgerBalances, printedInBatch })
+          await journalRecovery(journal, selected, reprints, newHistory)
+          queueCopy.splice(start + unit.length, 0, ...reprints)
+          recovered += reprints.length
         }
-        failed += slotMetadata.length
         continue
       }
 
-      // Wait for printer spooler to receive the job
-      await new Promise(resolve => setTimeout(resolve, 2000))
+      // A combined PDF isn't written until after the loop
+      if (!combinesPdf) await journal.update(checks.map(({ item }) => ({ key: item.journalKey, state: JOURNAL_STATE.SENT })))
 
-      // Record all filled slots to history (balances already calculated and deducted)
-      const timestamp = Date.now()
-      for (const { slot, item, targetLedgerId, amount, previousBalance, newBalance, checkNumber, glCode, glDescription } of slotMetadata) {
-        newHistory.unshift({
-          id: generateId(),
-          type: 'check',
-          date: item.date || getLocalDateString(),
-          payee: item.payee,
-          address: item.address || getAddressFromHistory(item.payee) || item.payee, // Smart address lookup
-          amount: amount,
-          memo: item.memo || '',
-          external_memo: item.external_memo || '',
-          internal_memo: item.internal_memo || '',
-          line_items: item.line_items || [],
-          line_items_text: item.line_items_text || '',
-          ledgerId: targetLedgerId,
-          profileId: activeProfileId,
-          ledgerName: tempLedgers.find(l => l.id === targetLedgerId)?.name || '',
-          profileName: profiles.find(p => p.id === activeProfileId)?.name || '',
-          ledger_snapshot: {
-            previous_balance: previousBalance,
-            transaction_amount: amount,
-            new_balance: newBalance
-          },
-          timestamp: timestamp,
-          balanceAfter: newBalance,
-          sheetSlot: slot,
-          checkNumber: checkNumber,
-          glCode: glCode || '',
-          glDescription: glDescription || ''
-        })
+      // Record the unit's checks (balances were already deducted when they were loaded)
+      for (const { item, targetLedgerId, amount, checkNumber, entry } of checks) {
+        newHistory.unshift(entry)
+        if (item.reprintOf) linkReprint(item.reprintOf, checkNumber, { newHistory, newSpoiled })
+        printedInBatch.unshift({ key: entry.id, item, checkNumber, ledgerId: targetLedgerId, amount, historyId: entry.id })
         processed++
       }
     }
 
-    // Update global ledgers state if we created any new ones
-    if (newLedgersToAdd.length > 0) {
-      setLedgers(prev => [...prev, ...newLedgersToAdd])
+    // Combined PDF: nothing is written until the whole batch is, so a failed
+    // export records nothing and leaves the queue in place to try again
+    if (combinedPages.length > 0) {
+      const saved = await saveCombinedPdf(combinedPages, printedInBatch, tempLedgers)
+      await journal.update(printedInBatch.map(p => ({
+        key: p.item.journalKey,
+        state: saved ? JOURNAL_STATE.SENT : JOURNAL_STATE.FAILED
+      })))
+      if (!saved) {
+        await journal.finish()
+        setIsBatchPrinting(false)
+        setBatchPrintProgress({ current: 0, total: 0 })
+        return
+      }
     }
 
-    // Update all affected ledger balances
-    Object.entries(ledgerBalances).forEach(([ledgerId, balance]) => {
-      updateLedgerBalance(ledgerId, balance)
+    // Atomic update for ledgers (add new ones + update balances)
+    setLedgers(prev => {
+      // 1. Start with existing ledgers + new ones
+      let nextLedgers = [...prev, ...newLedgersToAdd]
+
+      // 2. Update balances for all affected ledgers
+      nextLedgers = nextLedgers.map(l => {
+        if (ledgerBalances[l.id] !== undefined) {
+          return { ...l, balance: ledgerBalances[l.id] }
+        }
+        return l
+      })
+
+      return nextLedgers
     })
     setCheckHistory(newHistory)
+    saveSpoiledChecks(newSpoiled)
+    await journal.finish()
 
     // Update profile's next check number if auto-numbering was used
-    if (batchAutoNumber && processed > 0) {
+    // (spoiled numbers count as used stock)
+    if (batchAutoNumber && (processed > 0 || newSpoiled.length > 0)) {
       setProfiles(prev => prev.map(p =>
         p.id === activeProfileId
-          ? { ...p, nextCheckNumber: parseInt(batchStartNumber) + processed }
+          ? { ...p, nextCheckNumber: currentCheckNumber }
           : p
       ))
     }
@@ -616,36 +587,15 @@ export function useBatchPrint({
     setIsBatchPrinting(false)
     setBatchPrintProgress({ current: 0, total: 0 })
 
-    // Clear the form fields
-    setData({
-      date: getLocalDateString(),
-      payee: '',
-      amount: '',
-      amountWords: '',
-      memo: '',
-      external_memo: '',
-      internal_memo: '',
-      line_items: [],
-      line_items_text: '',
-      ledger_snapshot: null,
-      checkNumber: ''
-    })
-
     // Show completion modal
-    setBatchCompleteData({ processed, total: queueCopy.length, cancelled: batchPrintCancelled, failed })
+    // printedItems (in print order) lets the completion dialog offer mailing labels for the batch
+    setBatchCompleteData({ processed, total: queueCopy.length, cancelled: batchPrintCancelled, failed, recovered, printedItems: printedInBatch.map(p => p.item).reverse() })
     setShowBatchCompleteModal(true)
 
     if (!batchPrintCancelled) {
       setShowImportQueue(false)
     }
   }
-  const executeBatchPrintAndRecord = async () => {
-    if (activeProfile?.layoutMode === 'three_up') {
-      return executeBatchPrintThreeUp()
-    } else {
-      return executeBatchPrintStandard()
-    }
-  }
 
   const cancelBatchPrint = () => {
     showConfirm(
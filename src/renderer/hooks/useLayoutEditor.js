@@ -1,6 +1,9 @@
-import { useMemo, useRef, useCallback } from 'react'
+import { useMemo, useRef, useCallback, useEffect } from 'react'
 import { PX_PER_IN, clamp, roundTo, calculateBaseYForSection } from '../constants/defaults'
 import { getLocale } from '../../config/locales'
+import { generateId } from '../utils/helpers'
+import { createLayoutElement, getLayoutElementKey, isLayoutElement } from '../utils/layoutElements'
+import { getGuides, alignFields, distributeFields, matchFieldSize, snapBoxToGuides, snapValueToGuides } from '../utils/layoutTools'
 
 export function useLayoutEditor(model, setModel, setData, preferences, editMode, selected, setSelected, selectionBox, setSelectionBox, isPrinting, activeProfile, activeSlot) {
   const paperRef = useRef(null)
@@ -139,6 +142,141 @@ export function useLayoutEditor(model, setModel, setData, preferences, editMode,
     }
   }
 
+  // Apply { key: patch } to several fields in one model update
+  const setFields = (updates) => {
+    const apply = (fields) => {
+      const next = { ...fields }
+      let changed = false
+      Object.entries(updates).forEach(([key, patch]) => {
+        if (next[key]) {
+          next[key] = { ...next[key], ...patch }
+          changed = true
+        }
+      })
+      return changed ? next : null
+    }
+    if (activeProfile?.layoutMode === 'three_up') {
+      setModel(m => {
+        const next = apply(m.slotFields[activeSlot])
+        return next ? { ...m, slotFields: { ...m.slotFields, [activeSlot]: next } } : m
+      })
+    } else {
+      setModel(m => {
+        const next = apply(m.fields)
+        return next ? { ...m, fields: next } : m
+      })
+    }
+  }
+
+  const getActiveFields = () => (
+    activeProfile?.layoutMode === 'three_up' ? model.slotFields?.[activeSlot] || {} : model.fields
+  )
+
+  const alignSelected = (mode) => setFields(alignFields(getActiveFields(), selected, mode))
+  const distributeSelected = (axis) => setFields(distributeFields(getActiveFields(), selected, axis))
+  const matchSelectedSize = (dimension) => setFields(matchFieldSize(getActiveFields(), selected, dimension))
+
+  // Arrow keys nudge the selection by the snap step, Shift for 10x
+  useEffect(() => {
+    if (!editMode || selected.length === 0) return
+
+    const handleKeyDown = (e) => {
+      const direction = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[e.key]
+      if (!direction || e.ctrlKey || e.metaKey || e.altKey) return
+      const target = e.target
+      if (target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)) return
+      e.preventDefault()
+
+      const step = snapStepIn * (e.shiftKey ? 10 : 1)
+      const fields = getActiveFields()
+      const updates = {}
+      selected.forEach(key => {
+        const f = fields[key]
+        if (!f) return
+        updates[key] = {
+          x: clamp(roundTo(f.x + direction[0] * step, 0.001), 0, model.layout.widthIn - 0.2),
+          y: clamp(roundTo(f.y + direction[1] * step, 0.001), 0, stageHeightIn - 0.2)
+        }
+      })
+      setFields(updates)
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [editMode, selected, snapStepIn, model, stageHeightIn, activeProfile?.layoutMode, activeSlot])
+
+  // Guides: click a ruler to add one, drag it to move, drag it back onto the ruler to remove it
+  const setGuides = (axis, update) => {
+    setModel(m => {
+      const guides = getGuides(m.layout)
+      return { ...m, layout: { ...m.layout, guides: { ...guides, [axis]: update(guides[axis]) } } }
+    })
+  }
+
+  const onPointerDownRuler = (e, axis) => {
+    if (!editMode) return
+    e.preventDefault()
+    e.stopPropagation()
+    const rect = e.currentTarget.getBoundingClientRect()
+    const offsetPx = axis === 'x' ? e.clientX - rect.left : e.clientY - rect.top
+    const value = roundTo(offsetPx / (PX_PER_IN * model.view.zoom), snapStepIn)
+    const index = getGuides(model.layout)[axis].length
+    setGuides(axis, list => [...list, value])
+
+    dragRef.current = { mode: 'guide', axis, index, startX: e.clientX, startY: e.clientY, startValue: value }
+    e.currentTarget.setPointerCapture?.(e.pointerId)
+  }
+
+  const onPointerDownGuide = (e, axis, index) => {
+    if (!editMode) return
+    e.preventDefault()
+    e.stopPropagation()
+    dragRef.current = {
+      mode: 'guide', axis, index, startX: e.clientX, startY: e.clientY,
+      startValue: getGuides(model.layout)[axis][index]
+    }
+    e.currentTarget.setPointerCapture?.(e.pointerId)
+  }
+
+  const removeGuide = (axis, index) => setGuides(axis, list => list.filter((_, i) => i !== index))
+
+  const clearGuides = () => setModel(m => ({ ...m, layout: { ...m.layout, guides: { x: [], y: [] } } }))
+
+  // Custom elements (text, data text, image, line, box) are stored as fields
+  // with a type, so the drag/resize/section logic below applies to them too
+  const addElement = (type, section, options = {}) => {
+    const isThreeUp = activeProfile?.layoutMode === 'three_up'
+    // Three-up slots have no stubs; their coordinates start at the slot top
+    const targetSection = isThreeUp ? 'check' : section
+    const sectionY = isThreeUp ? 0 : getSectionY(targetSection, model.layout)
+    const key = getLayoutElementKey(targetSection, generateId())
+    const element = createLayoutElement(type, { sectionY, ...options })
+
+    if (isThreeUp) {
+      setModel(m => ({
+        ...m,
+        slotFields: { ...m.slotFields, [activeSlot]: { ...m.slotFields[activeSlot], [key]: element } }
+      }))
+    } else {
+      setModel(m => ({ ...m, fields: { ...m.fields, [key]: element } }))
+    }
+    setSelected([key])
+    return key
+  }
+
+  // Only custom elements can be deleted; built-in fields are hidden via preferences
+  const removeElements = (keys) => {
+    const without = (fields) => Object.fromEntries(
+      Object.entries(fields || {}).filter(([k, f]) => !(keys.includes(k) && isLayoutElement(f)))
+    )
+    if (activeProfile?.layoutMode === 'three_up') {
+      setModel(m => ({ ...m, slotFields: { ...m.slotFields, [activeSlot]: without(m.slotFields[activeSlot]) } }))
+    } else {
+      setModel(m => ({ ...m, fields: without(m.fields) }))
+    }
+    setSelected(selected.filter(k => !keys.includes(k)))
+  }
+
   const ensureStub = (which, enabled) => {
     setModel((m) => {
       const l = m.layout
@@ -258,6 +396,7 @@ export function useLayoutEditor(model, setModel, setData, preferences, editMode,
     })
 
     dragRef.current = {
+      key,
       mode: 'move',
       startX: e.clientX,
       startY: e.clientY,
@@ -343,55 +482,39 @@ export function useLayoutEditor(model, setModel, setData, preferences, editMode,
     const dyIn = (e.clientY - d.startY) / (PX_PER_IN * model.view.zoom)
 
     if (d.mode === 'move') {
+      // Snap the grabbed field to the guides and move the rest of the selection with it
+      let snapDx = 0
+      let snapDy = 0
+      const grabbed = d.startFields[d.key]
+      if (grabbed) {
+        const box = {
+          x: roundTo(grabbed.x + dxIn, snapStepIn),
+          y: roundTo(grabbed.y + dyIn, snapStepIn),
+          w: grabbed.w,
+          h: grabbed.h
+        }
+        const snapped = snapBoxToGuides(box, getGuides(model.layout))
+        snapDx = snapped.x - box.x
+        snapDy = snapped.y - box.y
+      }
+
       // Calculate new positions for all selected fields
       const updates = {}
       Object.entries(d.startFields).forEach(([key, startField]) => {
-        const nx = roundTo(startField.x + dxIn, snapStepIn)
-        const ny = roundTo(startField.y + dyIn, snapStepIn)
+        const nx = roundTo(startField.x + dxIn, snapStepIn) + snapDx
+        const ny = roundTo(startField.y + dyIn, snapStepIn) + snapDy
         updates[key] = {
           x: clamp(nx, 0, model.layout.widthIn - 0.2),
           y: clamp(ny, 0, stageHeightIn - 0.2)
         }
       })
 
-      // Batch update
-      if (activeProfile?.layoutMode === 'three_up') {
-        setModel(m => {
-          const currentSlotFields = m.slotFields[activeSlot]
-          const newSlotFields = { ...currentSlotFields }
-          let changed = false
-          Object.entries(updates).forEach(([key, patch]) => {
-            if (newSlotFields[key]) {
-              newSlotFields[key] = { ...newSlotFields[key], ...patch }
-              changed = true
-            }
-          })
-          if (!changed) return m
-          return {
-            ...m,
-            slotFields: {
-              ...m.slotFields,
-              [activeSlot]: newSlotFields
-            }
-          }
-        })
-      } else {
-        setModel(m => {
-          const newFields = { ...m.fields }
-          let changed = false
-          Object.entries(updates).forEach(([key, patch]) => {
-            if (newFields[key]) {
-              newFields[key] = { ...newFields[key], ...patch }
-              changed = true
-            }
-          })
-          if (!changed) return m
-          return { ...m, fields: newFields }
-        })
-      }
+      setFields(updates)
     } else if (d.mode === 'resize') {
-      const nw = roundTo(d.startField.w + dxIn, snapStepIn)
-      const nh = roundTo(d.startField.h + dyIn, snapStepIn)
+      // Snap the dragged right/bottom edges to the guides
+      const guides = getGuides(model.layout)
+      const nw = snapValueToGuides(d.startField.x + roundTo(d.startField.w + dxIn, snapStepIn), guides.x) - d.startField.x
+      const nh = snapValueToGuides(d.startField.y + roundTo(d.startField.h + dyIn, snapStepIn), guides.y) - d.startField.y
 
       setField(d.key, {
         w: clamp(nw, 0.2, model.layout.widthIn - d.startField.x),
@@ -461,6 +584,10 @@ export function useLayoutEditor(model, setModel, setData, preferences, editMode,
           [d.fieldName]: clamp(newY, minY, maxY)
         }
       }))
+    } else if (d.mode === 'guide') {
+      const delta = d.axis === 'x' ? dxIn : dyIn
+      const value = roundTo(d.startValue + delta, snapStepIn)
+      setGuides(d.axis, list => list.map((g, i) => (i === d.index ? value : g)))
     } else if (d.mode === 'resize-section') {
       const dyIn = (e.clientY - d.startY) / (PX_PER_IN * model.view.zoom)
       // Min height 0.5" to prevent collapse
@@ -515,6 +642,13 @@ export function useLayoutEditor(model, setModel, setData, preferences, editMode,
       if (dragRef.current.mode === 'marquee') {
         setSelectionBox(null)
       }
+      if (dragRef.current.mode === 'guide') {
+        // Dropped back on the ruler (or off the stage): remove it
+        const { axis, index } = dragRef.current
+        const value = getGuides(model.layout)[axis][index]
+        const max = axis === 'x' ? model.layout.widthIn : stageHeightIn
+        if (value === undefined || value <= 0 || value >= max) removeGuide(axis, index)
+      }
       dragRef.current = null
       // Release pointer capture if it was set
       if (e?.target?.releasePointerCapture && e.pointerId) {
@@ -531,7 +665,9 @@ export function useLayoutEditor(model, setModel, setData, preferences, editMode,
     paperRef, dragRef,
     paperStyle, paperVars, stageVars, stageHeightIn,
     getSectionHeight, getSectionY,
-    setField, ensureStub, reorderSections,
+    setField, ensureStub, reorderSections, addElement, removeElements,
+    alignSelected, distributeSelected, matchSelectedSize,
+    onPointerDownRuler, onPointerDownGuide, removeGuide, clearGuides,
     onPointerDownField, onPointerDownHandle, onPointerDownCutLine,
     onPointerDownStage, onPointerMove, onPointerUp
   }
@@ -0,0 +1,103 @@
+import { useState, useRef, useEffect } from 'react'
+import {
+  EMPTY_LAYOUT_HISTORY,
+  takeLayoutSnapshot,
+  isSameSnapshot,
+  pushLayoutHistory,
+  undoLayoutHistory,
+  redoLayoutHistory
+} from '../utils/layoutHistory'
+
+// Changes closer together than this are one undo step (typing in a
+// position box, a stub toggle and the field migration it triggers)
+const COALESCE_MS = 500
+
+/**
+ * Undo/redo for the layout editor.
+ *
+ * Watches the model instead of wrapping each editor action, so moves,
+ * resizes, formatting, section reorder, stub heights and custom elements
+ * are all covered no matter which component made the change. A drag is
+ * one step however long it lasts. Only changes made in edit mode are
+ * recorded; switching profiles starts a fresh history.
+ *
+ * @param {Object} model - Layout model
+ * @param {Function} setModel - Model setter
+ * @param {boolean} editMode - Layout edit mode
+ * @param {Object} dragRef - useLayoutEditor's drag state ref
+ * @param {string} activeProfileId - Active profile id
+ * @returns {Object} { undo, redo, canUndo, canRedo }
+ */
+export function useLayoutHistory(model, setModel, editMode, dragRef, activeProfileId) {
+  const [history, setHistory] = useState(EMPTY_LAYOUT_HISTORY)
+  const currentRef = useRef(takeLayoutSnapshot(model))
+  const lastChangeRef = useRef(0)
+  const restoringRef = useRef(false)
+
+  useEffect(() => {
+    const previous = currentRef.current
+    const snapshot = takeLayoutSnapshot(model)
+    currentRef.current = snapshot
+    if (restoringRef.current) {
+      restoringRef.current = false
+      return
+    }
+    if (!editMode || isSameSnapshot(previous, snapshot)) return
+
+    const drag = dragRef.current
+    const now = Date.now()
+    const coalesce = drag ? drag.historyRecorded : now - lastChangeRef.current < COALESCE_MS
+    lastChangeRef.current = now
+    if (drag) drag.historyRecorded = true
+    if (!coalesce) setHistory(h => pushLayoutHistory(h, previous))
+  }, [model.layout, model.fields, model.slotFields])
+
+  useEffect(() => {
+    setHistory(EMPTY_LAYOUT_HISTORY)
+  }, [activeProfileId])
+
+  const restore = (result) => {
+    if (!result) return
+    restoringRef.current = true
+    lastChangeRef.current = 0
+    setHistory(result.history)
+    setModel(m => ({ ...m, ...result.snapshot }))
+  }
+
+  const undo = () => restore(undoLayoutHistory(history, currentRef.current))
+  const redo = () => restore(redoLayoutHistory(history, currentRef.current))
+
+  // Keep the key handler on the latest history without re-binding every change
+  const handlersRef = useRef({ undo, redo })
+  handlersRef.current = { undo, redo }
+
+  // Ctrl+Z / Ctrl+Y (Ctrl+Shift+Z, Cmd on macOS). Text boxes keep their own undo.
+  useEffect(() => {
+    if (!editMode) return
+
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return
+      const target = e.target
+      if (target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)) return
+
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault()
+        handlersRef.current.undo()
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault()
+        handlersRef.current.redo()
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [editMode])
+
+  return {
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0
+  }
+}
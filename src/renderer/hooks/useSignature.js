@@ -1,55 +1,186 @@
-import { useState, useCallback } from 'react'
+import { useState, useCallback, useEffect, useRef, useMemo } from 'react'
+import { SIGNATURE_SLOTS, getSignatureRules } from '../utils/signatureRules'
+import { createSignerSession, buildSignedPrintLog, DEFAULT_SIGNER_SESSION_MINUTES } from '../utils/signatureAuth'
+
+// Actions get wired straight to onClick/onChange; ignore the event argument
+const toSlot = (slot) => SIGNATURE_SLOTS.includes(slot) ? slot : 'signature'
 
 /**
  * Hook for managing digital signature image state and operations.
  *
  * Signatures are stored per-profile so each check profile can have
- * its own signature image. The signature data includes the base64
- * image, position/size on the check canvas, and opacity.
+ * its own signature images: `signature` and an optional second signer,
+ * `signature2`. Each slot holds a vault id, opacity, enabled flag and the
+ * ledgers it may print on; its position is the matching field.
+ * signatureRules decide which slots print on a given check.
+ *
+ * The images themselves live encrypted in the signature vault (main
+ * process) and are decrypted into memory here. A signature only prints
+ * once authorised — by an approved approval for the check or an open
+ * signer session (PIN, with a timeout) — and every signed print is logged.
  *
  * @param {Object} activeProfile - The currently active check profile
  * @param {Function} setProfiles - State setter to update all profiles
  * @param {string} activeProfileId - ID of the active profile
+ * @param {Object} [options]
+ * @param {Array} [options.profiles] - All profiles, to move inline images into the vault
+ * @param {Array} [options.approvals] - Approval records (useApprovals)
+ * @param {number} [options.sessionMinutes] - Signer session length
+ * @param {Function} [options.showToast] - Display a toast notification
  * @returns {Object} Signature state and actions
  */
-export function useSignature(activeProfile, setProfiles, activeProfileId) {
+export function useSignature(activeProfile, setProfiles, activeProfileId, { profiles = [], approvals = [], sessionMinutes = DEFAULT_SIGNER_SESSION_MINUTES, showToast } = {}) {
     // Whether the signature file picker is currently open
     const [isLoadingSignature, setIsLoadingSignature] = useState(false)
+    // Decrypted images by vault id (memory only)
+    const [images, setImages] = useState({})
+    // Open signer session, and whether a signer PIN exists
+    const [signerSession, setSignerSession] = useState(null)
+    const [pinStatus, setPinStatus] = useState({ hasPin: false, signer: '' })
+    // Imported image waiting for cleanup review: { slot, dataUrl, path }
+    const [pendingImport, setPendingImport] = useState(null)
+    const migratingRef = useRef(new Set())
+
+    // Every slot, for rendering and print jobs, with its image decrypted
+    const slots = Object.fromEntries(SIGNATURE_SLOTS.map(slot => {
+        const config = activeProfile?.[slot]
+        return [slot, config ? { ...config, imageDataUrl: images[config.vaultId] || null } : null]
+    }))
+    const signatureRules = getSignatureRules(activeProfile?.signatureRules)
 
     // Extract signature data from the active profile (or use defaults)
-    const signature = activeProfile?.signature || null
-    const signatureImage = signature?.imageDataUrl || null
-    const signatureOpacity = signature?.opacity ?? 1.0
-    const signatureEnabled = signature?.enabled ?? false
+    const signatureImage = slots.signature?.imageDataUrl || null
+    const signatureOpacity = slots.signature?.opacity ?? 1.0
+    const signatureEnabled = slots.signature?.enabled ?? false
+
+    // Plain data, so it can ride along in print jobs
+    const authorization = useMemo(() => ({
+        approvals: approvals
+            .filter(a => a.status === 'approved')
+            .map(({ id, checkNumber, amount, payee, status, decidedBy }) => ({ id, checkNumber, amount, payee, status, decidedBy })),
+        session: signerSession
+    }), [approvals, signerSession])
+
+    useEffect(() => {
+        window.cs2?.signaturePinStatus?.().then(status => status && setPinStatus(status))
+    }, [])
+
+    // Decrypt the active profile's images
+    const vaultIds = SIGNATURE_SLOTS.map(slot => activeProfile?.[slot]?.vaultId).filter(Boolean)
+    useEffect(() => {
+        for (const id of vaultIds) {
+            if (images[id]) continue
+            window.cs2.signatureLoad(id).then(res => {
+                if (res?.success) setImages(prev => ({ ...prev, [id]: res.dataUrl }))
+                else console.error('[Signature] Failed to load signature:', res?.error)
+            }).catch(error => console.error('[Signature] Failed to load signature:', error?.message))
+        }
+    }, [vaultIds.join('|')])
+
+    // Older profiles kept the image inline in settings; move it into the vault
+    useEffect(() => {
+        for (const p of profiles) {
+            for (const slot of SIGNATURE_SLOTS) {
+                const inline = p[slot]?.imageDataUrl
+                const key = `${p.id}:${slot}`
+                if (!inline || migratingRef.current.has(key)) continue
+                migratingRef.current.add(key)
+                // The image stays in settings as it was, so say so rather than fail quietly
+                const reportFailure = (error) => {
+                    console.error('[Signature] Failed to encrypt signature:', error)
+                    showToast?.(`A signature on profile "${p.name || 'Untitled'}" could not be encrypted and is still stored unprotected in settings: ${error || 'Unknown error'}`, 'error')
+                }
+                window.cs2.signatureStore(inline).then(res => {
+                    if (!res?.success) {
+                        reportFailure(res?.error)
+                        return
+                    }
+                    setImages(prev => ({ ...prev, [res.id]: inline }))
+                    setProfiles(prev => prev.map(q => {
+                        if (q.id !== p.id) return q
+                        const { imageDataUrl, ...rest } = q[slot] || {}
+                        return { ...q, [slot]: { ...rest, vaultId: res.id } }
+                    }))
+                }).catch(error => reportFailure(error?.message))
+            }
+        }
+    }, [profiles, setProfiles])
+
+    // End the session when it times out, so signatures drop off the preview
+    useEffect(() => {
+        if (!signerSession) return
+        const timer = setTimeout(() => setSignerSession(null), Math.max(0, signerSession.expiresAt - Date.now()))
+        return () => clearTimeout(timer)
+    }, [signerSession])
 
     /**
-     * Update the signature config on the active profile.
-     * Merges the partial update into the existing signature object.
+     * Update a signature slot on the active profile.
+     * Merges the partial update into the existing slot object. A new image
+     * (imageDataUrl) is encrypted into the vault first; only its id is kept.
      *
      * @param {Object} partial - Partial signature update to merge
+     * @param {string} [slot='signature'] - 'signature' or 'signature2'
+     * @returns {Promise<boolean>} False if the image couldn't be stored
      */
-    const updateSignature = useCallback((partial) => {
+    const updateSignature = useCallback(async (partial, slot) => {
+        const key = toSlot(slot)
+        const { imageDataUrl, ...update } = partial
+        if (imageDataUrl !== undefined) {
+            update.vaultId = null
+            if (imageDataUrl) {
+                const res = await window.cs2.signatureStore(imageDataUrl)
+                if (!res?.success) {
+                    console.error('[Signature] Failed to encrypt signature:', res?.error)
+                    return false
+                }
+                setImages(prev => ({ ...prev, [res.id]: imageDataUrl }))
+                update.vaultId = res.id
+            }
+            // Drop the old image unless another profile (a copy) still uses it
+            const oldId = activeProfile?.[key]?.vaultId
+            const shared = profiles.some(p => p.id !== activeProfileId && SIGNATURE_SLOTS.some(s => p[s]?.vaultId === oldId))
+            if (oldId && !shared) {
+                window.cs2.signatureRemove(oldId)
+                    .catch(error => console.error('[Signature] Failed to remove old signature:', error?.message))
+            }
+        }
         setProfiles(prev => prev.map(p =>
             p.id === activeProfileId
                 ? {
                     ...p,
-                    signature: {
-                        ...(p.signature || {}),
-                        opacity: signatureOpacity,
-                        enabled: signatureEnabled,
-                        ...partial
+                    [key]: {
+                        opacity: 1.0,
+                        enabled: false,
+                        ...(p[key] || {}),
+                        ...update
                     }
                 }
                 : p
         ))
-    }, [activeProfileId, setProfiles, signatureOpacity, signatureEnabled])
+        return true
+    }, [activeProfileId, setProfiles, activeProfile, profiles])
+
+    /**
+     * Update the rules deciding which signatures print.
+     *
+     * @param {Object} partial - { secondOver, secondMode }
+     */
+    const updateSignatureRules = useCallback((partial) => {
+        setProfiles(prev => prev.map(p =>
+            p.id === activeProfileId
+                ? { ...p, signatureRules: { ...(p.signatureRules || {}), ...partial } }
+                : p
+        ))
+    }, [activeProfileId, setProfiles])
 
     /**
      * Load a signature image from the file system.
-     * Uses the existing IPC readFileAsDataURL to load the image
-     * and stores the base64 data URL in the profile.
+     * Uses the existing IPC readFileAsDataURL to load the image, then holds
+     * it in pendingImport for the cleanup preview; confirmImport saves it.
+     *
+     * @param {string} [slot='signature']
      */
-    const loadSignature = useCallback(async () => {
+    const loadSignature = useCallback(async (slot) => {
         try {
             setIsLoadingSignature(true)
 
@@ -68,60 +199,140 @@ export function useSignature(activeProfile, setProfiles, activeProfileId) {
                 return
             }
 
-            // Store the image data URL and enable the signature
-            updateSignature({
-                imageDataUrl: imageData.dataUrl,
-                imagePath: result.path,
-                enabled: true
-            })
-
+            setPendingImport({ slot: toSlot(slot), dataUrl: imageData.dataUrl, path: result.path })
             setIsLoadingSignature(false)
         } catch (error) {
             console.error('[Signature] Error loading signature:', error)
             setIsLoadingSignature(false)
         }
-    }, [updateSignature])
+    }, [])
+
+    /**
+     * Save the reviewed import (cleaned or original) and enable the signature.
+     *
+     * @param {string} dataUrl - Image to keep
+     */
+    const confirmImport = useCallback(async (dataUrl) => {
+        if (!pendingImport) return
+        const { slot, path } = pendingImport
+        setPendingImport(null)
+        await updateSignature({ imageDataUrl: dataUrl, imagePath: path, enabled: true }, slot)
+    }, [pendingImport, updateSignature])
+
+    const cancelImport = useCallback(() => setPendingImport(null), [])
 
     /**
      * Clear the signature image and disable it.
+     *
+     * @param {string} [slot='signature']
      */
-    const clearSignature = useCallback(() => {
+    const clearSignature = useCallback((slot) => {
         updateSignature({
             imageDataUrl: null,
             imagePath: null,
             enabled: false
-        })
+        }, slot)
     }, [updateSignature])
 
     /**
      * Toggle signature visibility on/off without removing the image.
+     *
+     * @param {string} [slot='signature']
      */
-    const toggleSignature = useCallback(() => {
-        updateSignature({ enabled: !signatureEnabled })
-    }, [updateSignature, signatureEnabled])
+    const toggleSignature = useCallback((slot) => {
+        updateSignature({ enabled: !(activeProfile?.[toSlot(slot)]?.enabled ?? false) }, slot)
+    }, [updateSignature, activeProfile])
 
     /**
      * Update the signature opacity (0.0 to 1.0).
      *
      * @param {number} opacity - Opacity value between 0 and 1
+     * @param {string} [slot='signature']
      */
-    const updateOpacity = useCallback((opacity) => {
+    const updateOpacity = useCallback((opacity, slot) => {
         const clamped = Math.max(0, Math.min(1, opacity))
-        updateSignature({ opacity: clamped })
+        updateSignature({ opacity: clamped }, slot)
     }, [updateSignature])
 
+    /**
+     * Limit a signature to some ledgers; an empty list allows all of them.
+     *
+     * @param {string[]} ledgerIds
+     * @param {string} [slot='signature']
+     */
+    const updateLedgerScope = useCallback((ledgerIds, slot) => {
+        updateSignature({ ledgerIds }, slot)
+    }, [updateSignature])
+
+    /**
+     * Open a signer session with the signer PIN.
+     *
+     * @param {string} pin
+     * @returns {Promise<{ success: boolean, error?: string }>}
+     */
+    const unlockSigner = useCallback(async (pin) => {
+        const res = await window.cs2.signatureVerifyPin(pin)
+        if (res?.success) setSignerSession(createSignerSession(res.signer, sessionMinutes))
+        return res
+    }, [sessionMinutes])
+
+    const lockSigner = useCallback(() => setSignerSession(null), [])
+
+    /**
+     * Set (or replace) the signer PIN. Ends any open session.
+     *
+     * @param {string} signer - Name recorded against signed prints
+     * @param {string} pin - 4–12 digits
+     * @param {string} [currentPin] - Required to replace an existing PIN
+     * @returns {Promise<{ success: boolean, error?: string }>}
+     */
+    const setSignerPin = useCallback(async (signer, pin, currentPin) => {
+        const res = await window.cs2.signatureSetPin(signer, pin, currentPin)
+        if (res?.success) {
+            setSignerSession(null)
+            const status = await window.cs2.signaturePinStatus()
+            if (status) setPinStatus(status)
+        }
+        return res
+    }, [])
+
+    /**
+     * Log the signed checks in a print.
+     *
+     * @param {Array} checks - { checkNumber, amount, payee, ledgerId }
+     * @param {string} action - e.g. 'print', 'copy', 'preview', 'batch'
+     */
+    const logSignedPrint = useCallback((checks, action) => {
+        const entries = buildSignedPrintLog(checks, { slots, rules: signatureRules, authorization, action })
+        if (entries.length > 0) window.cs2.signatureLog(entries)
+    }, [slots, signatureRules, authorization])
+
     return {
         // State
         signatureImage,
         signatureOpacity,
         signatureEnabled,
+        slots,
+        signatureRules,
+        authorization,
+        signerSession,
+        pinStatus,
+        pendingImport,
         isLoadingSignature,
 
         // Actions
         loadSignature,
+        confirmImport,
+        cancelImport,
         clearSignature,
         toggleSignature,
         updateOpacity,
-        updateSignature
+        updateLedgerScope,
+        updateSignature,
+        updateSignatureRules,
+        unlockSigner,
+        lockSigner,
+        setSignerPin,
+        logSignedPrint
     }
 }
@@ -21,20 +21,23 @@ export function useTemplate(model, setModel) {
           return
         }
 
-        const res = await readTemplateDataUrl(model.template?.path)
+        const res = await readTemplateDataUrl(model.template?.path, { page: model.template?.page })
         if (cancelled) return
         setTemplateDataUrl(res?.url || null)
         setTemplateLoadError(res?.error || null)
-        setTemplateMeta(res?.url ? { mime: res?.mime, byteLength: res?.byteLength, width: res?.width, height: res?.height } : null)
+        setTemplateMeta(res?.url
+          ? { mime: res?.mime, byteLength: res?.byteLength, width: res?.width, height: res?.height, source: res?.source || 'image', page: res?.page, pageCount: res?.pageCount }
+          : null)
         setTemplateDecodeError(null)
       })()
     return () => { cancelled = true }
-  }, [model.template?.path])
+  }, [model.template?.path, model.template?.page])
 
   const handleSelectTemplate = useCallback(async () => {
     const res = await window.cs2.selectTemplate()
     if (!res?.success) return
-    setModel((m) => ({ ...m, template: { ...m.template, path: res.path } }))
+    // A new file starts from its first page
+    setModel((m) => ({ ...m, template: { ...m.template, path: res.path, page: 1 } }))
   }, [setModel])
 
   const onTemplateImageError = useCallback(() => {
@@ -49,6 +49,7 @@ export function useVendors(initialVendors, checkHistory = []) {
             phone: vendorData.phone || '',
             email: vendorData.email || '',
             taxId: vendorData.taxId || '',
+            accountNumber: vendorData.accountNumber || '',
             is1099Eligible: vendorData.is1099Eligible || false,
             defaultGlCode: vendorData.defaultGlCode || '',
             notes: vendorData.notes || '',
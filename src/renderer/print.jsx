@@ -0,0 +1,30 @@
+import React from 'react'
+import { createRoot } from 'react-dom/client'
+import { PrintDocument } from './components/PrintDocument.jsx'
+import { EnvelopeDocument } from './components/EnvelopeDocument.jsx'
+import { LabelDocument } from './components/LabelDocument.jsx'
+import { InvoiceDocument } from './components/InvoiceDocument.jsx'
+import { CalibrationDocument } from './components/CalibrationDocument.jsx'
+import './styles.css'
+
+// Documents other than checks, by job.kind
+const DOCUMENTS = {
+  envelope: EnvelopeDocument,
+  labels: LabelDocument,
+  invoice: InvoiceDocument,
+  calibration: CalibrationDocument
+}
+
+// Offscreen print renderer: draws one job handed over by the main process
+window.addEventListener('error', (e) => window.cs2Print.fail(e.message))
+
+window.cs2Print.getJob().then((job) => {
+  if (!job) {
+    window.cs2Print.fail('No print job')
+    return
+  }
+  const Document = DOCUMENTS[job.kind] || PrintDocument
+  createRoot(document.getElementById('root')).render(
+    <Document job={job} onReady={() => window.cs2Print.ready()} />
+  )
+})
@@ -0,0 +1,66 @@
+/**
+ * Combined Batch PDF Utilities
+ *
+ * Helpers for writing a whole batch as one multi-page PDF: a bookmark per
+ * check, an optional cover page with per-ledger totals, and the file name.
+ * No React dependencies.
+ */
+
+import { formatCurrency, sanitizeCurrencyInput } from './helpers'
+import { parseCheckNumber } from './checkRegistry'
+
+/**
+ * Bookmark title for one check, e.g. "#1001 — Acme Corp — $250.00".
+ *
+ * @param {Object} checkData - Check data (checkNumber, payee, amount)
+ * @returns {string}
+ */
+export function getBatchBookmark(checkData) {
+    const parts = [
+        checkData.checkNumber ? `#${checkData.checkNumber}` : null,
+        checkData.payee?.trim() || 'Unknown payee',
+        formatCurrency(sanitizeCurrencyInput(checkData.amount))
+    ]
+    return parts.filter(Boolean).join(' — ')
+}
+
+/**
+ * Totals for the cover page.
+ *
+ * @param {Array} records - Printed checks: { ledgerName, amount, checkNumber }
+ * @param {string} date - Batch date (YYYY-MM-DD)
+ * @returns {{ date: string, count: number, total: number, firstCheckNumber: number|null,
+ *   lastCheckNumber: number|null, ledgers: Array<{ name: string, count: number, total: number }> }}
+ */
+export function summarizeBatch(records, date) {
+    const byLedger = new Map()
+    for (const r of records) {
+        const name = r.ledgerName || 'Unassigned'
+        const entry = byLedger.get(name) || { name, count: 0, total: 0 }
+        entry.count++
+        entry.total += r.amount
+        byLedger.set(name, entry)
+    }
+    const numbers = records.map(r => parseCheckNumber(r.checkNumber)).filter(n => n !== null)
+    return {
+        date,
+        count: records.length,
+        total: records.reduce((sum, r) => sum + r.amount, 0),
+        firstCheckNumber: numbers.length ? Math.min(...numbers) : null,
+        lastCheckNumber: numbers.length ? Math.max(...numbers) : null,
+        ledgers: [...byLedger.values()].sort((a, b) => a.name.localeCompare(b.name))
+    }
+}
+
+/**
+ * File name (without extension) for a combined batch PDF.
+ *
+ * @param {Object} summary - Result of summarizeBatch
+ * @returns {string} e.g. "Batch_2026-01-05_1001-1024" or "Batch_2026-01-05_12_checks"
+ */
+export function getCombinedPdfFilename(summary) {
+    const range = summary.firstCheckNumber !== null
+        ? `${summary.firstCheckNumber}-${summary.lastCheckNumber}`
+        : `${summary.count}_checks`
+    return `Batch_${summary.date}_${range}`
+}
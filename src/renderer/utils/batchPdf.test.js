@@ -0,0 +1,49 @@
+import { getBatchBookmark, summarizeBatch, getCombinedPdfFilename } from './batchPdf'
+
+describe('getBatchBookmark', () => {
+  test('names the check number, payee and amount', () => {
+    expect(getBatchBookmark({ checkNumber: '1001', payee: 'Acme Corp', amount: '1,250.5' }))
+      .toBe('#1001 — Acme Corp — $1,250.50')
+  })
+
+  test('omits a missing check number', () => {
+    expect(getBatchBookmark({ checkNumber: '', payee: ' ', amount: '10' })).toBe('Unknown payee — $10.00')
+  })
+})
+
+describe('summarizeBatch', () => {
+  const records = [
+    { ledgerName: 'Payroll', amount: 100, checkNumber: '1002' },
+    { ledgerName: 'Operations', amount: 50.25, checkNumber: '1001' },
+    { ledgerName: 'Payroll', amount: 200, checkNumber: '1003' },
+    { ledgerName: '', amount: 5, checkNumber: 'MANUAL' }
+  ]
+
+  test('totals per ledger and overall', () => {
+    const summary = summarizeBatch(records, '2026-01-05')
+    expect(summary.count).toBe(4)
+    expect(summary.total).toBeCloseTo(355.25)
+    expect(summary.ledgers).toEqual([
+      { name: 'Operations', count: 1, total: 50.25 },
+      { name: 'Payroll', count: 2, total: 300 },
+      { name: 'Unassigned', count: 1, total: 5 }
+    ])
+  })
+
+  test('reports the numeric check number range', () => {
+    const summary = summarizeBatch(records, '2026-01-05')
+    expect([summary.firstCheckNumber, summary.lastCheckNumber]).toEqual([1001, 1003])
+  })
+})
+
+describe('getCombinedPdfFilename', () => {
+  test('uses the check number range when there is one', () => {
+    expect(getCombinedPdfFilename({ date: '2026-01-05', count: 3, firstCheckNumber: 1001, lastCheckNumber: 1003 }))
+      .toBe('Batch_2026-01-05_1001-1003')
+  })
+
+  test('falls back to the check count', () => {
+    expect(getCombinedPdfFilename({ date: '2026-01-05', count: 12, firstCheckNumber: null, lastCheckNumber: null }))
+      .toBe('Batch_2026-01-05_12_checks')
+  })
+})
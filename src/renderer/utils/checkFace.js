@@ -0,0 +1,63 @@
+/**
+ * Check Face Utilities
+ *
+ * Pure helpers for blank-stock printing, where CheckSpree draws the whole
+ * check face (company block, bank block, captions, border) instead of
+ * overlaying data on pre-printed stock. No React dependencies.
+ */
+
+export const STOCK_TYPES = {
+    PREPRINTED: 'preprinted',
+    BLANK: 'blank'
+}
+
+/**
+ * Whether a profile prints on blank stock and should draw the full check face.
+ *
+ * @param {Object} profile - Check profile
+ * @returns {boolean}
+ */
+export function isBlankStock(profile) {
+    return profile?.stockType === STOCK_TYPES.BLANK
+}
+
+/**
+ * Resolve the company and bank details printed on a check face.
+ * Per-ledger values win; company fields fall back to the shared
+ * company info used by invoices.
+ *
+ * @param {Object} ledger - Ledger with optional company and bank objects
+ * @param {Object} [companyInfo] - preferences.companyInfo fallback
+ * @returns {{ companyName: string, companyAddressLines: string[], logoDataUrl: string|null,
+ *   bankName: string, bankAddressLines: string[], fractionalRouting: string }}
+ */
+export function resolveCheckFaceDetails(ledger, companyInfo = {}) {
+    const company = ledger?.company || {}
+    const bank = ledger?.bank || {}
+
+    const toLines = (text) => String(text || '')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean)
+
+    return {
+        companyName: (company.name || companyInfo?.name || '').trim(),
+        companyAddressLines: toLines(company.address || companyInfo?.address),
+        logoDataUrl: company.logoDataUrl || null,
+        bankName: (bank.name || '').trim(),
+        bankAddressLines: toLines(bank.address),
+        fractionalRouting: (bank.fractionalRouting || '').trim()
+    }
+}
+
+/**
+ * Build the "void after" legend for a stale-date period.
+ *
+ * @param {number} days - Number of days the check stays valid (0 hides the legend)
+ * @returns {string} Legend text, or '' when disabled
+ */
+export function getVoidAfterLegend(days) {
+    const n = parseInt(days, 10)
+    if (!n || n <= 0) return ''
+    return `VOID AFTER ${n} DAYS`
+}
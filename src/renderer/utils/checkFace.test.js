@@ -0,0 +1,51 @@
+import { isBlankStock, resolveCheckFaceDetails, getVoidAfterLegend, STOCK_TYPES } from './checkFace'
+
+describe('isBlankStock', () => {
+  test('only blank stock profiles draw the check face', () => {
+    expect(isBlankStock({ stockType: STOCK_TYPES.BLANK })).toBe(true)
+    expect(isBlankStock({ stockType: STOCK_TYPES.PREPRINTED })).toBe(false)
+    expect(isBlankStock({})).toBe(false)
+    expect(isBlankStock(null)).toBe(false)
+  })
+})
+
+describe('resolveCheckFaceDetails', () => {
+  test('uses ledger company and bank details', () => {
+    const details = resolveCheckFaceDetails({
+      company: { name: 'Acme Corp', address: '1 Main St\nSpringfield, IL 62701', logoDataUrl: 'data:image/png;base64,AAA' },
+      bank: { name: 'First Bank', address: 'Springfield, IL', fractionalRouting: '70-2311/719' }
+    })
+    expect(details).toEqual({
+      companyName: 'Acme Corp',
+      companyAddressLines: ['1 Main St', 'Springfield, IL 62701'],
+      logoDataUrl: 'data:image/png;base64,AAA',
+      bankName: 'First Bank',
+      bankAddressLines: ['Springfield, IL'],
+      fractionalRouting: '70-2311/719'
+    })
+  })
+
+  test('falls back to shared company info', () => {
+    const details = resolveCheckFaceDetails({}, { name: 'Shared Co', address: '9 Elm Rd\n\n' })
+    expect(details.companyName).toBe('Shared Co')
+    expect(details.companyAddressLines).toEqual(['9 Elm Rd'])
+    expect(details.logoDataUrl).toBeNull()
+    expect(details.bankAddressLines).toEqual([])
+  })
+
+  test('handles a missing ledger', () => {
+    expect(resolveCheckFaceDetails(undefined).companyName).toBe('')
+  })
+})
+
+describe('getVoidAfterLegend', () => {
+  test('formats the stale-date legend', () => {
+    expect(getVoidAfterLegend(90)).toBe('VOID AFTER 90 DAYS')
+    expect(getVoidAfterLegend('180')).toBe('VOID AFTER 180 DAYS')
+  })
+
+  test('is empty when disabled', () => {
+    expect(getVoidAfterLegend(0)).toBe('')
+    expect(getVoidAfterLegend(undefined)).toBe('')
+  })
+})
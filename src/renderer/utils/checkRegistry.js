@@ -0,0 +1,241 @@
+/**
+ * Check Number Registry Utilities
+ *
+ * Pure functions for accounting for every check number per bank account:
+ * duplicate detection, gap reports and the spoiled/misfed log. Ledgers
+ * that share a routing + account number share one number sequence.
+ * No React dependencies.
+ */
+
+import { isSlotEmpty } from './helpers'
+
+/**
+ * Registry key for a ledger's bank account. Ledgers without bank details
+ * get their own sequence.
+ *
+ * @param {Object} ledger - Ledger with optional bank details
+ * @returns {string} Registry key
+ */
+export function getRegistryKey(ledger) {
+    const routing = ledger?.bank?.routingNumber
+    const account = ledger?.bank?.accountNumber
+    if (routing && account) return `bank:${routing}:${account}`
+    return `ledger:${ledger?.id}`
+}
+
+/**
+ * Ledger ids that draw from the same check stock as the given ledger.
+ *
+ * @param {Array} ledgers - All ledgers
+ * @param {string} ledgerId - Ledger to look up
+ * @returns {string[]} Ledger ids (always includes ledgerId)
+ */
+export function getLedgersSharingAccount(ledgers, ledgerId) {
+    const ledger = (ledgers || []).find(l => l.id === ledgerId)
+    if (!ledger) return [ledgerId]
+    const key = getRegistryKey(ledger)
+    return ledgers.filter(l => getRegistryKey(l) === key).map(l => l.id)
+}
+
+/**
+ * Parse a check number into an integer, or null if it isn't purely numeric.
+ *
+ * @param {string|number} value - Check number
+ * @returns {number|null}
+ */
+export function parseCheckNumber(value) {
+    const text = String(value ?? '').trim()
+    if (!/^\d+$/.test(text)) return null
+    return parseInt(text, 10)
+}
+
+/**
+ * Build the registry of used check numbers for one bank account.
+ * Issued, voided and spoiled checks all consume their number.
+ *
+ * @param {Object} sources
+ * @param {Array} sources.checkHistory - Full check history
+ * @param {Array} sources.spoiledChecks - Spoiled/misfed log
+ * @param {Array} sources.ledgers - All ledgers
+ * @param {string} ledgerId - Any ledger on the account
+ * @returns {Array} Entries sorted by check number:
+ *   { checkNumber, status: 'issued'|'void'|'spoiled', id, ledgerId, payee, amount, date, reason,
+ *     replacedBy, replaces } — replacement links between misprints and their reprints
+ */
+export function buildCheckRegistry({ checkHistory, spoiledChecks, ledgers }, ledgerId) {
+    const ledgerIds = new Set(getLedgersSharingAccount(ledgers, ledgerId))
+    const entries = []
+
+    for (const entry of checkHistory || []) {
+        if (!ledgerIds.has(entry.ledgerId)) continue
+        if (entry.type && entry.type !== 'check') continue
+        const checkNumber = parseCheckNumber(entry.checkNumber)
+        if (checkNumber === null) continue
+        entries.push({
+            checkNumber,
+            status: entry.status === 'void' ? 'void' : 'issued',
+            id: entry.id,
+            ledgerId: entry.ledgerId,
+            payee: entry.payee || '',
+            amount: entry.amount,
+            date: entry.date,
+            reason: entry.voidReason || '',
+            replacedBy: entry.reissuedAs || '',
+            replaces: entry.replacesCheckNumber || ''
+        })
+    }
+
+    for (const spoiled of spoiledChecks || []) {
+        if (!ledgerIds.has(spoiled.ledgerId)) continue
+        const checkNumber = parseCheckNumber(spoiled.checkNumber)
+        if (checkNumber === null) continue
+        entries.push({
+            checkNumber,
+            status: 'spoiled',
+            id: spoiled.id,
+            ledgerId: spoiled.ledgerId,
+            payee: '',
+            amount: 0,
+            date: spoiled.date,
+            reason: spoiled.reason || '',
+            replacedBy: spoiled.replacedBy || '',
+            replaces: ''
+        })
+    }
+
+    return entries.sort((a, b) => a.checkNumber - b.checkNumber)
+}
+
+/**
+ * Group registry entries that share a check number.
+ *
+ * @param {Array} registry - Output of buildCheckRegistry
+ * @returns {Array<{ checkNumber: number, entries: Array }>}
+ */
+export function findDuplicateNumbers(registry) {
+    const byNumber = new Map()
+    for (const entry of registry) {
+        if (!byNumber.has(entry.checkNumber)) byNumber.set(entry.checkNumber, [])
+        byNumber.get(entry.checkNumber).push(entry)
+    }
+    return [...byNumber.entries()]
+        .filter(([, entries]) => entries.length > 1)
+        .map(([checkNumber, entries]) => ({ checkNumber, entries }))
+}
+
+/**
+ * Find ranges of unaccounted-for numbers between the lowest and highest
+ * used check number.
+ *
+ * @param {Array} registry - Output of buildCheckRegistry
+ * @returns {Array<{ from: number, to: number, count: number }>}
+ */
+export function findNumberGaps(registry) {
+    const numbers = [...new Set(registry.map(e => e.checkNumber))].sort((a, b) => a - b)
+    const gaps = []
+    for (let i = 1; i < numbers.length; i++) {
+        const prev = numbers[i - 1]
+        const next = numbers[i]
+        if (next - prev > 1) {
+            gaps.push({ from: prev + 1, to: next - 1, count: next - prev - 1 })
+        }
+    }
+    return gaps
+}
+
+/**
+ * Number the filled slots of a three-up sheet the way they print. A slot
+ * with its own number keeps it; blank slots take the profile's next numbers
+ * in slot order, skipping any number typed into another slot on the sheet.
+ *
+ * @param {Object} sheetData - { top, middle, bottom } slot data
+ * @param {string|number} nextCheckNumber - The profile's next check number
+ * @returns {Object} Sheet data with a checkNumber on every filled slot
+ */
+export function numberSheetSlots(sheetData, nextCheckNumber) {
+    const slots = ['top', 'middle', 'bottom'].filter(slot => !isSlotEmpty(sheetData?.[slot]))
+    const taken = new Set(slots.map(slot => parseCheckNumber(sheetData[slot].checkNumber)))
+    let next = parseCheckNumber(nextCheckNumber) || 1001
+    const numbered = { ...sheetData }
+    for (const slot of slots) {
+        if (String(sheetData[slot].checkNumber ?? '').trim()) continue
+        while (taken.has(next)) next++
+        numbered[slot] = { ...sheetData[slot], checkNumber: String(next++) }
+    }
+    return numbered
+}
+
+/**
+ * Check planned check numbers against the registry before printing or
+ * recording. Also flags numbers repeated within the plan itself.
+ *
+ * @param {Object} sources - { checkHistory, spoiledChecks, ledgers }
+ * @param {Array<{ ledgerId: string, checkNumber: string|number }>} planned - Numbers about to be used
+ * @returns {Array<{ ledgerId: string, checkNumber: number, existing: Array, repeatedInBatch: boolean }>}
+ */
+export function findCheckNumberConflicts(sources, planned) {
+    const registries = new Map()
+    const seen = new Map()
+    const conflicts = []
+
+    for (const { ledgerId, checkNumber: raw } of planned) {
+        const checkNumber = parseCheckNumber(raw)
+        if (checkNumber === null) continue
+
+        const ledger = (sources.ledgers || []).find(l => l.id === ledgerId)
+        const key = ledger ? getRegistryKey(ledger) : `ledger:${ledgerId}`
+        if (!registries.has(key)) registries.set(key, buildCheckRegistry(sources, ledgerId))
+
+        const existing = registries.get(key).filter(e => e.checkNumber === checkNumber)
+        const seenKey = `${key}#${checkNumber}`
+        const repeatedInBatch = seen.has(seenKey)
+        seen.set(seenKey, true)
+
+        if (existing.length > 0 || repeatedInBatch) {
+            conflicts.push({ ledgerId, checkNumber, existing, repeatedInBatch })
+        }
+    }
+    return conflicts
+}
+
+/**
+ * Describe conflicts for a confirmation dialog.
+ *
+ * @param {Array} conflicts - Output of findCheckNumberConflicts
+ * @param {number} [limit=5] - Maximum numbers to list
+ * @returns {string}
+ */
+export function describeConflicts(conflicts, limit = 5) {
+    const lines = conflicts.slice(0, limit).map(c => {
+        if (c.existing.length === 0) return `#${c.checkNumber} appears more than once in this batch`
+        const used = c.existing[0]
+        const label = used.status === 'spoiled' ? 'spoiled' : used.status === 'void' ? 'voided' : `issued to ${used.payee || 'unknown payee'}`
+        return `#${c.checkNumber} was already ${label}${used.date ? ` on ${used.date}` : ''}`
+    })
+    if (conflicts.length > limit) lines.push(`…and ${conflicts.length - limit} more`)
+    return lines.join('\n')
+}
+
+/**
+ * Create a spoiled/misfed log entry. Spoiled numbers are accounted for in
+ * the sequence but never touch a ledger balance.
+ *
+ * @param {Object} params
+ * @param {string} params.ledgerId - Ledger the stock belongs to
+ * @param {string|number} params.checkNumber - Spoiled check number
+ * @param {string} params.reason - e.g. "Printer jam"
+ * @param {string} params.date - YYYY-MM-DD
+ * @param {string} [params.spoiledBy='User'] - Who logged it
+ * @returns {Object} Spoiled check record
+ */
+export function createSpoiledEntry({ ledgerId, checkNumber, reason, date, spoiledBy = 'User' }) {
+    return {
+        id: `spoil_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`,
+        ledgerId,
+        checkNumber: String(checkNumber).trim(),
+        reason: (reason || '').trim(),
+        date,
+        spoiledBy,
+        loggedAt: new Date().toISOString()
+    }
+}
@@ -0,0 +1,189 @@
+import {
+  getRegistryKey,
+  getLedgersSharingAccount,
+  parseCheckNumber,
+  buildCheckRegistry,
+  findDuplicateNumbers,
+  findNumberGaps,
+  numberSheetSlots,
+  findCheckNumberConflicts,
+  describeConflicts,
+  createSpoiledEntry
+} from './checkRegistry'
+
+const bank = { routingNumber: '011000015', accountNumber: '123456' }
+const ledgers = [
+  { id: 'ops', name: 'Operations', bank },
+  { id: 'payroll', name: 'Payroll', bank },
+  { id: 'petty', name: 'Petty Cash' }
+]
+
+const check = (id, ledgerId, checkNumber, extra = {}) => ({
+  id, type: 'check', ledgerId, checkNumber, payee: `Payee ${id}`, amount: 100, date: '2026-01-01', ...extra
+})
+
+describe('getRegistryKey', () => {
+  test('uses routing and account when both are set', () => {
+    expect(getRegistryKey(ledgers[0])).toBe('bank:011000015:123456')
+  })
+
+  test('falls back to the ledger id', () => {
+    expect(getRegistryKey(ledgers[2])).toBe('ledger:petty')
+  })
+})
+
+describe('getLedgersSharingAccount', () => {
+  test('groups ledgers on the same bank account', () => {
+    expect(getLedgersSharingAccount(ledgers, 'ops')).toEqual(['ops', 'payroll'])
+    expect(getLedgersSharingAccount(ledgers, 'petty')).toEqual(['petty'])
+    expect(getLedgersSharingAccount(ledgers, 'missing')).toEqual(['missing'])
+  })
+})
+
+describe('parseCheckNumber', () => {
+  test('accepts numeric strings only', () => {
+    expect(parseCheckNumber(' 1001 ')).toBe(1001)
+    expect(parseCheckNumber(1002)).toBe(1002)
+    expect(parseCheckNumber('A-1001')).toBeNull()
+    expect(parseCheckNumber('')).toBeNull()
+  })
+})
+
+describe('buildCheckRegistry', () => {
+  const checkHistory = [
+    check('a', 'ops', '1001'),
+    check('b', 'payroll', '1002', { status: 'void', voidReason: 'Wrong amount' }),
+    check('c', 'petty', '1003'),
+    { id: 'd', type: 'deposit', ledgerId: 'ops', checkNumber: '1004' },
+    check('e', 'ops', '')
+  ]
+  const spoiledChecks = [{ id: 's1', ledgerId: 'ops', checkNumber: '1005', reason: 'Printer jam', date: '2026-01-02' }]
+
+  test('collects issued, voided and spoiled numbers across the account', () => {
+    const registry = buildCheckRegistry({ checkHistory, spoiledChecks, ledgers }, 'payroll')
+    expect(registry.map(e => [e.checkNumber, e.status])).toEqual([
+      [1001, 'issued'],
+      [1002, 'void'],
+      [1005, 'spoiled']
+    ])
+    expect(registry[1].reason).toBe('Wrong amount')
+  })
+
+  test('carries misprint replacement links', () => {
+    const registry = buildCheckRegistry({
+      checkHistory: [
+        check('a', 'ops', '1001', { status: 'void', reissuedAs: '1003' }),
+        check('b', 'ops', '1003', { replacesCheckNumber: '1001' }),
+        check('c', 'ops', '1004', { replacesCheckNumber: '1002' })
+      ],
+      spoiledChecks: [{ id: 's1', ledgerId: 'ops', checkNumber: '1002', replacedBy: '1004' }],
+      ledgers
+    }, 'ops')
+    expect(registry.map(e => [e.checkNumber, e.replacedBy, e.replaces])).toEqual([
+      [1001, '1003', ''],
+      [1002, '1004', ''],
+      [1003, '', '1001'],
+      [1004, '', '1002']
+    ])
+  })
+
+  test('keeps ledgers without bank details separate', () => {
+    const registry = buildCheckRegistry({ checkHistory, spoiledChecks, ledgers }, 'petty')
+    expect(registry.map(e => e.checkNumber)).toEqual([1003])
+  })
+})
+
+describe('findDuplicateNumbers', () => {
+  test('groups entries sharing a number', () => {
+    const registry = buildCheckRegistry({
+      checkHistory: [check('a', 'ops', '1001'), check('b', 'payroll', '1001'), check('c', 'ops', '1002')],
+      ledgers
+    }, 'ops')
+    const duplicates = findDuplicateNumbers(registry)
+    expect(duplicates).toHaveLength(1)
+    expect(duplicates[0].checkNumber).toBe(1001)
+    expect(duplicates[0].entries.map(e => e.id)).toEqual(['a', 'b'])
+  })
+})
+
+describe('findNumberGaps', () => {
+  test('reports skipped ranges', () => {
+    const registry = [1001, 1002, 1005, 1007].map(n => ({ checkNumber: n }))
+    expect(findNumberGaps(registry)).toEqual([
+      { from: 1003, to: 1004, count: 2 },
+      { from: 1006, to: 1006, count: 1 }
+    ])
+  })
+
+  test('returns nothing for a contiguous or empty register', () => {
+    expect(findNumberGaps([{ checkNumber: 1 }, { checkNumber: 2 }])).toEqual([])
+    expect(findNumberGaps([])).toEqual([])
+  })
+})
+
+describe('numberSheetSlots', () => {
+  const slot = (payee, checkNumber = '') => ({ payee, amount: '10.00', checkNumber })
+  const empty = { payee: '', amount: '', checkNumber: '' }
+
+  test('numbers blank filled slots consecutively in slot order', () => {
+    const sheet = numberSheetSlots({ top: slot('A'), middle: empty, bottom: slot('B') }, 1001)
+    expect([sheet.top.checkNumber, sheet.middle.checkNumber, sheet.bottom.checkNumber]).toEqual(['1001', '', '1002'])
+  })
+
+  test('keeps typed numbers and skips them for blank slots', () => {
+    const sheet = numberSheetSlots({ top: slot('A'), middle: slot('B', '1001'), bottom: slot('C') }, '1001')
+    expect([sheet.top.checkNumber, sheet.middle.checkNumber, sheet.bottom.checkNumber]).toEqual(['1002', '1001', '1003'])
+  })
+})
+
+describe('findCheckNumberConflicts', () => {
+  const sources = {
+    checkHistory: [check('a', 'ops', '1001')],
+    spoiledChecks: [{ id: 's1', ledgerId: 'ops', checkNumber: '1002' }],
+    ledgers
+  }
+
+  test('flags numbers already used on the same account', () => {
+    const conflicts = findCheckNumberConflicts(sources, [
+      { ledgerId: 'payroll', checkNumber: '1001' },
+      { ledgerId: 'ops', checkNumber: '1002' },
+      { ledgerId: 'ops', checkNumber: '1003' }
+    ])
+    expect(conflicts.map(c => c.checkNumber)).toEqual([1001, 1002])
+    expect(conflicts[1].existing[0].status).toBe('spoiled')
+  })
+
+  test('ignores other accounts', () => {
+    expect(findCheckNumberConflicts(sources, [{ ledgerId: 'petty', checkNumber: '1001' }])).toEqual([])
+  })
+
+  test('flags repeats within the planned batch', () => {
+    const conflicts = findCheckNumberConflicts(sources, [
+      { ledgerId: 'petty', checkNumber: '2000' },
+      { ledgerId: 'petty', checkNumber: '2000' }
+    ])
+    expect(conflicts).toHaveLength(1)
+    expect(conflicts[0].repeatedInBatch).toBe(true)
+  })
+})
+
+describe('describeConflicts', () => {
+  test('summarises each conflict and truncates long lists', () => {
+    const conflicts = [
+      { checkNumber: 1001, existing: [{ status: 'issued', payee: 'Acme', date: '2026-01-01' }] },
+      { checkNumber: 1002, existing: [] },
+      { checkNumber: 1003, existing: [{ status: 'spoiled' }] }
+    ]
+    expect(describeConflicts(conflicts, 2)).toBe(
+      '#1001 was already issued to Acme on 2026-01-01\n#1002 appears more than once in this batch\n…and 1 more'
+    )
+  })
+})
+
+describe('createSpoiledEntry', () => {
+  test('creates a trimmed log entry', () => {
+    const entry = createSpoiledEntry({ ledgerId: 'ops', checkNumber: ' 1010 ', reason: ' Jam ', date: '2026-01-05' })
+    expect(entry).toMatchObject({ ledgerId: 'ops', checkNumber: '1010', reason: 'Jam', date: '2026-01-05', spoiledBy: 'User' })
+    expect(entry.id).toMatch(/^spoil_/)
+  })
+})
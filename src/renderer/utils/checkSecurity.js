@@ -0,0 +1,103 @@
+/**
+ * Check Security Utilities
+ *
+ * Alteration controls applied at print time: protective fill on the amount
+ * and words lines, a microprinted signature line and a "non-negotiable"
+ * background for copies. Settings are stored per profile.
+ * No React dependencies.
+ */
+
+export const AMOUNT_FILL = {
+    NONE: 'none',
+    ASTERISK: 'asterisk'
+}
+
+export const WORDS_FILL = {
+    NONE: 'none',
+    DASH: 'dash',
+    ASTERISK: 'asterisk'
+}
+
+export const DEFAULT_MICROPRINT_TEXT = 'AUTHORIZED SIGNATURE'
+export const PANTOGRAPH_TEXT = 'NON-NEGOTIABLE'
+
+export const DEFAULT_CHECK_SECURITY = {
+    amountFill: AMOUNT_FILL.NONE,
+    wordsFill: WORDS_FILL.NONE,
+    microprintSignature: false,
+    microprintText: DEFAULT_MICROPRINT_TEXT,
+    copyPantograph: false
+}
+
+// Average advance width of a glyph as a fraction of the font size.
+// Digits are ~0.55em in proportional faces and 0.6em in Courier.
+const AVG_CHAR_EM = 0.6
+
+/**
+ * Read a profile's security settings, filling in defaults for older profiles.
+ *
+ * @param {Object} profile - Check profile
+ * @returns {Object} Complete security settings
+ */
+export function getCheckSecurity(profile) {
+    return { ...DEFAULT_CHECK_SECURITY, ...(profile?.security || {}) }
+}
+
+/**
+ * Estimate how many characters fit across a field.
+ *
+ * @param {number} widthIn - Field width in inches
+ * @param {number} fontSizePt - Font size in points
+ * @returns {number} Whole characters that fit (0 when unknown)
+ */
+export function estimateCharCapacity(widthIn, fontSizePt) {
+    if (!(widthIn > 0) || !(fontSizePt > 0)) return 0
+    return Math.floor((widthIn * 72) / (fontSizePt * AVG_CHAR_EM))
+}
+
+/**
+ * Left-pad a formatted amount with asterisks so no digits can be added
+ * in front of it, e.g. "****1,234.56".
+ *
+ * @param {string} formatted - Formatted amount without currency symbol
+ * @param {number} capacity - Characters that fit in the amount box
+ * @returns {string}
+ */
+export function applyAmountFill(formatted, capacity) {
+    const text = String(formatted || '')
+    if (!text) return text
+    // Always lead with at least one asterisk, even if the box is tight
+    const pad = Math.max(capacity - text.length, 1)
+    return '*'.repeat(pad) + text
+}
+
+/**
+ * Fill the remainder of the words line with dashes or asterisks.
+ *
+ * @param {string} words - Amount in words
+ * @param {string} fill - One of WORDS_FILL
+ * @param {number} capacity - Characters that fit on the line
+ * @returns {string}
+ */
+export function applyWordsFill(words, fill, capacity) {
+    const text = String(words || '')
+    if (!text || fill === WORDS_FILL.NONE || !fill) return text
+    const ch = fill === WORDS_FILL.ASTERISK ? '*' : '-'
+    const pad = capacity - text.length - 1
+    if (pad <= 0) return text
+    return `${text} ${ch.repeat(pad)}`
+}
+
+/**
+ * Repeat microprint text until it spans the given number of characters.
+ *
+ * @param {string} text - Phrase to repeat
+ * @param {number} capacity - Characters needed to span the line
+ * @returns {string}
+ */
+export function buildMicroprintLine(text, capacity) {
+    const phrase = String(text || '').trim() || DEFAULT_MICROPRINT_TEXT
+    const unit = `${phrase} `
+    if (capacity <= 0) return ''
+    return unit.repeat(Math.ceil(capacity / unit.length)).slice(0, capacity)
+}
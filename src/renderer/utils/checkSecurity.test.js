@@ -0,0 +1,83 @@
+import {
+  getCheckSecurity,
+  estimateCharCapacity,
+  applyAmountFill,
+  applyWordsFill,
+  buildMicroprintLine,
+  DEFAULT_CHECK_SECURITY,
+  WORDS_FILL
+} from './checkSecurity'
+
+describe('getCheckSecurity', () => {
+  test('returns defaults for profiles without security settings', () => {
+    expect(getCheckSecurity({})).toEqual(DEFAULT_CHECK_SECURITY)
+    expect(getCheckSecurity(null)).toEqual(DEFAULT_CHECK_SECURITY)
+  })
+
+  test('merges saved settings over defaults', () => {
+    const security = getCheckSecurity({ security: { amountFill: 'asterisk' } })
+    expect(security.amountFill).toBe('asterisk')
+    expect(security.wordsFill).toBe('none')
+  })
+})
+
+describe('estimateCharCapacity', () => {
+  test('counts characters at 0.6em per glyph', () => {
+    // 1in = 72pt; 72 / (12 * 0.6) = 10
+    expect(estimateCharCapacity(1, 12)).toBe(10)
+    expect(estimateCharCapacity(1.5, 12)).toBe(15)
+  })
+
+  test('returns 0 for missing dimensions', () => {
+    expect(estimateCharCapacity(0, 12)).toBe(0)
+    expect(estimateCharCapacity(1, undefined)).toBe(0)
+  })
+})
+
+describe('applyAmountFill', () => {
+  test('left-pads with asterisks to the box capacity', () => {
+    expect(applyAmountFill('1,234.56', 12)).toBe('****1,234.56')
+  })
+
+  test('always leads with at least one asterisk', () => {
+    expect(applyAmountFill('1,234,567.89', 5)).toBe('*1,234,567.89')
+  })
+
+  test('leaves empty amounts alone', () => {
+    expect(applyAmountFill('', 12)).toBe('')
+  })
+})
+
+describe('applyWordsFill', () => {
+  const words = 'One Hundred and 00/100'
+
+  test('fills the remainder of the line with dashes', () => {
+    const filled = applyWordsFill(words, WORDS_FILL.DASH, 30)
+    expect(filled).toBe(`${words} -------`)
+    expect(filled).toHaveLength(30)
+  })
+
+  test('fills with asterisks', () => {
+    expect(applyWordsFill(words, WORDS_FILL.ASTERISK, 26)).toBe(`${words} ***`)
+  })
+
+  test('does nothing when disabled or the line is full', () => {
+    expect(applyWordsFill(words, WORDS_FILL.NONE, 30)).toBe(words)
+    expect(applyWordsFill(words, WORDS_FILL.DASH, 10)).toBe(words)
+    expect(applyWordsFill('', WORDS_FILL.DASH, 30)).toBe('')
+  })
+})
+
+describe('buildMicroprintLine', () => {
+  test('repeats the phrase to the requested length', () => {
+    expect(buildMicroprintLine('SECURE', 16)).toBe('SECURE SECURE SE')
+  })
+
+  test('falls back to the default phrase', () => {
+    expect(buildMicroprintLine('  ', 10)).toBe('AUTHORIZED')
+  })
+
+  test('returns nothing for zero capacity', () => {
+    expect(buildMicroprintLine('SECURE', 0)).toBe('')
+  })
+})
@@ -0,0 +1,205 @@
+/**
+ * Pre-Print Check Validation
+ *
+ * A pass over the checks about to print — one check, a three-up sheet or a
+ * whole batch — that reports problems per item. Each rule has a severity
+ * the admin can set: 'error' blocks printing, 'warning' needs the user to
+ * print anyway, 'off' skips the rule. Rules see the whole list so batch
+ * concerns (repeated numbers, a balance running out part way) work the same
+ * as single-check ones. No React dependencies.
+ */
+
+import { findCheckNumberConflicts, describeConflicts, parseCheckNumber, getRegistryKey } from './checkRegistry'
+import { sanitizeCurrencyInput } from './helpers'
+
+export const SEVERITY = {
+    ERROR: 'error',
+    WARNING: 'warning',
+    OFF: 'off'
+}
+
+export const DEFAULT_STALE_CHECK_DAYS = 180
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Calendar date at local midnight; YYYY-MM-DD is read as local, not UTC
+function parseCheckDate(value) {
+    if (!value) return null
+    const text = String(value).trim()
+    const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text)
+    const d = iso ? new Date(+iso[1], +iso[2] - 1, +iso[3]) : new Date(text)
+    if (isNaN(d.getTime())) return null
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate())
+}
+
+const normalizeWords = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9/]+/g, ' ').trim()
+
+// Wrap a per-check test as a rule; fn returns a message or null
+const perItem = (fn) => (items, ctx) => items
+    .map((item, index) => ({ index, message: fn(item, ctx) }))
+    .filter(r => r.message)
+
+/**
+ * Built-in rules. Each validate(items, ctx) returns [{ index, message }].
+ * Items: { payee, amount, amountWords, date, checkNumber, glCode, ledgerId }.
+ */
+export const VALIDATION_RULES = [
+    {
+        id: 'duplicateCheckNumber',
+        label: 'Duplicate check number',
+        description: 'Number already issued, voided or spoiled on this bank account, or repeated in the batch',
+        defaultSeverity: SEVERITY.WARNING,
+        validate: (items, ctx) => {
+            const registry = ctx.registry || {}
+            const seen = new Set()
+            const results = []
+            items.forEach((item, index) => {
+                const checkNumber = parseCheckNumber(item.checkNumber)
+                if (checkNumber === null) return
+                const [conflict] = findCheckNumberConflicts(registry, [{ ledgerId: item.ledgerId, checkNumber }])
+                // Ledgers on the same bank account share one sequence
+                const ledger = (registry.ledgers || []).find(l => l.id === item.ledgerId)
+                const key = `${ledger ? getRegistryKey(ledger) : `ledger:${item.ledgerId}`}#${checkNumber}`
+                const repeatedInBatch = seen.has(key)
+                seen.add(key)
+                if (conflict || repeatedInBatch) {
+                    results.push({
+                        index,
+                        message: describeConflicts([conflict || { ledgerId: item.ledgerId, checkNumber, existing: [], repeatedInBatch }])
+                    })
+                }
+            })
+            return results
+        }
+    },
+    {
+        id: 'postDated',
+        label: 'Post-dated check',
+        description: 'Date is after today',
+        defaultSeverity: SEVERITY.WARNING,
+        validate: perItem((item, ctx) => {
+            const date = parseCheckDate(item.date)
+            const today = parseCheckDate(ctx.today)
+            if (!date || !today || date <= today) return null
+            return `Dated ${Math.round((date - today) / DAY_MS)} day(s) in the future`
+        })
+    },
+    {
+        id: 'staleDate',
+        label: 'Stale date',
+        description: 'Date is older than the stale-check limit',
+        defaultSeverity: SEVERITY.WARNING,
+        validate: perItem((item, ctx) => {
+            const date = parseCheckDate(item.date)
+            const today = parseCheckDate(ctx.today)
+            if (!date || !today) return null
+            const days = Math.round((today - date) / DAY_MS)
+            const limit = ctx.staleCheckDays ?? DEFAULT_STALE_CHECK_DAYS
+            return days > limit ? `Dated ${days} days ago (limit ${limit})` : null
+        })
+    },
+    {
+        id: 'overdraft',
+        label: 'Overdraft',
+        description: 'Amount exceeds the ledger balance, counting earlier checks in the batch',
+        defaultSeverity: SEVERITY.WARNING,
+        validate: (items, ctx) => {
+            const spent = new Map()
+            const results = []
+            items.forEach((item, index) => {
+                const balance = ctx.getLedgerBalance?.(item.ledgerId)
+                if (typeof balance !== 'number') return
+                const before = balance - (spent.get(item.ledgerId) || 0)
+                const amount = sanitizeCurrencyInput(item.amount)
+                spent.set(item.ledgerId, (spent.get(item.ledgerId) || 0) + amount)
+                if (amount > before) {
+                    const format = ctx.formatCurrency || ((n) => n.toFixed(2))
+                    results.push({ index, message: `${format(amount)} exceeds the available ${format(Math.max(0, before))}` })
+                }
+            })
+            return results
+        }
+    },
+    {
+        id: 'unknownPayee',
+        label: 'Payee not in vendors',
+        description: 'Payee does not match a vendor in the vendor database',
+        defaultSeverity: SEVERITY.OFF,
+        validate: perItem((item, ctx) => {
+            const payee = String(item.payee || '').trim().toLowerCase()
+            if (!payee) return null
+            const known = (ctx.vendors || []).some(v => String(v.name || '').trim().toLowerCase() === payee)
+            return known ? null : `"${item.payee}" is not in the vendor database`
+        })
+    },
+    {
+        id: 'missingGlCode',
+        label: 'Missing GL code',
+        description: 'Check has no GL code',
+        defaultSeverity: SEVERITY.OFF,
+        validate: perItem((item) => String(item.glCode || '').trim() ? null : 'No GL code')
+    },
+    {
+        id: 'amountWordsMismatch',
+        label: 'Amount words mismatch',
+        description: 'Written amount does not match the numeric amount',
+        defaultSeverity: SEVERITY.ERROR,
+        validate: perItem((item, ctx) => {
+            // Words are generated at print time when not supplied
+            if (!item.amountWords || !ctx.numberToWords) return null
+            const expected = ctx.numberToWords(item.amount)
+            return normalizeWords(expected) === normalizeWords(item.amountWords)
+                ? null
+                : `Words read "${item.amountWords}" but the amount is ${item.amount}`
+        })
+    }
+]
+
+/**
+ * Severity configured for a rule, falling back to its default.
+ *
+ * @param {Object} settings - { ruleId: severity } (preferences.validationRules)
+ * @param {Object} rule - Entry from VALIDATION_RULES
+ * @returns {string} SEVERITY value
+ */
+export function getRuleSeverity(settings, rule) {
+    const value = settings?.[rule.id]
+    return Object.values(SEVERITY).includes(value) ? value : rule.defaultSeverity
+}
+
+/**
+ * Run every enabled rule over the checks about to print.
+ *
+ * @param {Array} items - Checks in print order
+ * @param {Object} ctx
+ * @param {Object} [ctx.settings] - Rule severities
+ * @param {Object} [ctx.registry] - { checkHistory, spoiledChecks, ledgers } for duplicate numbers
+ * @param {Function} [ctx.getLedgerBalance] - (ledgerId) => number, or undefined to skip the ledger
+ * @param {Array} [ctx.vendors]
+ * @param {string} [ctx.today] - YYYY-MM-DD
+ * @param {number} [ctx.staleCheckDays]
+ * @param {Function} [ctx.numberToWords]
+ * @param {Function} [ctx.formatCurrency]
+ * @param {Array} [rules=VALIDATION_RULES] - Rules to run; extend to plug in more
+ * @returns {Array<{ index: number, item: Object, issues: Array<{ ruleId, label, severity, message }> }>}
+ *   One entry per item, in order
+ */
+export function validateChecks(items, ctx, rules = VALIDATION_RULES) {
+    const results = items.map((item, index) => ({ index, item, issues: [] }))
+    for (const rule of rules) {
+        const severity = getRuleSeverity(ctx.settings, rule)
+        if (severity === SEVERITY.OFF) continue
+        for (const { index, message } of rule.validate(items, ctx)) {
+            results[index]?.issues.push({ ruleId: rule.id, label: rule.label, severity, message })
+        }
+    }
+    return results
+}
+
+/**
+ * @param {Array} results - From validateChecks
+ * @returns {boolean} True if any issue blocks printing
+ */
+export function hasValidationErrors(results) {
+    return results.some(r => r.issues.some(i => i.severity === SEVERITY.ERROR))
+}
@@ -0,0 +1,141 @@
+import {
+  SEVERITY,
+  VALIDATION_RULES,
+  getRuleSeverity,
+  validateChecks,
+  hasValidationErrors
+} from './checkValidation'
+import { numberToWords } from '../../shared/numberToWords'
+
+const bank = { routingNumber: '011000015', accountNumber: '123456' }
+const ledgers = [
+  { id: 'ops', name: 'Operations', bank },
+  { id: 'payroll', name: 'Payroll', bank },
+  { id: 'petty', name: 'Petty Cash' }
+]
+
+const item = (extra = {}) => ({
+  payee: 'Acme Supply',
+  amount: '100.00',
+  amountWords: '',
+  date: '2026-03-10',
+  checkNumber: '',
+  glCode: '',
+  ledgerId: 'ops',
+  ...extra
+})
+
+const baseCtx = {
+  today: '2026-03-10',
+  registry: { checkHistory: [], spoiledChecks: [], ledgers }
+}
+
+const ruleIds = (result) => result.issues.map(i => i.ruleId)
+
+describe('getRuleSeverity', () => {
+  const rule = VALIDATION_RULES.find(r => r.id === 'overdraft')
+
+  test('uses the configured severity', () => {
+    expect(getRuleSeverity({ overdraft: 'error' }, rule)).toBe(SEVERITY.ERROR)
+    expect(getRuleSeverity({ overdraft: 'off' }, rule)).toBe(SEVERITY.OFF)
+  })
+
+  test('falls back to the default for missing or unknown values', () => {
+    expect(getRuleSeverity(undefined, rule)).toBe(rule.defaultSeverity)
+    expect(getRuleSeverity({ overdraft: 'loud' }, rule)).toBe(rule.defaultSeverity)
+  })
+})
+
+describe('validateChecks', () => {
+  test('returns one clean entry per item when nothing is wrong', () => {
+    const results = validateChecks([item(), item({ payee: 'Beta' })], baseCtx)
+    expect(results.map(r => r.index)).toEqual([0, 1])
+    expect(results.every(r => r.issues.length === 0)).toBe(true)
+    expect(hasValidationErrors(results)).toBe(false)
+  })
+
+  test('flags numbers already used on the bank account and repeats in the batch', () => {
+    const ctx = {
+      ...baseCtx,
+      registry: {
+        ...baseCtx.registry,
+        checkHistory: [{ id: 'c1', type: 'check', ledgerId: 'payroll', checkNumber: 1001, payee: 'Old', date: '2026-01-01' }]
+      }
+    }
+    const results = validateChecks([
+      item({ checkNumber: '1001' }),
+      item({ checkNumber: '1002' }),
+      item({ checkNumber: '1002', ledgerId: 'payroll' }),
+      item({ checkNumber: '1002', ledgerId: 'petty' })
+    ], ctx)
+    expect(results[0].issues[0].message).toBe('#1001 was already issued to Old on 2026-01-01')
+    expect(ruleIds(results[1])).toEqual([])
+    expect(results[2].issues[0].message).toBe('#1002 appears more than once in this batch')
+    expect(ruleIds(results[3])).toEqual([])
+  })
+
+  test('flags post-dated and stale dates', () => {
+    const results = validateChecks([
+      item({ date: '2026-03-15' }),
+      item({ date: '2025-08-01' }),
+      item({ date: '2025-09-20' })
+    ], { ...baseCtx, staleCheckDays: 180 })
+    expect(ruleIds(results[0])).toEqual(['postDated'])
+    expect(results[0].issues[0].message).toBe('Dated 5 day(s) in the future')
+    expect(ruleIds(results[1])).toEqual(['staleDate'])
+    expect(ruleIds(results[2])).toEqual([])
+  })
+
+  test('tracks a running balance per ledger for overdrafts', () => {
+    const balances = { ops: 250, petty: 10 }
+    const results = validateChecks([
+      item({ amount: '200' }),
+      item({ amount: '100' }),
+      item({ amount: '5', ledgerId: 'petty' }),
+      item({ amount: '5', ledgerId: 'new:Savings' })
+    ], { ...baseCtx, getLedgerBalance: (id) => balances[id] })
+    expect(ruleIds(results[0])).toEqual([])
+    expect(results[1].issues[0]).toMatchObject({ ruleId: 'overdraft', severity: 'warning', message: '100.00 exceeds the available 50.00' })
+    expect(ruleIds(results[2])).toEqual([])
+    expect(ruleIds(results[3])).toEqual([])
+  })
+
+  test('checks payees and GL codes only when enabled', () => {
+    const ctx = { ...baseCtx, vendors: [{ name: 'acme supply ' }] }
+    const items = [item(), item({ payee: 'Stranger', glCode: '6000' })]
+    expect(validateChecks(items, ctx).flatMap(ruleIds)).toEqual([])
+
+    const results = validateChecks(items, { ...ctx, settings: { unknownPayee: 'warning', missingGlCode: 'error' } })
+    expect(ruleIds(results[0])).toEqual(['missingGlCode'])
+    expect(ruleIds(results[1])).toEqual(['unknownPayee'])
+    expect(hasValidationErrors(results)).toBe(true)
+  })
+
+  test('blocks amount words that do not match the amount', () => {
+    const ctx = { ...baseCtx, numberToWords }
+    const results = validateChecks([
+      item({ amount: '100.00', amountWords: numberToWords('100.00') }),
+      item({ amount: '100.00', amountWords: numberToWords('1000.00') }),
+      item({ amount: '100.00', amountWords: '' })
+    ], ctx)
+    expect(ruleIds(results[0])).toEqual([])
+    expect(results[1].issues[0]).toMatchObject({ ruleId: 'amountWordsMismatch', severity: 'error' })
+    expect(ruleIds(results[2])).toEqual([])
+    expect(hasValidationErrors(results)).toBe(true)
+  })
+
+  test('skips rules set to off and runs extra rules passed in', () => {
+    const extra = {
+      id: 'bigCheck',
+      label: 'Large check',
+      defaultSeverity: SEVERITY.WARNING,
+      validate: (items) => items.map((it, index) => ({ index, message: 'Large' })).filter((_, i) => items[i].amount > 50)
+    }
+    const results = validateChecks(
+      [item({ date: '2027-01-01', amount: 75 })],
+      { ...baseCtx, settings: { postDated: 'off' } },
+      [...VALIDATION_RULES, extra]
+    )
+    expect(ruleIds(results[0])).toEqual(['bigCheck'])
+  })
+})
@@ -0,0 +1,198 @@
+/**
+ * Envelope Printing Utilities
+ *
+ * Builds envelope print jobs: a return address from the ledger's company
+ * details and a recipient block from the payee's address. Addresses come
+ * from the check itself, the vendor database or past checks, in that
+ * order. Envelopes have their own per-printer calibration
+ * (preferences.envelopeCalibrations) because they feed differently from
+ * check stock. No React dependencies.
+ */
+
+import { resolveCheckFaceDetails } from './checkFace'
+import { getPrinterCalibration } from './printerCalibration'
+
+// Sizes in inches, landscape (as addressed)
+export const ENVELOPE_SIZES = {
+    no10: { id: 'no10', name: '#10 (9½ × 4⅛ in)', width: 9.5, height: 4.125 },
+    no9: { id: 'no9', name: '#9 (8⅞ × 3⅞ in)', width: 8.875, height: 3.875 },
+    dl: { id: 'dl', name: 'DL (220 × 110 mm)', width: 8.661, height: 4.331 }
+}
+
+export const DEFAULT_ENVELOPE_SIZE = 'no10'
+
+// Return address sits in the top-left corner; the recipient block starts
+// a little left of centre and just below the middle, clear of the
+// postage area and inside the OCR read zone
+const RETURN_INSET_IN = 0.3
+const RECIPIENT_X_RATIO = 0.42
+const RECIPIENT_Y_RATIO = 0.48
+
+const MICRONS_PER_INCH = 25400
+
+/**
+ * @param {string} id - Envelope size id
+ * @returns {Object} Envelope size (defaults to #10)
+ */
+export function getEnvelopeSize(id) {
+    return ENVELOPE_SIZES[id] || ENVELOPE_SIZES[DEFAULT_ENVELOPE_SIZE]
+}
+
+/**
+ * Where the two address blocks go on an envelope.
+ *
+ * @param {Object} size - Envelope size
+ * @returns {{ returnAddress: {x: number, y: number}, recipient: {x: number, y: number, w: number} }} Inches
+ */
+export function getEnvelopeLayout(size) {
+    const x = round(size.width * RECIPIENT_X_RATIO)
+    return {
+        returnAddress: { x: RETURN_INSET_IN, y: RETURN_INSET_IN },
+        recipient: { x, y: round(size.height * RECIPIENT_Y_RATIO), w: round(size.width - x - RETURN_INSET_IN) }
+    }
+}
+
+/**
+ * Page size for printing an envelope, in microns as Electron's print() expects.
+ *
+ * @param {Object} size - Envelope size
+ * @returns {{ width: number, height: number }}
+ */
+export function getEnvelopePageSize(size) {
+    return {
+        width: Math.round(size.width * MICRONS_PER_INCH),
+        height: Math.round(size.height * MICRONS_PER_INCH)
+    }
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000
+}
+
+function toLines(text) {
+    return String(text || '')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean)
+}
+
+/**
+ * Format a vendor record's address fields as multi-line text.
+ *
+ * @param {Object} vendor - Vendor with address, city, state, zip
+ * @returns {string}
+ */
+export function formatVendorAddress(vendor) {
+    if (!vendor) return ''
+    const cityLine = [vendor.city, [vendor.state, vendor.zip].filter(Boolean).join(' ')].filter(Boolean).join(', ')
+    return [vendor.address, cityLine].map(s => (s || '').trim()).filter(Boolean).join('\n')
+}
+
+// An "address" that is only the payee's name (the import fallback) isn't an address
+function isRealAddress(address, payee) {
+    const text = (address || '').trim()
+    return !!text && text.toLowerCase() !== (payee || '').trim().toLowerCase()
+}
+
+/**
+ * Find the best mailing address for a payee.
+ *
+ * @param {string} payee - Payee name
+ * @param {Object} sources
+ * @param {string} [sources.address] - Address entered on the check
+ * @param {Array} [sources.vendors] - Vendor database
+ * @param {Array} [sources.checkHistory] - History, newest first
+ * @returns {string} Address text ('' when none is known)
+ */
+export function resolvePayeeAddress(payee, { address = '', vendors = [], checkHistory = [] } = {}) {
+    if (isRealAddress(address, payee)) return address.trim()
+
+    const name = (payee || '').trim().toLowerCase()
+    if (!name) return ''
+
+    const vendor = vendors.find(v => (v.name || '').trim().toLowerCase() === name)
+    const vendorAddress = formatVendorAddress(vendor)
+    if (vendorAddress) return vendorAddress
+
+    const past = checkHistory.find(c =>
+        (c.payee || '').trim().toLowerCase() === name && isRealAddress(c.address, c.payee)
+    )
+    return past ? past.address.trim() : ''
+}
+
+/**
+ * Recipient lines for an envelope: the payee name followed by the address,
+ * without repeating the name when the address already starts with it.
+ *
+ * @param {string} payee - Payee name
+ * @param {string} address - Address text
+ * @returns {string[]}
+ */
+export function getRecipientLines(payee, address) {
+    const lines = toLines(address)
+    const name = (payee || '').trim()
+    if (!name) return lines
+    if (lines[0]?.toLowerCase() === name.toLowerCase()) return lines
+    return [name, ...lines]
+}
+
+/**
+ * Return address lines from the ledger's company details, falling back to
+ * the shared company info.
+ *
+ * @param {Object} ledger - Ledger (optional company override)
+ * @param {Object} companyInfo - preferences.companyInfo
+ * @returns {string[]}
+ */
+export function getReturnAddressLines(ledger, companyInfo) {
+    const { companyName, companyAddressLines } = resolveCheckFaceDetails(ledger, companyInfo)
+    return [companyName, ...companyAddressLines].filter(Boolean)
+}
+
+/**
+ * Build one envelope per recipient.
+ *
+ * @param {Array} recipients - Items with payee, address and optional ledgerId
+ *   (queue items, history entries or the current form)
+ * @param {Object} context
+ * @param {Array} context.ledgers - Ledgers, for per-ledger return addresses
+ * @param {Object} context.companyInfo - preferences.companyInfo
+ * @param {Array} [context.vendors] - Vendor database
+ * @param {Array} [context.checkHistory] - History
+ * @param {boolean} [context.includeReturnAddress=true] - False for pre-printed envelopes
+ * @returns {Array<{ payee: string, returnLines: string[], recipientLines: string[], missingAddress: boolean }>}
+ */
+export function buildEnvelopes(recipients, { ledgers = [], companyInfo = {}, vendors = [], checkHistory = [], includeReturnAddress = true }) {
+    return recipients.map(r => {
+        const address = resolvePayeeAddress(r.payee, { address: r.address, vendors, checkHistory })
+        const ledger = ledgers.find(l => l.id === r.ledgerId)
+        return {
+            payee: (r.payee || '').trim(),
+            returnLines: includeReturnAddress ? getReturnAddressLines(ledger, companyInfo) : [],
+            recipientLines: getRecipientLines(r.payee, address),
+            missingAddress: !address
+        }
+    })
+}
+
+/**
+ * Build an envelope print job for the offscreen print renderer.
+ *
+ * @param {Object} params
+ * @param {Array} params.envelopes - From buildEnvelopes
+ * @param {Object} params.preferences - App preferences (envelopeSize, envelopeCalibrations, fontFamily)
+ * @param {string|null} [params.deviceName=null] - Target printer, for its envelope calibration
+ * @param {string} [params.title='Envelopes'] - Document title
+ * @returns {Object} Print job
+ */
+export function createEnvelopeJob({ envelopes, preferences, deviceName = null, title = 'Envelopes' }) {
+    const size = getEnvelopeSize(preferences.envelopeSize)
+    return {
+        kind: 'envelope',
+        title,
+        preferences,
+        envelope: { size, layout: getEnvelopeLayout(size) },
+        envelopes: envelopes.map(({ returnLines, recipientLines }) => ({ returnLines, recipientLines })),
+        printerCalibration: getPrinterCalibration(preferences.envelopeCalibrations, deviceName)
+    }
+}
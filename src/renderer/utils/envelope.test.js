@@ -0,0 +1,104 @@
+import {
+  getEnvelopeSize,
+  getEnvelopeLayout,
+  getEnvelopePageSize,
+  formatVendorAddress,
+  resolvePayeeAddress,
+  getRecipientLines,
+  getReturnAddressLines,
+  buildEnvelopes,
+  createEnvelopeJob
+} from './envelope'
+
+const vendors = [{ name: 'Acme Corp', address: '1 Main St', city: 'Springfield', state: 'IL', zip: '62701' }]
+const history = [
+  { payee: 'Bob Smith', address: 'Bob Smith' },
+  { payee: 'bob smith', address: '9 Elm Ave\nShelbyville, IL 62565' }
+]
+
+describe('envelope sizes', () => {
+  test('falls back to #10 for unknown sizes', () => {
+    expect(getEnvelopeSize('nope').id).toBe('no10')
+    expect(getEnvelopeSize('dl').width).toBeCloseTo(8.661)
+  })
+
+  test('page size is in microns', () => {
+    expect(getEnvelopePageSize(getEnvelopeSize('no10'))).toEqual({ width: 241300, height: 104775 })
+  })
+
+  test('recipient block sits right of the return address and below centre', () => {
+    const { returnAddress, recipient } = getEnvelopeLayout(getEnvelopeSize('no10'))
+    expect(returnAddress).toEqual({ x: 0.3, y: 0.3 })
+    expect(recipient.x).toBeCloseTo(3.99)
+    expect(recipient.y).toBeCloseTo(1.98)
+    expect(recipient.x + recipient.w).toBeCloseTo(9.2)
+  })
+})
+
+describe('resolvePayeeAddress', () => {
+  test('prefers the address on the check', () => {
+    expect(resolvePayeeAddress('Acme Corp', { address: 'PO Box 5', vendors })).toBe('PO Box 5')
+  })
+
+  test('falls back to the vendor record, then history', () => {
+    expect(resolvePayeeAddress('acme corp', { vendors })).toBe('1 Main St\nSpringfield, IL 62701')
+    expect(resolvePayeeAddress('Bob Smith', { address: 'Bob Smith', vendors, checkHistory: history }))
+      .toBe('9 Elm Ave\nShelbyville, IL 62565')
+  })
+
+  test('returns empty when nothing is known', () => {
+    expect(resolvePayeeAddress('Nobody', { vendors, checkHistory: history })).toBe('')
+  })
+
+  test('formatVendorAddress skips missing parts', () => {
+    expect(formatVendorAddress({ address: '1 Main St', state: 'IL' })).toBe('1 Main St\nIL')
+  })
+})
+
+describe('address lines', () => {
+  test('prefixes the payee unless the address already starts with it', () => {
+    expect(getRecipientLines('Acme Corp', '1 Main St\n\nSpringfield')).toEqual(['Acme Corp', '1 Main St', 'Springfield'])
+    expect(getRecipientLines('Acme Corp', 'ACME CORP\n1 Main St')).toEqual(['ACME CORP', '1 Main St'])
+  })
+
+  test('ledger company details win over shared company info', () => {
+    const companyInfo = { name: 'Parent Co', address: '5 Oak Rd\nTown, ST 11111' }
+    expect(getReturnAddressLines(null, companyInfo)).toEqual(['Parent Co', '5 Oak Rd', 'Town, ST 11111'])
+    expect(getReturnAddressLines({ company: { name: 'Sub LLC' } }, companyInfo))
+      .toEqual(['Sub LLC', '5 Oak Rd', 'Town, ST 11111'])
+  })
+})
+
+describe('buildEnvelopes', () => {
+  test('uses each recipient ledger and flags missing addresses', () => {
+    const envelopes = buildEnvelopes(
+      [{ payee: 'Acme Corp', ledgerId: 'l1' }, { payee: 'Nobody' }],
+      { ledgers: [{ id: 'l1', company: { name: 'Sub LLC' } }], companyInfo: { name: 'Parent Co' }, vendors }
+    )
+    expect(envelopes[0]).toMatchObject({ returnLines: ['Sub LLC'], missingAddress: false })
+    expect(envelopes[1]).toMatchObject({ returnLines: ['Parent Co'], recipientLines: ['Nobody'], missingAddress: true })
+  })
+
+  test('omits the return address for pre-printed envelopes', () => {
+    const [envelope] = buildEnvelopes([{ payee: 'Acme Corp' }], { companyInfo: { name: 'Parent Co' }, vendors, includeReturnAddress: false })
+    expect(envelope.returnLines).toEqual([])
+  })
+})
+
+describe('createEnvelopeJob', () => {
+  test('applies the envelope calibration, not the check calibration', () => {
+    const job = createEnvelopeJob({
+      envelopes: [{ payee: 'A', returnLines: [], recipientLines: ['A'], missingAddress: false }],
+      preferences: {
+        envelopeSize: 'no9',
+        printerCalibrations: { P1: { offsetXIn: 0.5 } },
+        envelopeCalibrations: { P1: { offsetYIn: -0.1 } }
+      },
+      deviceName: 'P1'
+    })
+    expect(job.kind).toBe('envelope')
+    expect(job.envelope.size.id).toBe('no9')
+    expect(job.envelopes).toEqual([{ returnLines: [], recipientLines: ['A'] }])
+    expect(job.printerCalibration).toMatchObject({ offsetXIn: 0, offsetYIn: -0.1 })
+  })
+})
@@ -59,3 +59,17 @@ export function sanitizeCurrencyInput(value) {
     const num = parseFloat(cleaned)
     return isNaN(num) ? 0 : num
 }
+
+/**
+ * Whether a check's data has nothing worth printing (three-up slots).
+ * Date and check number are ignored since they're filled automatically.
+ */
+export function isSlotEmpty(slotData) {
+    if (!slotData) return true
+    return !slotData.payee?.trim() &&
+        !slotData.amount?.trim() &&
+        !slotData.memo?.trim() &&
+        !slotData.external_memo?.trim() &&
+        !slotData.internal_memo?.trim() &&
+        !slotData.line_items_text?.trim()
+}
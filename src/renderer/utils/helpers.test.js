@@ -1,4 +1,4 @@
-import { generateId, formatCurrency, formatAmount, parseAmount, sanitizeCurrencyInput } from './helpers'
+import { generateId, formatCurrency, formatAmount, parseAmount, sanitizeCurrencyInput, isSlotEmpty } from './helpers'
 
 describe('generateId', () => {
   it('returns a non-empty string', () => {
@@ -106,3 +106,15 @@ describe('sanitizeCurrencyInput', () => {
     expect(sanitizeCurrencyInput(0)).toBe(0)
   })
 })
+
+describe('isSlotEmpty', () => {
+  it('treats missing or blank data as empty', () => {
+    expect(isSlotEmpty(null)).toBe(true)
+    expect(isSlotEmpty({ payee: '  ', amount: '', date: '2026-01-01', checkNumber: '1001' })).toBe(true)
+  })
+
+  it('detects any filled field', () => {
+    expect(isSlotEmpty({ payee: 'Acme' })).toBe(false)
+    expect(isSlotEmpty({ line_items_text: 'Invoice 42' })).toBe(false)
+  })
+})
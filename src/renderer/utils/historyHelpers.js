@@ -80,3 +80,73 @@ export function getUniqueFilterValues(history, field) {
   if (!Array.isArray(history)) return []
   return [...new Set(history.map(entry => entry[field]).filter(Boolean))].sort()
 }
+
+/**
+ * Whether a history entry has been voided.
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+export function isVoided(entry) {
+  return entry?.status === 'void'
+}
+
+/**
+ * Whether a history entry is a written check that can be voided.
+ * Deposits, notes, manual balance adjustments and already-voided checks cannot.
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+export function canVoidEntry(entry) {
+  if (!entry || isVoided(entry)) return false
+  if (entry.isManualAdjustment) return false
+  return entry.type === 'check' || !entry.type
+}
+
+/**
+ * Build the voided copy of a check entry. The original amount and ledger
+ * snapshot are kept for the audit trail; the balance calculation skips it.
+ * @param {Object} entry - Check history entry
+ * @param {Object} options
+ * @param {string} options.reason - Why the check was voided
+ * @param {string} options.voidDate - Effective void date (YYYY-MM-DD)
+ * @param {string} [options.voidedBy] - Who voided the check
+ * @param {string} [options.reissuedAs] - Replacement check number, if reissued
+ * @returns {Object} New entry with status 'void'
+ */
+export function voidEntry(entry, { reason, voidDate, voidedBy = 'User', reissuedAs = '' }) {
+  return {
+    ...entry,
+    status: 'void',
+    voidReason: reason,
+    voidDate,
+    voidedAt: new Date().toISOString(),
+    voidedBy,
+    ...(reissuedAs ? { reissuedAs: String(reissuedAs) } : {})
+  }
+}
+
+/**
+ * Calculate a ledger's balance from its starting balance plus deposits minus checks.
+ * Voided checks are excluded.
+ * @param {Array} history - Full checkHistory array
+ * @param {Object} ledger - Ledger with id and startingBalance
+ * @returns {number} Current balance
+ */
+export function calculateLedgerBalance(history, ledger) {
+  if (!ledger) return 0
+
+  const startingBalance = ledger.startingBalance || 0
+  const transactions = Array.isArray(history)
+    ? history.filter(t => t.ledgerId === ledger.id && !isVoided(t))
+    : []
+
+  const deposits = transactions
+    .filter(t => t.type === 'deposit')
+    .reduce((sum, t) => sum + (t.amount || 0), 0)
+
+  const checks = transactions
+    .filter(t => t.type === 'check' || !t.type) // Include legacy entries without type
+    .reduce((sum, t) => sum + (t.amount || 0), 0)
+
+  return startingBalance + deposits - checks
+}
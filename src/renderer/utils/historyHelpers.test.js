@@ -1,4 +1,7 @@
-import { filterHistoryByLedger, filterAndSortHistory, getUniqueFilterValues } from './historyHelpers'
+import {
+  filterHistoryByLedger, filterAndSortHistory, getUniqueFilterValues,
+  isVoided, canVoidEntry, voidEntry, calculateLedgerBalance
+} from './historyHelpers'
 
 const makeEntry = (overrides = {}) => ({
   id: Math.random().toString(36).slice(2),
@@ -249,3 +252,80 @@ describe('getUniqueFilterValues', () => {
     expect(getUniqueFilterValues(entries, 'nonexistentField')).toEqual([])
   })
 })
+
+describe('canVoidEntry', () => {
+  it('allows checks and legacy entries without type', () => {
+    expect(canVoidEntry(makeEntry())).toBe(true)
+    expect(canVoidEntry(makeEntry({ type: undefined }))).toBe(true)
+  })
+
+  it('rejects deposits, notes and manual adjustments', () => {
+    expect(canVoidEntry(makeEntry({ type: 'deposit' }))).toBe(false)
+    expect(canVoidEntry(makeEntry({ type: 'note' }))).toBe(false)
+    expect(canVoidEntry(makeEntry({ isManualAdjustment: true }))).toBe(false)
+  })
+
+  it('rejects already voided checks and missing entries', () => {
+    expect(canVoidEntry(makeEntry({ status: 'void' }))).toBe(false)
+    expect(canVoidEntry(null)).toBe(false)
+  })
+})
+
+describe('voidEntry', () => {
+  it('stamps void fields and keeps the original data', () => {
+    const entry = makeEntry({ amount: 250, checkNumber: '1010' })
+    const result = voidEntry(entry, { reason: 'Lost in mail', voidDate: '2026-02-01', voidedBy: 'Admin' })
+
+    expect(isVoided(result)).toBe(true)
+    expect(result.voidReason).toBe('Lost in mail')
+    expect(result.voidDate).toBe('2026-02-01')
+    expect(result.voidedBy).toBe('Admin')
+    expect(typeof result.voidedAt).toBe('string')
+    expect(result.amount).toBe(250)
+    expect(result.checkNumber).toBe('1010')
+    expect(result.reissuedAs).toBeUndefined()
+  })
+
+  it('records the replacement check number when reissued', () => {
+    const result = voidEntry(makeEntry(), { reason: 'Jam', voidDate: '2026-02-01', reissuedAs: 1050 })
+    expect(result.reissuedAs).toBe('1050')
+  })
+
+  it('does not mutate the original entry', () => {
+    const entry = makeEntry()
+    voidEntry(entry, { reason: 'x', voidDate: '2026-02-01' })
+    expect(entry.status).toBeUndefined()
+  })
+})
+
+describe('calculateLedgerBalance', () => {
+  const ledger = { id: 'ledger-a', startingBalance: 1000 }
+
+  it('adds deposits and subtracts checks for the ledger', () => {
+    const history = [
+      makeEntry({ ledgerId: 'ledger-a', type: 'deposit', amount: 500 }),
+      makeEntry({ ledgerId: 'ledger-a', amount: 200 }),
+      makeEntry({ ledgerId: 'ledger-a', type: undefined, amount: 50 }),
+      makeEntry({ ledgerId: 'ledger-b', amount: 999 }),
+    ]
+    expect(calculateLedgerBalance(history, ledger)).toBe(1250)
+  })
+
+  it('excludes voided checks', () => {
+    const history = [
+      makeEntry({ ledgerId: 'ledger-a', amount: 200 }),
+      makeEntry({ ledgerId: 'ledger-a', amount: 300, status: 'void' }),
+    ]
+    expect(calculateLedgerBalance(history, ledger)).toBe(800)
+  })
+
+  it('ignores notes', () => {
+    const history = [makeEntry({ ledgerId: 'ledger-a', type: 'note', amount: 75 })]
+    expect(calculateLedgerBalance(history, ledger)).toBe(1000)
+  })
+
+  it('handles missing ledger and non-array history', () => {
+    expect(calculateLedgerBalance([], null)).toBe(0)
+    expect(calculateLedgerBalance(null, ledger)).toBe(1000)
+  })
+})
@@ -172,3 +172,19 @@ export function getNextRecurrenceDate(dateStr, frequency) {
   date.setMonth(date.getMonth() + months)
   return date.toISOString().split('T')[0]
 }
+
+/**
+ * Build an invoice print job for the offscreen print renderer.
+ *
+ * @param {Object} invoice - The invoice to print
+ * @param {Object} companyInfo - Company info of the issuing business
+ * @returns {Object} Print job
+ */
+export function createInvoiceJob(invoice, companyInfo = {}) {
+  return {
+    kind: 'invoice',
+    title: invoice.invoiceNumber || 'Invoice',
+    invoice,
+    companyInfo
+  }
+}
@@ -6,7 +6,8 @@ import {
   getDueStatus,
   getTermsLabel,
   generateInvoiceCSV,
-  getNextRecurrenceDate
+  getNextRecurrenceDate,
+  createInvoiceJob
 } from './invoiceHelpers'
 
 describe('calculateInvoiceTotals', () => {
@@ -233,3 +234,16 @@ describe('getNextRecurrenceDate', () => {
     expect(getNextRecurrenceDate('not-a-date', 'monthly')).toBe('')
   })
 })
+
+describe('createInvoiceJob', () => {
+  test('carries the invoice and its issuer for the offscreen renderer', () => {
+    const invoice = { invoiceNumber: 'INV-0007', lineItems: [{ description: 'Work', quantity: 1, rate: 50 }] }
+    const job = createInvoiceJob(invoice, { name: 'Acme' })
+    expect(job).toEqual({ kind: 'invoice', title: 'INV-0007', invoice, companyInfo: { name: 'Acme' } })
+    expect(() => structuredClone(job)).not.toThrow()
+  })
+
+  test('falls back to a generic title', () => {
+    expect(createInvoiceJob({}).title).toBe('Invoice')
+  })
+})
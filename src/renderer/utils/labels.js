@@ -0,0 +1,162 @@
+/**
+ * Mailing Label Sheet Utilities
+ *
+ * Lays addresses out on Avery-style label sheets for the offscreen print
+ * renderer. Addresses come from the vendor database or from the payees in
+ * a print batch (resolved the same way envelopes are). A start position
+ * lets a half-used sheet go back through the printer.
+ * No React dependencies.
+ */
+
+import { formatVendorAddress, resolvePayeeAddress, getRecipientLines } from './envelope'
+import { getPrinterCalibration } from './printerCalibration'
+
+const MM = 1 / 25.4
+
+// All measurements in inches; pitch is the distance from one label's
+// top-left corner to the next
+export const LABEL_SHEETS = {
+    avery5160: {
+        id: 'avery5160', name: 'Avery 5160 (30 per sheet, 2⅝ × 1 in)',
+        paper: { code: 'Letter', width: 8.5, height: 11 },
+        columns: 3, rows: 10,
+        labelWidth: 2.625, labelHeight: 1,
+        marginLeft: 0.1875, marginTop: 0.5,
+        pitchX: 2.75, pitchY: 1
+    },
+    avery5163: {
+        id: 'avery5163', name: 'Avery 5163 (10 per sheet, 4 × 2 in)',
+        paper: { code: 'Letter', width: 8.5, height: 11 },
+        columns: 2, rows: 5,
+        labelWidth: 4, labelHeight: 2,
+        marginLeft: 0.15625, marginTop: 0.5,
+        pitchX: 4.1875, pitchY: 2
+    },
+    averyL7163: {
+        id: 'averyL7163', name: 'Avery L7163 (14 per sheet, 99.1 × 38.1 mm)',
+        paper: { code: 'A4', width: 210 * MM, height: 297 * MM },
+        columns: 2, rows: 7,
+        labelWidth: 99.1 * MM, labelHeight: 38.1 * MM,
+        marginLeft: 4.65 * MM, marginTop: 15.15 * MM,
+        pitchX: 101.6 * MM, pitchY: 38.1 * MM
+    }
+}
+
+export const DEFAULT_LABEL_SHEET = 'avery5160'
+
+/**
+ * @param {string} id - Label sheet id
+ * @returns {Object} Label sheet (defaults to Avery 5160)
+ */
+export function getLabelSheet(id) {
+    return LABEL_SHEETS[id] || LABEL_SHEETS[DEFAULT_LABEL_SHEET]
+}
+
+/**
+ * @param {Object} sheet - Label sheet
+ * @returns {number} Labels per sheet
+ */
+export function getLabelCapacity(sheet) {
+    return sheet.columns * sheet.rows
+}
+
+/**
+ * Top-left corner of every label on a sheet, in the order they fill
+ * (across each row, then down).
+ *
+ * @param {Object} sheet - Label sheet
+ * @returns {Array<{ x: number, y: number }>} Inches
+ */
+export function getLabelPositions(sheet) {
+    const positions = []
+    for (let row = 0; row < sheet.rows; row++) {
+        for (let col = 0; col < sheet.columns; col++) {
+            positions.push({ x: sheet.marginLeft + col * sheet.pitchX, y: sheet.marginTop + row * sheet.pitchY })
+        }
+    }
+    return positions
+}
+
+/**
+ * Split labels into sheets. The first sheet skips the labels before
+ * startPosition (1-based), which are left blank.
+ *
+ * @param {Array} labels - Labels in print order
+ * @param {Object} sheet - Label sheet
+ * @param {number} [startPosition=1] - First free label on the first sheet
+ * @returns {Array<Array<Object|null>>} One array per sheet, null for skipped slots
+ */
+export function paginateLabels(labels, sheet, startPosition = 1) {
+    const capacity = getLabelCapacity(sheet)
+    const skip = Math.min(Math.max(Math.floor(startPosition) || 1, 1), capacity) - 1
+    const slots = [...Array(skip).fill(null), ...labels]
+    const pages = []
+    for (let i = 0; i < slots.length; i += capacity) {
+        pages.push(slots.slice(i, i + capacity))
+    }
+    return labels.length > 0 ? pages : []
+}
+
+/**
+ * One label per vendor with a mailing address.
+ *
+ * @param {Array} vendors - Vendor database
+ * @returns {Array<{ name: string, lines: string[] }>}
+ */
+export function buildVendorLabels(vendors) {
+    return vendors
+        .map(v => ({ name: (v.name || '').trim(), address: formatVendorAddress(v) }))
+        .filter(v => v.name && v.address)
+        .map(v => ({ name: v.name, lines: getRecipientLines(v.name, v.address) }))
+}
+
+/**
+ * One label per distinct payee in a batch, with addresses resolved from
+ * the items themselves, the vendor database or history.
+ *
+ * @param {Array} items - Queue items or history entries with payee and address
+ * @param {Object} sources
+ * @param {Array} [sources.vendors] - Vendor database
+ * @param {Array} [sources.checkHistory] - History
+ * @returns {{ labels: Array<{ name: string, lines: string[] }>, missing: string[] }}
+ *   missing: payees with no known address (left out of labels)
+ */
+export function buildPayeeLabels(items, { vendors = [], checkHistory = [] } = {}) {
+    const seen = new Set()
+    const labels = []
+    const missing = []
+    for (const item of items) {
+        const name = (item.payee || '').trim()
+        if (!name || seen.has(name.toLowerCase())) continue
+        seen.add(name.toLowerCase())
+        const address = resolvePayeeAddress(name, { address: item.address, vendors, checkHistory })
+        if (address) labels.push({ name, lines: getRecipientLines(name, address) })
+        else missing.push(name)
+    }
+    return { labels, missing }
+}
+
+/**
+ * Build a label sheet print job for the offscreen print renderer. Label
+ * sheets feed like plain paper, so the printer's check calibration applies.
+ *
+ * @param {Object} params
+ * @param {Array} params.labels - Labels in print order
+ * @param {Object} params.preferences - App preferences (labelSheet, printerCalibrations, fontFamily)
+ * @param {number} [params.startPosition=1] - First free label on the first sheet
+ * @param {string|null} [params.deviceName=null] - Target printer, for its calibration
+ * @param {string} [params.title='Mailing Labels'] - Document title
+ * @returns {Object} Print job
+ */
+export function createLabelJob({ labels, preferences, startPosition = 1, deviceName = null, title = 'Mailing Labels' }) {
+    const sheet = getLabelSheet(preferences.labelSheet)
+    return {
+        kind: 'labels',
+        title,
+        preferences,
+        sheet,
+        positions: getLabelPositions(sheet),
+        pages: paginateLabels(labels.map(l => l.lines), sheet, startPosition),
+        printerCalibration: getPrinterCalibration(preferences.printerCalibrations, deviceName)
+    }
+}
@@ -0,0 +1,97 @@
+import {
+  getLabelSheet,
+  getLabelCapacity,
+  getLabelPositions,
+  paginateLabels,
+  buildVendorLabels,
+  buildPayeeLabels,
+  createLabelJob
+} from './labels'
+
+const avery5160 = getLabelSheet('avery5160')
+
+describe('label sheets', () => {
+  test('falls back to Avery 5160', () => {
+    expect(getLabelSheet('unknown').id).toBe('avery5160')
+  })
+
+  test('every sheet fits on its paper', () => {
+    for (const id of ['avery5160', 'avery5163', 'averyL7163']) {
+      const sheet = getLabelSheet(id)
+      const last = getLabelPositions(sheet).at(-1)
+      expect(last.x + sheet.labelWidth).toBeLessThanOrEqual(sheet.paper.width)
+      expect(last.y + sheet.labelHeight).toBeLessThanOrEqual(sheet.paper.height)
+    }
+  })
+
+  test('fills across each row, then down', () => {
+    const positions = getLabelPositions(avery5160)
+    expect(positions).toHaveLength(30)
+    expect(positions.slice(0, 4)).toEqual([
+      { x: 0.1875, y: 0.5 }, { x: 2.9375, y: 0.5 }, { x: 5.6875, y: 0.5 }, { x: 0.1875, y: 1.5 }
+    ])
+  })
+})
+
+describe('paginateLabels', () => {
+  const sheet = getLabelSheet('avery5163')
+
+  test('skips used labels on the first sheet only', () => {
+    const labels = Array.from({ length: 12 }, (_, i) => i)
+    const pages = paginateLabels(labels, sheet, 4)
+    expect(pages).toHaveLength(2)
+    expect(pages[0]).toEqual([null, null, null, 0, 1, 2, 3, 4, 5, 6])
+    expect(pages[1]).toEqual([7, 8, 9, 10, 11])
+  })
+
+  test('clamps the start position to the sheet', () => {
+    expect(paginateLabels([1], sheet, 0)[0]).toEqual([1])
+    expect(paginateLabels([1], sheet, 99)[0]).toHaveLength(getLabelCapacity(sheet))
+  })
+
+  test('no labels means no pages', () => {
+    expect(paginateLabels([], sheet, 5)).toEqual([])
+  })
+})
+
+describe('building labels', () => {
+  const vendors = [
+    { name: 'Acme Corp', address: '1 Main St', city: 'Springfield', state: 'IL', zip: '62701' },
+    { name: 'No Address LLC' }
+  ]
+
+  test('vendor labels skip vendors without an address', () => {
+    expect(buildVendorLabels(vendors)).toEqual([
+      { name: 'Acme Corp', lines: ['Acme Corp', '1 Main St', 'Springfield, IL 62701'] }
+    ])
+  })
+
+  test('payee labels are unique per payee and report missing addresses', () => {
+    const items = [
+      { payee: 'Acme Corp' },
+      { payee: 'ACME CORP', address: 'Elsewhere' },
+      { payee: 'Jane Doe', address: '2 Oak Ln' },
+      { payee: 'Unknown Payee' }
+    ]
+    const { labels, missing } = buildPayeeLabels(items, { vendors })
+    expect(labels.map(l => l.name)).toEqual(['Acme Corp', 'Jane Doe'])
+    expect(labels[1].lines).toEqual(['Jane Doe', '2 Oak Ln'])
+    expect(missing).toEqual(['Unknown Payee'])
+  })
+})
+
+describe('createLabelJob', () => {
+  test('paginates label lines and applies the printer calibration', () => {
+    const job = createLabelJob({
+      labels: [{ name: 'A', lines: ['A', '1 St'] }],
+      preferences: { labelSheet: 'averyL7163', printerCalibrations: { P1: { offsetXIn: 0.1 } } },
+      startPosition: 2,
+      deviceName: 'P1'
+    })
+    expect(job.kind).toBe('labels')
+    expect(job.sheet.paper.code).toBe('A4')
+    expect(job.positions).toHaveLength(14)
+    expect(job.pages).toEqual([[null, ['A', '1 St']]])
+    expect(job.printerCalibration.offsetXIn).toBe(0.1)
+  })
+})
@@ -0,0 +1,119 @@
+/**
+ * Layout Element Utilities
+ *
+ * Custom elements users add in the layout designer: static text, data-bound
+ * text, images, lines and boxes. They live in model.fields (or a three-up
+ * slot's fields) next to the built-in fields, keyed with their section's
+ * prefix so dragging, section resizing and reordering treat them the same
+ * way. Data-bound text fills {placeholders} from the check being printed.
+ * No React dependencies.
+ */
+
+import { formatCurrency, sanitizeCurrencyInput } from './helpers'
+
+export const LAYOUT_ELEMENT_TYPES = {
+    text: { label: 'Text', w: 2.0, h: 0.3 },
+    data: { label: 'Data Text', w: 2.5, h: 0.3 },
+    image: { label: 'Image', w: 1.5, h: 0.75 },
+    line: { label: 'Line', w: 3.0, h: 0.1 },
+    rect: { label: 'Box', w: 2.0, h: 0.5 }
+}
+
+// Placeholders offered in the designer; any {vendor.*}, {ledger.*} or {company.*} path also works
+export const PLACEHOLDERS = [
+    'payee', 'amount', 'amountWords', 'date', 'checkNumber', 'memo', 'address', 'glCode',
+    'ledgerName', 'vendor.accountNumber', 'vendor.phone', 'vendor.email', 'company.name', 'company.phone'
+]
+
+const PLACEHOLDER_PATTERN = /\{([\w.]+)\}/g
+
+/**
+ * Whether a field definition is a user-added layout element.
+ *
+ * @param {Object} field - Field definition
+ * @returns {boolean}
+ */
+export function isLayoutElement(field) {
+    return !!LAYOUT_ELEMENT_TYPES[field?.type]
+}
+
+/**
+ * Field key for a new element. The section prefix matches the built-in
+ * stub fields ('stub1_', 'stub2_'); check elements have none.
+ *
+ * @param {string} section - 'check' | 'stub1' | 'stub2'
+ * @param {string} id - Unique id (generateId)
+ * @returns {string}
+ */
+export function getLayoutElementKey(section, id) {
+    const prefix = section === 'check' ? '' : `${section}_`
+    return `${prefix}element_${id}`
+}
+
+/**
+ * Default field definition for a new element, placed near the top left of
+ * its section.
+ *
+ * @param {string} type - Key of LAYOUT_ELEMENT_TYPES
+ * @param {Object} options
+ * @param {number} options.sectionY - Y position of the target section
+ * @param {string} [options.dataUrl] - Image data for 'image' elements
+ * @returns {Object} Field definition
+ */
+export function createLayoutElement(type, { sectionY, dataUrl = null }) {
+    const def = LAYOUT_ELEMENT_TYPES[type]
+    if (!def) throw new Error(`Unknown layout element type: ${type}`)
+
+    const field = { type, x: 0.5, y: sectionY + 0.5, w: def.w, h: def.h, fontIn: 0.16, label: def.label }
+    if (type === 'text') field.text = 'Text'
+    if (type === 'data') field.text = '{ledgerName}'
+    if (type === 'image') field.dataUrl = dataUrl
+    if (type === 'line' || type === 'rect') field.strokePt = 1
+    return field
+}
+
+/**
+ * Values available to data-bound text for one check. The vendor is the
+ * vendor database entry whose name matches the payee.
+ *
+ * @param {Object} checkData - Check data (payee, amount, date, ...)
+ * @param {Object} context
+ * @param {Object} [context.ledger] - Active ledger
+ * @param {Array} [context.vendors] - Vendor database
+ * @param {Object} [context.companyInfo] - preferences.companyInfo
+ * @param {Function} [context.formatDate] - Formats the check date for display
+ * @returns {Object}
+ */
+export function getPlaceholderValues(checkData, { ledger = null, vendors = [], companyInfo = {}, formatDate = (d) => d } = {}) {
+    const name = (checkData.payee || '').trim().toLowerCase()
+    const vendor = name ? vendors.find(v => (v.name || '').trim().toLowerCase() === name) : null
+    return {
+        payee: checkData.payee || '',
+        amount: checkData.amount ? formatCurrency(sanitizeCurrencyInput(checkData.amount)) : '',
+        amountWords: checkData.amountWords || '',
+        date: checkData.date ? formatDate(checkData.date) : '',
+        checkNumber: checkData.checkNumber ? String(checkData.checkNumber) : '',
+        memo: checkData.external_memo || checkData.memo || '',
+        address: checkData.address || '',
+        glCode: checkData.glCode || '',
+        ledgerName: ledger?.name || '',
+        ledger: ledger || {},
+        vendor: vendor || {},
+        company: companyInfo || {}
+    }
+}
+
+/**
+ * Replace {placeholders} in element text. Dotted paths read nested values
+ * ({vendor.accountNumber}); unknown or empty placeholders print nothing.
+ *
+ * @param {string} text - Element text
+ * @param {Object} values - From getPlaceholderValues
+ * @returns {string}
+ */
+export function resolvePlaceholders(text, values) {
+    return (text || '').replace(PLACEHOLDER_PATTERN, (_, path) => {
+        const value = path.split('.').reduce((obj, part) => obj?.[part], values)
+        return value === null || value === undefined || typeof value === 'object' ? '' : String(value)
+    })
+}
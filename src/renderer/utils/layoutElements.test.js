@@ -0,0 +1,64 @@
+import {
+  isLayoutElement,
+  getLayoutElementKey,
+  createLayoutElement,
+  getPlaceholderValues,
+  resolvePlaceholders
+} from './layoutElements'
+
+describe('createLayoutElement', () => {
+  test('places the element inside its section', () => {
+    const el = createLayoutElement('rect', { sectionY: 3 })
+    expect(el).toMatchObject({ type: 'rect', x: 0.5, y: 3.5, strokePt: 1, label: 'Box' })
+    expect(isLayoutElement(el)).toBe(true)
+  })
+
+  test('images carry their data and text elements a default text', () => {
+    expect(createLayoutElement('image', { sectionY: 0, dataUrl: 'data:image/png;base64,AA' }).dataUrl).toBe('data:image/png;base64,AA')
+    expect(createLayoutElement('data', { sectionY: 0 }).text).toBe('{ledgerName}')
+  })
+
+  test('rejects unknown types', () => {
+    expect(() => createLayoutElement('circle', { sectionY: 0 })).toThrow()
+  })
+
+  test('built-in fields are not elements', () => {
+    expect(isLayoutElement({ type: 'micr' })).toBe(false)
+    expect(isLayoutElement({ x: 0, y: 0 })).toBe(false)
+  })
+})
+
+describe('getLayoutElementKey', () => {
+  test('uses the stub prefixes', () => {
+    expect(getLayoutElementKey('check', 'abc')).toBe('element_abc')
+    expect(getLayoutElementKey('stub1', 'abc')).toBe('stub1_element_abc')
+    expect(getLayoutElementKey('stub2', 'abc')).toBe('stub2_element_abc')
+  })
+})
+
+describe('resolvePlaceholders', () => {
+  const values = getPlaceholderValues(
+    { payee: ' Acme Supply ', amount: '1250', checkNumber: 1042, date: '2026-03-01' },
+    {
+      ledger: { name: 'Operating' },
+      vendors: [{ name: 'acme supply', accountNumber: 'AC-778' }],
+      companyInfo: { name: 'Riverside LLC' },
+      formatDate: () => '03/01/2026'
+    }
+  )
+
+  test('fills check, ledger, vendor and company values', () => {
+    expect(resolvePlaceholders('{ledgerName} / {vendor.accountNumber}', values)).toBe('Operating / AC-778')
+    expect(resolvePlaceholders('#{checkNumber} on {date} for {amount}', values)).toBe('#1042 on 03/01/2026 for $1,250.00')
+    expect(resolvePlaceholders('From {company.name}', values)).toBe('From Riverside LLC')
+  })
+
+  test('unknown and object placeholders print nothing', () => {
+    expect(resolvePlaceholders('[{nope}][{vendor.taxId}][{vendor}]', values)).toBe('[][][]')
+  })
+
+  test('no vendor match leaves vendor values empty', () => {
+    const other = getPlaceholderValues({ payee: 'Someone Else' }, { vendors: [{ name: 'Acme Supply', accountNumber: 'AC-778' }] })
+    expect(resolvePlaceholders('{vendor.accountNumber}', other)).toBe('')
+  })
+})
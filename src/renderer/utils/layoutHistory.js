@@ -0,0 +1,76 @@
+/**
+ * Layout History Utilities
+ *
+ * Undo/redo stacks for the layout editor. A snapshot holds the parts of the
+ * model the editor changes (layout, fields, slotFields) by reference; the
+ * editor always replaces those objects rather than mutating them, so
+ * snapshots stay valid without deep copies. No React dependencies.
+ */
+
+export const LAYOUT_HISTORY_LIMIT = 50
+
+export const EMPTY_LAYOUT_HISTORY = { past: [], future: [] }
+
+/**
+ * Capture the editable parts of a layout model.
+ *
+ * @param {Object} model - Layout model
+ * @returns {{ layout: Object, fields: Object, slotFields: Object }}
+ */
+export function takeLayoutSnapshot(model) {
+    return { layout: model.layout, fields: model.fields, slotFields: model.slotFields }
+}
+
+/**
+ * Whether two snapshots hold the same objects (nothing changed between them).
+ *
+ * @param {Object} a - Snapshot
+ * @param {Object} b - Snapshot
+ * @returns {boolean}
+ */
+export function isSameSnapshot(a, b) {
+    return a.layout === b.layout && a.fields === b.fields && a.slotFields === b.slotFields
+}
+
+/**
+ * Record the state before a change. Clears the redo stack and drops the
+ * oldest entries past the limit.
+ *
+ * @param {Object} history - { past, future }
+ * @param {Object} snapshot - State before the change
+ * @param {number} [limit=LAYOUT_HISTORY_LIMIT]
+ * @returns {Object} Next history
+ */
+export function pushLayoutHistory(history, snapshot, limit = LAYOUT_HISTORY_LIMIT) {
+    return { past: [...history.past, snapshot].slice(-limit), future: [] }
+}
+
+/**
+ * Step back one change.
+ *
+ * @param {Object} history - { past, future }
+ * @param {Object} current - Snapshot of the model now
+ * @returns {{ history: Object, snapshot: Object }|null} Snapshot to restore, or null when there is nothing to undo
+ */
+export function undoLayoutHistory(history, current) {
+    if (history.past.length === 0) return null
+    return {
+        history: { past: history.past.slice(0, -1), future: [current, ...history.future] },
+        snapshot: history.past[history.past.length - 1]
+    }
+}
+
+/**
+ * Re-apply the last undone change.
+ *
+ * @param {Object} history - { past, future }
+ * @param {Object} current - Snapshot of the model now
+ * @returns {{ history: Object, snapshot: Object }|null} Snapshot to restore, or null when there is nothing to redo
+ */
+export function redoLayoutHistory(history, current) {
+    if (history.future.length === 0) return null
+    return {
+        history: { past: [...history.past, current], future: history.future.slice(1) },
+        snapshot: history.future[0]
+    }
+}
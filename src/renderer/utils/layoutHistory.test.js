@@ -0,0 +1,48 @@
+import {
+  EMPTY_LAYOUT_HISTORY,
+  takeLayoutSnapshot,
+  isSameSnapshot,
+  pushLayoutHistory,
+  undoLayoutHistory,
+  redoLayoutHistory
+} from './layoutHistory'
+
+const snap = (x) => ({ layout: {}, fields: { payee: { x } }, slotFields: {} })
+
+describe('layout history', () => {
+  test('undo restores the previous state and redo returns to the current one', () => {
+    const before = snap(1)
+    const after = snap(2)
+    const history = pushLayoutHistory(EMPTY_LAYOUT_HISTORY, before)
+
+    const undone = undoLayoutHistory(history, after)
+    expect(undone.snapshot).toBe(before)
+    expect(undone.history).toEqual({ past: [], future: [after] })
+
+    const redone = redoLayoutHistory(undone.history, before)
+    expect(redone.snapshot).toBe(after)
+    expect(redone.history).toEqual({ past: [before], future: [] })
+  })
+
+  test('nothing to undo or redo', () => {
+    expect(undoLayoutHistory(EMPTY_LAYOUT_HISTORY, snap(1))).toBeNull()
+    expect(redoLayoutHistory(EMPTY_LAYOUT_HISTORY, snap(1))).toBeNull()
+  })
+
+  test('a new change clears the redo stack', () => {
+    const history = { past: [snap(1)], future: [snap(3)] }
+    expect(pushLayoutHistory(history, snap(2)).future).toEqual([])
+  })
+
+  test('keeps only the most recent entries', () => {
+    let history = EMPTY_LAYOUT_HISTORY
+    for (let i = 0; i < 5; i++) history = pushLayoutHistory(history, snap(i), 3)
+    expect(history.past.map(s => s.fields.payee.x)).toEqual([2, 3, 4])
+  })
+
+  test('snapshots compare by reference', () => {
+    const model = { layout: {}, fields: {}, slotFields: {}, view: { zoom: 1 } }
+    expect(isSameSnapshot(takeLayoutSnapshot(model), takeLayoutSnapshot({ ...model, view: { zoom: 2 } }))).toBe(true)
+    expect(isSameSnapshot(takeLayoutSnapshot(model), takeLayoutSnapshot({ ...model, fields: {} }))).toBe(false)
+  })
+})
@@ -0,0 +1,122 @@
+/**
+ * Layout Packages (.cslayout)
+ *
+ * A single check profile's layout, exported as a versioned JSON file so it
+ * can move between machines without a full backup. The template image is
+ * embedded as a data URL. Per-machine state (id, next check number) stays
+ * behind.
+ */
+
+export const LAYOUT_PACKAGE_FORMAT = 'checkspree-layout'
+export const LAYOUT_PACKAGE_VERSION = 1
+export const LAYOUT_PACKAGE_EXTENSION = 'cslayout'
+
+// Profile keys carried in a package, copied as-is
+const PROFILE_KEYS = [
+    'layoutMode',
+    'stockType',
+    'voidAfterDays',
+    'security',
+    'layout',
+    'fields',
+    'slotFields',
+    'placement',
+    'dateFormat'
+]
+
+const clone = (value) => JSON.parse(JSON.stringify(value))
+
+/**
+ * Build a layout package from a profile.
+ *
+ * @param {Object} profile - Check profile
+ * @param {Object} [options]
+ * @param {string|null} [options.templateDataUrl] - Loaded template image, embedded in the package
+ * @param {string} [options.appVersion] - Recorded for support, not checked on import
+ * @param {Date} [options.now]
+ * @returns {Object} Package, ready for JSON.stringify
+ */
+export function createLayoutPackage(profile, { templateDataUrl = null, appVersion = '', now = new Date() } = {}) {
+    const data = {}
+    for (const key of PROFILE_KEYS) {
+        if (profile[key] !== undefined) data[key] = clone(profile[key])
+    }
+    const template = profile.template || {}
+    const fileName = template.path ? template.path.split(/[\\/]/).pop() : null
+
+    return {
+        format: LAYOUT_PACKAGE_FORMAT,
+        version: LAYOUT_PACKAGE_VERSION,
+        appVersion,
+        exportedAt: now.toISOString(),
+        name: profile.name || 'Check Profile',
+        profile: data,
+        template: {
+            opacity: template.opacity,
+            fit: template.fit,
+            fileName: templateDataUrl ? fileName : null,
+            dataUrl: templateDataUrl || null
+        }
+    }
+}
+
+/**
+ * Parse and validate the contents of a .cslayout file.
+ *
+ * @param {string} content - File contents
+ * @returns {Object} The package
+ * @throws {Error} If the file is not a layout package or is from a newer version
+ */
+export function parseLayoutPackage(content) {
+    let pkg
+    try {
+        pkg = JSON.parse(content)
+    } catch {
+        throw new Error('File is not a valid layout package')
+    }
+    if (!pkg || pkg.format !== LAYOUT_PACKAGE_FORMAT) {
+        throw new Error('File is not a valid layout package')
+    }
+    if (!Number.isInteger(pkg.version) || pkg.version < 1) {
+        throw new Error('Layout package has no valid version')
+    }
+    if (pkg.version > LAYOUT_PACKAGE_VERSION) {
+        throw new Error(`Layout package version ${pkg.version} needs a newer version of CheckSpree`)
+    }
+    const profile = pkg.profile
+    if (!profile || typeof profile.layout !== 'object' || typeof profile.fields !== 'object' || !profile.layout || !profile.fields) {
+        throw new Error('Layout package is missing its layout or fields')
+    }
+    if (pkg.template?.dataUrl && !/^data:image\/[\w.+-]+;base64,/.test(pkg.template.dataUrl)) {
+        throw new Error('Layout package template is not an embedded image')
+    }
+    return pkg
+}
+
+/**
+ * Turn a parsed package into the parts of a new profile. The caller adds
+ * the id, next check number and the saved template path.
+ *
+ * @param {Object} pkg - From parseLayoutPackage
+ * @param {string[]} existingNames - Names already in use, so the import doesn't clash
+ * @returns {Object} Profile without id
+ */
+export function layoutPackageToProfile(pkg, existingNames = []) {
+    let name = pkg.name || 'Imported Profile'
+    if (existingNames.includes(name)) {
+        let n = 2
+        while (existingNames.includes(`${name} (${n})`)) n++
+        name = `${name} (${n})`
+    }
+
+    const profile = { name }
+    for (const key of PROFILE_KEYS) {
+        if (pkg.profile[key] !== undefined) profile[key] = clone(pkg.profile[key])
+    }
+    profile.template = {
+        path: null,
+        opacity: pkg.template?.opacity ?? 0.9,
+        fit: pkg.template?.fit || 'cover'
+    }
+    return profile
+}
@@ -0,0 +1,84 @@
+import {
+  createLayoutPackage,
+  parseLayoutPackage,
+  layoutPackageToProfile,
+  LAYOUT_PACKAGE_FORMAT,
+  LAYOUT_PACKAGE_VERSION
+} from './layoutPackage'
+
+const profile = {
+  id: 'p1',
+  name: 'Payroll',
+  layoutMode: 'standard',
+  nextCheckNumber: 5001,
+  layout: { widthIn: 8.5, checkHeightIn: 3.67 },
+  fields: { payee: { x: 1, y: 1, w: 3, h: 0.3 } },
+  template: { path: 'C:\\Templates\\payroll.png', opacity: 0.5, fit: 'contain' },
+  placement: { offsetXIn: 0.1, offsetYIn: 0 },
+  dateFormat: { dateSlot1: 'DD', dateSlot2: 'MM', dateSlot3: 'YYYY', dateSeparator: '-' }
+}
+const dataUrl = 'data:image/png;base64,iVBORw0KGgo='
+
+describe('createLayoutPackage', () => {
+  test('carries the layout and embeds the template, leaving per-machine state behind', () => {
+    const pkg = createLayoutPackage(profile, { templateDataUrl: dataUrl, appVersion: '1.2.0', now: new Date('2026-01-05T00:00:00Z') })
+    expect(pkg.format).toBe(LAYOUT_PACKAGE_FORMAT)
+    expect(pkg.version).toBe(LAYOUT_PACKAGE_VERSION)
+    expect(pkg.name).toBe('Payroll')
+    expect(pkg.exportedAt).toBe('2026-01-05T00:00:00.000Z')
+    expect(pkg.profile.fields).toEqual(profile.fields)
+    expect(pkg.profile.dateFormat.dateSeparator).toBe('-')
+    expect(pkg.profile).not.toHaveProperty('id')
+    expect(pkg.profile).not.toHaveProperty('nextCheckNumber')
+    expect(pkg.template).toEqual({ opacity: 0.5, fit: 'contain', fileName: 'payroll.png', dataUrl })
+  })
+
+  test('copies rather than shares the profile objects', () => {
+    const pkg = createLayoutPackage(profile)
+    pkg.profile.fields.payee.x = 9
+    expect(profile.fields.payee.x).toBe(1)
+    expect(pkg.template.dataUrl).toBeNull()
+  })
+})
+
+describe('parseLayoutPackage', () => {
+  const json = JSON.stringify(createLayoutPackage(profile, { templateDataUrl: dataUrl }))
+
+  test('round-trips an exported package', () => {
+    expect(parseLayoutPackage(json).profile.layout).toEqual(profile.layout)
+  })
+
+  test('rejects files that are not layout packages', () => {
+    expect(() => parseLayoutPackage('not json')).toThrow('not a valid layout package')
+    expect(() => parseLayoutPackage(JSON.stringify({ format: 'other', version: 1 }))).toThrow('not a valid layout package')
+    const noFields = JSON.parse(json)
+    delete noFields.profile.fields
+    expect(() => parseLayoutPackage(JSON.stringify(noFields))).toThrow('missing its layout or fields')
+  })
+
+  test('rejects packages from a newer version', () => {
+    const newer = { ...JSON.parse(json), version: LAYOUT_PACKAGE_VERSION + 1 }
+    expect(() => parseLayoutPackage(JSON.stringify(newer))).toThrow('newer version')
+  })
+
+  test('only accepts embedded images as templates', () => {
+    const pkg = JSON.parse(json)
+    pkg.template.dataUrl = 'file:///etc/passwd'
+    expect(() => parseLayoutPackage(JSON.stringify(pkg))).toThrow('not an embedded image')
+  })
+})
+
+describe('layoutPackageToProfile', () => {
+  const pkg = createLayoutPackage(profile, { templateDataUrl: dataUrl })
+
+  test('keeps the template settings but not the path', () => {
+    const imported = layoutPackageToProfile(pkg)
+    expect(imported.template).toEqual({ path: null, opacity: 0.5, fit: 'contain' })
+    expect(imported.fields).toEqual(profile.fields)
+  })
+
+  test('renames on a clash with an existing profile', () => {
+    expect(layoutPackageToProfile(pkg, ['Payroll']).name).toBe('Payroll (2)')
+    expect(layoutPackageToProfile(pkg, ['Payroll', 'Payroll (2)']).name).toBe('Payroll (3)')
+  })
+})
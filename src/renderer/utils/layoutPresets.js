@@ -0,0 +1,117 @@
+/**
+ * Layout Preset Library
+ *
+ * Built-in starting layouts for common check stocks, offered when a new
+ * profile is created. Preset field positions are relative to the top of the
+ * check section (the same convention as CHECK_LAYOUT_PRESETS), so a preset
+ * only has to say where the check sits on the page; stub fields come from
+ * normalizeModel.
+ */
+
+import {
+    DEFAULT_LAYOUT,
+    DEFAULT_FIELDS,
+    DEFAULT_PROFILE,
+    normalizeModel,
+    applyCheckLayoutPreset,
+    calculateBaseYForSection
+} from '../constants/defaults'
+
+export const DEFAULT_LAYOUT_PRESET_ID = 'voucher_top'
+
+export const LAYOUT_PRESETS = {
+    voucher_top: {
+        label: 'Voucher — Check on Top',
+        description: 'Letter page, check first with two stubs below',
+        layout: { sectionOrder: ['check', 'stub1', 'stub2'] }
+    },
+    voucher_middle: {
+        label: 'Voucher — Check in Middle',
+        description: 'Letter page, payee stub above and bookkeeper stub below the check',
+        layout: { sectionOrder: ['stub1', 'check', 'stub2'] }
+    },
+    voucher_bottom: {
+        label: 'Voucher — Check on Bottom',
+        description: 'Letter page, both stubs above the check',
+        layout: { sectionOrder: ['stub1', 'stub2', 'check'] }
+    },
+    three_up: {
+        label: 'Three Checks per Page',
+        description: 'Letter page cut into three checks, no stubs',
+        layoutMode: 'three_up',
+        layout: { stub1Enabled: false, stub2Enabled: false }
+    },
+    wallet: {
+        label: 'Wallet Check (6" × 2.75")',
+        description: 'Personal-size check, no stubs',
+        layout: { widthIn: 6, checkHeightIn: 2.75, stub1Enabled: false, stub2Enabled: false },
+        fields: {
+            checkNumber: { x: 5.2, y: 0.15, w: 0.6, h: 0.25, fontIn: 0.20 },
+            date: { x: 4.3, y: 0.50, w: 1.4, h: 0.30, fontIn: 0.22 },
+            payee: { x: 0.70, y: 0.95, w: 3.9, h: 0.35, fontIn: 0.26 },
+            amount: { x: 4.75, y: 0.95, w: 1.0, h: 0.35, fontIn: 0.26 },
+            amountWords: { x: 0.30, y: 1.35, w: 5.0, h: 0.35, fontIn: 0.24 },
+            address: { x: 0.30, y: 1.75, w: 2.4, h: 0.45, fontIn: 0.16 },
+            memo: { x: 0.30, y: 2.20, w: 2.4, h: 0.30, fontIn: 0.20 },
+            signature: { x: 3.6, y: 1.85, w: 2.1, h: 0.55, fontIn: 0.14 },
+            glCode: { x: 2.8, y: 2.20, w: 0.8, h: 0.25, fontIn: 0.16 },
+            glDescription: { x: 2.8, y: 2.45, w: 0.8, h: 0.25, fontIn: 0.16 }
+        }
+    },
+    a4_cheque: {
+        label: 'A4 Cheque',
+        description: 'A4 page split into thirds, cheque on top, day-first date',
+        layout: {
+            widthIn: 8.27,
+            checkHeightIn: 3.9,
+            stub1HeightIn: 3.9,
+            stub2HeightIn: 3.89,
+            cutLine1In: 3.9,
+            cutLine2In: 7.8
+        },
+        fields: {
+            date: { x: 6.35, y: 0.55, w: 1.6, h: 0.40 },
+            payee: { x: 0.75, y: 1.20, w: 5.8, h: 0.45, label: 'Pay' },
+            amount: { x: 6.65, y: 1.20, w: 1.35, h: 0.45, label: 'Amount' },
+            amountWords: { x: 0.75, y: 1.75, w: 7.2, h: 0.45 },
+            checkNumber: { x: 7.4, y: 0.20, w: 0.7, h: 0.30, label: 'Cheque #' }
+        },
+        dateFormat: {
+            dateSlot1: 'DD',
+            dateSlot2: 'MM',
+            dateSlot3: 'YYYY',
+            dateSeparator: '/'
+        }
+    }
+}
+
+/**
+ * Build the layout parts of a new profile from a preset.
+ *
+ * @param {string} [presetId] - Key of LAYOUT_PRESETS; unknown ids fall back to the default
+ * @returns {{ layoutMode: string, model: Object, dateFormat: Object }}
+ *   model holds layout, fields, slotFields, template and placement (normalized)
+ */
+export function buildLayoutPreset(presetId) {
+    const preset = LAYOUT_PRESETS[presetId] || LAYOUT_PRESETS[DEFAULT_LAYOUT_PRESET_ID]
+    const layout = { ...DEFAULT_LAYOUT, ...preset.layout }
+
+    // DEFAULT_FIELDS assume the check is at the top of the page
+    const checkY = calculateBaseYForSection('check', layout)
+    const fields = Object.fromEntries(Object.entries(DEFAULT_FIELDS)
+        .map(([key, field]) => [key, { ...field, y: field.y + checkY }]))
+
+    let model = normalizeModel({
+        layout,
+        fields,
+        template: { ...DEFAULT_PROFILE.template },
+        placement: { ...DEFAULT_PROFILE.placement }
+    })
+    if (preset.fields) model = applyCheckLayoutPreset(model, preset)
+
+    return {
+        layoutMode: preset.layoutMode || 'standard',
+        model,
+        dateFormat: { ...DEFAULT_PROFILE.dateFormat, ...(preset.dateFormat || {}) }
+    }
+}
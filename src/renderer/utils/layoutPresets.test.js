@@ -0,0 +1,44 @@
+import { LAYOUT_PRESETS, buildLayoutPreset, DEFAULT_LAYOUT_PRESET_ID } from './layoutPresets'
+import { DEFAULT_FIELDS, calculateBaseYForSection } from '../constants/defaults'
+
+describe('buildLayoutPreset', () => {
+  test('check on top matches the standard defaults', () => {
+    const { layoutMode, model } = buildLayoutPreset('voucher_top')
+    expect(layoutMode).toBe('standard')
+    expect(model.fields.payee).toEqual(DEFAULT_FIELDS.payee)
+    expect(model.fields.stub1_payee.y).toBeCloseTo(3.67 + 0.25)
+  })
+
+  test('moves the check fields to wherever the check section sits', () => {
+    const { model } = buildLayoutPreset('voucher_bottom')
+    const checkY = calculateBaseYForSection('check', model.layout)
+    expect(checkY).toBeCloseTo(3.67 + 3.66)
+    expect(model.fields.payee.y).toBeCloseTo(checkY + DEFAULT_FIELDS.payee.y)
+    expect(model.fields.stub1_payee.y).toBeCloseTo(0.25)
+  })
+
+  test('wallet checks have no stubs and keep every field on the check', () => {
+    const { model } = buildLayoutPreset('wallet')
+    expect(model.layout.stub1Enabled).toBe(false)
+    expect(Object.keys(model.fields).some(k => k.startsWith('stub'))).toBe(false)
+    for (const field of Object.values(model.fields)) {
+      expect(field.x + field.w).toBeLessThanOrEqual(model.layout.widthIn)
+      expect(field.y + field.h).toBeLessThanOrEqual(model.layout.checkHeightIn)
+    }
+  })
+
+  test('A4 cheque uses a day-first date and three-up uses slots', () => {
+    const a4 = buildLayoutPreset('a4_cheque')
+    expect(a4.model.layout.widthIn).toBe(8.27)
+    expect(a4.dateFormat.dateSlot1).toBe('DD')
+    expect(a4.dateFormat.useLongDate).toBe(false)
+    expect(buildLayoutPreset('three_up').layoutMode).toBe('three_up')
+  })
+
+  test('every preset builds, and unknown ids fall back to the default', () => {
+    for (const id of Object.keys(LAYOUT_PRESETS)) {
+      expect(buildLayoutPreset(id).model.fields.payee).toBeTruthy()
+    }
+    expect(buildLayoutPreset('nope')).toEqual(buildLayoutPreset(DEFAULT_LAYOUT_PRESET_ID))
+  })
+})
@@ -0,0 +1,180 @@
+/**
+ * Layout Tool Utilities
+ *
+ * Alignment, distribution and size matching for the fields selected in the
+ * layout editor, guide snapping, and ruler ticks. Field boxes are in
+ * inches ({ x, y, w, h }); every function returns patches keyed by field
+ * so the editor can apply them in one model update. No React dependencies.
+ */
+
+// How close (inches) an edge must be to a guide to snap onto it
+export const GUIDE_SNAP_IN = 0.08
+
+const MM_PER_IN = 25.4
+
+const round = (n) => Math.round(n * 1000) / 1000
+
+const getBoxes = (fields, keys) => keys
+    .filter(k => fields[k])
+    .map(k => ({ key: k, x: fields[k].x, y: fields[k].y, w: fields[k].w, h: fields[k].h }))
+
+/**
+ * Guide positions stored on the layout, defaulting to none.
+ *
+ * @param {Object} layout - Model layout
+ * @returns {{ x: number[], y: number[] }} Vertical guides (x) and horizontal guides (y), in inches
+ */
+export function getGuides(layout) {
+    return { x: layout?.guides?.x || [], y: layout?.guides?.y || [] }
+}
+
+/**
+ * Line fields up with the outermost edge (or the centre) of the selection.
+ *
+ * @param {Object} fields - Field definitions by key
+ * @param {string[]} keys - Selected keys
+ * @param {string} mode - 'left' | 'right' | 'centerX' | 'top' | 'bottom' | 'centerY'
+ * @returns {Object} Patches by key
+ */
+export function alignFields(fields, keys, mode) {
+    const boxes = getBoxes(fields, keys)
+    if (boxes.length < 2) return {}
+
+    const left = Math.min(...boxes.map(b => b.x))
+    const right = Math.max(...boxes.map(b => b.x + b.w))
+    const top = Math.min(...boxes.map(b => b.y))
+    const bottom = Math.max(...boxes.map(b => b.y + b.h))
+
+    const place = {
+        left: () => ({ x: left }),
+        right: (b) => ({ x: right - b.w }),
+        centerX: (b) => ({ x: (left + right) / 2 - b.w / 2 }),
+        top: () => ({ y: top }),
+        bottom: (b) => ({ y: bottom - b.h }),
+        centerY: (b) => ({ y: (top + bottom) / 2 - b.h / 2 })
+    }[mode]
+    if (!place) return {}
+
+    return Object.fromEntries(boxes.map(b => {
+        const patch = place(b)
+        return [b.key, Object.fromEntries(Object.entries(patch).map(([k, v]) => [k, round(v)]))]
+    }))
+}
+
+/**
+ * Space fields evenly between the first and last along one axis, keeping
+ * the gaps between neighbouring boxes equal. Needs at least three fields.
+ *
+ * @param {Object} fields - Field definitions by key
+ * @param {string[]} keys - Selected keys
+ * @param {string} axis - 'x' (horizontal) | 'y' (vertical)
+ * @returns {Object} Patches by key
+ */
+export function distributeFields(fields, keys, axis) {
+    const boxes = getBoxes(fields, keys)
+    if (boxes.length < 3) return {}
+
+    const size = axis === 'x' ? 'w' : 'h'
+    const sorted = [...boxes].sort((a, b) => a[axis] - b[axis])
+    const first = sorted[0]
+    const last = sorted[sorted.length - 1]
+    const span = last[axis] + last[size] - first[axis]
+    const gap = (span - sorted.reduce((sum, b) => sum + b[size], 0)) / (sorted.length - 1)
+
+    const patches = {}
+    let cursor = first[axis]
+    sorted.forEach(b => {
+        patches[b.key] = { [axis]: round(cursor) }
+        cursor += b[size] + gap
+    })
+    return patches
+}
+
+/**
+ * Give every selected field the width or height of the first one selected.
+ *
+ * @param {Object} fields - Field definitions by key
+ * @param {string[]} keys - Selected keys; the first is the reference
+ * @param {string} dimension - 'w' | 'h'
+ * @returns {Object} Patches by key
+ */
+export function matchFieldSize(fields, keys, dimension) {
+    const boxes = getBoxes(fields, keys)
+    if (boxes.length < 2) return {}
+    const value = boxes[0][dimension]
+    return Object.fromEntries(boxes.slice(1).map(b => [b.key, { [dimension]: value }]))
+}
+
+/**
+ * Snap a single coordinate to the nearest guide within the threshold.
+ *
+ * @param {number} value - Position in inches
+ * @param {number[]} guides - Guide positions on the same axis
+ * @param {number} [threshold=GUIDE_SNAP_IN]
+ * @returns {number}
+ */
+export function snapValueToGuides(value, guides, threshold = GUIDE_SNAP_IN) {
+    let best = value
+    let bestDistance = threshold
+    guides.forEach(g => {
+        const distance = Math.abs(g - value)
+        if (distance <= bestDistance) {
+            best = g
+            bestDistance = distance
+        }
+    })
+    return best
+}
+
+/**
+ * Snap a moving box so its nearest edge or centre lands on a guide.
+ *
+ * @param {Object} box - { x, y, w, h }
+ * @param {Object} guides - From getGuides
+ * @param {number} [threshold=GUIDE_SNAP_IN]
+ * @returns {{ x: number, y: number }} Snapped position
+ */
+export function snapBoxToGuides(box, guides, threshold = GUIDE_SNAP_IN) {
+    const snapAxis = (start, size, list) => {
+        let offset = 0
+        let bestDistance = Infinity
+        for (const anchor of [start, start + size / 2, start + size]) {
+            const snapped = snapValueToGuides(anchor, list, threshold)
+            const distance = Math.abs(snapped - anchor)
+            if (snapped !== anchor && distance < bestDistance) {
+                offset = snapped - anchor
+                bestDistance = distance
+            }
+        }
+        return round(start + offset)
+    }
+    return { x: snapAxis(box.x, box.w, guides.x), y: snapAxis(box.y, box.h, guides.y) }
+}
+
+/**
+ * Tick marks for a ruler in the locale's measurement unit. Inch rulers
+ * tick every 1/8" and label every inch; metric rulers tick every
+ * millimetre and label every centimetre (in mm).
+ *
+ * @param {number} lengthIn - Ruler length in inches
+ * @param {string} unit - 'in' | 'mm'
+ * @returns {Array<{ pos: number, size: string, label: string|null }>}
+ *   pos in inches; size is 'major' | 'mid' | 'minor'
+ */
+export function getRulerTicks(lengthIn, unit) {
+    const ticks = []
+    if (unit === 'mm') {
+        const lengthMm = Math.floor(lengthIn * MM_PER_IN)
+        for (let mm = 0; mm <= lengthMm; mm++) {
+            const size = mm % 10 === 0 ? 'major' : mm % 5 === 0 ? 'mid' : 'minor'
+            ticks.push({ pos: mm / MM_PER_IN, size, label: size === 'major' && mm > 0 ? String(mm) : null })
+        }
+        return ticks
+    }
+    const eighths = Math.floor(lengthIn * 8)
+    for (let i = 0; i <= eighths; i++) {
+        const size = i % 8 === 0 ? 'major' : i % 4 === 0 ? 'mid' : 'minor'
+        ticks.push({ pos: i / 8, size, label: size === 'major' && i > 0 ? String(i / 8) : null })
+    }
+    return ticks
+}
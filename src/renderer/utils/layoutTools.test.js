@@ -0,0 +1,85 @@
+import {
+  getGuides,
+  alignFields,
+  distributeFields,
+  matchFieldSize,
+  snapValueToGuides,
+  snapBoxToGuides,
+  getRulerTicks
+} from './layoutTools'
+
+const fields = {
+  a: { x: 1, y: 1, w: 2, h: 0.3 },
+  b: { x: 2.5, y: 1.4, w: 1, h: 0.5 },
+  c: { x: 5, y: 2, w: 1.5, h: 0.3 }
+}
+
+describe('alignFields', () => {
+  test('aligns to the outermost edges of the selection', () => {
+    expect(alignFields(fields, ['a', 'b', 'c'], 'left')).toEqual({ a: { x: 1 }, b: { x: 1 }, c: { x: 1 } })
+    expect(alignFields(fields, ['a', 'b'], 'right')).toEqual({ a: { x: 1.5 }, b: { x: 2.5 } })
+    expect(alignFields(fields, ['a', 'c'], 'bottom')).toEqual({ a: { y: 2 }, c: { y: 2 } })
+  })
+
+  test('centres on the selection bounds', () => {
+    // Bounds 1 → 6.5, centre 3.75
+    expect(alignFields(fields, ['a', 'c'], 'centerX')).toEqual({ a: { x: 2.75 }, c: { x: 3 } })
+  })
+
+  test('needs two fields', () => {
+    expect(alignFields(fields, ['a'], 'left')).toEqual({})
+    expect(alignFields(fields, ['a', 'missing'], 'left')).toEqual({})
+  })
+})
+
+describe('distributeFields', () => {
+  test('equal gaps between neighbours, ends stay put', () => {
+    // Span 1 → 6.5 (5.5) less widths 4.5 leaves two 0.5 gaps
+    expect(distributeFields(fields, ['c', 'a', 'b'], 'x')).toEqual({ a: { x: 1 }, b: { x: 3.5 }, c: { x: 5 } })
+  })
+
+  test('needs three fields', () => {
+    expect(distributeFields(fields, ['a', 'b'], 'y')).toEqual({})
+  })
+})
+
+describe('matchFieldSize', () => {
+  test('uses the first selected field as the reference', () => {
+    expect(matchFieldSize(fields, ['b', 'a', 'c'], 'w')).toEqual({ a: { w: 1 }, c: { w: 1 } })
+  })
+})
+
+describe('guides', () => {
+  test('layouts without guides have none', () => {
+    expect(getGuides({})).toEqual({ x: [], y: [] })
+  })
+
+  test('snaps a value only within the threshold', () => {
+    expect(snapValueToGuides(2.05, [2, 4])).toBe(2)
+    expect(snapValueToGuides(2.5, [2, 4])).toBe(2.5)
+  })
+
+  test('snaps the closest edge or centre of a box', () => {
+    const guides = { x: [4], y: [1] }
+    // Right edge 3.95 is 0.05 from the guide
+    expect(snapBoxToGuides({ x: 1.95, y: 0.4, w: 2, h: 0.3 }, guides)).toEqual({ x: 2, y: 0.4 })
+    // Centre 1.02 is closer than the top edge
+    expect(snapBoxToGuides({ x: 0, y: 0.87, w: 1, h: 0.3 }, guides).y).toBeCloseTo(0.85)
+  })
+})
+
+describe('getRulerTicks', () => {
+  test('inch rulers label whole inches', () => {
+    const ticks = getRulerTicks(2, 'in')
+    expect(ticks).toHaveLength(17)
+    expect(ticks.filter(t => t.label).map(t => t.label)).toEqual(['1', '2'])
+    expect(ticks[4].size).toBe('mid')
+  })
+
+  test('metric rulers tick every millimetre and label centimetres', () => {
+    const ticks = getRulerTicks(1, 'mm')
+    expect(ticks).toHaveLength(26)
+    expect(ticks.filter(t => t.label).map(t => t.label)).toEqual(['10', '20'])
+    expect(ticks[10].pos).toBeCloseTo(10 / 25.4)
+  })
+})
@@ -0,0 +1,184 @@
+/**
+ * MICR Line Utilities
+ *
+ * Builds the E-13B MICR line printed along the bottom of a check so
+ * blank security stock can be used instead of pre-printed checks.
+ * Positions follow ANSI X9.100-160: character positions are counted
+ * from the right edge of the check, 8 characters per inch.
+ *
+ * Symbol codes used in MICR text:
+ * - T — transit (brackets the routing number)
+ * - U — on-us (terminates the account number)
+ * - A — amount (reserved for the bank's encoder)
+ * - D — dash
+ */
+
+/** Width of one MICR character cell (8 characters per inch) */
+export const MICR_CHAR_PITCH_IN = 0.125
+
+/** Height of an E-13B character */
+export const MICR_CHAR_HEIGHT_IN = 0.117
+
+/** Distance from the bottom edge of the check to the bottom of the characters */
+export const MICR_BOTTOM_MARGIN_IN = 0.1875
+
+/** Distance from the right edge of the check to position 1 */
+export const MICR_RIGHT_MARGIN_IN = 0.3125
+
+/** Number of character positions in the MICR clear band */
+export const MICR_LINE_POSITIONS = 65
+
+// Field boundaries (inclusive, counted from the right)
+const TRANSIT_START = 43
+const TRANSIT_END = 33
+const ON_US_START = 32
+const ON_US_END = 14
+
+/**
+ * Validate a 9-digit ABA routing number using the 3-7-1 checksum.
+ *
+ * @param {string} routingNumber - Routing number
+ * @returns {boolean} True if the routing number is well-formed
+ */
+export function isValidRoutingNumber(routingNumber) {
+    const digits = String(routingNumber || '')
+    if (!/^\d{9}$/.test(digits)) return false
+
+    const weights = [3, 7, 1]
+    const sum = digits
+        .split('')
+        .reduce((total, d, i) => total + Number(d) * weights[i % 3], 0)
+    return sum % 10 === 0
+}
+
+/**
+ * Convert a free-form account or check number to MICR characters.
+ * Digits are kept, dashes become the dash symbol, everything else is dropped.
+ *
+ * @param {string|number} value - Raw value
+ * @returns {string} MICR-safe string
+ */
+function toMicrDigits(value) {
+    return String(value ?? '')
+        .replace(/-/g, 'D')
+        .replace(/[^0-9D]/g, '')
+}
+
+/**
+ * Build the MICR line for a check.
+ *
+ * Layout: transit field (T routing T) in positions 43–33 and the on-us
+ * field (account U check number) right-aligned to position 14. The
+ * amount field (positions 12–1) is left blank for the bank.
+ *
+ * @param {Object} data
+ * @param {string} data.routingNumber - 9-digit ABA routing number
+ * @param {string} data.accountNumber - Account number
+ * @param {string|number} [data.checkNumber] - Check serial number
+ * @returns {{ chars: Array<{ char: string, position: number }>, text: string, errors: string[] }}
+ */
+export function buildMicrLine({ routingNumber, accountNumber, checkNumber } = {}) {
+    const errors = []
+    const chars = []
+
+    const routing = String(routingNumber || '').replace(/\D/g, '')
+    if (!routing) {
+        errors.push('Routing number is required')
+    } else if (!isValidRoutingNumber(routing)) {
+        errors.push('Routing number is not a valid 9-digit ABA number')
+    }
+
+    const account = toMicrDigits(accountNumber)
+    if (!account) errors.push('Account number is required')
+
+    const serial = toMicrDigits(checkNumber).replace(/D/g, '')
+
+    // Transit field: exactly 11 characters
+    if (routing.length === 9) {
+        const transit = `T${routing}T`
+        for (let i = 0; i < transit.length; i++) {
+            chars.push({ char: transit[i], position: TRANSIT_START - i })
+        }
+    }
+
+    // On-us field: right-aligned, ending at position 14
+    if (account) {
+        const onUs = serial ? `${account}U ${serial}` : `${account}U`
+        const width = ON_US_START - ON_US_END + 1
+        if (onUs.length > width) {
+            errors.push(`Account and check number exceed the ${width}-character on-us field`)
+        } else {
+            const first = ON_US_END + onUs.length - 1
+            for (let i = 0; i < onUs.length; i++) {
+                if (onUs[i] !== ' ') chars.push({ char: onUs[i], position: first - i })
+            }
+        }
+    }
+
+    chars.sort((a, b) => b.position - a.position)
+
+    // Plain-text rendering, left to right, with blanks for unused positions
+    let text = ''
+    if (chars.length) {
+        const byPosition = new Map(chars.map(c => [c.position, c.char]))
+        for (let p = chars[0].position; p >= chars[chars.length - 1].position; p--) {
+            text += byPosition.get(p) || ' '
+        }
+    }
+
+    return { chars, text, errors }
+}
+
+/**
+ * The ledger a check draws on: its own ledgerId when set (batch and
+ * three-up items can belong to other ledgers), otherwise the fallback.
+ *
+ * @param {Array} ledgers - All ledgers
+ * @param {Object} checkData - Check with optional ledgerId
+ * @param {Object|null} [fallback=null] - Usually the active ledger
+ * @returns {Object|null}
+ */
+export function resolveCheckLedger(ledgers, checkData, fallback = null) {
+    const ledgerId = checkData?.ledgerId
+    return (ledgerId && (ledgers || []).find(l => l.id === ledgerId)) || fallback
+}
+
+/**
+ * MICR line for one check, encoded with its own ledger's bank account.
+ *
+ * @param {Object} checkData - Check with checkNumber and optional ledgerId
+ * @param {Object} options
+ * @param {Array} options.ledgers - All ledgers
+ * @param {Object|null} options.activeLedger - Used when the check has no ledgerId
+ * @param {string|number} [options.nextCheckNumber] - Used when the check has no number
+ * @returns {ReturnType<typeof buildMicrLine>}
+ */
+export function buildCheckMicrLine(checkData, { ledgers, activeLedger, nextCheckNumber }) {
+    const bank = resolveCheckLedger(ledgers, checkData, activeLedger)?.bank
+    return buildMicrLine({
+        routingNumber: bank?.routingNumber,
+        accountNumber: bank?.accountNumber,
+        checkNumber: checkData?.checkNumber || nextCheckNumber
+    })
+}
+
+/**
+ * Default MICR field box for a layout: spans the full clear band and sits
+ * at the ANSI position measured from the bottom edge of the check.
+ *
+ * @param {Object} layout - Model layout (widthIn, checkHeightIn)
+ * @param {number} [checkTopIn=0] - Y position of the check section
+ * @returns {Object} Field definition with type 'micr'
+ */
+export function getMicrFieldDefaults(layout, checkTopIn = 0) {
+    const w = MICR_LINE_POSITIONS * MICR_CHAR_PITCH_IN
+    return {
+        type: 'micr',
+        x: Math.round((layout.widthIn - MICR_RIGHT_MARGIN_IN - w) * 10000) / 10000,
+        y: Math.round((checkTopIn + layout.checkHeightIn - MICR_BOTTOM_MARGIN_IN - MICR_CHAR_HEIGHT_IN) * 10000) / 10000,
+        w,
+        h: MICR_CHAR_HEIGHT_IN,
+        fontIn: MICR_CHAR_HEIGHT_IN,
+        label: 'MICR Line'
+    }
+}
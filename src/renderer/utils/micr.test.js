@@ -0,0 +1,115 @@
+import {
+  isValidRoutingNumber,
+  buildMicrLine,
+  buildCheckMicrLine,
+  resolveCheckLedger,
+  getMicrFieldDefaults,
+  MICR_CHAR_PITCH_IN,
+  MICR_LINE_POSITIONS
+} from './micr'
+
+describe('isValidRoutingNumber', () => {
+  test('accepts valid ABA routing numbers', () => {
+    expect(isValidRoutingNumber('021000021')).toBe(true)
+    expect(isValidRoutingNumber('011000015')).toBe(true)
+  })
+
+  test('rejects bad checksums', () => {
+    expect(isValidRoutingNumber('021000022')).toBe(false)
+  })
+
+  test('rejects wrong length and non-digits', () => {
+    expect(isValidRoutingNumber('12345678')).toBe(false)
+    expect(isValidRoutingNumber('0210000210')).toBe(false)
+    expect(isValidRoutingNumber('02100002A')).toBe(false)
+    expect(isValidRoutingNumber(null)).toBe(false)
+  })
+})
+
+describe('buildMicrLine', () => {
+  const bank = { routingNumber: '021000021', accountNumber: '123456789' }
+
+  test('places the transit field in positions 43–33', () => {
+    const { chars } = buildMicrLine({ ...bank, checkNumber: '1001' })
+    const at = (p) => chars.find(c => c.position === p)?.char
+    expect(at(43)).toBe('T')
+    expect(at(42)).toBe('0')
+    expect(at(34)).toBe('1')
+    expect(at(33)).toBe('T')
+  })
+
+  test('right-aligns the on-us field to position 14', () => {
+    const { chars } = buildMicrLine({ ...bank, checkNumber: '1001' })
+    const at = (p) => chars.find(c => c.position === p)?.char
+    expect(at(14)).toBe('1')
+    expect(at(17)).toBe('1')
+    expect(at(18)).toBeUndefined() // space between on-us symbol and serial
+    expect(at(19)).toBe('U')
+    expect(at(20)).toBe('9')
+  })
+
+  test('produces positional text left to right', () => {
+    const { text, errors } = buildMicrLine({ ...bank, checkNumber: '1001' })
+    expect(errors).toEqual([])
+    expect(text).toBe('T021000021T    123456789U 1001')
+  })
+
+  test('omits the serial when no check number is given', () => {
+    const { text } = buildMicrLine(bank)
+    expect(text.endsWith('123456789U')).toBe(true)
+  })
+
+  test('maps account dashes to the dash symbol', () => {
+    const { text } = buildMicrLine({ ...bank, accountNumber: '12-345' })
+    expect(text).toContain('12D345U')
+  })
+
+  test('reports missing or invalid bank details', () => {
+    expect(buildMicrLine({}).errors).toHaveLength(2)
+    expect(buildMicrLine({ ...bank, routingNumber: '021000022' }).errors[0]).toMatch(/not a valid/)
+  })
+
+  test('rejects on-us content that overflows the field', () => {
+    const { errors } = buildMicrLine({ ...bank, accountNumber: '12345678901234567', checkNumber: '1001' })
+    expect(errors[0]).toMatch(/on-us field/)
+  })
+})
+
+describe('buildCheckMicrLine', () => {
+  const ledgers = [
+    { id: 'ops', name: 'Operations', bank: { routingNumber: '021000021', accountNumber: '111111' } },
+    { id: 'payroll', name: 'Payroll', bank: { routingNumber: '011000015', accountNumber: '222222' } }
+  ]
+  const activeLedger = ledgers[0]
+
+  test('encodes the bank account of the ledger the check belongs to', () => {
+    const ops = buildCheckMicrLine({ checkNumber: '1001', ledgerId: 'ops' }, { ledgers, activeLedger })
+    const payroll = buildCheckMicrLine({ checkNumber: '1002', ledgerId: 'payroll' }, { ledgers, activeLedger })
+    expect(ops.text).toContain('T021000021T')
+    expect(ops.text).toContain('111111U')
+    expect(payroll.text).toContain('T011000015T')
+    expect(payroll.text).toContain('222222U')
+    expect(payroll.text).not.toContain('111111')
+  })
+
+  test('falls back to the active ledger and next check number', () => {
+    const line = buildCheckMicrLine({}, { ledgers, activeLedger, nextCheckNumber: 2001 })
+    expect(line.text).toContain('111111U 2001')
+    expect(resolveCheckLedger(ledgers, { ledgerId: 'gone' }, activeLedger)).toBe(activeLedger)
+  })
+})
+
+describe('getMicrFieldDefaults', () => {
+  test('spans the clear band and sits 3/16" above the bottom edge', () => {
+    const f = getMicrFieldDefaults({ widthIn: 8.5, checkHeightIn: 3.5 })
+    expect(f.type).toBe('micr')
+    expect(f.w).toBeCloseTo(MICR_LINE_POSITIONS * MICR_CHAR_PITCH_IN)
+    expect(f.x + f.w).toBeCloseTo(8.5 - 0.3125)
+    expect(f.y + f.h).toBeCloseTo(3.5 - 0.1875)
+  })
+
+  test('offsets by the check section position', () => {
+    const f = getMicrFieldDefaults({ widthIn: 8.5, checkHeightIn: 3.5 }, 3.67)
+    expect(f.y + f.h).toBeCloseTo(3.67 + 3.5 - 0.1875)
+  })
+})
@@ -0,0 +1,143 @@
+/**
+ * PDF Check Templates
+ *
+ * Stock vendors often supply layouts as PDF. The chosen page is rasterised
+ * with the bundled pdf.js (no network needed) at print resolution and then
+ * treated exactly like an image template. Renders are cached in userData by
+ * the main process, keyed on the file's path, size and modified time, so
+ * only the first load after a change pays for the render.
+ */
+
+// Print resolution for the rasterised page
+export const PDF_TEMPLATE_DPI = 300
+
+const PDF_POINTS_PER_IN = 72
+
+/**
+ * @param {string|null} path - Template file path
+ * @returns {boolean} True for .pdf files
+ */
+export function isPdfTemplatePath(path) {
+    return /\.pdf$/i.test(path || '')
+}
+
+/**
+ * Clamp a 1-based page number to the document.
+ *
+ * @param {number} page - Requested page
+ * @param {number} pageCount - Pages in the document
+ * @returns {number}
+ */
+export function clampPdfPage(page, pageCount) {
+    const n = parseInt(page, 10) || 1
+    return Math.min(Math.max(1, n), Math.max(1, pageCount || 1))
+}
+
+/**
+ * Decode a base64 data URL (as returned by readFileAsDataURL) to bytes.
+ *
+ * @param {string} dataUrl
+ * @returns {Uint8Array}
+ */
+export function dataUrlToBytes(dataUrl) {
+    const base64 = String(dataUrl).slice(String(dataUrl).indexOf(',') + 1)
+    const binary = atob(base64)
+    const bytes = new Uint8Array(binary.length)
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+    return bytes
+}
+
+/**
+ * Decoded size of a base64 data URL, for template metadata.
+ *
+ * @param {string} dataUrl
+ * @returns {number} Bytes
+ */
+export function getDataUrlByteLength(dataUrl) {
+    const base64 = String(dataUrl).slice(String(dataUrl).indexOf(',') + 1)
+    const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0
+    return Math.floor(base64.length * 3 / 4) - padding
+}
+
+// pdf.js is large; load it (and point it at its bundled worker) on first use
+let pdfjsPromise = null
+function loadPdfjs() {
+    if (!pdfjsPromise) {
+        pdfjsPromise = Promise.all([
+            import('pdfjs-dist'),
+            import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+        ]).then(([pdfjs, worker]) => {
+            pdfjs.GlobalWorkerOptions.workerSrc = worker.default
+            return pdfjs
+        })
+    }
+    return pdfjsPromise
+}
+
+/**
+ * Rasterise one page of a PDF onto a white background.
+ *
+ * @param {Uint8Array} bytes - PDF file contents
+ * @param {Object} [options]
+ * @param {number} [options.page=1] - 1-based page, clamped to the document
+ * @param {number} [options.dpi=PDF_TEMPLATE_DPI]
+ * @returns {Promise<{ dataUrl: string, width: number, height: number, page: number, pageCount: number }>}
+ */
+export async function renderPdfTemplate(bytes, { page = 1, dpi = PDF_TEMPLATE_DPI } = {}) {
+    const pdfjs = await loadPdfjs()
+    const doc = await pdfjs.getDocument({ data: bytes, isEvalSupported: false }).promise
+    try {
+        const pageNumber = clampPdfPage(page, doc.numPages)
+        const pdfPage = await doc.getPage(pageNumber)
+        const viewport = pdfPage.getViewport({ scale: dpi / PDF_POINTS_PER_IN })
+
+        const canvas = document.createElement('canvas')
+        canvas.width = Math.ceil(viewport.width)
+        canvas.height = Math.ceil(viewport.height)
+        const ctx = canvas.getContext('2d')
+        // PDF pages are transparent where nothing is drawn
+        ctx.fillStyle = '#ffffff'
+        ctx.fillRect(0, 0, canvas.width, canvas.height)
+        await pdfPage.render({ canvasContext: ctx, viewport }).promise
+
+        return {
+            dataUrl: canvas.toDataURL('image/png'),
+            width: canvas.width,
+            height: canvas.height,
+            page: pageNumber,
+            pageCount: doc.numPages
+        }
+    } finally {
+        doc.destroy()
+    }
+}
+
+/**
+ * Load a PDF template page, from the userData cache when the file hasn't
+ * changed, otherwise by rendering it and caching the result.
+ *
+ * @param {string} path - PDF file path
+ * @param {Object} [options]
+ * @param {number} [options.page=1]
+ * @param {number} [options.dpi=PDF_TEMPLATE_DPI]
+ * @returns {Promise<Object>} Render result (see renderPdfTemplate) or { error }
+ */
+export async function readPdfTemplate(path, { page = 1, dpi = PDF_TEMPLATE_DPI } = {}) {
+    const key = { page: parseInt(page, 10) || 1, dpi }
+    const cached = await window.cs2.templateCacheGet(path, key)
+    if (cached?.success) return cached.render
+
+    const res = await window.cs2.readFileAsDataURL(path)
+    if (!res?.success) return { error: res?.error || 'Failed to read PDF template' }
+
+    let render
+    try {
+        render = await renderPdfTemplate(dataUrlToBytes(res.dataUrl), key)
+    } catch (e) {
+        return { error: `Could not render PDF template: ${e?.message || e}` }
+    }
+
+    // A failed cache write only costs a re-render next launch
+    await window.cs2.templateCacheSet(path, key, render).catch(() => {})
+    return render
+}
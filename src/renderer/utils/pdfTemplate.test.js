@@ -0,0 +1,63 @@
+import {
+  isPdfTemplatePath,
+  clampPdfPage,
+  dataUrlToBytes,
+  getDataUrlByteLength,
+  readPdfTemplate,
+  PDF_TEMPLATE_DPI
+} from './pdfTemplate'
+
+describe('isPdfTemplatePath', () => {
+  test('matches .pdf regardless of case', () => {
+    expect(isPdfTemplatePath('C:\\Stock\\Voucher.PDF')).toBe(true)
+    expect(isPdfTemplatePath('/tmp/check.png')).toBe(false)
+    expect(isPdfTemplatePath(null)).toBe(false)
+  })
+})
+
+describe('clampPdfPage', () => {
+  test('keeps the page inside the document', () => {
+    expect(clampPdfPage(3, 2)).toBe(2)
+    expect(clampPdfPage(0, 2)).toBe(1)
+    expect(clampPdfPage(undefined, 5)).toBe(1)
+    expect(clampPdfPage('2', 5)).toBe(2)
+  })
+})
+
+describe('data URL helpers', () => {
+  const dataUrl = `data:application/pdf;base64,${btoa('%PDF-1.4')}`
+
+  test('decodes to the original bytes', () => {
+    expect(Array.from(dataUrlToBytes(dataUrl))).toEqual(Array.from('%PDF-1.4', c => c.charCodeAt(0)))
+  })
+
+  test('reports the decoded size', () => {
+    expect(getDataUrlByteLength(dataUrl)).toBe(8)
+    expect(getDataUrlByteLength(`data:image/png;base64,${btoa('ab')}`)).toBe(2)
+  })
+})
+
+describe('readPdfTemplate', () => {
+  afterEach(() => {
+    delete window.cs2
+  })
+
+  test('returns a cached render without reading the file', async () => {
+    const render = { dataUrl: 'data:image/png;base64,AA==', width: 2550, height: 3300, page: 1, pageCount: 2 }
+    window.cs2 = {
+      templateCacheGet: vi.fn().mockResolvedValue({ success: true, render }),
+      readFileAsDataURL: vi.fn()
+    }
+    expect(await readPdfTemplate('/stock.pdf', { page: 1 })).toEqual(render)
+    expect(window.cs2.templateCacheGet).toHaveBeenCalledWith('/stock.pdf', { page: 1, dpi: PDF_TEMPLATE_DPI })
+    expect(window.cs2.readFileAsDataURL).not.toHaveBeenCalled()
+  })
+
+  test('reports a file that cannot be read', async () => {
+    window.cs2 = {
+      templateCacheGet: vi.fn().mockResolvedValue({ success: false }),
+      readFileAsDataURL: vi.fn().mockResolvedValue({ success: false, error: 'ENOENT' })
+    }
+    expect(await readPdfTemplate('/missing.pdf')).toEqual({ error: 'ENOENT' })
+  })
+})
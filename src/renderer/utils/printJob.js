@@ -0,0 +1,75 @@
+/**
+ * Print Job Utilities
+ *
+ * A print job is a snapshot of everything the offscreen print renderer
+ * (print.html) needs to draw one check page without the main window:
+ * layout, profile, preferences, check data and template/signature images.
+ * Jobs cross IPC to the main process, so they hold plain data only.
+ * No React dependencies.
+ */
+
+import { getPrinterCalibration } from './printerCalibration'
+import { needsRemittance, buildRemittance } from './remittance'
+import { getReturnAddressLines } from './envelope'
+import { resolveCheckLedger } from './micr'
+
+/**
+ * Build a print job from the current app state.
+ *
+ * @param {Object} source - App state: model, activeProfile, preferences, data,
+ *   sheetData, templateDataUrl, isFullPageTemplate, activeLedger, ledgers, hybridBalance,
+ *   signature, autoIncrementCheckNumbers, showStub1Labels, showStub2Labels, threeUpYOffset
+ * @param {Object} [overrides]
+ * @param {Object} [overrides.data] - Check data to print instead of the form's
+ * @param {Object} [overrides.sheetData] - Three-up slot data to print instead of the form's
+ * @param {string|null} [overrides.deviceName=null] - Target printer, for its calibration
+ * @param {boolean} [overrides.copy=false] - Print as a non-negotiable copy
+ * @param {string} [overrides.title=''] - Document title (PDF metadata)
+ * @param {Array} [overrides.pages] - Multi-page document: one { data } or { sheetData }
+ *   per page, each with bookmarks (titles for the PDF outline)
+ * @param {Object} [overrides.cover] - Batch summary for a leading cover page (summarizeBatch)
+ * @returns {Object} Print job. Checks whose line items overflow the stub carry a
+ *   remittance (buildRemittance, plus the payer's companyLines) that prints as
+ *   its own page after the check.
+ */
+export function createPrintJob(source, { data, sheetData, deviceName = null, copy = false, title = '', pages = null, cover = null } = {}) {
+    const { signature, preferences } = source
+    // Each remittance names the payer of its own check's ledger
+    const remittanceFor = (checkData) => (
+        needsRemittance(checkData, source)
+            ? {
+                ...buildRemittance(checkData),
+                companyLines: getReturnAddressLines(resolveCheckLedger(source.ledgers, checkData, source.activeLedger), preferences.companyInfo)
+            }
+            : null
+    )
+    const jobData = data || source.data
+    return {
+        title,
+        model: source.model,
+        activeProfile: source.activeProfile,
+        preferences,
+        data: jobData,
+        sheetData: sheetData || source.sheetData,
+        templateDataUrl: source.templateDataUrl || null,
+        isFullPageTemplate: !!source.isFullPageTemplate,
+        activeLedger: source.activeLedger || null,
+        // Checks carrying a ledgerId print with that ledger's bank details
+        ledgers: source.ledgers || [],
+        hybridBalance: source.hybridBalance || 0,
+        signature: {
+            slots: signature?.slots || {},
+            signatureRules: signature?.signatureRules || null,
+            authorization: signature?.authorization || null
+        },
+        printerCalibration: getPrinterCalibration(preferences.printerCalibrations, deviceName),
+        isCopy: copy,
+        autoIncrementCheckNumbers: !!source.autoIncrementCheckNumbers,
+        showStub1Labels: !!source.showStub1Labels,
+        showStub2Labels: !!source.showStub2Labels,
+        threeUpYOffset: source.threeUpYOffset || 0,
+        pages: pages && pages.map(page => page.data ? { ...page, remittance: remittanceFor(page.data) } : page),
+        cover,
+        remittance: pages ? null : remittanceFor(jobData)
+    }
+}
@@ -0,0 +1,117 @@
+import { createPrintJob } from './printJob'
+import { DEFAULT_PRINTER_CALIBRATION } from './printerCalibration'
+
+const source = {
+  model: { layout: { widthIn: 8.5 } },
+  activeProfile: { id: 'p1', layoutMode: 'standard' },
+  preferences: {
+    locale: 'US',
+    printerCalibrations: { Office: { offsetXIn: -0.1, offsetYIn: 0, scaleX: 1, scaleY: 1 } }
+  },
+  data: { payee: 'Form Payee', amount: '10.00' },
+  sheetData: { top: { payee: 'Top' }, middle: {}, bottom: {} },
+  activeLedger: { id: 'ops', name: 'Operations' },
+  hybridBalance: 500,
+  signature: {
+    signatureImage: 'data:image/png;base64,AAA',
+    signatureEnabled: true,
+    signatureOpacity: 0.8,
+    slots: {
+      signature: { imageDataUrl: 'data:image/png;base64,AAA', enabled: true, opacity: 0.8 },
+      signature2: null
+    },
+    signatureRules: { secondOver: 5000, secondMode: 'print' },
+    authorization: { approvals: [], session: { signer: 'Pat', startedAt: 0, expiresAt: 60000 } },
+    loadSignature: () => {}
+  },
+  autoIncrementCheckNumbers: true
+}
+
+describe('createPrintJob', () => {
+  test('snapshots the current form by default', () => {
+    const job = createPrintJob(source)
+    expect(job.data.payee).toBe('Form Payee')
+    expect(job.sheetData.top.payee).toBe('Top')
+    expect(job.hybridBalance).toBe(500)
+    expect(job.isCopy).toBe(false)
+    expect(job.threeUpYOffset).toBe(0)
+  })
+
+  test('prints supplied check data without touching the source', () => {
+    const job = createPrintJob(source, { data: { payee: 'Batch Payee' }, title: 'Check_001' })
+    expect(job.data.payee).toBe('Batch Payee')
+    expect(job.title).toBe('Check_001')
+    expect(source.data.payee).toBe('Form Payee')
+  })
+
+  test('applies the target printer calibration', () => {
+    expect(createPrintJob(source, { deviceName: 'Office' }).printerCalibration.offsetXIn).toBe(-0.1)
+    expect(createPrintJob(source).printerCalibration).toEqual(DEFAULT_PRINTER_CALIBRATION)
+  })
+
+  test('keeps only signature data so the job can cross IPC', () => {
+    const job = createPrintJob(source)
+    expect(job.signature).toEqual({
+      slots: {
+        signature: { imageDataUrl: 'data:image/png;base64,AAA', enabled: true, opacity: 0.8 },
+        signature2: null
+      },
+      signatureRules: { secondOver: 5000, secondMode: 'print' },
+      authorization: { approvals: [], session: { signer: 'Pat', startedAt: 0, expiresAt: 60000 } }
+    })
+    expect(() => structuredClone(job)).not.toThrow()
+  })
+
+  test('carries every ledger so batch checks print with their own bank details', () => {
+    const ledgers = [
+      { id: 'ops', bank: { routingNumber: '021000021', accountNumber: '111111' } },
+      { id: 'payroll', bank: { routingNumber: '011000015', accountNumber: '222222' } }
+    ]
+    expect(createPrintJob({ ...source, ledgers }).ledgers).toEqual(ledgers)
+    expect(createPrintJob(source).ledgers).toEqual([])
+  })
+
+  test('carries multi-page documents and their cover', () => {
+    const pages = [{ data: { payee: 'A' }, bookmarks: ['#1001 — A'] }, { data: { payee: 'B' }, bookmarks: ['#1002 — B'] }]
+    const job = createPrintJob(source, { pages, cover: { count: 2 } })
+    expect(job.pages).toHaveLength(2)
+    expect(job.cover.count).toBe(2)
+    expect(createPrintJob(source).pages).toBeNull()
+  })
+
+  test('attaches a remittance to checks that overflow the stub', () => {
+    const stubbed = {
+      ...source,
+      model: { layout: { stub1Enabled: true }, fields: { stub1_line_items: { h: 0.5 } } },
+      preferences: { ...source.preferences, stubFontSizePt: 10, stub1ShowLineItems: true, companyInfo: { name: 'Payer Inc' } }
+    }
+    const many = { payee: 'A', line_items: Array.from({ length: 4 }, () => ({ amount: 5 })) }
+    const few = { payee: 'B', line_items: [{ amount: 5 }] }
+
+    const single = createPrintJob(stubbed, { data: many })
+    expect(single.remittance.totals.net).toBe(20)
+    expect(single.remittance.companyLines).toEqual(['Payer Inc'])
+    expect(createPrintJob(stubbed, { data: few }).remittance).toBeNull()
+
+    const batch = createPrintJob(stubbed, { pages: [{ data: many }, { data: few }] })
+    expect(batch.remittance).toBeNull()
+    expect(batch.pages.map(p => !!p.remittance)).toEqual([true, false])
+  })
+
+  test('names the payer of each check\'s own ledger on its remittance', () => {
+    const stubbed = {
+      ...source,
+      model: { layout: { stub1Enabled: true }, fields: { stub1_line_items: { h: 0.5 } } },
+      preferences: { ...source.preferences, stubFontSizePt: 10, stub1ShowLineItems: true },
+      ledgers: [
+        { id: 'ops', company: { name: 'Ops LLC', address: '1 Main St' } },
+        { id: 'payroll', company: { name: 'Payroll Co', address: '9 Elm Rd' } }
+      ]
+    }
+    const items = Array.from({ length: 4 }, () => ({ amount: 5 }))
+    const job = createPrintJob(stubbed, {
+      pages: [{ data: { payee: 'A', ledgerId: 'ops', line_items: items } }, { data: { payee: 'B', ledgerId: 'payroll', line_items: items } }]
+    })
+    expect(job.pages.map(p => p.remittance.companyLines[0])).toEqual(['Ops LLC', 'Payroll Co'])
+  })
+})
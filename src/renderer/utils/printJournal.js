@@ -0,0 +1,136 @@
+/**
+ * Batch Print Journal Utilities
+ *
+ * The main process keeps a journal of every batch run (src/main/printJournal.js)
+ * with a state per queue item. Items carry the history entry they will
+ * record, so a batch interrupted by a crash or hung printer can be
+ * reconciled on restart: printed checks are recorded exactly once and the
+ * rest go back to the queue. No React dependencies.
+ */
+
+import { calculateLedgerBalance } from './historyHelpers'
+import { parseCheckNumber } from './checkRegistry'
+
+export const JOURNAL_STATE = {
+    QUEUED: 'queued',     // Waiting to print
+    RENDERED: 'rendered', // Page built and handed to the printer/PDF; outcome unknown
+    SENT: 'sent',         // Printer/PDF confirmed; history entry not yet committed
+    RECORDED: 'recorded', // History entry committed
+    FAILED: 'failed'      // Print failed or was skipped; nothing to record
+}
+
+/**
+ * Build a journal job for a batch run.
+ *
+ * @param {Object} params
+ * @param {string} params.id - Job id
+ * @param {string} params.mode - Batch print mode ('interactive' | 'silent' | 'pdf')
+ * @param {string} params.profileId - Profile whose check numbers the batch uses
+ * @param {Array} params.queue - Queue items, each with a unique journalKey
+ * @returns {Object} Journal job
+ */
+export function createJournalJob({ id, mode, profileId, queue }) {
+    return {
+        id,
+        mode,
+        profileId,
+        items: queue.map(item => createJournalItem(item))
+    }
+}
+
+/**
+ * Journal item for one queue item.
+ *
+ * @param {Object} item - Queue item with a journalKey
+ * @returns {Object}
+ */
+export function createJournalItem(item) {
+    const { journalKey, reprintOf, ...queueItem } = item
+    return { key: journalKey, item: queueItem, state: JOURNAL_STATE.QUEUED, entry: null, error: null }
+}
+
+/**
+ * Work out what an unfinished or unsettled job still needs.
+ *
+ * @param {Object} job - Journal job
+ * @param {Array} checkHistory - Current history
+ * @returns {{ toRecord: Array, uncertain: Array, unprinted: Array }}
+ *   toRecord: confirmed printed but missing from history;
+ *   uncertain: handed to the printer with no outcome recorded;
+ *   unprinted: never reached the printer
+ */
+export function analyzeJournalJob(job, checkHistory) {
+    const recordedIds = new Set((checkHistory || []).map(h => h.id))
+    const toRecord = []
+    const uncertain = []
+    const unprinted = []
+    for (const item of job.items) {
+        const inHistory = item.entry && recordedIds.has(item.entry.id)
+        if (item.state === JOURNAL_STATE.SENT || item.state === JOURNAL_STATE.RECORDED) {
+            if (!inHistory) toRecord.push(item)
+        } else if (item.state === JOURNAL_STATE.RENDERED) {
+            if (!inHistory) uncertain.push(item)
+        } else if (item.state === JOURNAL_STATE.QUEUED) {
+            unprinted.push(item)
+        }
+    }
+    return { toRecord, uncertain, unprinted }
+}
+
+/**
+ * Split journal jobs into those needing the user's attention and those
+ * that are settled (finished with everything recorded) and can be dropped.
+ *
+ * @param {Array} jobs - Journal jobs
+ * @param {Array} checkHistory - Current history
+ * @returns {{ interrupted: Array<{ job: Object, toRecord: Array, uncertain: Array, unprinted: Array }>, settled: Array }}
+ */
+export function findInterruptedJobs(jobs, checkHistory) {
+    const interrupted = []
+    const settled = []
+    for (const job of jobs || []) {
+        const analysis = analyzeJournalJob(job, checkHistory)
+        const needsAttention = analysis.toRecord.length > 0 || analysis.uncertain.length > 0 ||
+            (!job.finishedAt && analysis.unprinted.length > 0)
+        if (needsAttention) interrupted.push({ job, ...analysis })
+        else settled.push(job)
+    }
+    return { interrupted, settled }
+}
+
+/**
+ * Record journal entries into history, skipping any already there, and
+ * bring the affected ledgers and the profile's next check number up to date.
+ *
+ * @param {Object} state - { checkHistory, ledgers, profiles }
+ * @param {Object} job - Journal job (for profileId)
+ * @param {Array} items - Journal items whose entries should be recorded
+ * @returns {{ checkHistory: Array, ledgers: Array, profiles: Array, recorded: number }}
+ */
+export function applyJournalRecovery({ checkHistory, ledgers, profiles }, job, items) {
+    const recordedIds = new Set(checkHistory.map(h => h.id))
+    const entries = items.map(i => i.entry).filter(e => e && !recordedIds.has(e.id))
+
+    const nextHistory = [...entries].sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0)).concat(checkHistory)
+
+    // Ledgers created during the batch were only saved at the end
+    const nextLedgers = [...ledgers]
+    for (const entry of entries) {
+        if (!nextLedgers.some(l => l.id === entry.ledgerId)) {
+            nextLedgers.push({ id: entry.ledgerId, name: entry.ledgerName || 'Recovered Ledger', balance: 0, startingBalance: 0, lockLedgerStart: true })
+        }
+    }
+    const affected = new Set(entries.map(e => e.ledgerId))
+    const balancedLedgers = nextLedgers.map(l =>
+        affected.has(l.id) ? { ...l, balance: calculateLedgerBalance(nextHistory, l) } : l
+    )
+
+    const highest = Math.max(0, ...entries.map(e => parseCheckNumber(e.checkNumber) || 0))
+    const nextProfiles = profiles.map(p =>
+        p.id === job.profileId && highest >= (p.nextCheckNumber || 0)
+            ? { ...p, nextCheckNumber: highest + 1 }
+            : p
+    )
+
+    return { checkHistory: nextHistory, ledgers: balancedLedgers, profiles: nextProfiles, recorded: entries.length }
+}
@@ -0,0 +1,95 @@
+import {
+  JOURNAL_STATE,
+  createJournalJob,
+  createJournalItem,
+  analyzeJournalJob,
+  findInterruptedJobs,
+  applyJournalRecovery
+} from './printJournal'
+
+const entry = (id, checkNumber, extra = {}) => ({
+  id, type: 'check', ledgerId: 'ops', ledgerName: 'Operations', checkNumber, amount: 100, timestamp: Number(checkNumber), ...extra
+})
+
+const item = (key, state, e = null) => ({ key, item: { payee: key }, state, entry: e, error: null })
+
+describe('createJournalJob', () => {
+  test('queues every item under its journal key', () => {
+    const job = createJournalJob({
+      id: 'job1', mode: 'silent', profileId: 'p1',
+      queue: [{ journalKey: 'q0', payee: 'A' }, { journalKey: 'q1', payee: 'B', reprintOf: { checkNumber: '1' } }]
+    })
+    expect(job.items.map(i => [i.key, i.state])).toEqual([['q0', 'queued'], ['q1', 'queued']])
+    expect(job.items[1].item).toEqual({ payee: 'B' })
+  })
+
+  test('createJournalItem drops batch-only fields', () => {
+    expect(createJournalItem({ journalKey: 'k', payee: 'A' })).toMatchObject({ key: 'k', item: { payee: 'A' }, entry: null })
+  })
+})
+
+describe('analyzeJournalJob', () => {
+  const job = {
+    items: [
+      item('a', JOURNAL_STATE.RECORDED, entry('h1', '1001')),
+      item('b', JOURNAL_STATE.SENT, entry('h2', '1002')),
+      item('c', JOURNAL_STATE.RENDERED, entry('h3', '1003')),
+      item('d', JOURNAL_STATE.QUEUED),
+      item('e', JOURNAL_STATE.FAILED, entry('h5', '1005'))
+    ]
+  }
+
+  test('sorts items by what they still need', () => {
+    const result = analyzeJournalJob(job, [entry('h1', '1001')])
+    expect(result.toRecord.map(i => i.key)).toEqual(['b'])
+    expect(result.uncertain.map(i => i.key)).toEqual(['c'])
+    expect(result.unprinted.map(i => i.key)).toEqual(['d'])
+  })
+
+  test('never re-records an entry already in history', () => {
+    const result = analyzeJournalJob(job, [entry('h1', '1001'), entry('h2', '1002'), entry('h3', '1003')])
+    expect(result.toRecord).toEqual([])
+    expect(result.uncertain).toEqual([])
+  })
+})
+
+describe('findInterruptedJobs', () => {
+  test('flags unfinished jobs and finished jobs missing recorded entries', () => {
+    const jobs = [
+      { id: 'done', finishedAt: '2026-01-01', items: [item('a', JOURNAL_STATE.RECORDED, entry('h1', '1001'))] },
+      { id: 'cancelled', finishedAt: '2026-01-01', items: [item('b', JOURNAL_STATE.QUEUED)] },
+      { id: 'crashed', finishedAt: null, items: [item('c', JOURNAL_STATE.QUEUED)] },
+      { id: 'lost', finishedAt: '2026-01-01', items: [item('d', JOURNAL_STATE.RECORDED, entry('h4', '1004'))] }
+    ]
+    const { interrupted, settled } = findInterruptedJobs(jobs, [entry('h1', '1001')])
+    expect(interrupted.map(i => i.job.id)).toEqual(['crashed', 'lost'])
+    expect(settled.map(j => j.id)).toEqual(['done', 'cancelled'])
+  })
+})
+
+describe('applyJournalRecovery', () => {
+  const state = {
+    checkHistory: [entry('h1', '1001')],
+    ledgers: [{ id: 'ops', name: 'Operations', balance: 900, startingBalance: 1000 }],
+    profiles: [{ id: 'p1', nextCheckNumber: 1002 }, { id: 'p2', nextCheckNumber: 5000 }]
+  }
+
+  test('records missing entries once and updates balances and numbering', () => {
+    const items = [
+      item('a', JOURNAL_STATE.SENT, entry('h1', '1001')),
+      item('b', JOURNAL_STATE.SENT, entry('h2', '1002')),
+      item('c', JOURNAL_STATE.SENT, entry('h3', '1003'))
+    ]
+    const next = applyJournalRecovery(state, { profileId: 'p1' }, items)
+    expect(next.recorded).toBe(2)
+    expect(next.checkHistory.map(h => h.id)).toEqual(['h3', 'h2', 'h1'])
+    expect(next.ledgers[0].balance).toBe(700)
+    expect(next.profiles.map(p => p.nextCheckNumber)).toEqual([1004, 5000])
+  })
+
+  test('recreates ledgers the batch created before it was interrupted', () => {
+    const items = [item('a', JOURNAL_STATE.SENT, entry('h9', '1009', { ledgerId: 'new1', ledgerName: 'Payroll' }))]
+    const next = applyJournalRecovery(state, { profileId: 'p1' }, items)
+    expect(next.ledgers.find(l => l.id === 'new1')).toMatchObject({ name: 'Payroll', balance: -100 })
+  })
+})
@@ -0,0 +1,138 @@
+/**
+ * Printer Calibration Utilities
+ *
+ * Per-printer feed corrections. The calibration sheet prints two crosshairs
+ * a known distance in from opposite corners; the user measures where they
+ * actually landed and we solve for the printer's offset and scale. Results
+ * are stored in preferences.printerCalibrations keyed by Electron's printer
+ * deviceName, and applied to the check stage only when printing.
+ * No React dependencies.
+ */
+
+export const DEFAULT_PRINTER_CALIBRATION = {
+    offsetXIn: 0,
+    offsetYIn: 0,
+    scaleX: 1,
+    scaleY: 1
+}
+
+// Crosshair inset from the paper edges on the calibration sheet
+export const CALIBRATION_MARK_INSET_IN = 1
+
+// Reject measurements implying more than ±5% scale error — almost always a typo
+const MAX_SCALE_ERROR = 0.05
+
+/**
+ * Nominal crosshair positions on the calibration sheet.
+ *
+ * @param {{ width: number, height: number }} paper - Paper size in inches
+ * @returns {{ a: {x: number, y: number}, b: {x: number, y: number} }}
+ */
+export function getCalibrationMarks(paper) {
+    const inset = CALIBRATION_MARK_INSET_IN
+    return {
+        a: { x: inset, y: inset },
+        b: { x: paper.width - inset, y: paper.height - inset }
+    }
+}
+
+// Round to a fixed number of places, normalising -0 to 0
+function round(value, places) {
+    const factor = 10 ** places
+    return Math.round(value * factor) / factor || 0
+}
+
+/**
+ * Solve the correction for one axis. The printer maps an intended
+ * position p to s·p + d; printing at (p − d) / s cancels that out, so
+ * the stage is scaled by 1/s and shifted by −d/s.
+ */
+function solveAxis(nominalA, nominalB, measuredA, measuredB) {
+    const printerScale = (measuredB - measuredA) / (nominalB - nominalA)
+    const printerShift = measuredA - printerScale * nominalA
+    return {
+        offset: -printerShift / printerScale,
+        scale: 1 / printerScale
+    }
+}
+
+/**
+ * Compute a printer calibration from crosshair measurements.
+ *
+ * @param {{ width: number, height: number }} paper - Paper size in inches
+ * @param {Object} measured - Distances in inches from the paper's left/top edge
+ *   to each crosshair centre: { ax, ay, bx, by }
+ * @returns {{ calibration: Object|null, error: string|null }}
+ */
+export function computePrinterCalibration(paper, measured) {
+    const values = ['ax', 'ay', 'bx', 'by'].map(k => parseFloat(measured?.[k]))
+    if (values.some(v => !Number.isFinite(v) || v < 0)) {
+        return { calibration: null, error: 'Enter all four measurements in inches.' }
+    }
+    const [ax, ay, bx, by] = values
+    const { a, b } = getCalibrationMarks(paper)
+
+    const x = solveAxis(a.x, b.x, ax, bx)
+    const y = solveAxis(a.y, b.y, ay, by)
+
+    if ([x.scale, y.scale].some(s => !(s > 0) || Math.abs(s - 1) > MAX_SCALE_ERROR)) {
+        return { calibration: null, error: 'Measurements imply more than 5% scaling. Re-measure from the paper edges.' }
+    }
+
+    return {
+        calibration: {
+            offsetXIn: round(x.offset, 3),
+            offsetYIn: round(y.offset, 3),
+            scaleX: round(x.scale, 4),
+            scaleY: round(y.scale, 4)
+        },
+        error: null
+    }
+}
+
+/**
+ * Look up the saved calibration for a printer.
+ *
+ * @param {Object} calibrations - preferences.printerCalibrations
+ * @param {string|null} deviceName - Printer device name
+ * @returns {Object} Calibration (defaults when none saved)
+ */
+export function getPrinterCalibration(calibrations, deviceName) {
+    if (!deviceName || !calibrations?.[deviceName]) return { ...DEFAULT_PRINTER_CALIBRATION }
+    return { ...DEFAULT_PRINTER_CALIBRATION, ...calibrations[deviceName] }
+}
+
+/**
+ * Which printer the next print goes to, for picking its calibration.
+ * Batch silent prints use the batch printer, PDF exports use none, and
+ * everything else uses the print dialog's target (falling back to the
+ * system default printer).
+ *
+ * @param {Object} preferences - App preferences
+ * @param {Object} [options]
+ * @param {boolean} [options.batch=false] - Whether a batch print is running
+ * @param {Array} [options.printers=[]] - Printers from print:getPrinters
+ * @returns {string|null} Device name
+ */
+export function resolvePrintTarget(preferences, { batch = false, printers = [] } = {}) {
+    if (batch && preferences.batchPrintMode === 'pdf') return null
+    if (batch && preferences.batchPrintMode === 'silent' && preferences.batchPrinterDeviceName) {
+        return preferences.batchPrinterDeviceName
+    }
+    return preferences.dialogPrinterDeviceName || printers.find(p => p.isDefault)?.name || null
+}
+
+/**
+ * CSS custom properties that apply a calibration to the check stage in print.
+ *
+ * @param {Object} calibration - Printer calibration
+ * @returns {Object} Style variables
+ */
+export function getCalibrationVars(calibration) {
+    return {
+        '--cal-x': `${calibration.offsetXIn}in`,
+        '--cal-y': `${calibration.offsetYIn}in`,
+        '--cal-scale-x': calibration.scaleX,
+        '--cal-scale-y': calibration.scaleY
+    }
+}
@@ -0,0 +1,88 @@
+import {
+  getCalibrationMarks,
+  computePrinterCalibration,
+  getPrinterCalibration,
+  resolvePrintTarget,
+  getCalibrationVars,
+  DEFAULT_PRINTER_CALIBRATION
+} from './printerCalibration'
+
+const letter = { width: 8.5, height: 11 }
+
+describe('getCalibrationMarks', () => {
+  test('places crosshairs one inch in from opposite corners', () => {
+    expect(getCalibrationMarks(letter)).toEqual({ a: { x: 1, y: 1 }, b: { x: 7.5, y: 10 } })
+  })
+})
+
+describe('computePrinterCalibration', () => {
+  test('returns no correction for a perfect printer', () => {
+    const { calibration, error } = computePrinterCalibration(letter, { ax: 1, ay: 1, bx: 7.5, by: 10 })
+    expect(error).toBeNull()
+    expect(calibration).toEqual(DEFAULT_PRINTER_CALIBRATION)
+  })
+
+  test('cancels a pure shift', () => {
+    const { calibration } = computePrinterCalibration(letter, { ax: 1.25, ay: 0.9, bx: 7.75, by: 9.9 })
+    expect(calibration).toEqual({ offsetXIn: -0.25, offsetYIn: 0.1, scaleX: 1, scaleY: 1 })
+  })
+
+  test('cancels shift and scale together', () => {
+    // Printer maps p → 1.01p + 0.1 horizontally
+    const { calibration } = computePrinterCalibration(letter, {
+      ax: 1.11, ay: 1, bx: 7.675, by: 10
+    })
+    expect(calibration.scaleX).toBeCloseTo(1 / 1.01, 4)
+    // Corrected stage position fed back through the printer lands on target
+    const printed = 1.01 * (calibration.offsetXIn + calibration.scaleX * 4) + 0.1
+    expect(printed).toBeCloseTo(4, 2)
+  })
+
+  test('rejects missing or implausible measurements', () => {
+    expect(computePrinterCalibration(letter, { ax: 1, ay: 1, bx: '', by: 10 }).error).toMatch(/all four/)
+    expect(computePrinterCalibration(letter, { ax: 1, ay: 1, bx: 6, by: 10 }).error).toMatch(/5%/)
+  })
+})
+
+describe('getPrinterCalibration', () => {
+  const calibrations = { 'HP_LaserJet': { offsetXIn: -0.2, offsetYIn: 0.05, scaleX: 0.998, scaleY: 1.002 } }
+
+  test('returns the saved calibration for a printer', () => {
+    expect(getPrinterCalibration(calibrations, 'HP_LaserJet').offsetXIn).toBe(-0.2)
+  })
+
+  test('falls back to no correction', () => {
+    expect(getPrinterCalibration(calibrations, 'Brother')).toEqual(DEFAULT_PRINTER_CALIBRATION)
+    expect(getPrinterCalibration(undefined, null)).toEqual(DEFAULT_PRINTER_CALIBRATION)
+  })
+})
+
+describe('resolvePrintTarget', () => {
+  const printers = [{ name: 'Office' }, { name: 'Front Desk', isDefault: true }]
+
+  test('uses the batch printer for silent batches', () => {
+    const prefs = { batchPrintMode: 'silent', batchPrinterDeviceName: 'Back Room', dialogPrinterDeviceName: 'Office' }
+    expect(resolvePrintTarget(prefs, { batch: true, printers })).toBe('Back Room')
+    expect(resolvePrintTarget(prefs, { batch: false, printers })).toBe('Office')
+  })
+
+  test('uses no printer for PDF batches', () => {
+    expect(resolvePrintTarget({ batchPrintMode: 'pdf', dialogPrinterDeviceName: 'Office' }, { batch: true })).toBeNull()
+  })
+
+  test('falls back to the system default printer', () => {
+    expect(resolvePrintTarget({ batchPrintMode: 'interactive' }, { printers })).toBe('Front Desk')
+    expect(resolvePrintTarget({ batchPrintMode: 'interactive' })).toBeNull()
+  })
+})
+
+describe('getCalibrationVars', () => {
+  test('builds CSS variables', () => {
+    expect(getCalibrationVars({ offsetXIn: -0.1, offsetYIn: 0.2, scaleX: 1, scaleY: 0.99 })).toEqual({
+      '--cal-x': '-0.1in',
+      '--cal-y': '0.2in',
+      '--cal-scale-x': 1,
+      '--cal-scale-y': 0.99
+    })
+  })
+})
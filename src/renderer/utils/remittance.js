@@ -0,0 +1,92 @@
+/**
+ * Remittance Advice Utilities
+ *
+ * Stub line items only have room for a few lines. When a check pays more
+ * items than its stub can show, the stub says "See attached remittance"
+ * and a remittance advice page with the full itemised table prints right
+ * after the check. No React dependencies.
+ */
+
+import { sanitizeCurrencyInput } from './helpers'
+
+// Matches the line-height of stub textareas in CheckCanvas
+export const STUB_LINE_HEIGHT = 1.3
+
+const STUB_LINE_ITEM_KEYS = ['stub1_line_items', 'stub2_line_items']
+
+/**
+ * Net amount of a line item: gross less any early-payment discount.
+ *
+ * @param {Object} item - Line item ({ amount, discount })
+ * @returns {number}
+ */
+export function getLineItemNet(item) {
+    return sanitizeCurrencyInput(item?.amount) - sanitizeCurrencyInput(item?.discount)
+}
+
+/**
+ * How many text lines fit in a stub's line items box.
+ *
+ * @param {Object} field - Field box ({ h, customFontIn })
+ * @param {number} stubFontSizePt - preferences.stubFontSizePt
+ * @returns {number}
+ */
+export function getLineItemCapacity(field, stubFontSizePt) {
+    const fontSizePt = field.customFontIn ? field.customFontIn * 72 : stubFontSizePt
+    return Math.max(1, Math.floor((field.h * 72) / (fontSizePt * STUB_LINE_HEIGHT)))
+}
+
+/**
+ * Whether a check's line items overflow any stub that shows them.
+ * Three-up sheets have no stubs, so they never need a remittance page.
+ *
+ * @param {Object} checkData - Check data with line_items
+ * @param {Object} context
+ * @param {Object} context.model - Layout model (layout, fields)
+ * @param {Object} context.preferences - App preferences
+ * @param {Object} [context.activeProfile] - Active profile (layoutMode)
+ * @returns {boolean}
+ */
+export function needsRemittance(checkData, { model, preferences, activeProfile }) {
+    const count = checkData?.line_items?.length || 0
+    if (count === 0 || activeProfile?.layoutMode === 'three_up') return false
+    const visible = {
+        stub1_line_items: model.layout?.stub1Enabled && preferences.stub1ShowLineItems,
+        stub2_line_items: model.layout?.stub2Enabled && preferences.stub2ShowLineItems
+    }
+    return STUB_LINE_ITEM_KEYS.some(key =>
+        visible[key] && model.fields?.[key] && count > getLineItemCapacity(model.fields[key], preferences.stubFontSizePt)
+    )
+}
+
+/**
+ * Rows and totals for a remittance advice page.
+ *
+ * @param {Object} checkData - Check data (payee, checkNumber, date, amount, line_items)
+ * @returns {{ payee: string, checkNumber: string, date: string, amount: number,
+ *   rows: Array<{ invoiceNumber: string, invoiceDate: string, description: string, gross: number, discount: number, net: number }>,
+ *   totals: { gross: number, discount: number, net: number } }}
+ */
+export function buildRemittance(checkData) {
+    const rows = (checkData.line_items || []).map(item => {
+        const gross = sanitizeCurrencyInput(item.amount)
+        const discount = sanitizeCurrencyInput(item.discount)
+        return {
+            invoiceNumber: item.invoiceNumber || '',
+            invoiceDate: item.invoiceDate || '',
+            description: item.description || item.desc || '',
+            gross,
+            discount,
+            net: gross - discount
+        }
+    })
+    const sum = (key) => Math.round(rows.reduce((total, r) => total + r[key], 0) * 100) / 100
+    return {
+        payee: checkData.payee || '',
+        checkNumber: checkData.checkNumber ? String(checkData.checkNumber) : '',
+        date: checkData.date || '',
+        amount: sanitizeCurrencyInput(checkData.amount),
+        rows,
+        totals: { gross: sum('gross'), discount: sum('discount'), net: sum('net') }
+    }
+}
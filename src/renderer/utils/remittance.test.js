@@ -0,0 +1,67 @@
+import { getLineItemNet, getLineItemCapacity, needsRemittance, buildRemittance } from './remittance'
+
+const items = (n) => Array.from({ length: n }, (_, i) => ({ description: `Invoice ${i + 1}`, amount: 10 }))
+
+const context = {
+  model: {
+    layout: { stub1Enabled: true, stub2Enabled: false },
+    fields: {
+      stub1_line_items: { h: 0.72 }, // 3 lines at 10pt
+      stub2_line_items: { h: 0.1 }
+    }
+  },
+  preferences: { stubFontSizePt: 10, stub1ShowLineItems: true, stub2ShowLineItems: true },
+  activeProfile: { layoutMode: 'standard' }
+}
+
+describe('getLineItemCapacity', () => {
+  test('fits lines by box height and font size', () => {
+    expect(getLineItemCapacity({ h: 0.72 }, 10)).toBe(3)
+    expect(getLineItemCapacity({ h: 1.2 }, 10)).toBe(6)
+  })
+
+  test('uses the field font override and never returns zero', () => {
+    expect(getLineItemCapacity({ h: 1.2, customFontIn: 0.1 }, 20)).toBe(9)
+    expect(getLineItemCapacity({ h: 0.05 }, 10)).toBe(1)
+  })
+})
+
+describe('needsRemittance', () => {
+  test('only when a visible stub overflows', () => {
+    expect(needsRemittance({ line_items: items(3) }, context)).toBe(false)
+    expect(needsRemittance({ line_items: items(4) }, context)).toBe(true)
+  })
+
+  test('ignores hidden stubs and three-up sheets', () => {
+    const hidden = { ...context, preferences: { ...context.preferences, stub1ShowLineItems: false } }
+    expect(needsRemittance({ line_items: items(20) }, hidden)).toBe(false)
+    expect(needsRemittance({ line_items: items(20) }, { ...context, activeProfile: { layoutMode: 'three_up' } })).toBe(false)
+  })
+
+  test('no line items, no remittance', () => {
+    expect(needsRemittance({ line_items_text: 'free text' }, context)).toBe(false)
+  })
+})
+
+describe('buildRemittance', () => {
+  test('nets discounts and totals every column', () => {
+    const remittance = buildRemittance({
+      payee: 'Acme', checkNumber: 1042, date: '2026-03-01', amount: '1,470.00',
+      line_items: [
+        { invoiceNumber: 'INV-1', invoiceDate: '2026-02-01', description: 'Parts', amount: '1000', discount: '20' },
+        { desc: 'Freight', amount: 490 }
+      ]
+    })
+    expect(remittance).toMatchObject({ payee: 'Acme', checkNumber: '1042', amount: 1470 })
+    expect(remittance.rows[0]).toEqual({
+      invoiceNumber: 'INV-1', invoiceDate: '2026-02-01', description: 'Parts', gross: 1000, discount: 20, net: 980
+    })
+    expect(remittance.rows[1]).toMatchObject({ invoiceNumber: '', description: 'Freight', net: 490 })
+    expect(remittance.totals).toEqual({ gross: 1490, discount: 20, net: 1470 })
+  })
+
+  test('getLineItemNet subtracts the discount', () => {
+    expect(getLineItemNet({ amount: '100.50', discount: '0.50' })).toBe(100)
+    expect(getLineItemNet({ amount: 5 })).toBe(5)
+  })
+})
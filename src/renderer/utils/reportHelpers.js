@@ -125,8 +125,8 @@ export function generateVoidReport(checkHistory) {
     return checkHistory
         .filter(c => c.status === 'void')
         .sort((a, b) => {
-            const dateA = new Date(a.voidedAt || a.date || a.printedAt).getTime()
-            const dateB = new Date(b.voidedAt || b.date || b.printedAt).getTime()
+            const dateA = new Date(a.voidDate || a.voidedAt || a.date || a.printedAt).getTime()
+            const dateB = new Date(b.voidDate || b.voidedAt || b.date || b.printedAt).getTime()
             return dateB - dateA
         })
 }
@@ -0,0 +1,108 @@
+/**
+ * Signature Authorization
+ *
+ * A signature only prints on a check someone has authorised: either an
+ * approved record in the approval queue for that exact check, or a signer
+ * session opened with the signer PIN, which lapses after a timeout. Print
+ * jobs carry the authorization as plain data so the offscreen renderer
+ * reaches the same answer as the main window.
+ * No React dependencies.
+ */
+
+import { resolveCheckSignatures } from './signatureRules'
+
+export const DEFAULT_SIGNER_SESSION_MINUTES = 15
+
+const toCents = (amount) => Math.round((parseFloat(String(amount ?? '').replace(/[^0-9.-]/g, '')) || 0) * 100)
+const normalizePayee = (payee) => String(payee || '').trim().toLowerCase()
+
+/**
+ * Approved approval record for a check. Number, amount and payee must all
+ * match, so approving one check can't sign a different one.
+ *
+ * @param {Object} check - { checkNumber, amount, payee }
+ * @param {Array} approvals - Records from useApprovals
+ * @returns {Object|null}
+ */
+export function findCheckApproval(check, approvals) {
+    const number = String(check.checkNumber || '').trim()
+    if (!number) return null
+    return (approvals || []).find(a =>
+        a.status === 'approved' &&
+        String(a.checkNumber || '').trim() === number &&
+        toCents(a.amount) === toCents(check.amount) &&
+        normalizePayee(a.payee) === normalizePayee(check.payee)
+    ) || null
+}
+
+/**
+ * Open a signer session after the PIN is verified.
+ *
+ * @param {string} signer - Name recorded with the PIN
+ * @param {number} [minutes=DEFAULT_SIGNER_SESSION_MINUTES]
+ * @param {number} [now=Date.now()]
+ * @returns {{ signer: string, startedAt: number, expiresAt: number }}
+ */
+export function createSignerSession(signer, minutes = DEFAULT_SIGNER_SESSION_MINUTES, now = Date.now()) {
+    const length = Math.max(1, Number(minutes) || DEFAULT_SIGNER_SESSION_MINUTES)
+    return { signer, startedAt: now, expiresAt: now + length * 60 * 1000 }
+}
+
+/**
+ * @param {Object|null} session
+ * @param {number} [now=Date.now()]
+ * @returns {boolean} True while the session hasn't expired
+ */
+export function isSignerSessionActive(session, now = Date.now()) {
+    return !!session && session.expiresAt > now
+}
+
+/**
+ * Who authorised signing a check, if anyone. Approval wins over the session
+ * so the log names the approver.
+ *
+ * @param {Object} check - { checkNumber, amount, payee }
+ * @param {Object} authorization - { approvals, session }
+ * @param {number} [now=Date.now()]
+ * @returns {{ method: 'approval'|'pin', authorizedBy: string, approvalId?: string }|null}
+ */
+export function authorizeSignature(check, authorization, now = Date.now()) {
+    const approval = findCheckApproval(check, authorization?.approvals)
+    if (approval) return { method: 'approval', authorizedBy: approval.decidedBy || 'Approver', approvalId: approval.id }
+    const session = authorization?.session
+    if (isSignerSessionActive(session, now)) return { method: 'pin', authorizedBy: session.signer }
+    return null
+}
+
+/**
+ * Log entries for the checks in a print that carry at least one signature.
+ *
+ * @param {Array} checks - Printed checks: { checkNumber, amount, payee, ledgerId }
+ * @param {Object} options
+ * @param {Object} options.slots - Signature slots (useSignature)
+ * @param {Object} options.rules - Signature rules
+ * @param {Object} options.authorization - { approvals, session }
+ * @param {string} options.action - What was printed, e.g. 'print', 'batch', 'pdf'
+ * @param {number} [options.now=Date.now()]
+ * @returns {Array<Object>}
+ */
+export function buildSignedPrintLog(checks, { slots, rules, authorization, action, now = Date.now() }) {
+    const entries = []
+    for (const check of checks) {
+        const auth = authorizeSignature(check, authorization, now)
+        if (!auth) continue
+        const signed = resolveCheckSignatures(slots, rules, check)
+        const printed = ['signature', 'signature2'].filter(slot => signed[slot])
+        if (printed.length === 0) continue
+        entries.push({
+            action,
+            checkNumber: String(check.checkNumber || ''),
+            payee: check.payee || '',
+            amount: toCents(check.amount) / 100,
+            ledgerId: check.ledgerId || null,
+            signatures: printed,
+            ...auth
+        })
+    }
+    return entries
+}
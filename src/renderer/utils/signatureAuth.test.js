@@ -0,0 +1,98 @@
+import {
+  findCheckApproval,
+  createSignerSession,
+  isSignerSessionActive,
+  authorizeSignature,
+  buildSignedPrintLog
+} from './signatureAuth'
+import { numberSheetSlots } from './checkRegistry'
+
+const check = { checkNumber: '1001', amount: '2,500.00', payee: 'Acme Supply', ledgerId: 'ops' }
+const approval = { id: 'a1', checkNumber: '1001', amount: 2500, payee: 'acme supply ', status: 'approved', decidedBy: 'Dana' }
+
+describe('findCheckApproval', () => {
+  test('matches an approved record on number, amount and payee', () => {
+    expect(findCheckApproval(check, [approval])).toBe(approval)
+  })
+
+  test('ignores pending records and records for a different check', () => {
+    expect(findCheckApproval(check, [{ ...approval, status: 'pending' }])).toBe(null)
+    expect(findCheckApproval(check, [{ ...approval, amount: 25000 }])).toBe(null)
+    expect(findCheckApproval(check, [{ ...approval, payee: 'Someone Else' }])).toBe(null)
+    expect(findCheckApproval({ ...check, checkNumber: '' }, [{ ...approval, checkNumber: '' }])).toBe(null)
+  })
+})
+
+describe('approving a three-up sheet', () => {
+  test('signs each slot under the number it prints with', () => {
+    const sheet = numberSheetSlots({
+      top: { payee: 'Acme Supply', amount: '100.00', checkNumber: '' },
+      middle: { payee: 'Acme Supply', amount: '100.00', checkNumber: '' },
+      bottom: { payee: 'Beta Corp', amount: '75.00', checkNumber: '' }
+    }, 1001)
+    // Approvals are requested from the same numbered sheet the print job carries
+    const approvals = ['top', 'middle', 'bottom'].map(slot => ({
+      id: slot, ...sheet[slot], status: 'approved', decidedBy: 'Dana'
+    }))
+
+    expect(['top', 'middle', 'bottom'].map(slot => findCheckApproval(sheet[slot], approvals)?.id)).toEqual(['top', 'middle', 'bottom'])
+    expect(['top', 'middle', 'bottom'].map(slot => sheet[slot].checkNumber)).toEqual(['1001', '1002', '1003'])
+    // Approving only the top slot doesn't sign its identical neighbour
+    expect(findCheckApproval(sheet.middle, approvals.slice(0, 1))).toBe(null)
+  })
+})
+
+describe('signer sessions', () => {
+  test('expire after the configured minutes', () => {
+    const session = createSignerSession('Pat', 10, 1000)
+    expect(session).toEqual({ signer: 'Pat', startedAt: 1000, expiresAt: 1000 + 10 * 60 * 1000 })
+    expect(isSignerSessionActive(session, 1000 + 9 * 60 * 1000)).toBe(true)
+    expect(isSignerSessionActive(session, 1000 + 10 * 60 * 1000)).toBe(false)
+    expect(isSignerSessionActive(null)).toBe(false)
+  })
+})
+
+describe('authorizeSignature', () => {
+  const session = createSignerSession('Pat', 15, 0)
+
+  test('prefers a matching approval over the PIN session', () => {
+    expect(authorizeSignature(check, { approvals: [approval], session }, 1))
+      .toEqual({ method: 'approval', authorizedBy: 'Dana', approvalId: 'a1' })
+  })
+
+  test('falls back to an active PIN session', () => {
+    expect(authorizeSignature(check, { approvals: [], session }, 1)).toEqual({ method: 'pin', authorizedBy: 'Pat' })
+    expect(authorizeSignature(check, { approvals: [], session }, session.expiresAt)).toBe(null)
+    expect(authorizeSignature(check, undefined)).toBe(null)
+  })
+})
+
+describe('buildSignedPrintLog', () => {
+  const slots = {
+    signature: { imageDataUrl: 'data:image/png;base64,AAA', enabled: true },
+    signature2: { imageDataUrl: 'data:image/png;base64,BBB', enabled: true }
+  }
+
+  test('logs authorised checks with the signatures that printed', () => {
+    const entries = buildSignedPrintLog(
+      [check, { ...check, checkNumber: '1002', amount: '50' }],
+      { slots, rules: { secondOver: 1000 }, authorization: { approvals: [approval] }, action: 'batch' }
+    )
+    expect(entries).toEqual([{
+      action: 'batch',
+      checkNumber: '1001',
+      payee: 'Acme Supply',
+      amount: 2500,
+      ledgerId: 'ops',
+      signatures: ['signature', 'signature2'],
+      method: 'approval',
+      authorizedBy: 'Dana',
+      approvalId: 'a1'
+    }])
+  })
+
+  test('skips checks that print without a signature', () => {
+    const session = createSignerSession('Pat', 15, 0)
+    expect(buildSignedPrintLog([check], { slots: {}, rules: {}, authorization: { session }, action: 'print', now: 1 })).toEqual([])
+  })
+})
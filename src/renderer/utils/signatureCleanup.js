@@ -0,0 +1,211 @@
+/**
+ * Signature Scan Cleanup
+ *
+ * Scanned and photographed signatures arrive on grey or off-white paper that
+ * prints as a visible box. The import pipeline turns the paper transparent
+ * (luminance threshold, picked with Otsu's method unless set by hand), crops
+ * to the ink, optionally recolours the ink and softens the thresholded edges,
+ * then outputs a transparent PNG like the drawing pad does.
+ * The pixel work is plain ImageData-shaped data so it can be tested without
+ * a canvas; cleanSignatureImage wraps it with the canvas API.
+ */
+
+// Ink colours match the drawing pad's swatches
+export const INK_COLORS = {
+    original: { label: 'Original', rgb: null },
+    black: { label: 'Black', rgb: [26, 26, 26] },
+    blue: { label: 'Blue', rgb: [30, 58, 95] }
+}
+
+export const DEFAULT_CLEANUP_OPTIONS = {
+    threshold: null, // null = automatic
+    inkColor: 'black',
+    smoothing: true,
+    padding: 10
+}
+
+// Larger scans are scaled down first; a signature never prints this big
+const MAX_CLEANUP_DIMENSION = 1600
+// Faint alpha left after smoothing is scanner noise, not ink; a lone dark
+// pixel blurs to 255 / 9
+const MIN_INK_ALPHA = 32
+// Ink and paper closer than this are just paper texture
+const MIN_INK_CONTRAST = 48
+
+const luminance = (r, g, b) => 0.299 * r + 0.587 * g + 0.114 * b
+
+/**
+ * Luminance of every pixel, with transparent pixels treated as paper.
+ *
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} image
+ * @returns {Float32Array}
+ */
+function getLuminance({ data, width, height }) {
+    const lum = new Float32Array(width * height)
+    for (let i = 0; i < lum.length; i++) {
+        const o = i * 4
+        const alpha = data[o + 3] / 255
+        lum[i] = luminance(data[o], data[o + 1], data[o + 2]) * alpha + 255 * (1 - alpha)
+    }
+    return lum
+}
+
+/**
+ * Threshold separating ink from paper: Otsu's method on the luminance
+ * histogram picks the split, and the threshold sits midway between the ink
+ * and paper means so faint strokes survive. Anything darker counts as ink;
+ * a page without enough contrast has none.
+ *
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} image
+ * @returns {number} 0–255
+ */
+export function findInkThreshold(image) {
+    const lum = getLuminance(image)
+    const histogram = new Array(256).fill(0)
+    for (const l of lum) histogram[Math.round(l)]++
+
+    const total = lum.length
+    let sumAll = 0
+    for (let i = 0; i < 256; i++) sumAll += i * histogram[i]
+
+    let sumBelow = 0, countBelow = 0, best = 0, threshold = 0
+    for (let t = 0; t < 256; t++) {
+        countBelow += histogram[t]
+        if (countBelow === 0) continue
+        const countAbove = total - countBelow
+        if (countAbove === 0) break
+        sumBelow += t * histogram[t]
+        const meanBelow = sumBelow / countBelow
+        const meanAbove = (sumAll - sumBelow) / countAbove
+        const variance = countBelow * countAbove * (meanBelow - meanAbove) ** 2
+        if (variance > best) {
+            best = variance
+            threshold = meanAbove - meanBelow < MIN_INK_CONTRAST ? 0 : Math.round((meanBelow + meanAbove) / 2)
+        }
+    }
+    return threshold
+}
+
+/**
+ * Soften the alpha channel with a 3×3 box blur, so thresholded edges don't
+ * print jagged, and drop what's left of isolated specks.
+ */
+function smoothAlpha(alpha, width, height) {
+    const out = new Uint8ClampedArray(alpha.length)
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0, count = 0
+            for (let dy = -1; dy <= 1; dy++) {
+                const yy = y + dy
+                if (yy < 0 || yy >= height) continue
+                for (let dx = -1; dx <= 1; dx++) {
+                    const xx = x + dx
+                    if (xx < 0 || xx >= width) continue
+                    sum += alpha[yy * width + xx]
+                    count++
+                }
+            }
+            // Keep the body of a stroke solid; only edges and specks get softer
+            const i = y * width + x
+            const average = sum / count
+            out[i] = alpha[i] === 255 && average > 170 ? 255 : Math.round(average)
+        }
+    }
+    for (let i = 0; i < out.length; i++) {
+        if (out[i] < MIN_INK_ALPHA) out[i] = 0
+    }
+    return out
+}
+
+/**
+ * Clean up a scanned signature: paper becomes transparent, the ink is
+ * recoloured and the result is cropped to the ink plus padding.
+ *
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} image
+ * @param {Object} [options] - See DEFAULT_CLEANUP_OPTIONS
+ * @returns {{ data: Uint8ClampedArray, width: number, height: number, threshold: number }|null}
+ *   Null when no ink is found
+ */
+export function cleanSignaturePixels(image, options = {}) {
+    const { threshold: manualThreshold, inkColor, smoothing, padding } = { ...DEFAULT_CLEANUP_OPTIONS, ...options }
+    const { data, width, height } = image
+    const lum = getLuminance(image)
+    const threshold = manualThreshold ?? findInkThreshold(image)
+
+    // Darkest ink maps to opaque; lighter ink fades towards the threshold
+    let darkest = 255
+    for (const l of lum) if (l < darkest) darkest = l
+    const range = Math.max(16, threshold - darkest)
+
+    let alpha = new Uint8ClampedArray(width * height)
+    for (let i = 0; i < alpha.length; i++) {
+        if (lum[i] < threshold) alpha[i] = Math.min(255, Math.round((threshold - lum[i]) / range * 255 * 1.5))
+    }
+    if (smoothing) alpha = smoothAlpha(alpha, width, height)
+
+    // Ink bounds
+    let minX = width, minY = height, maxX = -1, maxY = -1
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!alpha[y * width + x]) continue
+            if (x < minX) minX = x
+            if (x > maxX) maxX = x
+            if (y < minY) minY = y
+            if (y > maxY) maxY = y
+        }
+    }
+    if (maxX < 0) return null
+
+    minX = Math.max(0, minX - padding)
+    minY = Math.max(0, minY - padding)
+    maxX = Math.min(width - 1, maxX + padding)
+    maxY = Math.min(height - 1, maxY + padding)
+
+    const outWidth = maxX - minX + 1
+    const outHeight = maxY - minY + 1
+    const out = new Uint8ClampedArray(outWidth * outHeight * 4)
+    const ink = INK_COLORS[inkColor]?.rgb
+    for (let y = 0; y < outHeight; y++) {
+        for (let x = 0; x < outWidth; x++) {
+            const src = (y + minY) * width + (x + minX)
+            const dst = (y * outWidth + x) * 4
+            const a = alpha[src]
+            if (!a) continue
+            out[dst] = ink ? ink[0] : data[src * 4]
+            out[dst + 1] = ink ? ink[1] : data[src * 4 + 1]
+            out[dst + 2] = ink ? ink[2] : data[src * 4 + 2]
+            out[dst + 3] = a
+        }
+    }
+    return { data: out, width: outWidth, height: outHeight, threshold }
+}
+
+/**
+ * Run the cleanup on an image data URL with the canvas API.
+ *
+ * @param {string} dataUrl - Imported image
+ * @param {Object} [options] - See DEFAULT_CLEANUP_OPTIONS
+ * @returns {Promise<{ dataUrl: string, threshold: number }|null>} Transparent PNG,
+ *   or null when no ink is found
+ */
+export async function cleanSignatureImage(dataUrl, options = {}) {
+    const img = new Image()
+    img.src = dataUrl
+    await img.decode()
+
+    const scale = Math.min(1, MAX_CLEANUP_DIMENSION / Math.max(img.naturalWidth, img.naturalHeight))
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.max(1, Math.round(img.naturalWidth * scale))
+    canvas.height = Math.max(1, Math.round(img.naturalHeight * scale))
+    const ctx = canvas.getContext('2d')
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height)
+
+    const cleaned = cleanSignaturePixels(ctx.getImageData(0, 0, canvas.width, canvas.height), options)
+    if (!cleaned) return null
+
+    const outCanvas = document.createElement('canvas')
+    outCanvas.width = cleaned.width
+    outCanvas.height = cleaned.height
+    outCanvas.getContext('2d').putImageData(new ImageData(cleaned.data, cleaned.width, cleaned.height), 0, 0)
+    return { dataUrl: outCanvas.toDataURL('image/png'), threshold: cleaned.threshold }
+}
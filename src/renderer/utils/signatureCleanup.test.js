@@ -0,0 +1,61 @@
+import { findInkThreshold, cleanSignaturePixels, INK_COLORS } from './signatureCleanup'
+
+// Grey paper with a dark stroke from (10,8) to (29,11)
+function makeScan({ width = 40, height = 20, paper = 200, ink = 30, specks = [] } = {}) {
+  const data = new Uint8ClampedArray(width * height * 4)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const isInk = (x >= 10 && x < 30 && y >= 8 && y < 12) || specks.some(([sx, sy]) => sx === x && sy === y)
+      const o = (y * width + x) * 4
+      const v = isInk ? ink : paper
+      data[o] = v
+      data[o + 1] = v
+      data[o + 2] = isInk ? v + 60 : v
+      data[o + 3] = 255
+    }
+  }
+  return { data, width, height }
+}
+
+const alphaAt = (image, x, y) => image.data[(y * image.width + x) * 4 + 3]
+
+describe('findInkThreshold', () => {
+  test('falls between the ink and the paper', () => {
+    const threshold = findInkThreshold(makeScan())
+    expect(threshold).toBeGreaterThan(40)
+    expect(threshold).toBeLessThanOrEqual(200)
+  })
+})
+
+describe('cleanSignaturePixels', () => {
+  test('makes the paper transparent and crops to the ink plus padding', () => {
+    const out = cleanSignaturePixels(makeScan(), { padding: 2, smoothing: false })
+    expect(out.width).toBe(20 + 4)
+    expect(out.height).toBe(4 + 4)
+    expect(alphaAt(out, 0, 0)).toBe(0)
+    expect(alphaAt(out, 5, 3)).toBe(255)
+  })
+
+  test('recolours the ink, or keeps it', () => {
+    const black = cleanSignaturePixels(makeScan(), { padding: 0, smoothing: false, inkColor: 'black' })
+    expect(Array.from(black.data.slice(0, 3))).toEqual(INK_COLORS.black.rgb)
+    const original = cleanSignaturePixels(makeScan(), { padding: 0, smoothing: false, inkColor: 'original' })
+    expect(Array.from(original.data.slice(0, 3))).toEqual([30, 30, 90])
+  })
+
+  test('smoothing softens edges and drops isolated specks', () => {
+    const scan = makeScan({ specks: [[2, 2]] })
+    const rough = cleanSignaturePixels(scan, { padding: 0, smoothing: false })
+    expect(rough.width).toBe(28) // speck widens the crop
+    const smooth = cleanSignaturePixels(scan, { padding: 0, smoothing: true })
+    expect(smooth.width).toBe(22) // stroke plus its soft edge
+    expect(alphaAt(smooth, 0, 1)).toBeGreaterThan(0)
+    expect(alphaAt(smooth, 0, 1)).toBeLessThan(255)
+    expect(alphaAt(smooth, 5, 2)).toBe(255)
+  })
+
+  test('honours a manual threshold and returns null without ink', () => {
+    expect(cleanSignaturePixels(makeScan(), { threshold: 20 })).toBe(null)
+    expect(cleanSignaturePixels(makeScan({ ink: 200 }))).toBe(null)
+  })
+})
@@ -0,0 +1,111 @@
+/**
+ * Signature Rules
+ *
+ * A profile has up to two signature slots, `signature` and `signature2`,
+ * each with its own image, opacity, field position and ledger scope. Per
+ * check, the rules decide which of them print: the first whenever it is
+ * allowed on the check's ledger, the second only over an amount threshold —
+ * or never, leaving its line blank for someone to sign by hand.
+ * No React dependencies.
+ */
+
+export const SIGNATURE_SLOTS = ['signature', 'signature2']
+
+export const SECOND_SIGNATURE_MODES = {
+    print: 'Print second signature',
+    manual: 'Leave blank for manual signing'
+}
+
+export const DEFAULT_SIGNATURE_RULES = {
+    secondOver: null, // Amount above which the second line is used; null = every check
+    secondMode: 'print'
+}
+
+/**
+ * @param {string} key - Field key
+ * @returns {boolean} True for signature image fields
+ */
+export function isSignatureField(key) {
+    return SIGNATURE_SLOTS.includes(key)
+}
+
+/**
+ * Profile signature rules with defaults filled in.
+ *
+ * @param {Object} [rules] - profile.signatureRules
+ * @returns {{ secondOver: number|null, secondMode: string }}
+ */
+export function getSignatureRules(rules) {
+    const amount = parseFloat(rules?.secondOver)
+    return {
+        secondOver: Number.isFinite(amount) && amount >= 0 ? amount : null,
+        secondMode: SECOND_SIGNATURE_MODES[rules?.secondMode] ? rules.secondMode : DEFAULT_SIGNATURE_RULES.secondMode
+    }
+}
+
+/**
+ * Whether a signature may print on a ledger's checks. A slot with no
+ * ledgers selected is allowed everywhere.
+ *
+ * @param {Object} slot - Signature slot config
+ * @param {string} ledgerId
+ * @returns {boolean}
+ */
+export function isSignatureAllowedOnLedger(slot, ledgerId) {
+    const ids = slot?.ledgerIds
+    return !Array.isArray(ids) || ids.length === 0 || ids.includes(ledgerId)
+}
+
+/**
+ * Decide which signatures print on one check.
+ *
+ * @param {Object} slots - { signature, signature2 } slot configs
+ *   ({ imageDataUrl, enabled, opacity, ledgerIds })
+ * @param {Object} rules - profile.signatureRules
+ * @param {Object} check
+ * @param {string|number} check.amount
+ * @param {string} check.ledgerId - Ledger the check is drawn on
+ * @returns {{ signature: Object|null, signature2: Object|null, manualSecond: boolean }}
+ *   The slots to draw, and whether the second line is left for a manual signature
+ */
+export function resolveCheckSignatures(slots, rules, { amount, ledgerId }) {
+    const { secondOver, secondMode } = getSignatureRules(rules)
+    const printable = (slot) => (
+        slot?.enabled && slot?.imageDataUrl && isSignatureAllowedOnLedger(slot, ledgerId) ? slot : null
+    )
+    const value = parseFloat(String(amount ?? '').replace(/[^0-9.-]/g, '')) || 0
+    const needsSecond = secondOver === null || value > secondOver
+
+    return {
+        signature: printable(slots?.signature),
+        signature2: needsSecond && secondMode === 'print' ? printable(slots?.signature2) : null,
+        manualSecond: needsSecond && secondMode === 'manual'
+    }
+}
+
+/**
+ * Add a `signature2` field beside the first signature when a profile gets
+ * its second signature, in the shared fields and every three-up slot.
+ *
+ * @param {Object} model - Layout model
+ * @returns {Object} Model (unchanged if every field set already has one)
+ */
+export function ensureSecondSignatureField(model) {
+    const add = (fields) => {
+        if (!fields || fields.signature2 || !fields.signature) return fields
+        const sig = fields.signature
+        // Stack above the first line; the user drags it into place
+        return {
+            ...fields,
+            signature2: { ...sig, y: Math.max(0, sig.y - sig.h - 0.1), label: 'Second Signature' }
+        }
+    }
+
+    const fields = add(model.fields)
+    const slotFields = model.slotFields && Object.fromEntries(
+        Object.entries(model.slotFields).map(([slot, f]) => [slot, add(f)])
+    )
+    const changed = fields !== model.fields ||
+        Object.keys(model.slotFields || {}).some(slot => slotFields[slot] !== model.slotFields[slot])
+    return changed ? { ...model, fields, slotFields } : model
+}
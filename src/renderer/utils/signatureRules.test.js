@@ -0,0 +1,91 @@
+import {
+  isSignatureField,
+  getSignatureRules,
+  isSignatureAllowedOnLedger,
+  resolveCheckSignatures,
+  ensureSecondSignatureField
+} from './signatureRules'
+
+const first = { imageDataUrl: 'data:image/png;base64,AAA', enabled: true, opacity: 1 }
+const second = { imageDataUrl: 'data:image/png;base64,BBB', enabled: true, opacity: 1 }
+
+describe('isSignatureField', () => {
+  test('matches both signature slots only', () => {
+    expect(isSignatureField('signature')).toBe(true)
+    expect(isSignatureField('signature2')).toBe(true)
+    expect(isSignatureField('stub1_signature')).toBe(false)
+  })
+})
+
+describe('getSignatureRules', () => {
+  test('fills defaults and drops invalid values', () => {
+    expect(getSignatureRules(undefined)).toEqual({ secondOver: null, secondMode: 'print' })
+    expect(getSignatureRules({ secondOver: '5000', secondMode: 'manual' })).toEqual({ secondOver: 5000, secondMode: 'manual' })
+    expect(getSignatureRules({ secondOver: '', secondMode: 'stamp' })).toEqual({ secondOver: null, secondMode: 'print' })
+    expect(getSignatureRules({ secondOver: -1 }).secondOver).toBe(null)
+  })
+})
+
+describe('isSignatureAllowedOnLedger', () => {
+  test('allows every ledger when none are selected', () => {
+    expect(isSignatureAllowedOnLedger(first, 'ops')).toBe(true)
+    expect(isSignatureAllowedOnLedger({ ...first, ledgerIds: [] }, 'ops')).toBe(true)
+  })
+
+  test('restricts to the selected ledgers', () => {
+    const scoped = { ...first, ledgerIds: ['ops'] }
+    expect(isSignatureAllowedOnLedger(scoped, 'ops')).toBe(true)
+    expect(isSignatureAllowedOnLedger(scoped, 'payroll')).toBe(false)
+  })
+})
+
+describe('resolveCheckSignatures', () => {
+  const slots = { signature: first, signature2: second }
+
+  test('prints both signatures on every check without a threshold', () => {
+    const res = resolveCheckSignatures(slots, {}, { amount: '10.00', ledgerId: 'ops' })
+    expect(res).toEqual({ signature: first, signature2: second, manualSecond: false })
+  })
+
+  test('adds the second signature only over the threshold', () => {
+    const rules = { secondOver: 5000 }
+    expect(resolveCheckSignatures(slots, rules, { amount: '5000.00', ledgerId: 'ops' }).signature2).toBe(null)
+    expect(resolveCheckSignatures(slots, rules, { amount: '$5,000.01', ledgerId: 'ops' }).signature2).toBe(second)
+  })
+
+  test('leaves the second line blank in manual mode', () => {
+    const rules = { secondOver: 5000, secondMode: 'manual' }
+    expect(resolveCheckSignatures(slots, rules, { amount: 100, ledgerId: 'ops' }))
+      .toEqual({ signature: first, signature2: null, manualSecond: false })
+    expect(resolveCheckSignatures(slots, rules, { amount: 9000, ledgerId: 'ops' }))
+      .toEqual({ signature: first, signature2: null, manualSecond: true })
+  })
+
+  test('never prints a signature that is disabled, missing or scoped to another ledger', () => {
+    const res = resolveCheckSignatures(
+      { signature: { ...first, ledgerIds: ['ops'] }, signature2: { ...second, enabled: false } },
+      {},
+      { amount: 10, ledgerId: 'payroll' }
+    )
+    expect(res).toEqual({ signature: null, signature2: null, manualSecond: false })
+    expect(resolveCheckSignatures({}, {}, { amount: 10, ledgerId: 'ops' }).signature).toBe(null)
+  })
+})
+
+describe('ensureSecondSignatureField', () => {
+  const sig = { x: 5, y: 2.6, w: 2, h: 0.8, label: 'Signature' }
+
+  test('adds signature2 above the first signature in fields and slots', () => {
+    const model = { fields: { signature: sig }, slotFields: { top: { signature: sig }, middle: {} } }
+    const next = ensureSecondSignatureField(model)
+    expect(next.fields.signature2).toMatchObject({ x: 5, w: 2, h: 0.8, label: 'Second Signature' })
+    expect(next.fields.signature2.y).toBeCloseTo(1.7)
+    expect(next.slotFields.top.signature2).toBeDefined()
+    expect(next.slotFields.middle).toEqual({})
+  })
+
+  test('returns the same model when nothing is missing', () => {
+    const model = { fields: { signature: sig, signature2: sig }, slotFields: {} }
+    expect(ensureSecondSignatureField(model)).toBe(model)
+  })
+})
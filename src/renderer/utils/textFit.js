@@ -0,0 +1,234 @@
+/**
+ * Text Fit Utilities
+ *
+ * Per-field fit modes for text that is wider than its box, and the overflow
+ * measurement used to warn on the canvas and before a batch prints. Widths
+ * come from a measure function, (text, fontSizePt, { bold, italic }) =>
+ * inches, so the logic is testable without a canvas.
+ */
+
+export const TEXT_FIT_MODES = {
+    overflow: 'Overflow (box grows)',
+    shrink: 'Shrink to fit',
+    wrap: 'Wrap to two lines',
+    clip: 'Clip at box edge'
+}
+
+export const DEFAULT_TEXT_FIT = 'overflow'
+export const DEFAULT_MIN_FIT_PT = 6
+export const WRAP_MAX_LINES = 2
+// Line heights used by CheckCanvas for wrapped inputs and textareas
+export const WRAP_LINE_HEIGHT = 1.2
+export const TEXTAREA_LINE_HEIGHT = 1.3
+
+// Field inputs pad 4px each side (.fieldBox input in styles.css)
+export const FIELD_PADDING_IN = 8 / 96
+// Slack for sub-pixel rounding
+const FIT_TOLERANCE_IN = 0.02
+// Matches estimateCharCapacity in checkSecurity.js
+const AVG_CHAR_EM = 0.6
+const PX_PER_IN = 96
+
+const lineHeightIn = (fontSizePt, lineHeight) => fontSizePt * lineHeight / 72
+
+/**
+ * Greedy word wrap. A single word wider than the box gets a line of its own
+ * (and will still overflow).
+ *
+ * @param {string} text
+ * @param {number} widthIn - Box width
+ * @param {Function} measureLine - (text) => width in inches at the current font
+ * @returns {string[]} Lines
+ */
+export function wrapTextLines(text, widthIn, measureLine) {
+    const words = String(text).split(/\s+/).filter(Boolean)
+    const lines = []
+    let line = ''
+    for (const word of words) {
+        const candidate = line ? `${line} ${word}` : word
+        if (!line || measureLine(candidate) <= widthIn + FIT_TOLERANCE_IN) {
+            line = candidate
+        } else {
+            lines.push(line)
+            line = word
+        }
+    }
+    if (line) lines.push(line)
+    return lines
+}
+
+/**
+ * Work out how a field's text renders in its box.
+ *
+ * @param {string} text - Displayed value
+ * @param {Object} box
+ * @param {number} box.widthIn
+ * @param {number} box.heightIn
+ * @param {number} box.fontSizePt - Size before fitting
+ * @param {string} [box.fit] - Key of TEXT_FIT_MODES
+ * @param {number} [box.minFontPt] - Smallest size shrink may use
+ * @param {boolean} [box.multiline] - Textarea fields: wraps naturally, only height can overflow
+ * @param {boolean} [box.bold]
+ * @param {boolean} [box.italic]
+ * @param {Function} measure - (text, fontSizePt, { bold, italic }) => inches
+ * @returns {{ fontSizePt: number, overflow: boolean, lines: string[]|null }}
+ *   lines is set when the text was wrapped
+ */
+export function fitFieldText(text, box, measure) {
+    const { widthIn, heightIn, fontSizePt, fit = DEFAULT_TEXT_FIT, minFontPt = DEFAULT_MIN_FIT_PT, multiline = false } = box
+    const style = { bold: !!box.bold, italic: !!box.italic }
+    const measureAt = (pt) => (t) => measure(t, pt, style)
+
+    if (!text) return { fontSizePt, overflow: false, lines: null }
+
+    if (multiline) {
+        const lines = String(text).split('\n')
+            .flatMap(paragraph => paragraph.trim() ? wrapTextLines(paragraph, widthIn, measureAt(fontSizePt)) : [''])
+        const overflow = lines.length * lineHeightIn(fontSizePt, TEXTAREA_LINE_HEIGHT) > heightIn + FIT_TOLERANCE_IN
+        return { fontSizePt, overflow, lines }
+    }
+
+    const width = measureAt(fontSizePt)(text)
+    if (width <= widthIn + FIT_TOLERANCE_IN) return { fontSizePt, overflow: false, lines: null }
+
+    if (fit === 'shrink') {
+        // Width scales with size; round down to the half point
+        const scaled = Math.floor(fontSizePt * (widthIn / width) * 2) / 2
+        const size = Math.min(fontSizePt, Math.max(minFontPt, scaled))
+        return { fontSizePt: size, overflow: measureAt(size)(text) > widthIn + FIT_TOLERANCE_IN, lines: null }
+    }
+
+    if (fit === 'wrap') {
+        const lines = wrapTextLines(text, widthIn, measureAt(fontSizePt))
+        const overflow = lines.length > WRAP_MAX_LINES ||
+            lines.some(line => measureAt(fontSizePt)(line) > widthIn + FIT_TOLERANCE_IN) ||
+            lines.length * lineHeightIn(fontSizePt, WRAP_LINE_HEIGHT) > heightIn + FIT_TOLERANCE_IN
+        return { fontSizePt, overflow, lines }
+    }
+
+    // overflow and clip leave the size alone; either way the text doesn't fit
+    return { fontSizePt, overflow: true, lines: null }
+}
+
+/**
+ * The box fitFieldText measures a field's text against: its width less the
+ * input padding, and its fit settings.
+ *
+ * @param {Object} field - Field definition
+ * @param {number} fontSizePt - Size before fitting
+ * @param {boolean} [multiline=false] - Textarea field
+ * @returns {Object} box for fitFieldText
+ */
+export function getFieldFitBox(field, fontSizePt, multiline = false) {
+    return {
+        widthIn: field.w - FIELD_PADDING_IN,
+        heightIn: field.h,
+        fontSizePt,
+        fit: field.fit || DEFAULT_TEXT_FIT,
+        minFontPt: field.minFontPt,
+        multiline,
+        bold: field.bold,
+        italic: field.italic
+    }
+}
+
+/**
+ * The text each measurable field shows for a check, mirroring CheckCanvas:
+ * stubs copy the check's payee, amount, date and address, and stub memos
+ * prefer the external/internal memo. Fields the layout or preferences hide
+ * are left out.
+ *
+ * @param {Object} checkData - Check being printed (amountWords already filled)
+ * @param {Object} options
+ * @param {Object} options.layout - Model layout (stub enablement)
+ * @param {Object} options.preferences - Visibility toggles
+ * @param {Function} options.formatDate - (dateStr) => displayed date
+ * @param {Function} options.formatAmount - (number) => displayed amount
+ * @param {boolean} [options.stubs=true] - False in three-up mode
+ * @returns {Object} Text by field key
+ */
+export function getCheckFieldTexts(checkData, { layout, preferences, formatDate, formatAmount, stubs = true }) {
+    const amount = parseFloat(checkData.amount)
+    const amountText = checkData.amount && !isNaN(amount) ? formatAmount(amount) : (checkData.amount || '')
+    const dateText = checkData.date ? formatDate(checkData.date) : ''
+
+    const texts = {
+        payee: checkData.payee || '',
+        amount: amountText,
+        amountWords: checkData.amountWords || '',
+        memo: checkData.memo || ''
+    }
+    // Boxed dates print one digit per box and can't overflow
+    if (preferences.showDate !== false && !(preferences.dateBoxed && !preferences.useLongDate)) texts.date = dateText
+    if (preferences.showAddressOnCheck) texts.address = checkData.address || ''
+
+    const stubMemos = { stub1: checkData.external_memo, stub2: checkData.internal_memo }
+    for (const stub of stubs ? ['stub1', 'stub2'] : []) {
+        if (!layout?.[`${stub}Enabled`]) continue
+        texts[`${stub}_payee`] = checkData.payee || ''
+        texts[`${stub}_amount`] = amountText
+        texts[`${stub}_memo`] = stubMemos[stub] || checkData.memo || ''
+        if (preferences[`${stub}ShowDate`] !== false) texts[`${stub}_date`] = dateText
+        if (preferences[stub === 'stub1' ? 'showAddressOnStub1' : 'showAddressOnStub2']) {
+            texts[`${stub}_address`] = checkData.address || ''
+        }
+    }
+    return texts
+}
+
+/**
+ * Font size a field is drawn at before fitting: its own size if set,
+ * otherwise the global check or stub size.
+ *
+ * @param {string} key - Field key
+ * @param {Object} field - Field definition
+ * @param {Object} preferences - checkFontSizePt / stubFontSizePt
+ * @returns {number} Points
+ */
+export function getFieldFontPt(key, field, preferences) {
+    if (field.customFontIn) return field.customFontIn * 72
+    return key.startsWith('stub1_') || key.startsWith('stub2_') ? preferences.stubFontSizePt : preferences.checkFontSizePt
+}
+
+/**
+ * Fields whose text doesn't fit their box.
+ *
+ * @param {Object} fields - Field definitions by key
+ * @param {Object} texts - Text by key (getCheckFieldTexts)
+ * @param {Object} options
+ * @param {Function} options.measure - See fitFieldText
+ * @param {Function} options.getFontPt - (key, field) => font size before fitting
+ * @returns {Array<{ key: string, label: string }>}
+ */
+export function findFieldOverflows(fields, texts, { measure, getFontPt }) {
+    const overflows = []
+    for (const [key, text] of Object.entries(texts)) {
+        const f = fields?.[key]
+        if (!f || !text) continue
+        const multiline = key === 'address' || key.endsWith('_address')
+        const { overflow } = fitFieldText(text, getFieldFitBox(f, getFontPt(key, f), multiline), measure)
+        if (overflow) overflows.push({ key, label: f.label || key })
+    }
+    return overflows
+}
+
+let measureContext
+/**
+ * Measure text with a canvas in the given font family. Falls back to an
+ * average character width where canvas isn't available.
+ *
+ * @param {string} fontFamily - CSS font-family
+ * @returns {Function} measure for fitFieldText
+ */
+export function createTextMeasurer(fontFamily) {
+    if (measureContext === undefined) {
+        measureContext = typeof document !== 'undefined'
+            ? document.createElement('canvas').getContext?.('2d') || null
+            : null
+    }
+    return (text, fontSizePt, { bold = false, italic = false } = {}) => {
+        if (!measureContext) return String(text).length * fontSizePt * AVG_CHAR_EM / 72
+        measureContext.font = `${italic ? 'italic ' : ''}${bold ? 'bold ' : ''}${fontSizePt}pt ${fontFamily}`
+        return measureContext.measureText(String(text)).width / PX_PER_IN
+    }
+}
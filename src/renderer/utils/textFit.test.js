@@ -0,0 +1,95 @@
+import {
+  wrapTextLines,
+  fitFieldText,
+  getCheckFieldTexts,
+  findFieldOverflows,
+  DEFAULT_MIN_FIT_PT
+} from './textFit'
+
+// Every character is 0.1" wide at 10pt and scales with size
+const measure = (text, pt) => String(text).length * 0.01 * pt
+
+describe('wrapTextLines', () => {
+  test('breaks between words', () => {
+    expect(wrapTextLines('Acme Widgets International', 1.1, t => measure(t, 10))).toEqual(['Acme', 'Widgets', 'International'])
+    expect(wrapTextLines('one two three', 0.8, t => measure(t, 10))).toEqual(['one two', 'three'])
+  })
+})
+
+describe('fitFieldText', () => {
+  const box = { widthIn: 1, heightIn: 0.4, fontSizePt: 10 }
+
+  test('text that fits is left alone', () => {
+    expect(fitFieldText('short', box, measure)).toEqual({ fontSizePt: 10, overflow: false, lines: null })
+    expect(fitFieldText('', { ...box, fit: 'wrap' }, measure).overflow).toBe(false)
+  })
+
+  test('overflow and clip flag wide text without resizing it', () => {
+    expect(fitFieldText('twelve chars', box, measure)).toEqual({ fontSizePt: 10, overflow: true, lines: null })
+    expect(fitFieldText('twelve chars', { ...box, fit: 'clip' }, measure).overflow).toBe(true)
+  })
+
+  test('shrink scales down to the half point, stopping at the minimum', () => {
+    // 12 chars at 10pt = 1.2" in a 1" box → 8.33pt, rounded down to 8
+    expect(fitFieldText('twelve chars', { ...box, fit: 'shrink' }, measure)).toEqual({ fontSizePt: 8, overflow: false, lines: null })
+    const long = 'x'.repeat(40)
+    expect(fitFieldText(long, { ...box, fit: 'shrink' }, measure)).toEqual({ fontSizePt: DEFAULT_MIN_FIT_PT, overflow: true, lines: null })
+    expect(fitFieldText(long, { ...box, fit: 'shrink', minFontPt: 2 }, measure).overflow).toBe(false)
+  })
+
+  test('wrap allows two lines that fit the box height', () => {
+    expect(fitFieldText('twelve chars', { ...box, fit: 'wrap' }, measure)).toEqual({ fontSizePt: 10, overflow: false, lines: ['twelve', 'chars'] })
+    expect(fitFieldText('one two three four', { ...box, widthIn: 0.5, fit: 'wrap' }, measure).overflow).toBe(true)
+    expect(fitFieldText('twelve chars', { ...box, heightIn: 0.2, fit: 'wrap' }, measure).overflow).toBe(true)
+  })
+
+  test('multiline fields only overflow by height', () => {
+    const address = '1 Main St\nSpringfield IL 62701'
+    expect(fitFieldText(address, { ...box, widthIn: 2, heightIn: 0.6, multiline: true }, measure).overflow).toBe(false)
+    expect(fitFieldText(address, { ...box, widthIn: 2, heightIn: 0.3, multiline: true }, measure).overflow).toBe(true)
+  })
+})
+
+describe('getCheckFieldTexts', () => {
+  const checkData = { payee: 'Acme', amount: '1250', amountWords: 'One thousand…', memo: 'Rent', internal_memo: 'Q3', date: '2026-01-05', address: '1 Main St' }
+  const options = {
+    layout: { stub1Enabled: true, stub2Enabled: false },
+    preferences: { showAddressOnCheck: true },
+    formatDate: () => '01/05/2026',
+    formatAmount: (n) => n.toFixed(2)
+  }
+
+  test('mirrors the canvas values for the check and enabled stubs', () => {
+    expect(getCheckFieldTexts(checkData, options)).toEqual({
+      payee: 'Acme',
+      amount: '1250.00',
+      amountWords: 'One thousand…',
+      memo: 'Rent',
+      date: '01/05/2026',
+      address: '1 Main St',
+      stub1_payee: 'Acme',
+      stub1_amount: '1250.00',
+      stub1_memo: 'Rent',
+      stub1_date: '01/05/2026'
+    })
+  })
+
+  test('leaves out boxed dates and stubs in three-up mode', () => {
+    const texts = getCheckFieldTexts(checkData, { ...options, preferences: { dateBoxed: true }, stubs: false })
+    expect(texts).not.toHaveProperty('date')
+    expect(texts).not.toHaveProperty('address')
+    expect(Object.keys(texts).some(k => k.startsWith('stub'))).toBe(false)
+  })
+})
+
+describe('findFieldOverflows', () => {
+  test('lists the fields whose text does not fit', () => {
+    const fields = {
+      payee: { w: 1, h: 0.3, label: 'Pay to' },
+      memo: { w: 1, h: 0.3, label: 'Memo', fit: 'shrink' },
+      amount: { w: 1, h: 0.3, label: 'Amount' }
+    }
+    const texts = { payee: 'A very long payee', memo: 'twelve chars', amount: '5.00', missing: 'x' }
+    expect(findFieldOverflows(fields, texts, { measure, getFontPt: () => 10 })).toEqual([{ key: 'payee', label: 'Pay to' }])
+  })
+})
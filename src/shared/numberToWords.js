@@ -1,6 +1,7 @@
 // Number-to-words helper for check printing.
-// Supports locale-aware output. English is built-in; other languages
-// can be added to the registry or plugged in via an npm package like n2words.
+// Supports locale-aware output. English (including Indian lakh/crore),
+// French and Tagalog are built-in; other languages can be added
+// to the registry below.
 
 // Module-level locale config — defaults to English fraction format
 let _wordsConfig = { langCode: 'en', centsFormat: 'fraction' }
@@ -9,7 +10,7 @@ let _wordsConfig = { langCode: 'en', centsFormat: 'fraction' }
  * Set the active number-to-words locale config.
  * Call this once at app startup when preferences are loaded.
  *
- * @param {Object} config - { langCode: 'en', centsFormat: 'fraction' | 'centimes' }
+ * @param {Object} config - { langCode: 'en', centsFormat: 'fraction' | 'centimes' | 'indian' }
  */
 export function setNumberToWordsLocale(config) {
   _wordsConfig = config || { langCode: 'en', centsFormat: 'fraction' }
@@ -53,14 +54,213 @@ function intToWordsEN(n) {
   return String(n)
 }
 
+function unitsPhraseEN(n, [singular, plural]) {
+  return `${n === 0 ? 'Zero' : intToWordsEN(n)} ${n === 1 ? singular : plural}`
+}
+
+// --- Indian English (lakh/crore) ---
+// 1,00,000 = One Lakh; 1,00,00,000 = One Crore. Crores nest: 100 crore = "One Hundred Crore".
+function intToWordsENIN(n) {
+  if (n < 1000) return intToWordsEN(n)
+  const scales = [[10000000, 'Crore'], [100000, 'Lakh'], [1000, 'Thousand']]
+  for (const [size, noun] of scales) {
+    if (n >= size) {
+      const count = Math.floor(n / size)
+      const r = n % size
+      const head = `${intToWordsENIN(count)} ${noun}`
+      return r ? `${head} ${intToWordsENIN(r)}` : head
+    }
+  }
+  return String(n)
+}
+
+function unitsPhraseENIN(n, [singular, plural]) {
+  return `${n === 0 ? 'Zero' : intToWordsENIN(n)} ${n === 1 ? singular : plural}`
+}
+
+// --- French word tables ---
+// Traditional spelling: hyphens below 100, "et" joins 21, 31 … 71.
+const onesFR = [
+  'zéro', 'un', 'deux', 'trois', 'quatre', 'cinq', 'six', 'sept', 'huit', 'neuf',
+  'dix', 'onze', 'douze', 'treize', 'quatorze', 'quinze', 'seize', 'dix-sept', 'dix-huit', 'dix-neuf'
+]
+
+const tensFR = ['', '', 'vingt', 'trente', 'quarante', 'cinquante', 'soixante']
+
+// `final` is false when the number multiplies "mille": "quatre-vingts" and
+// "deux cents" only take the plural -s at the end of a number or before
+// the nouns "millions"/"milliards".
+function below100FR(n, final) {
+  if (n < 20) return onesFR[n]
+  if (n < 70) {
+    const t = Math.floor(n / 10)
+    const r = n % 10
+    if (r === 0) return tensFR[t]
+    if (r === 1) return `${tensFR[t]} et un`
+    return `${tensFR[t]}-${onesFR[r]}`
+  }
+  if (n < 80) {
+    return n === 71 ? 'soixante et onze' : `soixante-${onesFR[n - 60]}`
+  }
+  const r = n - 80
+  if (r === 0) return final ? 'quatre-vingts' : 'quatre-vingt'
+  return `quatre-vingt-${onesFR[r]}`
+}
+
+function below1000FR(n, final) {
+  const h = Math.floor(n / 100)
+  const r = n % 100
+  if (h === 0) return below100FR(r, final)
+  const hundreds = h === 1 ? 'cent' : `${onesFR[h]} cent${r === 0 && final ? 's' : ''}`
+  return r ? `${hundreds} ${below100FR(r, final)}` : hundreds
+}
+
+function intToWordsFR(n) {
+  const parts = []
+  const scales = [[1000000000, 'milliard'], [1000000, 'million']]
+  let rest = n
+  for (const [size, noun] of scales) {
+    const count = Math.floor(rest / size)
+    rest %= size
+    if (count) parts.push(`${count === 1 ? 'un' : below1000FR(count, true)} ${noun}${count > 1 ? 's' : ''}`)
+  }
+  const th = Math.floor(rest / 1000)
+  rest %= 1000
+  if (th) parts.push(th === 1 ? 'mille' : `${below1000FR(th, false)} mille`)
+  if (rest) parts.push(below1000FR(rest, true))
+  return parts.join(' ')
+}
+
+function unitsPhraseFR(n, [singular, plural]) {
+  if (n === 0) return `zéro ${singular}`
+  const words = intToWordsFR(n)
+  // "un million d'euros", "deux milliards d'euros"
+  if (n % 1000000 === 0) return `${words} ${/^[aeiouhé]/i.test(plural) ? "d'" : 'de '}${plural}`
+  return `${words} ${n === 1 ? singular : plural}`
+}
+
+// --- Tagalog word tables ---
+const onesTL = ['', 'isa', 'dalawa', 'tatlo', 'apat', 'lima', 'anim', 'pito', 'walo', 'siyam']
+
+const teensTL = [
+  'sampu', 'labing-isa', 'labindalawa', 'labintatlo', 'labing-apat',
+  'labinlima', 'labing-anim', 'labimpito', 'labingwalo', 'labinsiyam'
+]
+
+const tensTL = ['', '', 'dalawampu', 'tatlumpu', 'apatnapu', 'limampu', 'animnapu', 'pitumpu', 'walumpu', 'siyamnapu']
+
+// Linker "na": fused as -ng after a vowel, -g after n, a separate word otherwise.
+function linkTL(words) {
+  if (/[aeiou]$/.test(words)) return `${words}ng`
+  if (words.endsWith('n')) return `${words}g`
+  return `${words} na`
+}
+
+// "at" contracts to 't after a vowel: "dalawampu't isa".
+function joinAtTL(a, b) {
+  return /[aeiou]$/.test(a) ? `${a}'t ${b}` : `${a} at ${b}`
+}
+
+function multiplyTL(count, noun) {
+  const linked = linkTL(count)
+  // d becomes r between vowels: "apat na raan"
+  const n = linked.endsWith(' na') && noun.startsWith('d') ? `r${noun.slice(1)}` : noun
+  return `${linked} ${n}`
+}
+
+function below100TL(n) {
+  if (n < 10) return onesTL[n]
+  if (n < 20) return teensTL[n - 10]
+  const t = Math.floor(n / 10)
+  const r = n % 10
+  return r ? joinAtTL(tensTL[t], onesTL[r]) : tensTL[t]
+}
+
+function below1000TL(n) {
+  const h = Math.floor(n / 100)
+  const r = n % 100
+  if (h === 0) return below100TL(r)
+  const hundreds = multiplyTL(onesTL[h], 'daan')
+  return r ? joinAtTL(hundreds, below100TL(r)) : hundreds
+}
+
+function intToWordsTL(n) {
+  const groups = []
+  const scales = [[1000000000, 'bilyon'], [1000000, 'milyon'], [1000, 'libo']]
+  let rest = n
+  for (const [size, noun] of scales) {
+    const count = Math.floor(rest / size)
+    rest %= size
+    if (count) groups.push(multiplyTL(below1000TL(count), noun))
+  }
+  if (rest) groups.push(below1000TL(rest))
+  // Only the last group is joined with "at": "isang libo't dalawang daan"
+  if (groups.length < 2) return groups[0] || ''
+  const last = groups.pop()
+  return joinAtTL(groups.join(' '), last)
+}
+
+function unitsPhraseTL(n, [noun]) {
+  return `${linkTL(n === 0 ? 'sero' : intToWordsTL(n))} ${noun}`
+}
+
 /**
- * Language registry — maps langCode to an intToWords function.
- * Add new languages here or plug in an npm package like n2words.
+ * Apply a language's check-words casing rule.
+ *   title    — words are already title-cased by the tables (English)
+ *   sentence — capitalize the first letter only (French, Tagalog)
+ *   upper    — all capitals
+ */
+function applyCasing(text, casing) {
+  if (!text) return text
+  if (casing === 'upper') return text.toUpperCase()
+  if (casing === 'sentence') return text.charAt(0).toUpperCase() + text.slice(1)
+  return text
+}
+
+/**
+ * Language registry — maps langCode to its converter and grammar settings.
+ *
+ * intToWords  — positive integer to words
+ * unitsPhrase — integer plus currency noun with correct agreement ("vingt et un euros")
+ * zero        — word used for a zero whole amount in fraction format
+ * conjunction — joins whole and cents ("and", "et", "at")
+ * currency    — [singular, plural] unit and subunit names for the 'centimes' format
+ * casing      — see applyCasing
  */
 const LANG_REGISTRY = {
-  en: intToWordsEN
-  // fr: intToWordsFR,  // future: add French number-to-words
-  // es: intToWordsES,  // future: add Spanish number-to-words
+  en: {
+    intToWords: intToWordsEN,
+    unitsPhrase: unitsPhraseEN,
+    zero: 'Zero',
+    conjunction: 'and',
+    currency: { unit: ['Dollar', 'Dollars'], subunit: ['Cent', 'Cents'] },
+    casing: 'title'
+  },
+  fr: {
+    intToWords: intToWordsFR,
+    unitsPhrase: unitsPhraseFR,
+    zero: 'zéro',
+    conjunction: 'et',
+    currency: { unit: ['euro', 'euros'], subunit: ['centime', 'centimes'] },
+    casing: 'sentence'
+  },
+  'en-IN': {
+    intToWords: intToWordsENIN,
+    unitsPhrase: unitsPhraseENIN,
+    zero: 'Zero',
+    conjunction: 'and',
+    currency: { unit: ['Rupee', 'Rupees'], subunit: ['Paisa', 'Paise'] },
+    casing: 'title'
+  },
+  tl: {
+    intToWords: intToWordsTL,
+    unitsPhrase: unitsPhraseTL,
+    zero: 'sero',
+    conjunction: 'at',
+    // Tagalog nouns don't inflect for number
+    currency: { unit: ['piso'], subunit: ['sentimo'] },
+    casing: 'sentence'
+  }
 }
 
 /**
@@ -87,17 +287,31 @@ export function numberToWords(amountStr, localeOverride) {
   const wholePart = Math.floor(Math.abs(num))
   const centsPart = Math.round((Math.abs(num) - wholePart) * 100)
 
-  // Get the word converter for the configured language, fallback to English
-  const intToWords = LANG_REGISTRY[config.langCode] || LANG_REGISTRY.en
-  const wholeWords = wholePart === 0 ? 'Zero' : intToWords(wholePart)
-  const centsStr = String(centsPart).padStart(2, '0')
+  // Get the grammar for the configured language, fallback to English
+  const lang = LANG_REGISTRY[config.langCode] || LANG_REGISTRY.en
 
-  // Format cents based on locale preference
+  // Spelled-out currency: "mille deux cents euros et cinquante centimes"
   if (config.centsFormat === 'centimes') {
-    // European style — for now uses same format until proper translations are added
-    return `${wholeWords} and ${centsStr}/100`
+    const parts = []
+    if (wholePart > 0 || centsPart === 0) parts.push(lang.unitsPhrase(wholePart, lang.currency.unit))
+    if (centsPart > 0) parts.push(lang.unitsPhrase(centsPart, lang.currency.subunit))
+    return applyCasing(parts.join(` ${lang.conjunction} `), lang.casing)
+  }
+
+  // Indian cheque style: "Rupees One Lakh Twenty Thousand and Paise Fifty Only"
+  if (config.centsFormat === 'indian') {
+    const [unit, units] = lang.currency.unit
+    const [subunit, subunits] = lang.currency.subunit
+    const parts = []
+    if (wholePart > 0 || centsPart === 0) {
+      parts.push(`${wholePart === 1 ? unit : units} ${wholePart === 0 ? lang.zero : lang.intToWords(wholePart)}`)
+    }
+    if (centsPart > 0) parts.push(`${centsPart === 1 ? subunit : subunits} ${lang.intToWords(centsPart)}`)
+    return applyCasing(`${parts.join(` ${lang.conjunction} `)} Only`, lang.casing)
   }
 
   // Default fraction format: "One Hundred and 45/100"
-  return `${wholeWords} and ${centsStr}/100`
+  const wholeWords = wholePart === 0 ? lang.zero : lang.intToWords(wholePart)
+  const centsStr = String(centsPart).padStart(2, '0')
+  return applyCasing(`${wholeWords} ${lang.conjunction} ${centsStr}/100`, lang.casing)
 }
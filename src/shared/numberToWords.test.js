@@ -1,4 +1,5 @@
-import { numberToWords } from './numberToWords'
+import { numberToWords, setNumberToWordsLocale } from './numberToWords'
+import { getNumberToWordsConfig } from '../config/locales'
 
 describe('numberToWords', () => {
   // Basic amounts
@@ -94,3 +95,213 @@ describe('numberToWords', () => {
     expect(numberToWords('10.01')).toBe('Ten and 01/100')
   })
 })
+
+describe('numberToWords — English spelled-out currency', () => {
+  const en = { langCode: 'en', centsFormat: 'centimes' }
+
+  it('names dollars and cents', () => {
+    expect(numberToWords('1234.56', en)).toBe('One Thousand Two Hundred Thirty-Four Dollars and Fifty-Six Cents')
+    expect(numberToWords('1.01', en)).toBe('One Dollar and One Cent')
+    expect(numberToWords('0', en)).toBe('Zero Dollars')
+  })
+
+  it('falls back to English for unknown languages', () => {
+    expect(numberToWords('5', { langCode: 'xx', centsFormat: 'fraction' })).toBe('Five and 00/100')
+  })
+})
+
+describe('numberToWords — French', () => {
+  const fr = { langCode: 'fr', centsFormat: 'fraction' }
+  const frEuros = { langCode: 'fr', centsFormat: 'centimes' }
+  const words = (n) => numberToWords(n, fr).replace(/ et \d\d\/100$/, '')
+
+  it('converts units and teens', () => {
+    expect(words('1')).toBe('Un')
+    expect(words('16')).toBe('Seize')
+    expect(words('17')).toBe('Dix-sept')
+  })
+
+  it('joins 21 to 71 with "et un"', () => {
+    expect(words('21')).toBe('Vingt et un')
+    expect(words('31')).toBe('Trente et un')
+    expect(words('61')).toBe('Soixante et un')
+    expect(words('71')).toBe('Soixante et onze')
+    expect(words('22')).toBe('Vingt-deux')
+    expect(words('72')).toBe('Soixante-douze')
+  })
+
+  it('handles the vigesimal seventies to nineties', () => {
+    expect(words('70')).toBe('Soixante-dix')
+    expect(words('79')).toBe('Soixante-dix-neuf')
+    expect(words('81')).toBe('Quatre-vingt-un')
+    expect(words('90')).toBe('Quatre-vingt-dix')
+    expect(words('91')).toBe('Quatre-vingt-onze')
+    expect(words('99')).toBe('Quatre-vingt-dix-neuf')
+  })
+
+  it('pluralizes quatre-vingts only at the end of a number', () => {
+    expect(words('80')).toBe('Quatre-vingts')
+    expect(words('280')).toBe('Deux cent quatre-vingts')
+    expect(words('80000')).toBe('Quatre-vingt mille')
+    expect(words('80000000')).toBe('Quatre-vingts millions')
+  })
+
+  it('applies cent(s) agreement', () => {
+    expect(words('100')).toBe('Cent')
+    expect(words('101')).toBe('Cent un')
+    expect(words('200')).toBe('Deux cents')
+    expect(words('201')).toBe('Deux cent un')
+    expect(words('200000')).toBe('Deux cent mille')
+    expect(words('200000000')).toBe('Deux cents millions')
+  })
+
+  it('keeps mille invariable and drops "un" before it', () => {
+    expect(words('1000')).toBe('Mille')
+    expect(words('2000')).toBe('Deux mille')
+    expect(words('21000')).toBe('Vingt et un mille')
+    expect(words('1234')).toBe('Mille deux cent trente-quatre')
+  })
+
+  it('converts millions and milliards', () => {
+    expect(words('1000000')).toBe('Un million')
+    expect(words('2000000')).toBe('Deux millions')
+    expect(words('1000000000')).toBe('Un milliard')
+    expect(words('3000500000')).toBe('Trois milliards cinq cent mille')
+  })
+
+  it('uses "et" before the fraction', () => {
+    expect(numberToWords('0.45', fr)).toBe('Zéro et 45/100')
+    expect(numberToWords('1234.56', fr)).toBe('Mille deux cent trente-quatre et 56/100')
+  })
+
+  it('spells euros and centimes', () => {
+    expect(numberToWords('1234.56', frEuros)).toBe('Mille deux cent trente-quatre euros et cinquante-six centimes')
+    expect(numberToWords('21', frEuros)).toBe('Vingt et un euros')
+    expect(numberToWords('80', frEuros)).toBe('Quatre-vingts euros')
+    expect(numberToWords('100', frEuros)).toBe('Cent euros')
+  })
+
+  it('uses the singular for one and zero', () => {
+    expect(numberToWords('1.01', frEuros)).toBe('Un euro et un centime')
+    expect(numberToWords('0', frEuros)).toBe('Zéro euro')
+  })
+
+  it('omits zero euros when only centimes are due', () => {
+    expect(numberToWords('0.50', frEuros)).toBe('Cinquante centimes')
+  })
+
+  it('uses "d\'euros" after round millions', () => {
+    expect(numberToWords('1000000', frEuros)).toBe("Un million d'euros")
+    expect(numberToWords('2000000.50', frEuros)).toBe("Deux millions d'euros et cinquante centimes")
+    expect(numberToWords('1000001', frEuros)).toBe('Un million un euros')
+  })
+})
+
+describe('numberToWords — Tagalog', () => {
+  const tl = { langCode: 'tl', centsFormat: 'fraction' }
+  const tlPiso = { langCode: 'tl', centsFormat: 'centimes' }
+  const words = (n) => numberToWords(n, tl).replace(/ at \d\d\/100$/, '')
+
+  it('converts units and teens', () => {
+    expect(words('1')).toBe('Isa')
+    expect(words('10')).toBe('Sampu')
+    expect(words('11')).toBe('Labing-isa')
+    expect(words('17')).toBe('Labimpito')
+  })
+
+  it('contracts "at" after tens', () => {
+    expect(words('20')).toBe('Dalawampu')
+    expect(words('21')).toBe('Dalawampu\'t isa')
+    expect(words('99')).toBe('Siyamnapu\'t siyam')
+  })
+
+  it('links hundreds with -ng or "na raan"', () => {
+    expect(words('100')).toBe('Isang daan')
+    expect(words('300')).toBe('Tatlong daan')
+    expect(words('400')).toBe('Apat na raan')
+    expect(words('600')).toBe('Anim na raan')
+    expect(words('999')).toBe('Siyam na raan at siyamnapu\'t siyam')
+  })
+
+  it('converts thousands', () => {
+    expect(words('1000')).toBe('Isang libo')
+    expect(words('1234')).toBe('Isang libo\'t dalawang daan at tatlumpu\'t apat')
+    expect(words('10000')).toBe('Sampung libo')
+    expect(words('25000')).toBe('Dalawampu\'t limang libo')
+    expect(words('120000')).toBe('Isang daan at dalawampung libo')
+  })
+
+  it('converts millions', () => {
+    expect(words('1000000')).toBe('Isang milyon')
+    expect(words('4000000')).toBe('Apat na milyon')
+    expect(words('1000500')).toBe('Isang milyon at limang daan')
+  })
+
+  it('spells piso and sentimo with the linker', () => {
+    expect(numberToWords('1', tlPiso)).toBe('Isang piso')
+    expect(numberToWords('4', tlPiso)).toBe('Apat na piso')
+    expect(numberToWords('500', tlPiso)).toBe('Limang daang piso')
+    expect(numberToWords('0.25', tlPiso)).toBe('Dalawampu\'t limang sentimo')
+    expect(numberToWords('1234.56', tlPiso)).toBe('Isang libo\'t dalawang daan at tatlumpu\'t apat na piso at limampu\'t anim na sentimo')
+  })
+})
+
+describe('setNumberToWordsLocale', () => {
+  afterEach(() => setNumberToWordsLocale(null))
+
+  it('applies the locale config to subsequent calls', () => {
+    setNumberToWordsLocale({ langCode: 'fr', centsFormat: 'centimes' })
+    expect(numberToWords('2')).toBe('Deux euros')
+  })
+
+  it('resets to English fraction format', () => {
+    setNumberToWordsLocale(null)
+    expect(numberToWords('2')).toBe('Two and 00/100')
+  })
+})
+
+describe('numberToWords — Indian English (lakh/crore)', () => {
+  const inr = { langCode: 'en-IN', centsFormat: 'indian' }
+  const inFraction = { langCode: 'en-IN', centsFormat: 'fraction' }
+
+  it('groups by thousand, lakh and crore', () => {
+    expect(numberToWords('1000', inFraction)).toBe('One Thousand and 00/100')
+    expect(numberToWords('100000', inFraction)).toBe('One Lakh and 00/100')
+    expect(numberToWords('1234567', inFraction)).toBe('Twelve Lakh Thirty-Four Thousand Five Hundred Sixty-Seven and 00/100')
+    expect(numberToWords('10000000', inFraction)).toBe('One Crore and 00/100')
+    expect(numberToWords('123456789', inFraction)).toBe('Twelve Crore Thirty-Four Lakh Fifty-Six Thousand Seven Hundred Eighty-Nine and 00/100')
+  })
+
+  it('nests crores above 99 crore', () => {
+    expect(numberToWords('1000000000', inFraction)).toBe('One Hundred Crore and 00/100')
+    expect(numberToWords('15000000000', inFraction)).toBe('One Thousand Five Hundred Crore and 00/100')
+  })
+
+  it('prints rupees first and ends with "Only"', () => {
+    expect(numberToWords('120000', inr)).toBe('Rupees One Lakh Twenty Thousand Only')
+    expect(numberToWords('1', inr)).toBe('Rupee One Only')
+    expect(numberToWords('0', inr)).toBe('Rupees Zero Only')
+  })
+
+  it('adds paise when present', () => {
+    expect(numberToWords('2500.50', inr)).toBe('Rupees Two Thousand Five Hundred and Paise Fifty Only')
+    expect(numberToWords('0.01', inr)).toBe('Paisa One Only')
+    expect(numberToWords('0.75', inr)).toBe('Paise Seventy-Five Only')
+  })
+
+  it('strips Indian-grouped input', () => {
+    expect(numberToWords('₹1,23,45,678.00', inr)).toBe('Rupees One Crore Twenty-Three Lakh Forty-Five Thousand Six Hundred Seventy-Eight Only')
+  })
+})
+
+describe('getNumberToWordsConfig', () => {
+  it('keeps English words for the Philippines unless Tagalog is chosen', () => {
+    expect(numberToWords('4.00', getNumberToWordsConfig('PH'))).toBe('Four and 00/100')
+    expect(numberToWords('4.00', getNumberToWordsConfig('PH', 'tl'))).toBe('Apat na piso')
+  })
+
+  it('ignores a words language the locale does not offer', () => {
+    expect(getNumberToWordsConfig('US', 'tl')).toEqual({ langCode: 'en', centsFormat: 'fraction' })
+    expect(getNumberToWordsConfig('FR', 'tl')).toEqual({ langCode: 'fr', centsFormat: 'centimes' })
+  })
+})